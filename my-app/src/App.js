@@ -1,14 +1,21 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import Dashboard from './components/Dashboard';
 import CodeStatsPage from './components/CodeStatsPage';
+import LoginPage from './components/LoginPage';
+import { getSession } from './utils/auth';
+
+function RequireAuth({ children }) {
+  return getSession() ? children : <Navigate to="/login" replace />;
+}
 
 function App() {
   return (
     <Router>
       <Routes>
-        <Route path="/" element={<Dashboard />} />
-        <Route path="/code/:code" element={<CodeStatsPage />} />
+        <Route path="/login" element={<LoginPage />} />
+        <Route path="/" element={<RequireAuth><Dashboard /></RequireAuth>} />
+        <Route path="/code/:code" element={<RequireAuth><CodeStatsPage /></RequireAuth>} />
       </Routes>
     </Router>
   );
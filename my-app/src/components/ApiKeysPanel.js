@@ -0,0 +1,226 @@
+import React, { useEffect, useState } from 'react';
+import { authFetch } from '../utils/auth';
+import logger from '../utils/logger';
+
+const SCOPES = [
+  { value: 'links:read', label: 'Read links' },
+  { value: 'links:write', label: 'Create and delete links' },
+];
+
+function formatDate(value) {
+  if (!value) return 'Never';
+  try {
+    return new Date(value).toLocaleString();
+  } catch (err) {
+    return value;
+  }
+}
+
+const ApiKeysPanel = () => {
+  const [keys, setKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(SCOPES.map((scope) => scope.value));
+  const [creating, setCreating] = useState(false);
+  const [newKey, setNewKey] = useState(null);
+  const [revokingId, setRevokingId] = useState(null);
+
+  async function loadKeys() {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await authFetch('/api/keys');
+      if (!res.ok) {
+        const txt = await res.text();
+        logger.error('Failed to load API keys', { status: res.status, response: txt.slice(0, 500) });
+        throw new Error('Failed to load API keys');
+      }
+      setKeys(await res.json());
+    } catch (err) {
+      setError(err.message || 'Failed to load API keys');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadKeys();
+  }, []);
+
+  function toggleScope(value) {
+    setScopes((prev) => (
+      prev.includes(value) ? prev.filter((scope) => scope !== value) : [...prev, value]
+    ));
+  }
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    setCreating(true);
+    setError('');
+    setNewKey(null);
+    try {
+      const res = await authFetch('/api/keys', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim(), scopes }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(body.error || 'Failed to create API key');
+        return;
+      }
+      const { key, ...summary } = body;
+      setNewKey(key);
+      setName('');
+      setKeys((prev) => [summary, ...prev]);
+    } catch (err) {
+      setError(err.message || 'Failed to create API key');
+    } finally {
+      setCreating(false);
+    }
+  }
+
+  async function handleRevoke(apiKey) {
+    if (!window.confirm(`Revoke API key "${apiKey.name}"? Anything using it will stop working.`)) {
+      return;
+    }
+
+    setRevokingId(apiKey.id);
+    setError('');
+    try {
+      const res = await authFetch(`/api/keys/${apiKey.id}`, { method: 'DELETE' });
+      if (!res.ok && res.status !== 404) {
+        const body = await res.json().catch(() => ({}));
+        setError(body.error || 'Failed to revoke API key');
+        return;
+      }
+      await loadKeys();
+    } catch (err) {
+      setError(err.message || 'Failed to revoke API key');
+    } finally {
+      setRevokingId(null);
+    }
+  }
+
+  return (
+    <section className="card">
+      <h2 className="section-title">API keys</h2>
+      <p className="field-help">
+        Use a key from scripts and bots with an <code>Authorization: Bearer &lt;key&gt;</code> header.
+      </p>
+
+      <form className="form-grid" onSubmit={handleCreate} noValidate>
+        <div className="form-field">
+          <label className="label" htmlFor="apiKeyName">
+            Key name
+          </label>
+          <input
+            id="apiKeyName"
+            type="text"
+            className="input"
+            placeholder="e.g. CI pipeline"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+        </div>
+        <div className="form-field">
+          <span className="label">Scopes</span>
+          {SCOPES.map((scope) => (
+            <label key={scope.value} className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={scopes.includes(scope.value)}
+                onChange={() => toggleScope(scope.value)}
+              />
+              {scope.label} <code>{scope.value}</code>
+            </label>
+          ))}
+        </div>
+        <div className="form-actions">
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={creating || !name.trim() || scopes.length === 0}
+          >
+            {creating ? 'Creating...' : 'Create key'}
+          </button>
+        </div>
+      </form>
+
+      {newKey && (
+        <div className="status status-success">
+          <div>Copy this key now. It will not be shown again.</div>
+          <div className="value-inline">
+            <code className="secret">{newKey}</code>
+            <button
+              type="button"
+              className="btn btn-ghost btn-xs"
+              onClick={() => navigator.clipboard.writeText(newKey).catch(() => {})}
+            >
+              Copy
+            </button>
+            <button
+              type="button"
+              className="btn btn-ghost btn-xs"
+              onClick={() => setNewKey(null)}
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+      {error && <div className="status status-error">{error}</div>}
+
+      {loading ? (
+        <div className="status">Loading API keys...</div>
+      ) : keys.length === 0 ? (
+        <div className="status">No API keys yet.</div>
+      ) : (
+        <div className="table-wrapper">
+          <table className="links-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Key</th>
+                <th>Scopes</th>
+                <th>Created</th>
+                <th>Last used</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {keys.map((apiKey) => (
+                <tr key={apiKey.id}>
+                  <td>{apiKey.name}</td>
+                  <td>
+                    <code>{apiKey.prefix}…</code>
+                  </td>
+                  <td>{apiKey.scopes.join(', ')}</td>
+                  <td>{formatDate(apiKey.createdAt)}</td>
+                  <td>{formatDate(apiKey.lastUsedAt)}</td>
+                  <td>
+                    {apiKey.revokedAt ? (
+                      <span className="text-expired">Revoked</span>
+                    ) : (
+                      <button
+                        type="button"
+                        className="btn btn-danger btn-xs"
+                        onClick={() => handleRevoke(apiKey)}
+                        disabled={revokingId === apiKey.id}
+                      >
+                        {revokingId === apiKey.id ? 'Revoking...' : 'Revoke'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ApiKeysPanel;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { authFetch } from '../utils/auth';
+import { parseTagInput } from '../utils/tags';
+
+// Adds or removes tags on the links selected in the table.
+const BulkTagBar = ({ codes, onApplied, onClear }) => {
+  const [input, setInput] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  async function apply(action) {
+    const tags = parseTagInput(input);
+    if (tags.length === 0) {
+      setError('Enter one or more tags, separated by commas');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      const res = await authFetch('/api/links/tags', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ codes, [action]: tags }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(body.error || 'Failed to update tags');
+        return;
+      }
+      setInput('');
+      onApplied(body, action === 'add' ? 'Added' : 'Removed', tags);
+    } catch (err) {
+      setError(err.message || 'Failed to update tags');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="bulk-bar">
+      <span className="bulk-bar-count">
+        {codes.length} selected
+      </span>
+      <input
+        type="text"
+        className="input input-sm"
+        placeholder="tags, comma separated"
+        aria-label="Tags to add or remove"
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+      />
+      <button type="button" className="btn btn-primary btn-xs" disabled={saving} onClick={() => apply('add')}>
+        Add tags
+      </button>
+      <button type="button" className="btn btn-ghost btn-xs" disabled={saving} onClick={() => apply('remove')}>
+        Remove tags
+      </button>
+      <button type="button" className="btn btn-ghost btn-xs" disabled={saving} onClick={onClear}>
+        Clear selection
+      </button>
+      {error && <div className="status status-error">{error}</div>}
+    </div>
+  );
+};
+
+export default BulkTagBar;
@@ -0,0 +1,70 @@
+import React from 'react';
+
+const WIDTH = 640;
+const HEIGHT = 200;
+const PADDING = { top: 12, right: 12, bottom: 24, left: 36 };
+
+function formatBucket(value, interval) {
+  const date = new Date(value);
+  if (interval === 'hour') {
+    return date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit' });
+  }
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
+
+// Minimal SVG line chart for bucketed click counts from /api/links/:code/stats.
+const ClickChart = ({ series, interval }) => {
+  if (!series || series.length === 0) {
+    return <div className="status">No data for this range.</div>;
+  }
+
+  const maxClicks = Math.max(1, ...series.map((point) => point.clicks));
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const step = series.length > 1 ? plotWidth / (series.length - 1) : 0;
+
+  const points = series.map((point, index) => ({
+    ...point,
+    x: PADDING.left + (series.length > 1 ? index * step : plotWidth / 2),
+    y: PADDING.top + plotHeight - (point.clicks / maxClicks) * plotHeight,
+  }));
+  const path = points.map((point) => `${point.x},${point.y}`).join(' ');
+  const baseline = PADDING.top + plotHeight;
+
+  return (
+    <svg
+      className="click-chart"
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      role="img"
+      aria-label="Clicks over time"
+    >
+      <line
+        className="click-chart-axis"
+        x1={PADDING.left}
+        y1={baseline}
+        x2={WIDTH - PADDING.right}
+        y2={baseline}
+      />
+      <text className="click-chart-label" x={PADDING.left - 6} y={PADDING.top + 4} textAnchor="end">
+        {maxClicks}
+      </text>
+      <text className="click-chart-label" x={PADDING.left - 6} y={baseline} textAnchor="end">
+        0
+      </text>
+      <text className="click-chart-label" x={PADDING.left} y={HEIGHT - 6}>
+        {formatBucket(series[0].bucket, interval)}
+      </text>
+      <text className="click-chart-label" x={WIDTH - PADDING.right} y={HEIGHT - 6} textAnchor="end">
+        {formatBucket(series[series.length - 1].bucket, interval)}
+      </text>
+      <polyline className="click-chart-line" points={path} />
+      {points.map((point) => (
+        <circle key={point.bucket} className="click-chart-point" cx={point.x} cy={point.y} r={3}>
+          <title>{`${formatBucket(point.bucket, interval)}: ${point.clicks} clicks`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+export default ClickChart;
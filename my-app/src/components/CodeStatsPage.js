@@ -1,5 +1,19 @@
 import React, { useEffect, useState } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import ClickChart from './ClickChart';
+import EditLinkDialog from './EditLinkDialog';
+import LinkPasswordPanel from './LinkPasswordPanel';
+import QrCodePanel from './QrCodePanel';
+import RedirectRulesPanel from './RedirectRulesPanel';
+import RevisionTimeline from './RevisionTimeline';
+import SplitPanel from './SplitPanel';
+import { authFetch } from '../utils/auth';
+import { downloadFile } from '../utils/download';
+import { formatRemainingClicks, formatRemainingLifetime } from '../utils/linkLifetime';
+import { linkApiPath, linkRef } from '../utils/links';
+import logger from '../utils/logger';
+import { ruleLabel } from '../utils/redirectRules';
+import { variantLabel, weightShares } from '../utils/variants';
 
 function formatDate(value) {
   if (!value) return 'Never';
@@ -18,19 +32,118 @@ function buildShortUrl(code, apiShortUrl) {
   return `/${code}`;
 }
 
+function toDateInput(date) {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+}
+
+function defaultRange() {
+  const today = new Date();
+  const monthAgo = new Date(today.getTime() - 29 * 24 * 60 * 60 * 1000);
+  return { from: toDateInput(monthAgo), to: toDateInput(today) };
+}
+
+const BREAKDOWN_TITLES = {
+  referrers: 'Top referrers',
+  browsers: 'Browsers',
+  devices: 'Devices',
+  countries: 'Countries',
+  sources: 'Sources',
+  rules: 'Redirect rules',
+};
+
+// Breakdown values are shown as stored, except rule ids.
+function breakdownLabel(key, value, link) {
+  return key === 'rules' ? ruleLabel(link.rules, value) : value;
+}
+
+// Clicks per split variant in the selected range, current variants first
+// (with their configured share) and then removed ones that still have clicks.
+// Shares are of split clicks only; visits that matched a rule were not split.
+function variantRows(link, stats) {
+  const counts = new Map(stats.variants.filter((row) => row.value !== 'none').map((row) => [row.value, row.clicks]));
+  const current = link.split ? link.split.variants : [];
+  const weights = weightShares(current.map((variant) => variant.weight));
+  const removed = [...counts.keys()].filter((id) => !current.some((variant) => variant.id === id));
+  const total = [...counts.values()].reduce((sum, clicks) => sum + clicks, 0);
+  return [
+    ...current.map((variant, index) => ({ id: variant.id, weight: `${variant.weight} (${weights[index]}%)` })),
+    ...removed.map((id) => ({ id, weight: 'Removed' })),
+  ].map((row) => {
+    const clicks = counts.get(row.id) || 0;
+    return {
+      ...row,
+      label: variantLabel(link.split, row.id),
+      clicks,
+      share: total ? Math.round((clicks / total) * 100) : 0,
+    };
+  });
+}
+
 const CodeStatsPage = () => {
   const { code } = useParams();
+  // Links on a custom domain are opened with ?domain=<hostname>.
+  const [searchParams] = useSearchParams();
+  const domain = searchParams.get('domain') || null;
   const navigate = useNavigate();
   const [link, setLink] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [clicks, setClicks] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [clicksLoading, setClicksLoading] = useState(false);
+  const [clicksError, setClicksError] = useState('');
+  const [range, setRange] = useState(defaultRange);
+  const [bucketInterval, setBucketInterval] = useState('day');
+  const [stats, setStats] = useState(null);
+  const [statsLoading, setStatsLoading] = useState(false);
+  const [statsError, setStatsError] = useState('');
+  const [editing, setEditing] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  async function loadClicks(cursor) {
+    setClicksLoading(true);
+    setClicksError('');
+    try {
+      const params = new URLSearchParams({ limit: '25' });
+      if (cursor) params.set('cursor', cursor);
+      const res = await authFetch(linkApiPath({ code, domain }, '/clicks', params));
+      if (!res.ok) {
+        const txt = await res.text();
+        logger.error('Failed to load clicks', { status: res.status, response: txt.slice(0, 500) });
+        throw new Error('Failed to load clicks');
+      }
+      const data = await res.json();
+      setClicks((prev) => (cursor ? [...prev, ...data.clicks] : data.clicks));
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      setClicksError(err.message || 'Failed to load clicks');
+    } finally {
+      setClicksLoading(false);
+    }
+  }
+
+  async function handleExportClicks(format) {
+    setExporting(true);
+    setClicksError('');
+    try {
+      await downloadFile(
+        linkApiPath({ code, domain }, '/clicks/export', { format }),
+        `clicks-${code}.${format}`,
+      );
+    } catch (err) {
+      setClicksError(err.message || 'Export failed');
+    } finally {
+      setExporting(false);
+    }
+  }
 
   useEffect(() => {
     async function load() {
       setLoading(true);
       setError('');
       try {
-        const res = await fetch(`/api/links/${encodeURIComponent(code)}`);
+        const res = await authFetch(linkApiPath({ code, domain }));
         if (res.status === 404) {
           setError('Link not found');
           setLoading(false);
@@ -38,11 +151,12 @@ const CodeStatsPage = () => {
         }
         if (!res.ok) {
           const txt = await res.text();
-          console.error('CodeStatsPage non-JSON response', txt);
+          logger.error('Failed to load link', { status: res.status, response: txt.slice(0, 500) });
           throw new Error('Failed to load stats');
         }
         const data = await res.json();
         setLink(data);
+        loadClicks(null);
       } catch (err) {
         setError(err.message || 'Failed to load stats');
       } finally {
@@ -51,26 +165,81 @@ const CodeStatsPage = () => {
     }
 
     load();
-  }, [code]);
+    // loadClicks only depends on `code` and `domain`, which are already listed.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [code, domain]);
+
+  useEffect(() => {
+    if (!range.from || !range.to) return;
+
+    async function loadStats() {
+      setStatsLoading(true);
+      setStatsError('');
+      try {
+        // Date inputs are whole local days; `to` is exclusive on the server.
+        const from = new Date(`${range.from}T00:00`);
+        const to = new Date(`${range.to}T00:00`);
+        to.setDate(to.getDate() + 1);
+        const params = new URLSearchParams({
+          from: from.toISOString(),
+          to: to.toISOString(),
+          interval: bucketInterval,
+        });
+        const res = await authFetch(linkApiPath({ code, domain }, '/stats', params));
+        if (res.status === 400) {
+          const body = await res.json().catch(() => ({}));
+          throw new Error(body.error || 'Invalid date range');
+        }
+        if (!res.ok) {
+          const txt = await res.text();
+          logger.error('Failed to load link stats', { status: res.status, response: txt.slice(0, 500) });
+          throw new Error('Failed to load analytics');
+        }
+        setStats(await res.json());
+      } catch (err) {
+        setStats(null);
+        setStatsError(err.message || 'Failed to load analytics');
+      } finally {
+        setStatsLoading(false);
+      }
+    }
+
+    loadStats();
+  }, [code, domain, range, bucketInterval]);
 
   const shortUrl = link ? buildShortUrl(link.code, link.shortUrl) : '';
+  // Only links that have (or had) redirect rules get a rule column.
+  const showRules = Boolean(link) && (link.rules.length > 0 || clicks.some((click) => click.rule));
+  const showVariants = Boolean(link) && (Boolean(link.split) || clicks.some((click) => click.variant));
+  const variants = link && stats ? variantRows(link, stats) : [];
 
   return (
     <div className="app-root">
       <div className="container">
         <header className="page-header">
-          <h1 className="page-title">Stats for {code}</h1>
+          <h1 className="page-title">Stats for {linkRef({ code, domain })}</h1>
           <p className="page-subtitle">Details for a single short code.</p>
         </header>
 
         <section className="card">
-          <button
-            type="button"
-            className="btn btn-ghost"
-            onClick={() => navigate('/')}
-          >
-             Back to dashboard
-          </button>
+          <div className="row-actions">
+            <button
+              type="button"
+              className="btn btn-ghost"
+              onClick={() => navigate('/')}
+            >
+               Back to dashboard
+            </button>
+            {link && !link.archived && (
+              <button
+                type="button"
+                className="btn btn-ghost"
+                onClick={() => setEditing(true)}
+              >
+                Edit link
+              </button>
+            )}
+          </div>
 
           {loading ? (
             <div className="status">Loading stats...</div>
@@ -84,6 +253,12 @@ const CodeStatsPage = () => {
                 <div className="label">Short code</div>
                 <div className="value code-pill">{link.code}</div>
               </div>
+              {link.domain && (
+                <div className="stats-item">
+                  <div className="label">Domain</div>
+                  <div className="value">{link.domain}</div>
+                </div>
+              )}
               <div className="stats-item">
                 <div className="label">Short link</div>
                 <div className="value value-inline">
@@ -101,6 +276,20 @@ const CodeStatsPage = () => {
                   </button>
                 </div>
               </div>
+              <div className="stats-item">
+                <div className="label">Title</div>
+                <div className="value">{link.title || 'Untitled'}</div>
+              </div>
+              <div className="stats-item">
+                <div className="label">Tags</div>
+                <div className="value">
+                  {link.tags && link.tags.length > 0 ? link.tags.join(', ') : 'None'}
+                </div>
+              </div>
+              <div className="stats-item">
+                <div className="label">Folder</div>
+                <div className="value">{link.folder || 'None'}</div>
+              </div>
               <div className="stats-item">
                 <div className="label">Original URL</div>
                 <div className="value">
@@ -121,10 +310,248 @@ const CodeStatsPage = () => {
                 <div className="label">Last clicked</div>
                 <div className="value">{formatDate(link.lastClickedAt)}</div>
               </div>
+              <div className="stats-item">
+                <div className="label">Password</div>
+                <div className="value">{link.passwordProtected ? 'Protected' : 'None'}</div>
+              </div>
+              {link.archived && (
+                <div className="stats-item">
+                  <div className="label">Status</div>
+                  <div className="value text-expired">
+                    Archived
+                    <div className="field-help">{formatDate(link.archivedAt)}</div>
+                  </div>
+                </div>
+              )}
+              {link.disabled && (
+                <div className="stats-item">
+                  <div className="label">Status</div>
+                  <div className="value text-expired">
+                    Disabled
+                    {link.disabledReason && (
+                      <div className="field-help">{link.disabledReason}</div>
+                    )}
+                  </div>
+                </div>
+              )}
+              <div className="stats-item">
+                <div className="label">Expires</div>
+                <div className={`value ${link.expired ? 'text-expired' : ''}`}>
+                  {link.expired ? 'Expired' : formatRemainingLifetime(link.expiresAt)}
+                  {link.expiresAt && (
+                    <div className="field-help">{formatDate(link.expiresAt)}</div>
+                  )}
+                </div>
+              </div>
+              <div className="stats-item">
+                <div className="label">Clicks remaining</div>
+                <div className="value">{formatRemainingClicks(link)}</div>
+              </div>
             </div>
           )}
         </section>
+
+        {link && (
+          <section className="card">
+            <div className="card-header-row">
+              <h2 className="section-title">Clicks over time</h2>
+              <div className="range-picker">
+                <input
+                  type="date"
+                  className="input input-sm"
+                  aria-label="From date"
+                  value={range.from}
+                  max={range.to}
+                  onChange={(e) => setRange((prev) => ({ ...prev, from: e.target.value }))}
+                />
+                <span>to</span>
+                <input
+                  type="date"
+                  className="input input-sm"
+                  aria-label="To date"
+                  value={range.to}
+                  min={range.from}
+                  onChange={(e) => setRange((prev) => ({ ...prev, to: e.target.value }))}
+                />
+                <select
+                  className="input input-sm"
+                  aria-label="Interval"
+                  value={bucketInterval}
+                  onChange={(e) => setBucketInterval(e.target.value)}
+                >
+                  <option value="hour">Hourly</option>
+                  <option value="day">Daily</option>
+                  <option value="week">Weekly</option>
+                </select>
+              </div>
+            </div>
+
+            {statsError && <div className="status status-error">{statsError}</div>}
+            {statsLoading && !stats && <div className="status">Loading analytics...</div>}
+            {stats && (
+              <>
+                <div className="field-help">
+                  {stats.total} clicks in the selected range
+                </div>
+                <ClickChart series={stats.series} interval={stats.interval} />
+                {variants.length > 0 && (
+                  <div className="table-wrapper">
+                    <h3 className="breakdown-title">A/B split</h3>
+                    <table className="links-table">
+                      <thead>
+                        <tr>
+                          <th>Variant</th>
+                          <th>Weight</th>
+                          <th>Clicks</th>
+                          <th>Share</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {variants.map((row) => (
+                          <tr key={row.id}>
+                            <td>{row.label}</td>
+                            <td>{row.weight}</td>
+                            <td>{row.clicks}</td>
+                            <td>{row.share}%</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+                <div className="breakdown-grid">
+                  {Object.entries(BREAKDOWN_TITLES).map(([key, title]) => (
+                    <div key={key}>
+                      <h3 className="breakdown-title">{title}</h3>
+                      {stats[key].length === 0 ? (
+                        <div className="field-help">No clicks yet.</div>
+                      ) : (
+                        <table className="links-table">
+                          <tbody>
+                            {stats[key].map((row, index) => (
+                              <tr key={row.value}>
+                                <td>{index + 1}.</td>
+                                <td>{breakdownLabel(key, row.value, link)}</td>
+                                <td>{row.clicks}</td>
+                                <td>
+                                  {stats.total ? Math.round((row.clicks / stats.total) * 100) : 0}%
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </section>
+        )}
+
+        {/* Archived links can't be edited, only looked back on. */}
+        {link && !link.archived && (
+          <section className="card">
+            <h2 className="section-title">QR code</h2>
+            <QrCodePanel code={link.code} domain={link.domain} />
+          </section>
+        )}
+
+        {link && !link.archived && <RedirectRulesPanel link={link} onSaved={setLink} />}
+
+        {link && !link.archived && <SplitPanel link={link} onSaved={setLink} />}
+
+        {link && !link.archived && <LinkPasswordPanel link={link} onSaved={setLink} />}
+
+        {link && (
+          <section className="card">
+            <h2 className="section-title">History</h2>
+            <RevisionTimeline
+              code={link.code}
+              domain={link.domain}
+              currentUrl={link.url}
+              onRestored={link.archived ? null : setLink}
+            />
+          </section>
+        )}
+
+        {link && (
+          <section className="card">
+            <div className="card-header-row">
+              <h2 className="section-title">Recent clicks</h2>
+              <div className="row-actions">
+                <button
+                  type="button"
+                  className="btn btn-ghost btn-xs"
+                  disabled={exporting || clicks.length === 0}
+                  onClick={() => handleExportClicks('csv')}
+                >
+                  Download CSV
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-ghost btn-xs"
+                  disabled={exporting || clicks.length === 0}
+                  onClick={() => handleExportClicks('json')}
+                >
+                  Download JSON
+                </button>
+              </div>
+            </div>
+            {clicksError && <div className="status status-error">{clicksError}</div>}
+            {clicks.length === 0 && !clicksLoading ? (
+              <div className="status">No clicks recorded yet.</div>
+            ) : (
+              <div className="table-wrapper">
+                <table className="links-table">
+                  <thead>
+                    <tr>
+                      <th>Time</th>
+                      <th>Referrer</th>
+                      <th>Browser</th>
+                      <th>OS</th>
+                      <th>Device</th>
+                      <th>Country</th>
+                      <th>Source</th>
+                      {showRules && <th>Rule</th>}
+                      {showVariants && <th>Variant</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {clicks.map((click) => (
+                      <tr key={click.id}>
+                        <td>{formatDate(click.clickedAt)}</td>
+                        <td>{click.referrer || 'Direct'}</td>
+                        <td>{click.browser}</td>
+                        <td>{click.os}</td>
+                        <td>{click.device}</td>
+                        <td>{click.country || 'Unknown'}</td>
+                        <td>{click.source || 'direct'}</td>
+                        {showRules && <td>{ruleLabel(link.rules, click.rule)}</td>}
+                        {showVariants && <td>{click.variant ? variantLabel(link.split, click.variant) : '—'}</td>}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {clicksLoading && <div className="status">Loading clicks...</div>}
+            {nextCursor && !clicksLoading && (
+              <button
+                type="button"
+                className="btn btn-ghost"
+                onClick={() => loadClicks(nextCursor)}
+              >
+                Load more
+              </button>
+            )}
+          </section>
+        )}
       </div>
+
+      {editing && link && (
+        <EditLinkDialog link={link} onClose={() => setEditing(false)} onSaved={setLink} />
+      )}
     </div>
   );
 };
@@ -1,5 +1,19 @@
 import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import ApiKeysPanel from './ApiKeysPanel';
+import BulkTagBar from './BulkTagBar';
+import DomainsPanel from './DomainsPanel';
+import EditLinkDialog from './EditLinkDialog';
+import ImportDialog from './ImportDialog';
+import QrCodeDialog from './QrCodeDialog';
+import TagSidebar from './TagSidebar';
+import { authFetch, clearSession, getSession } from '../utils/auth';
+import { downloadFile } from '../utils/download';
+import { formatRemainingClicks, formatRemainingLifetime } from '../utils/linkLifetime';
+import { validateLinkPassword } from '../utils/linkPassword';
+import { linkApiPath, linkPagePath, linkRef } from '../utils/links';
+import { MAX_FOLDER_LENGTH, parseTagInput } from '../utils/tags';
+import logger from '../utils/logger';
 
 function formatDate(value) {
   if (!value) return 'Never';
@@ -10,6 +24,11 @@ function formatDate(value) {
   }
 }
 
+// Host names of the domains in GET /api/domains that links can be created on.
+function verifiedHostnames(domains) {
+  return domains.filter((item) => item.verified).map((item) => item.hostname);
+}
+
 function buildShortUrl(code, apiShortUrl) {
   if (apiShortUrl) return apiShortUrl;
   if (typeof window !== 'undefined' && window.location && window.location.origin) {
@@ -18,42 +37,194 @@ function buildShortUrl(code, apiShortUrl) {
   return `/${code}`;
 }
 
+const PAGE_SIZE = 25;
+const SEARCH_DEBOUNCE_MS = 300;
+
+const SortableHeader = ({ label, field, query, onSort }) => {
+  const active = query.sort === field;
+  const indicator = active ? (query.order === 'asc' ? ' ▲' : ' ▼') : '';
+  return (
+    <th aria-sort={active ? (query.order === 'asc' ? 'ascending' : 'descending') : 'none'}>
+      <button type="button" className="th-sort" onClick={() => onSort(field)}>
+        {label}
+        {indicator}
+      </button>
+    </th>
+  );
+};
+
 const Dashboard = () => {
   const [links, setLinks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [search, setSearch] = useState('');
+  const [query, setQuery] = useState({
+    q: '', tag: '', folder: '', sort: 'created', order: 'desc',
+  });
+  // Cursors of every page visited so far; the last one is the current page.
+  const [cursorStack, setCursorStack] = useState([null]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  // Bumped whenever tags or folders may have changed, to reload the sidebar.
+  const [tagsKey, setTagsKey] = useState(0);
+  const [selectedCodes, setSelectedCodes] = useState([]);
   const [url, setUrl] = useState('');
   const [code, setCode] = useState('');
+  const [domain, setDomain] = useState('');
+  // Verified custom domains new links can be created on.
+  const [shortDomains, setShortDomains] = useState([]);
+  const [validityMinutes, setValidityMinutes] = useState('');
+  const [maxClicks, setMaxClicks] = useState('');
+  const [password, setPassword] = useState('');
+  const [tagInput, setTagInput] = useState('');
+  const [folder, setFolder] = useState('');
   const [creating, setCreating] = useState(false);
-  const [formErrors, setFormErrors] = useState({ url: '', code: '' });
+  const [formErrors, setFormErrors] = useState({
+    url: '',
+    code: '',
+    validityMinutes: '',
+    maxClicks: '',
+    password: '',
+  });
   const [success, setSuccess] = useState('');
   const [deletingCode, setDeletingCode] = useState('');
+  const [showSettings, setShowSettings] = useState(false);
+  const [editingLink, setEditingLink] = useState(null);
+  const [qrLink, setQrLink] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [exporting, setExporting] = useState(false);
 
   const navigate = useNavigate();
+  const session = getSession();
+
+  const currentCursor = cursorStack[cursorStack.length - 1];
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadLinks() {
+      setLoading(true);
+      setError('');
+      try {
+        const params = new URLSearchParams({
+          sort: query.sort,
+          order: query.order,
+          limit: String(PAGE_SIZE),
+        });
+        if (query.q) params.set('q', query.q);
+        if (query.tag) params.set('tag', query.tag);
+        if (query.folder) params.set('folder', query.folder);
+        if (currentCursor) params.set('cursor', currentCursor);
+        const res = await authFetch(`/api/links?${params}`);
+        if (!res.ok) {
+          const txt = await res.text();
+          logger.error('Failed to load links', { status: res.status, response: txt.slice(0, 500) });
+          throw new Error('Failed to load links');
+        }
+        const data = await res.json();
+        if (cancelled) return;
+        setLinks(data.links);
+        setNextCursor(data.nextCursor);
+        setSelectedCodes([]);
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to load links');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadLinks();
+    return () => {
+      cancelled = true;
+    };
+  }, [query, currentCursor, refreshKey]);
+
+  useEffect(() => {
+    async function loadDomains() {
+      try {
+        const res = await authFetch('/api/domains');
+        if (!res.ok) throw new Error(`status ${res.status}`);
+        const verified = verifiedHostnames(await res.json());
+        setShortDomains(verified);
+      } catch (err) {
+        // Without the list, links can still be created on the default domain.
+        logger.error('Failed to load domains', { message: err.message });
+      }
+    }
+
+    loadDomains();
+  }, []);
+
+  function handleDomainsChanged(list) {
+    const verified = verifiedHostnames(list);
+    setShortDomains(verified);
+    setDomain((prev) => (verified.includes(prev) ? prev : ''));
+  }
+
+  // Searching hits the server, so wait for the user to stop typing.
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const q = search.trim();
+      setQuery((prev) => (prev.q === q ? prev : { ...prev, q }));
+      setCursorStack((prev) => (prev.length === 1 && prev[0] === null ? prev : [null]));
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  function reloadFirstPage() {
+    setCursorStack([null]);
+    setRefreshKey((prev) => prev + 1);
+    setTagsKey((prev) => prev + 1);
+  }
+
+  function handleFilter({ tag, folder: nextFolder }) {
+    setQuery((prev) => ({ ...prev, tag, folder: nextFolder }));
+    setCursorStack([null]);
+  }
+
+  function toggleSelected(codeToToggle) {
+    setSelectedCodes((prev) => (prev.includes(codeToToggle)
+      ? prev.filter((item) => item !== codeToToggle)
+      : [...prev, codeToToggle]));
+  }
+
+  function toggleAllSelected() {
+    setSelectedCodes((prev) => (prev.length === links.length ? [] : links.map(linkRef)));
+  }
+
+  // Reloads the page, since links may have left the current tag filter.
+  function handleBulkTagged(result, verb, tags) {
+    const missing = result.missing.length ? ` (${result.missing.length} no longer exist)` : '';
+    setSuccess(`${verb} ${tags.join(', ')} on ${result.links.length} links${missing}`);
+    setRefreshKey((prev) => prev + 1);
+    setTagsKey((prev) => prev + 1);
+  }
 
-  async function loadLinks() {
-    setLoading(true);
+  // Exports everything matching the current filters and sort, not just this page.
+  async function handleExport(format) {
+    const params = new URLSearchParams({ format, sort: query.sort, order: query.order });
+    if (query.q) params.set('q', query.q);
+    if (query.tag) params.set('tag', query.tag);
+    if (query.folder) params.set('folder', query.folder);
+    setExporting(true);
     setError('');
     try {
-      const res = await fetch('/api/links');
-      if (!res.ok) {
-        const txt = await res.text();
-        console.error('loadLinks non-JSON response', txt);
-        throw new Error('Failed to load links');
-      }
-      const data = await res.json();
-      setLinks(Array.isArray(data) ? data : []);
+      await downloadFile(`/api/links/export?${params}`, `links.${format}`);
     } catch (err) {
-      setError(err.message || 'Failed to load links');
+      setError(err.message || 'Export failed');
     } finally {
-      setLoading(false);
+      setExporting(false);
     }
   }
 
-  useEffect(() => {
-    loadLinks();
-  }, []);
+  function handleSort(field) {
+    setQuery((prev) => ({
+      ...prev,
+      sort: field,
+      order: prev.sort === field && prev.order === 'desc' ? 'asc' : 'desc',
+    }));
+    setCursorStack([null]);
+  }
 
   function validateUrl(value) {
     if (!value.trim()) return 'URL is required';
@@ -71,6 +242,14 @@ const Dashboard = () => {
     return '';
   }
 
+  function validatePositiveInteger(value) {
+    if (!value) return '';
+    if (!/^[1-9][0-9]*$/.test(value.trim())) {
+      return 'Must be a positive whole number';
+    }
+    return '';
+  }
+
   function handleUrlChange(e) {
     const value = e.target.value;
     setUrl(value);
@@ -85,13 +264,39 @@ const Dashboard = () => {
     setSuccess('');
   }
 
+  function handleValidityChange(e) {
+    const value = e.target.value;
+    setValidityMinutes(value);
+    setFormErrors((prev) => ({ ...prev, validityMinutes: validatePositiveInteger(value) }));
+    setSuccess('');
+  }
+
+  function handleMaxClicksChange(e) {
+    const value = e.target.value;
+    setMaxClicks(value);
+    setFormErrors((prev) => ({ ...prev, maxClicks: validatePositiveInteger(value) }));
+    setSuccess('');
+  }
+
+  function handlePasswordChange(e) {
+    const value = e.target.value;
+    setPassword(value);
+    setFormErrors((prev) => ({ ...prev, password: validateLinkPassword(value) }));
+    setSuccess('');
+  }
+
   async function handleCreate(e) {
     e.preventDefault();
-    const urlError = validateUrl(url);
-    const codeError = validateCode(code);
+    const errors = {
+      url: validateUrl(url),
+      code: validateCode(code),
+      validityMinutes: validatePositiveInteger(validityMinutes),
+      maxClicks: validatePositiveInteger(maxClicks),
+      password: validateLinkPassword(password),
+    };
 
-    if (urlError || codeError) {
-      setFormErrors({ url: urlError, code: codeError });
+    if (Object.values(errors).some(Boolean)) {
+      setFormErrors(errors);
       return;
     }
 
@@ -100,10 +305,19 @@ const Dashboard = () => {
     setSuccess('');
 
     try {
-      const res = await fetch('/api/links', {
+      const res = await authFetch('/api/links', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url: url.trim(), code: code.trim() || undefined }),
+        body: JSON.stringify({
+          url: url.trim(),
+          code: code.trim() || undefined,
+          domain: domain || undefined,
+          validityMinutes: validityMinutes ? Number(validityMinutes) : undefined,
+          maxClicks: maxClicks ? Number(maxClicks) : undefined,
+          password: password || undefined,
+          tags: parseTagInput(tagInput),
+          folder: folder.trim() || undefined,
+        }),
       });
 
       if (res.status === 409) {
@@ -113,9 +327,8 @@ const Dashboard = () => {
       }
 
       if (!res.ok) {
-        const txt = await res.text();
-        console.error('handleCreate non-JSON response', txt);
         const body = await res.json().catch(() => ({}));
+        logger.error('Failed to create link', { status: res.status, response: body });
         const msg = body.error || 'Failed to create link';
         setError(msg);
         return;
@@ -124,9 +337,16 @@ const Dashboard = () => {
       const created = await res.json();
       setUrl('');
       setCode('');
-      setFormErrors({ url: '', code: '' });
+      setValidityMinutes('');
+      setMaxClicks('');
+      setPassword('');
+      setTagInput('');
+      setFolder('');
+      setFormErrors({
+        url: '', code: '', validityMinutes: '', maxClicks: '', password: '',
+      });
       setSuccess(`Created short link for ${created.url}`);
-      await loadLinks();
+      reloadFirstPage();
     } catch (err) {
       setError(err.message || 'Failed to create link');
     } finally {
@@ -134,28 +354,30 @@ const Dashboard = () => {
     }
   }
 
-  async function handleDelete(codeToDelete) {
-    if (!window.confirm(`Delete link ${codeToDelete}?`)) return;
+  async function handleDelete(link) {
+    const ref = linkRef(link);
+    if (!window.confirm(`Delete link ${ref}?`)) return;
 
-    setDeletingCode(codeToDelete);
+    setDeletingCode(ref);
     setError('');
     setSuccess('');
 
     try {
-      const res = await fetch(`/api/links/${encodeURIComponent(codeToDelete)}`, {
+      const res = await authFetch(linkApiPath(link), {
         method: 'DELETE',
       });
       if (!res.ok && res.status !== 404) {
-        const txt = await res.text();
-        console.error('handleDelete non-JSON response', txt);
         const body = await res.json().catch(() => ({}));
+        logger.error('Failed to delete link', { status: res.status, response: body });
         const msg = body.error || 'Failed to delete link';
         setError(msg);
         return;
       }
 
-      setLinks((prev) => prev.filter((item) => item.code !== codeToDelete));
-      setSuccess(`Deleted link ${codeToDelete}`);
+      setLinks((prev) => prev.filter((item) => linkRef(item) !== ref));
+      setSelectedCodes((prev) => prev.filter((item) => item !== ref));
+      setTagsKey((prev) => prev + 1);
+      setSuccess(`Deleted link ${ref}`);
     } catch (err) {
       setError(err.message || 'Failed to delete link');
     } finally {
@@ -163,28 +385,57 @@ const Dashboard = () => {
     }
   }
 
-  const filteredLinks = links.filter((link) => {
-    if (!search.trim()) return true;
-    const term = search.trim().toLowerCase();
-    return (
-      link.code.toLowerCase().includes(term) ||
-      (link.url && link.url.toLowerCase().includes(term))
-    );
-  });
+  async function handleLogout() {
+    try {
+      await authFetch('/api/auth/logout', { method: 'POST' });
+    } catch (err) {
+      // The local session is dropped either way.
+    }
+    clearSession();
+    navigate('/login', { replace: true });
+  }
+
+  function handleSaved(updated) {
+    setLinks((prev) => prev.map((item) => (linkRef(item) === linkRef(updated) ? updated : item)));
+    setTagsKey((prev) => prev + 1);
+    setSuccess(`Updated link ${linkRef(updated)}`);
+  }
 
   const isSubmitDisabled =
-    creating || !!formErrors.url || !!formErrors.code || !url.trim();
+    creating || Object.values(formErrors).some(Boolean) || !url.trim();
 
   return (
     <div className="app-root">
       <div className="container">
-        <header className="page-header">
-          <h1 className="page-title">URL Shortener Dashboard</h1>
-          <p className="page-subtitle">
-            Create, manage, and track mini bit.ly-style short links.
-          </p>
+        <header className="page-header page-header-row">
+          <div>
+            <h1 className="page-title">URL Shortener Dashboard</h1>
+            <p className="page-subtitle">
+              Create, manage, and track mini bit.ly-style short links.
+            </p>
+          </div>
+          <div className="user-menu">
+            {session && <span className="user-email">{session.user.email}</span>}
+            <button
+              type="button"
+              className="btn btn-ghost"
+              onClick={() => setShowSettings((prev) => !prev)}
+            >
+              {showSettings ? 'Hide settings' : 'Settings'}
+            </button>
+            <button type="button" className="btn btn-ghost" onClick={handleLogout}>
+              Log out
+            </button>
+          </div>
         </header>
 
+        {showSettings && (
+          <>
+            <ApiKeysPanel />
+            <DomainsPanel onChange={handleDomainsChanged} />
+          </>
+        )}
+
         <section className="card">
           <h2 className="section-title">Add New Link</h2>
           <form className="form-grid" onSubmit={handleCreate} noValidate>
@@ -217,6 +468,100 @@ const Dashboard = () => {
               <div className="field-help">Auto-generated if left blank.</div>
               {formErrors.code && <div className="field-error">{formErrors.code}</div>}
             </div>
+            {shortDomains.length > 0 && (
+              <div className="form-field">
+                <label className="label" htmlFor="domain">
+                  Short domain
+                </label>
+                <select
+                  id="domain"
+                  className="input"
+                  value={domain}
+                  onChange={(e) => setDomain(e.target.value)}
+                >
+                  <option value="">Default domain</option>
+                  {shortDomains.map((hostname) => (
+                    <option key={hostname} value={hostname}>{hostname}</option>
+                  ))}
+                </select>
+                <div className="field-help">Codes are unique per domain.</div>
+              </div>
+            )}
+            <div className="form-field">
+              <label className="label" htmlFor="validityMinutes">
+                Expires after (minutes, optional)
+              </label>
+              <input
+                id="validityMinutes"
+                type="number"
+                min="1"
+                className={`input ${formErrors.validityMinutes ? 'input-error' : ''}`}
+                placeholder="Never"
+                value={validityMinutes}
+                onChange={handleValidityChange}
+              />
+              {formErrors.validityMinutes && (
+                <div className="field-error">{formErrors.validityMinutes}</div>
+              )}
+            </div>
+            <div className="form-field">
+              <label className="label" htmlFor="maxClicks">
+                Max clicks (optional)
+              </label>
+              <input
+                id="maxClicks"
+                type="number"
+                min="1"
+                className={`input ${formErrors.maxClicks ? 'input-error' : ''}`}
+                placeholder="Unlimited"
+                value={maxClicks}
+                onChange={handleMaxClicksChange}
+              />
+              {formErrors.maxClicks && <div className="field-error">{formErrors.maxClicks}</div>}
+            </div>
+            <div className="form-field">
+              <label className="label" htmlFor="linkPassword">
+                Password (optional)
+              </label>
+              <input
+                id="linkPassword"
+                type="password"
+                autoComplete="new-password"
+                className={`input ${formErrors.password ? 'input-error' : ''}`}
+                placeholder="No password"
+                value={password}
+                onChange={handlePasswordChange}
+              />
+              <div className="field-help">Visitors must enter it before being redirected.</div>
+              {formErrors.password && <div className="field-error">{formErrors.password}</div>}
+            </div>
+            <div className="form-field">
+              <label className="label" htmlFor="tags">
+                Tags (optional)
+              </label>
+              <input
+                id="tags"
+                type="text"
+                className="input"
+                placeholder="comma, separated"
+                value={tagInput}
+                onChange={(e) => setTagInput(e.target.value)}
+              />
+            </div>
+            <div className="form-field">
+              <label className="label" htmlFor="folder">
+                Folder (optional)
+              </label>
+              <input
+                id="folder"
+                type="text"
+                className="input"
+                placeholder="No folder"
+                maxLength={MAX_FOLDER_LENGTH}
+                value={folder}
+                onChange={(e) => setFolder(e.target.value)}
+              />
+            </div>
             <div className="form-actions">
               <button
                 type="submit"
@@ -233,86 +578,240 @@ const Dashboard = () => {
 
         <section className="card">
           <div className="card-header-row">
-            <h2 className="section-title">All Links</h2>
-            <input
-              type="text"
-              className="input input-sm"
-              placeholder="Search by code or URL"
-              value={search}
-              onChange={(e) => setSearch(e.target.value)}
-            />
+            <h2 className="section-title">Your Links</h2>
+            <div className="row-actions">
+              <input
+                type="text"
+                className="input input-sm"
+                placeholder="Search by code, URL or title"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+              />
+              <button type="button" className="btn btn-ghost btn-xs" onClick={() => setShowImport(true)}>
+                Import CSV
+              </button>
+              <button
+                type="button"
+                className="btn btn-ghost btn-xs"
+                disabled={exporting}
+                onClick={() => handleExport('csv')}
+              >
+                Export CSV
+              </button>
+              <button
+                type="button"
+                className="btn btn-ghost btn-xs"
+                disabled={exporting}
+                onClick={() => handleExport('json')}
+              >
+                Export JSON
+              </button>
+            </div>
           </div>
 
-          {loading ? (
-            <div className="status">Loading links...</div>
-          ) : filteredLinks.length === 0 ? (
-            <div className="status">No links yet. Create one above.</div>
-          ) : (
-            <div className="table-wrapper">
-              <table className="links-table">
-                <thead>
-                  <tr>
-                    <th>Short code</th>
-                    <th>Target URL</th>
-                    <th>Total clicks</th>
-                    <th>Last clicked</th>
-                    <th>Actions</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {filteredLinks.map((link) => {
-                    const shortUrl = buildShortUrl(link.code, link.shortUrl);
-                    return (
-                      <tr key={link.code}>
-                        <td>
-                          <span className="code-pill">{link.code}</span>
-                        </td>
-                        <td>
-                          <div className="url-cell" title={link.url}>
-                            {link.url}
-                          </div>
-                        </td>
-                        <td>{link.clickCount ?? 0}</td>
-                        <td>{formatDate(link.lastClickedAt)}</td>
-                        <td>
-                          <div className="row-actions">
-                            <button
-                              type="button"
-                              className="btn btn-ghost btn-xs"
-                              onClick={() => {
-                                navigator.clipboard
-                                  .writeText(shortUrl)
-                                  .catch(() => {});
-                              }}
-                            >
-                              Copy
-                            </button>
-                            <button
-                              type="button"
-                              className="btn btn-ghost btn-xs"
-                              onClick={() => navigate(`/code/${link.code}`)}
-                            >
-                              Stats
-                            </button>
-                            <button
-                              type="button"
-                              className="btn btn-danger btn-xs"
-                              onClick={() => handleDelete(link.code)}
-                              disabled={deletingCode === link.code}
-                            >
-                              {deletingCode === link.code ? 'Deleting...' : 'Delete'}
-                            </button>
-                          </div>
-                        </td>
+          <div className="links-layout">
+            <TagSidebar
+              tag={query.tag}
+              folder={query.folder}
+              refreshKey={tagsKey}
+              onSelect={handleFilter}
+            />
+            <div className="links-main">
+              {selectedCodes.length > 0 && (
+                <BulkTagBar
+                  codes={selectedCodes}
+                  onApplied={handleBulkTagged}
+                  onClear={() => setSelectedCodes([])}
+                />
+              )}
+              {loading && links.length === 0 ? (
+                <div className="status">Loading links...</div>
+              ) : links.length === 0 ? (
+                <div className="status">
+                  {query.q || query.tag || query.folder
+                    ? 'No links match your search and filters.'
+                    : 'No links yet. Create one above.'}
+                </div>
+              ) : (
+                <div className="table-wrapper">
+                  <table className="links-table">
+                    <thead>
+                      <tr>
+                        <th>
+                          <input
+                            type="checkbox"
+                            aria-label="Select all links on this page"
+                            checked={selectedCodes.length === links.length}
+                            onChange={toggleAllSelected}
+                          />
+                        </th>
+                        <th>Short code</th>
+                        <th>Target URL</th>
+                        <SortableHeader label="Total clicks" field="clicks" query={query} onSort={handleSort} />
+                        <SortableHeader label="Last clicked" field="lastClicked" query={query} onSort={handleSort} />
+                        <SortableHeader label="Created" field="created" query={query} onSort={handleSort} />
+                        <th>Expires</th>
+                        <th>Actions</th>
                       </tr>
-                    );
-                  })}
-                </tbody>
-              </table>
+                    </thead>
+                    <tbody>
+                      {links.map((link) => {
+                        const shortUrl = buildShortUrl(link.code, link.shortUrl);
+                        return (
+                          <tr key={linkRef(link)}>
+                            <td>
+                              <input
+                                type="checkbox"
+                                aria-label={`Select ${linkRef(link)}`}
+                                checked={selectedCodes.includes(linkRef(link))}
+                                onChange={() => toggleSelected(linkRef(link))}
+                              />
+                            </td>
+                            <td>
+                              <span className="code-pill">{link.code}</span>
+                              {link.domain && <div className="field-help">{link.domain}</div>}
+                              {link.passwordProtected && (
+                                <div className="field-help">Password protected</div>
+                              )}
+                            </td>
+                            <td>
+                              {link.title && <div className="link-title">{link.title}</div>}
+                              <div className="url-cell" title={link.url}>
+                                {link.url}
+                              </div>
+                              {(link.folder || link.tags.length > 0) && (
+                                <div className="tag-chips">
+                                  {link.folder && (
+                                    <button
+                                      type="button"
+                                      className="folder-chip"
+                                      onClick={() => handleFilter({ tag: query.tag, folder: link.folder })}
+                                    >
+                                      {link.folder}
+                                    </button>
+                                  )}
+                                  {link.tags.map((tag) => (
+                                    <button
+                                      key={tag}
+                                      type="button"
+                                      className="tag-chip"
+                                      onClick={() => handleFilter({ tag, folder: query.folder })}
+                                    >
+                                      #{tag}
+                                    </button>
+                                  ))}
+                                </div>
+                              )}
+                            </td>
+                            <td>
+                              {link.clickCount ?? 0}
+                              {link.maxClicks != null && (
+                                <div className="field-help">{formatRemainingClicks(link)}</div>
+                              )}
+                            </td>
+                            <td>{formatDate(link.lastClickedAt)}</td>
+                            <td>{formatDate(link.createdAt)}</td>
+                            <td
+                              className={link.expired || link.disabled ? 'text-expired' : ''}
+                              title={link.disabledReason || undefined}
+                            >
+                              {link.disabled && 'Disabled'}
+                              {!link.disabled && (link.expired ? 'Expired' : formatRemainingLifetime(link.expiresAt))}
+                            </td>
+                            <td>
+                              <div className="row-actions">
+                                <button
+                                  type="button"
+                                  className="btn btn-ghost btn-xs"
+                                  onClick={() => {
+                                    navigator.clipboard
+                                      .writeText(shortUrl)
+                                      .catch(() => {});
+                                  }}
+                                >
+                                  Copy
+                                </button>
+                                <button
+                                  type="button"
+                                  className="btn btn-ghost btn-xs"
+                                  onClick={() => navigate(linkPagePath(link))}
+                                >
+                                  Stats
+                                </button>
+                                <button
+                                  type="button"
+                                  className="btn btn-ghost btn-xs"
+                                  onClick={() => setQrLink(link)}
+                                >
+                                  QR
+                                </button>
+                                <button
+                                  type="button"
+                                  className="btn btn-ghost btn-xs"
+                                  onClick={() => setEditingLink(link)}
+                                >
+                                  Edit
+                                </button>
+                                <button
+                                  type="button"
+                                  className="btn btn-danger btn-xs"
+                                  onClick={() => handleDelete(link)}
+                                  disabled={deletingCode === linkRef(link)}
+                                >
+                                  {deletingCode === linkRef(link) ? 'Deleting...' : 'Delete'}
+                                </button>
+                              </div>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {(cursorStack.length > 1 || nextCursor) && (
+                <div className="pager">
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-xs"
+                    disabled={loading || cursorStack.length === 1}
+                    onClick={() => setCursorStack((prev) => prev.slice(0, -1))}
+                  >
+                    Previous
+                  </button>
+                  <span className="field-help">Page {cursorStack.length}</span>
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-xs"
+                    disabled={loading || !nextCursor}
+                    onClick={() => setCursorStack((prev) => [...prev, nextCursor])}
+                  >
+                    Next
+                  </button>
+                </div>
+              )}
             </div>
-          )}
+          </div>
         </section>
       </div>
+
+      {editingLink && (
+        <EditLinkDialog
+          link={editingLink}
+          onClose={() => setEditingLink(null)}
+          onSaved={handleSaved}
+        />
+      )}
+
+      {qrLink && <QrCodeDialog link={qrLink} onClose={() => setQrLink(null)} />}
+
+      {showImport && (
+        <ImportDialog
+          onClose={() => setShowImport(false)}
+          onImported={reloadFirstPage}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,227 @@
+import React, { useEffect, useState } from 'react';
+import { authFetch } from '../utils/auth';
+import logger from '../utils/logger';
+
+function copy(text) {
+  navigator.clipboard.writeText(text).catch(() => {});
+}
+
+// Custom short domains. A domain is usable for new links once the TXT
+// record shown for it is published and it has been verified. `onChange`
+// gets the full list after every load or change.
+const DomainsPanel = ({ onChange }) => {
+  const [domains, setDomains] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [hostname, setHostname] = useState('');
+  const [adding, setAdding] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  async function loadDomains() {
+    setLoading(true);
+    try {
+      const res = await authFetch('/api/domains');
+      if (!res.ok) {
+        const txt = await res.text();
+        logger.error('Failed to load domains', { status: res.status, response: txt.slice(0, 500) });
+        throw new Error('Failed to load domains');
+      }
+      const list = await res.json();
+      setDomains(list);
+      onChange(list);
+    } catch (err) {
+      setError(err.message || 'Failed to load domains');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadDomains();
+    // Load once; onChange is only called back, never read during render.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  async function handleAdd(e) {
+    e.preventDefault();
+    setAdding(true);
+    setError('');
+    setSuccess('');
+    try {
+      const res = await authFetch('/api/domains', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ hostname: hostname.trim() }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(body.error || 'Failed to add domain');
+        return;
+      }
+      setHostname('');
+      setSuccess(`Added ${body.hostname}. Publish its TXT record, then verify it.`);
+      await loadDomains();
+    } catch (err) {
+      setError(err.message || 'Failed to add domain');
+    } finally {
+      setAdding(false);
+    }
+  }
+
+  async function handleVerify(domain) {
+    setBusyId(domain.id);
+    setError('');
+    setSuccess('');
+    try {
+      const res = await authFetch(`/api/domains/${domain.id}/verify`, { method: 'POST' });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(body.error || 'Failed to verify domain');
+        return;
+      }
+      setSuccess(`${domain.hostname} is verified`);
+      await loadDomains();
+    } catch (err) {
+      setError(err.message || 'Failed to verify domain');
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  async function handleDelete(domain) {
+    if (!window.confirm(`Remove ${domain.hostname}?`)) return;
+
+    setBusyId(domain.id);
+    setError('');
+    setSuccess('');
+    try {
+      const res = await authFetch(`/api/domains/${domain.id}`, { method: 'DELETE' });
+      if (!res.ok && res.status !== 404) {
+        const body = await res.json().catch(() => ({}));
+        setError(body.error || 'Failed to remove domain');
+        return;
+      }
+      await loadDomains();
+    } catch (err) {
+      setError(err.message || 'Failed to remove domain');
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  return (
+    <section className="card">
+      <h2 className="section-title">Custom domains</h2>
+      <p className="field-help">
+        Serve short links from your own domain. Point it at this server with a CNAME or A record,
+        and prove you control it with the TXT record shown after adding it.
+      </p>
+
+      <form className="form-grid" onSubmit={handleAdd} noValidate>
+        <div className="form-field">
+          <label className="label" htmlFor="domainHostname">
+            Domain
+          </label>
+          <input
+            id="domainHostname"
+            type="text"
+            className="input"
+            placeholder="go.example.com"
+            value={hostname}
+            onChange={(e) => setHostname(e.target.value)}
+          />
+        </div>
+        <div className="form-actions">
+          <button type="submit" className="btn btn-primary" disabled={adding || !hostname.trim()}>
+            {adding ? 'Adding...' : 'Add domain'}
+          </button>
+        </div>
+      </form>
+
+      {success && <div className="status status-success">{success}</div>}
+      {error && <div className="status status-error">{error}</div>}
+
+      {loading && domains.length === 0 ? (
+        <div className="status">Loading domains...</div>
+      ) : domains.length === 0 ? (
+        <div className="status">No custom domains yet.</div>
+      ) : (
+        <div className="table-wrapper">
+          <table className="links-table">
+            <thead>
+              <tr>
+                <th>Domain</th>
+                <th>Status</th>
+                <th>Links</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {domains.map((domain) => (
+                <tr key={domain.id}>
+                  <td>{domain.hostname}</td>
+                  <td>
+                    {domain.verified ? (
+                      'Verified'
+                    ) : (
+                      <>
+                        <div className="text-expired">Not verified</div>
+                        <div className="dns-record">
+                          <span className="label">TXT name</span>
+                          <code>{domain.verification.name}</code>
+                          <button
+                            type="button"
+                            className="btn btn-ghost btn-xs"
+                            onClick={() => copy(domain.verification.name)}
+                          >
+                            Copy
+                          </button>
+                          <span className="label">TXT value</span>
+                          <code>{domain.verification.value}</code>
+                          <button
+                            type="button"
+                            className="btn btn-ghost btn-xs"
+                            onClick={() => copy(domain.verification.value)}
+                          >
+                            Copy
+                          </button>
+                        </div>
+                      </>
+                    )}
+                  </td>
+                  <td>{domain.linkCount ?? 0}</td>
+                  <td>
+                    <div className="row-actions">
+                      {!domain.verified && (
+                        <button
+                          type="button"
+                          className="btn btn-ghost btn-xs"
+                          onClick={() => handleVerify(domain)}
+                          disabled={busyId === domain.id}
+                        >
+                          Verify
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        className="btn btn-danger btn-xs"
+                        onClick={() => handleDelete(domain)}
+                        disabled={busyId === domain.id || domain.linkCount > 0}
+                        title={domain.linkCount > 0 ? 'Delete the links on this domain first' : undefined}
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default DomainsPanel;
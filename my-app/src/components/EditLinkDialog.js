@@ -0,0 +1,208 @@
+import React, { useState } from 'react';
+import RevisionTimeline from './RevisionTimeline';
+import { authFetch } from '../utils/auth';
+import { linkApiPath } from '../utils/links';
+import { MAX_FOLDER_LENGTH, parseTagInput } from '../utils/tags';
+
+// <input type="datetime-local"> works in local time without a zone suffix.
+function toDateTimeLocal(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+}
+
+function formFromLink(link) {
+  return {
+    url: link.url || '',
+    title: link.title || '',
+    tags: (link.tags || []).join(', '),
+    folder: link.folder || '',
+    expiresAt: toDateTimeLocal(link.expiresAt),
+    maxClicks: link.maxClicks != null ? String(link.maxClicks) : '',
+  };
+}
+
+// Builds a PATCH body containing only the fields the user actually changed,
+// so untouched limits (e.g. an expiry already in the past) are not re-validated.
+function buildChanges(initial, form) {
+  const changes = {};
+  if (form.url.trim() !== initial.url) changes.url = form.url.trim();
+  if (form.title.trim() !== initial.title) changes.title = form.title.trim() || null;
+  if (form.tags !== initial.tags) changes.tags = parseTagInput(form.tags);
+  if (form.folder.trim() !== initial.folder) changes.folder = form.folder.trim() || null;
+  if (form.expiresAt !== initial.expiresAt) {
+    changes.expiresAt = form.expiresAt ? new Date(form.expiresAt).toISOString() : null;
+  }
+  if (form.maxClicks !== initial.maxClicks) {
+    changes.maxClicks = form.maxClicks ? Number(form.maxClicks) : null;
+  }
+  return changes;
+}
+
+const EditLinkDialog = ({ link, onClose, onSaved }) => {
+  const [initial] = useState(() => formFromLink(link));
+  const [form, setForm] = useState(initial);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  function updateField(field) {
+    return (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const changes = buildChanges(initial, form);
+    if (Object.keys(changes).length === 0) {
+      onClose();
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      const res = await authFetch(linkApiPath(link), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(body.error || 'Failed to save changes');
+        return;
+      }
+      onSaved(body);
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to save changes');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="modal-backdrop" role="presentation" onClick={onClose}>
+      <div
+        className="modal card"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="edit-link-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="card-header-row">
+          <h2 className="section-title" id="edit-link-title">
+            Edit <span className="code-pill">{link.code}</span>
+          </h2>
+          <button type="button" className="btn btn-ghost btn-xs" onClick={onClose}>
+            Close
+          </button>
+        </div>
+
+        <form className="form-stack" onSubmit={handleSubmit} noValidate>
+          <div className="form-field">
+            <label className="label" htmlFor="edit-url">
+              Destination URL
+            </label>
+            <input
+              id="edit-url"
+              type="url"
+              className="input"
+              value={form.url}
+              onChange={updateField('url')}
+            />
+          </div>
+          <div className="form-field">
+            <label className="label" htmlFor="edit-title">
+              Title
+            </label>
+            <input
+              id="edit-title"
+              type="text"
+              className="input"
+              value={form.title}
+              onChange={updateField('title')}
+            />
+          </div>
+          <div className="form-field">
+            <label className="label" htmlFor="edit-tags">
+              Tags
+            </label>
+            <input
+              id="edit-tags"
+              type="text"
+              className="input"
+              placeholder="comma, separated"
+              value={form.tags}
+              onChange={updateField('tags')}
+            />
+          </div>
+          <div className="form-field">
+            <label className="label" htmlFor="edit-folder">
+              Folder
+            </label>
+            <input
+              id="edit-folder"
+              type="text"
+              className="input"
+              placeholder="No folder"
+              maxLength={MAX_FOLDER_LENGTH}
+              value={form.folder}
+              onChange={updateField('folder')}
+            />
+          </div>
+          <div className="form-grid">
+            <div className="form-field">
+              <label className="label" htmlFor="edit-expires">
+                Expires at
+              </label>
+              <input
+                id="edit-expires"
+                type="datetime-local"
+                className="input"
+                value={form.expiresAt}
+                onChange={updateField('expiresAt')}
+              />
+              <div className="field-help">Leave empty to never expire.</div>
+            </div>
+            <div className="form-field">
+              <label className="label" htmlFor="edit-max-clicks">
+                Max clicks
+              </label>
+              <input
+                id="edit-max-clicks"
+                type="number"
+                min="1"
+                className="input"
+                placeholder="Unlimited"
+                value={form.maxClicks}
+                onChange={updateField('maxClicks')}
+              />
+            </div>
+          </div>
+          {error && <div className="status status-error">{error}</div>}
+          <div className="row-actions">
+            <button type="submit" className="btn btn-primary" disabled={saving || !form.url.trim()}>
+              {saving ? 'Saving...' : 'Save changes'}
+            </button>
+            <button type="button" className="btn btn-ghost" onClick={onClose}>
+              Cancel
+            </button>
+          </div>
+        </form>
+
+        <h3 className="breakdown-title timeline-heading">History</h3>
+        <RevisionTimeline
+          code={link.code}
+          domain={link.domain}
+          currentUrl={link.url}
+          onRestored={(updated) => {
+            onSaved(updated);
+            onClose();
+          }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default EditLinkDialog;
@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { authFetch } from '../utils/auth';
+import { parseCsvRecords } from '../utils/csv';
+
+const PREVIEW_ROWS = 20;
+
+// Same header matching as the server: case-insensitive, ignoring spaces,
+// dashes and underscores.
+function normalizeHeader(name) {
+  return name.toLowerCase().replace(/[\s_-]/g, '');
+}
+
+function cell(record, columns, name) {
+  const column = columns.find((candidate) => normalizeHeader(candidate) === name);
+  return column ? record[column].trim() : '';
+}
+
+function previewFromText(text) {
+  try {
+    const { columns, records } = parseCsvRecords(text);
+    if (!columns.some((column) => normalizeHeader(column) === 'url')) {
+      return { error: 'The first row must be a header with a "url" column.' };
+    }
+    return { columns, records };
+  } catch (err) {
+    return { error: `Could not read CSV: ${err.message}` };
+  }
+}
+
+const ImportDialog = ({ onClose, onImported }) => {
+  const [fileName, setFileName] = useState('');
+  const [text, setText] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [atomic, setAtomic] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState('');
+  const [report, setReport] = useState(null);
+
+  function handleFileChange(e) {
+    const file = e.target.files[0];
+    setReport(null);
+    setError('');
+    if (!file) {
+      setFileName('');
+      setText('');
+      setPreview(null);
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const content = String(reader.result || '');
+      setFileName(file.name);
+      setText(content);
+      setPreview(previewFromText(content));
+    };
+    reader.onerror = () => setError('Could not read the selected file');
+    reader.readAsText(file);
+  }
+
+  async function handleImport() {
+    setImporting(true);
+    setError('');
+    try {
+      const res = await authFetch(`/api/links/bulk${atomic ? '?atomic=true' : ''}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: text,
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!body.results) {
+        setError(body.error || 'Import failed');
+        return;
+      }
+      setReport(body);
+      if (body.created > 0) onImported();
+    } catch (err) {
+      setError(err.message || 'Import failed');
+    } finally {
+      setImporting(false);
+    }
+  }
+
+  const failures = report ? report.results.filter((result) => result.status === 'failed') : [];
+  const canImport = preview && !preview.error && preview.records.length > 0 && !report;
+
+  return (
+    <div className="modal-backdrop" role="presentation" onClick={onClose}>
+      <div
+        className="modal modal-wide card"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="import-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="card-header-row">
+          <h2 className="section-title" id="import-title">Import links from CSV</h2>
+          <button type="button" className="btn btn-ghost btn-xs" onClick={onClose}>
+            Close
+          </button>
+        </div>
+
+        <div className="form-stack">
+          <div className="form-field">
+            <label className="label" htmlFor="import-file">
+              CSV file
+            </label>
+            <input id="import-file" type="file" accept=".csv,text/csv" onChange={handleFileChange} />
+            <div className="field-help">
+              Columns: url, code, title, tags (separated by ; or |), folder, expiresAt,
+              validityMinutes, maxClicks. Only url is required.
+            </div>
+          </div>
+
+          {preview && preview.error && <div className="status status-error">{preview.error}</div>}
+
+          {preview && !preview.error && (
+            <>
+              <div className="field-help">
+                {fileName}: {preview.records.length} row(s)
+                {preview.records.length > PREVIEW_ROWS && `, showing the first ${PREVIEW_ROWS}`}
+              </div>
+              <div className="table-wrapper">
+                <table className="links-table">
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>URL</th>
+                      <th>Code</th>
+                      <th>Title</th>
+                      <th>Tags</th>
+                      <th>Folder</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.records.slice(0, PREVIEW_ROWS).map((record, index) => (
+                      <tr key={index}>
+                        <td>{index + 1}</td>
+                        <td className="url-cell">{cell(record, preview.columns, 'url')}</td>
+                        <td>{cell(record, preview.columns, 'code')}</td>
+                        <td>{cell(record, preview.columns, 'title')}</td>
+                        <td>{cell(record, preview.columns, 'tags')}</td>
+                        <td>{cell(record, preview.columns, 'folder')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <label className="checkbox-label" htmlFor="import-atomic">
+                <input
+                  id="import-atomic"
+                  type="checkbox"
+                  checked={atomic}
+                  onChange={(e) => setAtomic(e.target.checked)}
+                  disabled={Boolean(report)}
+                />
+                All or nothing: create no links if any row fails
+              </label>
+            </>
+          )}
+
+          {report && (
+            <div className={`status ${report.failed > 0 ? 'status-error' : 'status-success'}`}>
+              {report.atomic && report.failed > 0
+                ? `Nothing was imported because ${report.failed} row(s) failed.`
+                : `Created ${report.created} link(s)${report.failed > 0 ? `, ${report.failed} row(s) failed` : ''}.`}
+            </div>
+          )}
+
+          {failures.length > 0 && (
+            <div className="table-wrapper">
+              <table className="links-table">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Error</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {failures.map((result) => (
+                    <tr key={result.row}>
+                      <td>{result.row}</td>
+                      <td className="text-expired">{result.error}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {error && <div className="status status-error">{error}</div>}
+
+          <div className="row-actions">
+            {!report && (
+              <button
+                type="button"
+                className="btn btn-primary"
+                disabled={!canImport || importing}
+                onClick={handleImport}
+              >
+                {importing ? 'Importing...' : 'Import'}
+              </button>
+            )}
+            <button type="button" className="btn btn-ghost" onClick={onClose}>
+              {report ? 'Done' : 'Cancel'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportDialog;
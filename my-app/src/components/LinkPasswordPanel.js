@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { authFetch } from '../utils/auth';
+import { linkApiPath } from '../utils/links';
+import { validateLinkPassword } from '../utils/linkPassword';
+
+// Sets, changes or removes the password visitors must enter before a link
+// redirects. The current password is never shown; it is only stored hashed.
+const LinkPasswordPanel = ({ link, onSaved }) => {
+  const [password, setPassword] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  async function savePassword(value) {
+    setSaving(true);
+    setError('');
+    setSuccess('');
+    try {
+      const res = await authFetch(linkApiPath(link), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: value }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(body.error || 'Failed to update password');
+        return;
+      }
+      onSaved(body);
+      setPassword('');
+      setSuccess(value ? 'Password saved' : 'Password removed');
+    } catch (err) {
+      setError(err.message || 'Failed to update password');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    const validationError = validateLinkPassword(password);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    savePassword(password);
+  }
+
+  function handleRemove() {
+    if (!window.confirm(`Remove the password from ${link.code}? Anyone with the link can open it.`)) {
+      return;
+    }
+    savePassword(null);
+  }
+
+  return (
+    <section className="card">
+      <h2 className="section-title">Password protection</h2>
+      <p className="field-help">
+        {link.passwordProtected
+          ? 'Visitors see an unlock page and are only redirected after entering the password.'
+          : 'Anyone with the short link is redirected straight away.'}
+      </p>
+
+      <form className="form-grid" onSubmit={handleSubmit} noValidate>
+        <div className="form-field">
+          <label className="label" htmlFor="linkPasswordInput">
+            {link.passwordProtected ? 'New password' : 'Password'}
+          </label>
+          <input
+            id="linkPasswordInput"
+            type="password"
+            autoComplete="new-password"
+            className="input"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+        </div>
+        <div className="form-actions">
+          <button type="submit" className="btn btn-primary" disabled={saving || !password}>
+            {link.passwordProtected ? 'Change password' : 'Set password'}
+          </button>
+          {link.passwordProtected && (
+            <button type="button" className="btn btn-ghost" disabled={saving} onClick={handleRemove}>
+              Remove password
+            </button>
+          )}
+        </div>
+      </form>
+      {success && <div className="status status-success">{success}</div>}
+      {error && <div className="status status-error">{error}</div>}
+    </section>
+  );
+};
+
+export default LinkPasswordPanel;
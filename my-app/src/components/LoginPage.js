@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Navigate, useNavigate } from 'react-router-dom';
+import { getSession, saveSession } from '../utils/auth';
+
+const LoginPage = () => {
+  const navigate = useNavigate();
+  const [mode, setMode] = useState('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  if (getSession()) {
+    return <Navigate to="/" replace />;
+  }
+
+  const isRegister = mode === 'register';
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const res = await fetch(`/api/auth/${isRegister ? 'register' : 'login'}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: email.trim(), password }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(body.error || (isRegister ? 'Failed to register' : 'Failed to sign in'));
+        return;
+      }
+      saveSession(body);
+      navigate('/', { replace: true });
+    } catch (err) {
+      setError(err.message || 'Failed to sign in');
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <div className="app-root">
+      <div className="container container-narrow">
+        <header className="page-header">
+          <h1 className="page-title">{isRegister ? 'Create an account' : 'Sign in'}</h1>
+          <p className="page-subtitle">
+            {isRegister
+              ? 'Register to create and manage your own short links.'
+              : 'Sign in to manage your short links.'}
+          </p>
+        </header>
+
+        <section className="card">
+          <form className="form-stack" onSubmit={handleSubmit} noValidate>
+            <div className="form-field">
+              <label className="label" htmlFor="email">
+                Email
+              </label>
+              <input
+                id="email"
+                type="email"
+                className="input"
+                autoComplete="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+              />
+            </div>
+            <div className="form-field">
+              <label className="label" htmlFor="password">
+                Password
+              </label>
+              <input
+                id="password"
+                type="password"
+                className="input"
+                autoComplete={isRegister ? 'new-password' : 'current-password'}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+              {isRegister && <div className="field-help">At least 8 characters.</div>}
+            </div>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={submitting || !email.trim() || !password}
+            >
+              {submitting ? 'Please wait...' : isRegister ? 'Create account' : 'Sign in'}
+            </button>
+          </form>
+          {error && <div className="status status-error">{error}</div>}
+          <button
+            type="button"
+            className="btn btn-ghost"
+            onClick={() => {
+              setMode(isRegister ? 'login' : 'register');
+              setError('');
+            }}
+          >
+            {isRegister ? 'Already have an account? Sign in' : 'New here? Create an account'}
+          </button>
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default LoginPage;
@@ -0,0 +1,26 @@
+import React from 'react';
+import QrCodePanel from './QrCodePanel';
+
+const QrCodeDialog = ({ link, onClose }) => (
+  <div className="modal-backdrop" role="presentation" onClick={onClose}>
+    <div
+      className="modal modal-wide card"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="qr-code-title"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="card-header-row">
+        <h2 className="section-title" id="qr-code-title">
+          QR code for <span className="code-pill">{link.code}</span>
+        </h2>
+        <button type="button" className="btn btn-ghost btn-xs" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      <QrCodePanel code={link.code} domain={link.domain} />
+    </div>
+  </div>
+);
+
+export default QrCodeDialog;
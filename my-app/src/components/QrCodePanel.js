@@ -0,0 +1,213 @@
+import React, { useEffect, useState } from 'react';
+import { authFetch } from '../utils/auth';
+import { downloadFile } from '../utils/download';
+import { linkApiPath } from '../utils/links';
+
+const PREVIEW_SIZE = 240;
+const PREVIEW_DEBOUNCE_MS = 250;
+
+const DEFAULT_OPTIONS = {
+  size: '512',
+  margin: '4',
+  ecc: 'M',
+  fg: '#000000',
+  bg: '#ffffff',
+  logo: false,
+};
+
+// Query string for GET /api/links/:code/qr. A logo needs a high error
+// correction level, so it overrides the chosen one.
+function qrQuery(options, overrides = {}) {
+  const params = new URLSearchParams({
+    size: options.size,
+    margin: options.margin,
+    ecc: options.logo ? 'H' : options.ecc,
+    fg: options.fg,
+    bg: options.bg,
+    ...overrides,
+  });
+  if (options.logo) params.set('logo', 'true');
+  return params.toString();
+}
+
+// Preview and downloads of a link's QR code. The code encodes the short URL
+// with ?src=qr, so scans show up as the "qr" source in the link's analytics.
+const QrCodePanel = ({ code, domain }) => {
+  const [options, setOptions] = useState(DEFAULT_OPTIONS);
+  const [previewUrl, setPreviewUrl] = useState('');
+  const [error, setError] = useState('');
+  const [downloading, setDownloading] = useState(false);
+
+  const previewPath = linkApiPath({ code, domain }, '/qr', qrQuery(options, { format: 'svg', size: String(PREVIEW_SIZE) }));
+
+  // The endpoint needs the bearer token, so the preview is fetched and shown
+  // through an object URL rather than a plain <img src>.
+  useEffect(() => {
+    let cancelled = false;
+    let objectUrl = '';
+    const timer = setTimeout(async () => {
+      try {
+        const res = await authFetch(previewPath);
+        if (!res.ok) {
+          const body = await res.json().catch(() => ({}));
+          throw new Error(body.error || 'Failed to load QR code');
+        }
+        const blob = await res.blob();
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setPreviewUrl(objectUrl);
+        setError('');
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to load QR code');
+      }
+    }, PREVIEW_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [previewPath]);
+
+  function updateOption(field) {
+    return (e) => {
+      const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+      setOptions((prev) => ({ ...prev, [field]: value }));
+    };
+  }
+
+  async function handleDownload(format) {
+    setDownloading(true);
+    setError('');
+    try {
+      await downloadFile(
+        linkApiPath({ code, domain }, '/qr', qrQuery(options, { format, download: 'true' })),
+        `${code}.${format}`,
+      );
+    } catch (err) {
+      setError(err.message || 'Download failed');
+    } finally {
+      setDownloading(false);
+    }
+  }
+
+  return (
+    <div className="qr-panel">
+      <div className="qr-preview">
+        {previewUrl ? (
+          <img src={previewUrl} alt={`QR code for ${code}`} width={PREVIEW_SIZE} height={PREVIEW_SIZE} />
+        ) : (
+          <div className="status">Loading QR code...</div>
+        )}
+      </div>
+
+      <div className="form-stack">
+        <div className="form-grid">
+          <div className="form-field">
+            <label className="label" htmlFor={`qr-size-${code}`}>
+              Size (px)
+            </label>
+            <input
+              id={`qr-size-${code}`}
+              type="number"
+              min="64"
+              max="2048"
+              className="input"
+              value={options.size}
+              onChange={updateOption('size')}
+            />
+          </div>
+          <div className="form-field">
+            <label className="label" htmlFor={`qr-margin-${code}`}>
+              Margin (modules)
+            </label>
+            <input
+              id={`qr-margin-${code}`}
+              type="number"
+              min="0"
+              max="16"
+              className="input"
+              value={options.margin}
+              onChange={updateOption('margin')}
+            />
+          </div>
+        </div>
+        <div className="form-grid">
+          <div className="form-field">
+            <label className="label" htmlFor={`qr-fg-${code}`}>
+              Foreground
+            </label>
+            <input
+              id={`qr-fg-${code}`}
+              type="color"
+              className="input input-color"
+              value={options.fg}
+              onChange={updateOption('fg')}
+            />
+          </div>
+          <div className="form-field">
+            <label className="label" htmlFor={`qr-bg-${code}`}>
+              Background
+            </label>
+            <input
+              id={`qr-bg-${code}`}
+              type="color"
+              className="input input-color"
+              value={options.bg}
+              onChange={updateOption('bg')}
+            />
+          </div>
+          <div className="form-field">
+            <label className="label" htmlFor={`qr-ecc-${code}`}>
+              Error correction
+            </label>
+            <select
+              id={`qr-ecc-${code}`}
+              className="input"
+              value={options.logo ? 'H' : options.ecc}
+              disabled={options.logo}
+              onChange={updateOption('ecc')}
+            >
+              <option value="L">Low (7%)</option>
+              <option value="M">Medium (15%)</option>
+              <option value="Q">Quartile (25%)</option>
+              <option value="H">High (30%)</option>
+            </select>
+          </div>
+        </div>
+        <label className="checkbox-label" htmlFor={`qr-logo-${code}`}>
+          <input
+            id={`qr-logo-${code}`}
+            type="checkbox"
+            checked={options.logo}
+            onChange={updateOption('logo')}
+          />
+          Add the logo in the middle
+        </label>
+
+        {error && <div className="status status-error">{error}</div>}
+        <div className="row-actions">
+          <button
+            type="button"
+            className="btn btn-primary"
+            disabled={downloading}
+            onClick={() => handleDownload('png')}
+          >
+            Download PNG
+          </button>
+          <button
+            type="button"
+            className="btn btn-ghost"
+            disabled={downloading}
+            onClick={() => handleDownload('svg')}
+          >
+            Download SVG
+          </button>
+        </div>
+        <div className="field-help">Scans are recorded with the source &quot;qr&quot;.</div>
+      </div>
+    </div>
+  );
+};
+
+export default QrCodePanel;
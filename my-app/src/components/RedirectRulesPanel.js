@@ -0,0 +1,255 @@
+import React, { useEffect, useState } from 'react';
+import { authFetch } from '../utils/auth';
+import { linkApiPath } from '../utils/links';
+import { MAX_RULES, PLATFORMS, WEEKDAYS, fromRuleDraft, toRuleDraft } from '../utils/redirectRules';
+
+function toggle(list, value) {
+  return list.includes(value) ? list.filter((item) => item !== value) : [...list, value];
+}
+
+// Edits a link's ordered redirect rules. Visitors go to the first rule whose
+// conditions all match, or to the link's own URL when none does. The list is
+// saved as a whole; rules keep their ids so past clicks stay attributed.
+const RedirectRulesPanel = ({ link, onSaved }) => {
+  const [drafts, setDrafts] = useState(() => (link.rules || []).map(toRuleDraft));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Start over from the saved rules whenever the link is reloaded or edited elsewhere.
+  useEffect(() => {
+    setDrafts((link.rules || []).map(toRuleDraft));
+  }, [link.rules]);
+
+  function updateDraft(index, changes) {
+    setDrafts((prev) => prev.map((draft, i) => (i === index ? { ...draft, ...changes } : draft)));
+    setSuccess('');
+  }
+
+  function moveDraft(index, offset) {
+    setDrafts((prev) => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+    setSuccess('');
+  }
+
+  function removeDraft(index) {
+    setDrafts((prev) => prev.filter((_, i) => i !== index));
+    setSuccess('');
+  }
+
+  function addDraft() {
+    setDrafts((prev) => [...prev, toRuleDraft()]);
+    setSuccess('');
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setSuccess('');
+    try {
+      const res = await authFetch(linkApiPath(link), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules: drafts.map(fromRuleDraft) }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(body.error || 'Failed to save redirect rules');
+        return;
+      }
+      onSaved(body);
+      setSuccess('Redirect rules saved');
+    } catch (err) {
+      setError(err.message || 'Failed to save redirect rules');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <section className="card">
+      <h2 className="section-title">Redirect rules</h2>
+      <p className="field-help">
+        Send visitors elsewhere by device, language, country or time. Rules are checked top to bottom and the
+        first match wins; everyone else goes to {link.url}. Leave a condition empty to match anyone.
+      </p>
+
+      <form onSubmit={handleSubmit} noValidate>
+        {drafts.length === 0 && <div className="status">No redirect rules yet.</div>}
+        {drafts.map((draft, index) => {
+          const prefix = `rule-${index}`;
+          return (
+            <div key={draft.id || index} className="rule-editor">
+              <div className="card-header-row">
+                <h3 className="breakdown-title">Rule {index + 1}</h3>
+                <div className="row-actions">
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-xs"
+                    disabled={index === 0}
+                    onClick={() => moveDraft(index, -1)}
+                  >
+                    Move up
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-xs"
+                    disabled={index === drafts.length - 1}
+                    onClick={() => moveDraft(index, 1)}
+                  >
+                    Move down
+                  </button>
+                  <button type="button" className="btn btn-danger btn-xs" onClick={() => removeDraft(index)}>
+                    Remove
+                  </button>
+                </div>
+              </div>
+
+              <div className="form-grid">
+                <div className="form-field">
+                  <label className="label" htmlFor={`${prefix}-name`}>
+                    Name (optional)
+                  </label>
+                  <input
+                    id={`${prefix}-name`}
+                    type="text"
+                    className="input"
+                    placeholder="e.g. App Store"
+                    value={draft.name}
+                    onChange={(e) => updateDraft(index, { name: e.target.value })}
+                  />
+                </div>
+                <div className="form-field">
+                  <label className="label" htmlFor={`${prefix}-url`}>
+                    Destination URL
+                  </label>
+                  <input
+                    id={`${prefix}-url`}
+                    type="url"
+                    className="input"
+                    placeholder="https://example.com/app"
+                    value={draft.url}
+                    onChange={(e) => updateDraft(index, { url: e.target.value })}
+                  />
+                </div>
+              </div>
+
+              <div className="form-grid">
+                <div className="form-field">
+                  <span className="label">Platforms</span>
+                  {PLATFORMS.map((platform) => (
+                    <label key={platform.value} className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={draft.platforms.includes(platform.value)}
+                        onChange={() => updateDraft(index, { platforms: toggle(draft.platforms, platform.value) })}
+                      />
+                      {platform.label}
+                    </label>
+                  ))}
+                </div>
+                <div className="form-field">
+                  <label className="label" htmlFor={`${prefix}-languages`}>
+                    Languages
+                  </label>
+                  <input
+                    id={`${prefix}-languages`}
+                    type="text"
+                    className="input"
+                    placeholder="de, pt-br"
+                    value={draft.languages}
+                    onChange={(e) => updateDraft(index, { languages: e.target.value })}
+                  />
+                  <div className="field-help">The browser&apos;s preferred language; &quot;pt&quot; covers pt-br.</div>
+                </div>
+                <div className="form-field">
+                  <label className="label" htmlFor={`${prefix}-countries`}>
+                    Countries
+                  </label>
+                  <input
+                    id={`${prefix}-countries`}
+                    type="text"
+                    className="input"
+                    placeholder="AT, CH"
+                    value={draft.countries}
+                    onChange={(e) => updateDraft(index, { countries: e.target.value })}
+                  />
+                  <div className="field-help">Two-letter country codes.</div>
+                </div>
+              </div>
+
+              <div className="form-grid">
+                <div className="form-field">
+                  <span className="label">Days</span>
+                  <div className="rule-days">
+                    {WEEKDAYS.map((day) => (
+                      <label key={day} className="checkbox-label">
+                        <input
+                          type="checkbox"
+                          checked={draft.days.includes(day)}
+                          onChange={() => updateDraft(index, { days: toggle(draft.days, day) })}
+                        />
+                        {day[0].toUpperCase() + day.slice(1)}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div className="form-field">
+                  <span className="label">Between</span>
+                  <div className="range-picker">
+                    <input
+                      type="time"
+                      className="input input-sm"
+                      aria-label={`Rule ${index + 1} start time`}
+                      value={draft.start}
+                      onChange={(e) => updateDraft(index, { start: e.target.value })}
+                    />
+                    <span>and</span>
+                    <input
+                      type="time"
+                      className="input input-sm"
+                      aria-label={`Rule ${index + 1} end time`}
+                      value={draft.end}
+                      onChange={(e) => updateDraft(index, { end: e.target.value })}
+                    />
+                  </div>
+                  <div className="field-help">An end before the start runs past midnight.</div>
+                </div>
+                <div className="form-field">
+                  <label className="label" htmlFor={`${prefix}-timezone`}>
+                    Time zone
+                  </label>
+                  <input
+                    id={`${prefix}-timezone`}
+                    type="text"
+                    className="input"
+                    placeholder="Europe/Berlin"
+                    value={draft.timezone}
+                    onChange={(e) => updateDraft(index, { timezone: e.target.value })}
+                  />
+                </div>
+              </div>
+            </div>
+          );
+        })}
+
+        <div className="row-actions">
+          <button type="button" className="btn btn-ghost" disabled={drafts.length >= MAX_RULES} onClick={addDraft}>
+            Add rule
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            {saving ? 'Saving...' : 'Save rules'}
+          </button>
+        </div>
+      </form>
+      {success && <div className="status status-success">{success}</div>}
+      {error && <div className="status status-error">{error}</div>}
+    </section>
+  );
+};
+
+export default RedirectRulesPanel;
@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import { authFetch } from '../utils/auth';
+import { linkApiPath } from '../utils/links';
+import logger from '../utils/logger';
+
+function formatDate(value) {
+  if (!value) return 'Never';
+  try {
+    return new Date(value).toLocaleString();
+  } catch (err) {
+    return value;
+  }
+}
+
+const FIELD_LABELS = {
+  url: 'destination',
+  title: 'title',
+  tags: 'tags',
+  folder: 'folder',
+  expiresAt: 'expiry',
+  maxClicks: 'click limit',
+  rules: 'redirect rules',
+  split: 'A/B split',
+};
+
+function describeRevision(revision) {
+  if (revision.action === 'create') return 'Created';
+  const fields = revision.changedFields.map((field) => FIELD_LABELS[field] || field);
+  return `Changed ${fields.join(', ')}`;
+}
+
+// Lists a link's revisions newest first. Older destinations can be restored,
+// which itself becomes a new revision; without onRestored (archived links)
+// the list is read-only.
+const RevisionTimeline = ({ code, domain, currentUrl, onRestored }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [restoringId, setRestoringId] = useState(null);
+
+  async function loadHistory() {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await authFetch(linkApiPath({ code, domain }, '/history'));
+      if (!res.ok) {
+        const txt = await res.text();
+        logger.error('Failed to load link history', { status: res.status, response: txt.slice(0, 500) });
+        throw new Error('Failed to load history');
+      }
+      setRevisions(await res.json());
+    } catch (err) {
+      setError(err.message || 'Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadHistory();
+    // Reload whenever the destination changes, including edits made elsewhere.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [code, domain, currentUrl]);
+
+  async function handleRestore(revision) {
+    if (!window.confirm(`Point ${code} back to ${revision.url}?`)) return;
+
+    setRestoringId(revision.id);
+    setError('');
+    try {
+      const res = await authFetch(linkApiPath({ code, domain }), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: revision.url }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(body.error || 'Failed to restore destination');
+        return;
+      }
+      onRestored(body);
+    } catch (err) {
+      setError(err.message || 'Failed to restore destination');
+    } finally {
+      setRestoringId(null);
+    }
+  }
+
+  if (loading && revisions.length === 0) {
+    return <div className="status">Loading history...</div>;
+  }
+
+  return (
+    <div>
+      {error && <div className="status status-error">{error}</div>}
+      {revisions.length === 0 ? (
+        <div className="status">No changes recorded yet.</div>
+      ) : (
+        <ol className="timeline">
+          {revisions.map((revision) => (
+            <li key={revision.id} className="timeline-item">
+              <div className="timeline-meta">
+                {formatDate(revision.changedAt)}
+                {revision.changedBy && ` · ${revision.changedBy}`}
+              </div>
+              <div className="timeline-title">{describeRevision(revision)}</div>
+              <div className="value-inline">
+                <span className="url-cell" title={revision.url}>
+                  {revision.url}
+                </span>
+                {onRestored && revision.url !== currentUrl && (
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-xs"
+                    onClick={() => handleRestore(revision)}
+                    disabled={restoringId === revision.id}
+                  >
+                    {restoringId === revision.id ? 'Restoring...' : 'Restore'}
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default RevisionTimeline;
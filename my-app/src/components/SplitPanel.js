@@ -0,0 +1,200 @@
+import React, { useEffect, useState } from 'react';
+import { authFetch } from '../utils/auth';
+import { linkApiPath } from '../utils/links';
+import {
+  MAX_VARIANTS,
+  MAX_VARIANT_WEIGHT,
+  MIN_VARIANTS,
+  fromVariantDraft,
+  toVariantDraft,
+  weightShares,
+} from '../utils/variants';
+
+function draftsFor(link) {
+  if (link.split) return link.split.variants.map(toVariantDraft);
+  return [toVariantDraft({ name: 'A', url: link.url }), toVariantDraft({ name: 'B' })];
+}
+
+// Splits a link's traffic across weighted destinations. Visitors caught by
+// a redirect rule are not split. Variants keep their ids when weights
+// change, so their click history carries on.
+const SplitPanel = ({ link, onSaved }) => {
+  const [drafts, setDrafts] = useState(() => draftsFor(link));
+  const [sticky, setSticky] = useState(link.split ? link.split.sticky : true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Start over from the saved split whenever the link is reloaded or edited elsewhere.
+  useEffect(() => {
+    setDrafts(draftsFor(link));
+    setSticky(link.split ? link.split.sticky : true);
+    // draftsFor only reads url when there is no split yet.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [link.split]);
+
+  const shares = weightShares(drafts.map((draft) => draft.weight));
+
+  function updateDraft(index, changes) {
+    setDrafts((prev) => prev.map((draft, i) => (i === index ? { ...draft, ...changes } : draft)));
+    setSuccess('');
+  }
+
+  function removeDraft(index) {
+    setDrafts((prev) => prev.filter((_, i) => i !== index));
+    setSuccess('');
+  }
+
+  function addDraft() {
+    setDrafts((prev) => [...prev, toVariantDraft({ name: String.fromCharCode(65 + prev.length) })]);
+    setSuccess('');
+  }
+
+  async function saveSplit(split) {
+    setSaving(true);
+    setError('');
+    setSuccess('');
+    try {
+      const res = await authFetch(linkApiPath(link), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ split }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(body.error || 'Failed to save split');
+        return;
+      }
+      onSaved(body);
+      setSuccess(split ? 'Split saved' : 'Split removed');
+    } catch (err) {
+      setError(err.message || 'Failed to save split');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    saveSplit({ sticky, variants: drafts.map(fromVariantDraft) });
+  }
+
+  function handleRemove() {
+    if (!window.confirm(`Stop splitting ${link.code}? Every visitor will go to ${link.url} again.`)) {
+      return;
+    }
+    saveSplit(null);
+  }
+
+  return (
+    <section className="card">
+      <h2 className="section-title">A/B split</h2>
+      <p className="field-help">
+        {link.split
+          ? 'Visitors are sent to one of these destinations at random, in proportion to their weights.'
+          : `Everyone is sent to ${link.url}. Add destinations with weights to split traffic between them.`}
+        {' '}Visitors matched by a redirect rule are not split. A weight of 0 pauses a variant.
+      </p>
+
+      <form onSubmit={handleSubmit} noValidate>
+        <div className="table-wrapper">
+          <table className="links-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Destination URL</th>
+                <th>Weight</th>
+                <th>Share</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {drafts.map((draft, index) => (
+                <tr key={draft.id || index}>
+                  <td>
+                    <input
+                      type="text"
+                      className="input input-sm"
+                      aria-label={`Variant ${index + 1} name`}
+                      placeholder={`Variant ${index + 1}`}
+                      value={draft.name}
+                      onChange={(e) => updateDraft(index, { name: e.target.value })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="url"
+                      className="input input-sm"
+                      aria-label={`Variant ${index + 1} URL`}
+                      placeholder="https://example.com/landing"
+                      value={draft.url}
+                      onChange={(e) => updateDraft(index, { url: e.target.value })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      className="input input-sm input-weight"
+                      aria-label={`Variant ${index + 1} weight`}
+                      min="0"
+                      max={MAX_VARIANT_WEIGHT}
+                      step="1"
+                      value={draft.weight}
+                      onChange={(e) => updateDraft(index, { weight: e.target.value })}
+                    />
+                  </td>
+                  <td>{shares[index]}%</td>
+                  <td>
+                    <button
+                      type="button"
+                      className="btn btn-danger btn-xs"
+                      disabled={drafts.length <= MIN_VARIANTS}
+                      onClick={() => removeDraft(index)}
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={sticky}
+            onChange={(e) => {
+              setSticky(e.target.checked);
+              setSuccess('');
+            }}
+          />
+          Sticky: returning visitors get the same variant (remembered with a cookie)
+        </label>
+
+        <div className="row-actions">
+          <button
+            type="button"
+            className="btn btn-ghost"
+            disabled={drafts.length >= MAX_VARIANTS}
+            onClick={addDraft}
+          >
+            Add variant
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            {saving ? 'Saving...' : 'Save split'}
+          </button>
+          {link.split && (
+            <button type="button" className="btn btn-ghost" disabled={saving} onClick={handleRemove}>
+              Remove split
+            </button>
+          )}
+        </div>
+      </form>
+      {success && <div className="status status-success">{success}</div>}
+      {error && <div className="status status-error">{error}</div>}
+    </section>
+  );
+};
+
+export default SplitPanel;
@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from 'react';
+import { authFetch } from '../utils/auth';
+import logger from '../utils/logger';
+
+async function fetchTotals(url) {
+  const res = await authFetch(url);
+  if (!res.ok) {
+    const txt = await res.text();
+    logger.warn('Failed to load link totals', { url, status: res.status, response: txt.slice(0, 500) });
+    throw new Error('Failed to load tags');
+  }
+  return res.json();
+}
+
+function totalsLabel(entry) {
+  return `${entry.links} ${entry.links === 1 ? 'link' : 'links'}, ${entry.clicks} ${entry.clicks === 1 ? 'click' : 'clicks'}`;
+}
+
+// Folders and tags in use across the user's links, with their totals.
+// Selecting one filters the link table; refreshKey reloads the totals.
+const TagSidebar = ({
+  tag, folder, refreshKey, onSelect,
+}) => {
+  const [tags, setTags] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([fetchTotals('/api/tags'), fetchTotals('/api/folders')])
+      .then(([tagTotals, folderTotals]) => {
+        if (cancelled) return;
+        setTags(tagTotals);
+        setFolders(folderTotals);
+        setError('');
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  const itemClass = (active) => `sidebar-item ${active ? 'sidebar-item-active' : ''}`;
+
+  return (
+    <nav className="tag-sidebar" aria-label="Filter links">
+      <button
+        type="button"
+        className={itemClass(!tag && !folder)}
+        onClick={() => onSelect({ tag: '', folder: '' })}
+      >
+        All links
+      </button>
+
+      {folders.length > 0 && <h3 className="breakdown-title sidebar-heading">Folders</h3>}
+      {folders.map((entry) => (
+        <button
+          key={entry.folder}
+          type="button"
+          className={itemClass(folder === entry.folder)}
+          title={totalsLabel(entry)}
+          onClick={() => onSelect({ tag, folder: folder === entry.folder ? '' : entry.folder })}
+        >
+          <span>{entry.folder}</span>
+          <span className="sidebar-count">{entry.links}</span>
+        </button>
+      ))}
+
+      <h3 className="breakdown-title sidebar-heading">Tags</h3>
+      {tags.length === 0 && <div className="field-help">No tags yet.</div>}
+      {tags.map((entry) => (
+        <button
+          key={entry.tag}
+          type="button"
+          className={itemClass(tag === entry.tag)}
+          title={totalsLabel(entry)}
+          onClick={() => onSelect({ folder, tag: tag === entry.tag ? '' : entry.tag })}
+        >
+          <span>#{entry.tag}</span>
+          <span className="sidebar-count">{entry.links}</span>
+        </button>
+      ))}
+      {error && <div className="status status-error">{error}</div>}
+    </nav>
+  );
+};
+
+export default TagSidebar;
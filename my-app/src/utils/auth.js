@@ -0,0 +1,42 @@
+// Browser-side session handling for the server's bearer-token auth.
+const STORAGE_KEY = 'urlShortener_session';
+
+export function getSession() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    const session = stored ? JSON.parse(stored) : null;
+    if (!session || !session.token) return null;
+    if (session.expiresAt && new Date(session.expiresAt) <= new Date()) {
+      localStorage.removeItem(STORAGE_KEY);
+      return null;
+    }
+    return session;
+  } catch (err) {
+    return null;
+  }
+}
+
+export function saveSession(session) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+}
+
+export function clearSession() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+// fetch() wrapper that sends the session token and sends the user back to
+// the login screen when the server no longer accepts it.
+export async function authFetch(url, options = {}) {
+  const session = getSession();
+  const headers = { ...(options.headers || {}) };
+  if (session) {
+    headers.Authorization = `Bearer ${session.token}`;
+  }
+
+  const res = await fetch(url, { ...options, headers });
+  if (res.status === 401) {
+    clearSession();
+    window.location.assign('/login');
+  }
+  return res;
+}
@@ -0,0 +1,58 @@
+// CSV parsing for previewing imports. Mirrors server/src/csv.js so the
+// preview shows the same rows the server will see.
+
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+export function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { columns: [], records: [] };
+  const columns = header.map((name) => name.trim());
+  return {
+    columns,
+    records: rows.map((cells) => Object.fromEntries(
+      columns.map((column, index) => [column, cells[index] !== undefined ? cells[index] : '']),
+    )),
+  };
+}
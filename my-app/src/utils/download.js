@@ -0,0 +1,22 @@
+import { authFetch } from './auth';
+
+// Export endpoints need the bearer token, so a plain <a href> cannot be used.
+// Fetches the file and hands it to the browser as a download instead.
+export async function downloadFile(url, fallbackName) {
+  const res = await authFetch(url);
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error || 'Download failed');
+  }
+
+  const blob = await res.blob();
+  const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+  const href = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+  anchor.href = href;
+  anchor.download = match ? match[1] : fallbackName;
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  URL.revokeObjectURL(href);
+}
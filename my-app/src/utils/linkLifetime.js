@@ -0,0 +1,24 @@
+// Helpers for describing how much life a server-side link has left.
+
+export function formatRemainingLifetime(expiresAt, now = Date.now()) {
+  if (!expiresAt) return 'Never expires';
+
+  const remainingMs = new Date(expiresAt).getTime() - now;
+  if (Number.isNaN(remainingMs)) return 'Unknown';
+  if (remainingMs <= 0) return 'Expired';
+
+  const minutes = Math.ceil(remainingMs / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+
+  if (days > 0) return `${days}d ${hours}h left`;
+  if (hours > 0) return `${hours}h ${mins}m left`;
+  return `${mins}m left`;
+}
+
+export function formatRemainingClicks(link) {
+  if (link.maxClicks == null) return 'Unlimited';
+  const remaining = link.remainingClicks ?? Math.max(link.maxClicks - (link.clickCount ?? 0), 0);
+  return `${remaining} of ${link.maxClicks} left`;
+}
@@ -0,0 +1,11 @@
+// Same limits as the server enforces for link passwords.
+export const LINK_PASSWORD_MIN_LENGTH = 4;
+export const LINK_PASSWORD_MAX_LENGTH = 128;
+
+export function validateLinkPassword(value) {
+  if (!value) return '';
+  if (value.length < LINK_PASSWORD_MIN_LENGTH || value.length > LINK_PASSWORD_MAX_LENGTH) {
+    return `Password must be ${LINK_PASSWORD_MIN_LENGTH}-${LINK_PASSWORD_MAX_LENGTH} characters`;
+  }
+  return '';
+}
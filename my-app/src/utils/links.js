@@ -0,0 +1,22 @@
+// Codes are unique per short domain, so a link is named by its code plus,
+// for links on a custom domain, that domain.
+
+// "<domain>/<code>" for links on a custom domain, otherwise just the code.
+// POST /api/links/tags takes the same form.
+export function linkRef(link) {
+  return link.domain ? `${link.domain}/${link.code}` : link.code;
+}
+
+// Path of an API route scoped to one link, e.g. linkApiPath(link, '/stats', params).
+export function linkApiPath(link, suffix = '', params = undefined) {
+  const search = new URLSearchParams(params);
+  if (link.domain) search.set('domain', link.domain);
+  const query = search.toString();
+  return `/api/links/${encodeURIComponent(link.code)}${suffix}${query ? `?${query}` : ''}`;
+}
+
+// Dashboard route of a link's stats page.
+export function linkPagePath(link) {
+  const query = link.domain ? `?${new URLSearchParams({ domain: link.domain })}` : '';
+  return `/code/${encodeURIComponent(link.code)}${query}`;
+}
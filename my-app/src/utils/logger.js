@@ -9,6 +9,77 @@ class Logger {
       DEBUG: 3
     };
     this.currentLevel = this.logLevel.DEBUG;
+
+    // WARN and ERROR entries are also shipped to POST /api/client-logs in batches
+    this.remote = {
+      endpoint: '/api/client-logs',
+      queue: [],
+      batchSize: 20,
+      maxQueued: 100,
+      flushIntervalMs: 10000
+    };
+    this.startRemoteTransport();
+  }
+
+  startRemoteTransport() {
+    if (typeof window === 'undefined') return;
+    setInterval(() => this.flushRemote(), this.remote.flushIntervalMs);
+    // pagehide fires on tab close, navigation and mobile app switches, where
+    // a normal request may be cancelled; sendBeacon is delivered anyway
+    window.addEventListener('pagehide', () => this.flushRemote({ useBeacon: true }));
+  }
+
+  queueRemote(logEntry) {
+    const { queue, batchSize, maxQueued } = this.remote;
+    queue.push({
+      level: logEntry.level,
+      message: logEntry.message,
+      context: logEntry.context,
+      timestamp: logEntry.timestamp,
+      route: window.location.pathname,
+      userAgent: navigator.userAgent
+    });
+    // If the server is unreachable, keep the newest entries only
+    if (queue.length > maxQueued) {
+      queue.splice(0, queue.length - maxQueued);
+    }
+    if (queue.length >= batchSize) {
+      this.flushRemote();
+    }
+  }
+
+  // Sends one batch per call, except when the page is going away: then
+  // everything left is sent, since there won't be another chance
+  flushRemote({ useBeacon = false } = {}) {
+    const { queue, batchSize } = this.remote;
+    do {
+      const entries = queue.splice(0, batchSize);
+      if (entries.length > 0) this.sendRemote(entries, useBeacon);
+    } while (useBeacon && queue.length > 0);
+  }
+
+  sendRemote(entries, useBeacon) {
+    let body;
+    try {
+      body = JSON.stringify({ entries });
+    } catch (err) {
+      body = JSON.stringify({
+        entries: entries.map((entry) => ({ ...entry, context: { unserializable: true } }))
+      });
+    }
+
+    // text/plain keeps the request "simple", so no CORS preflight is needed.
+    // Failures only go to the console: logging them would queue more entries.
+    if (useBeacon && navigator.sendBeacon) {
+      navigator.sendBeacon(this.remote.endpoint, new Blob([body], { type: 'text/plain' }));
+      return;
+    }
+    fetch(this.remote.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body,
+      keepalive: true
+    }).catch((err) => console.warn('Failed to ship logs', err));
   }
 
   formatMessage(level, message, context = {}) {
@@ -35,6 +106,7 @@ class Logger {
     if (this.currentLevel >= this.logLevel.ERROR) {
       const logEntry = this.formatMessage('ERROR', message, context);
       console.error(`[${logEntry.timestamp}] ERROR: ${message}`, context);
+      this.queueRemote(logEntry);
       return logEntry;
     }
   }
@@ -43,6 +115,7 @@ class Logger {
     if (this.currentLevel >= this.logLevel.WARN) {
       const logEntry = this.formatMessage('WARN', message, context);
       console.warn(`[${logEntry.timestamp}] WARN: ${message}`, context);
+      this.queueRemote(logEntry);
       return logEntry;
     }
   }
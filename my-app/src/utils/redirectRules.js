@@ -0,0 +1,87 @@
+import { parseTagInput } from './tags';
+
+// Same limit as the server enforces.
+export const MAX_RULES = 20;
+
+export const PLATFORMS = [
+  { value: 'ios', label: 'iOS' },
+  { value: 'android', label: 'Android' },
+  { value: 'desktop', label: 'Desktop' },
+];
+
+export const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+function browserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (err) {
+    return 'UTC';
+  }
+}
+
+// Editor state for a rule: list conditions become comma-separated text and
+// the schedule is flattened into its own fields.
+export function toRuleDraft(rule = {}) {
+  const schedule = rule.schedule || {};
+  return {
+    id: rule.id || null,
+    name: rule.name || '',
+    url: rule.url || '',
+    platforms: rule.platforms || [],
+    languages: (rule.languages || []).join(', '),
+    countries: (rule.countries || []).join(', '),
+    days: schedule.days || [],
+    start: schedule.start || '',
+    end: schedule.end || '',
+    timezone: schedule.timezone || browserTimeZone(),
+  };
+}
+
+// The rule to send to the API; the server validates and normalizes it.
+export function fromRuleDraft(draft) {
+  const rule = { url: draft.url.trim() };
+  if (draft.id) rule.id = draft.id;
+  if (draft.name.trim()) rule.name = draft.name.trim();
+  if (draft.platforms.length > 0) rule.platforms = draft.platforms;
+  const languages = parseTagInput(draft.languages);
+  if (languages.length > 0) rule.languages = languages;
+  const countries = parseTagInput(draft.countries);
+  if (countries.length > 0) rule.countries = countries;
+  if (draft.days.length > 0 || draft.start || draft.end) {
+    rule.schedule = {
+      ...(draft.days.length > 0 ? { days: draft.days } : {}),
+      ...(draft.start || draft.end ? { start: draft.start, end: draft.end } : {}),
+      timezone: draft.timezone.trim() || 'UTC',
+    };
+  }
+  return rule;
+}
+
+// A one-line summary of a rule's conditions, e.g. "iOS · de, fr · Sat, Sun Europe/Berlin".
+export function describeRule(rule) {
+  const parts = [];
+  if (rule.platforms) {
+    const labels = Object.fromEntries(PLATFORMS.map(({ value, label }) => [value, label]));
+    parts.push(rule.platforms.map((value) => labels[value] || value).join(', '));
+  }
+  if (rule.languages) parts.push(rule.languages.join(', '));
+  if (rule.countries) parts.push(rule.countries.join(', '));
+  if (rule.schedule) {
+    const { days, start, end, timezone } = rule.schedule;
+    const when = [
+      days && days.map((day) => day[0].toUpperCase() + day.slice(1)).join(', '),
+      start && `${start}–${end}`,
+    ].filter(Boolean).join(' ');
+    parts.push(`${when} ${timezone}`);
+  }
+  return parts.join(' · ');
+}
+
+// How a click's `rule` value from the stats or click list is shown. Rules
+// deleted since the click show up by id.
+export function ruleLabel(rules, id) {
+  if (!id || id === 'fallback') return 'Fallback URL';
+  const rule = (rules || []).find((candidate) => candidate.id === id);
+  if (!rule) return `Removed rule (${id})`;
+  return rule.name || describeRule(rule);
+}
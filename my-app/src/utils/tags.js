@@ -0,0 +1,8 @@
+// Same limit as the server enforces for folder names.
+export const MAX_FOLDER_LENGTH = 64;
+
+// Tags are typed as a comma-separated list; the server lowercases and
+// de-duplicates them.
+export function parseTagInput(value) {
+  return value.split(',').map((tag) => tag.trim()).filter(Boolean);
+}
@@ -0,0 +1,37 @@
+// Same limits as the server enforces.
+export const MIN_VARIANTS = 2;
+export const MAX_VARIANTS = 5;
+export const MAX_VARIANT_WEIGHT = 100;
+
+// Editor state for a variant; the weight is kept as typed.
+export function toVariantDraft(variant = {}) {
+  return {
+    id: variant.id || null,
+    name: variant.name || '',
+    url: variant.url || '',
+    weight: variant.weight == null ? '50' : String(variant.weight),
+  };
+}
+
+// The variant to send to the API; the server validates it.
+export function fromVariantDraft(draft) {
+  const variant = { url: draft.url.trim(), weight: Number(draft.weight) };
+  if (draft.id) variant.id = draft.id;
+  if (draft.name.trim()) variant.name = draft.name.trim();
+  return variant;
+}
+
+// Share of split traffic each weight sends, as whole percentages.
+export function weightShares(weights) {
+  const total = weights.reduce((sum, weight) => sum + (Number(weight) || 0), 0);
+  return weights.map((weight) => (total ? Math.round(((Number(weight) || 0) / total) * 100) : 0));
+}
+
+// How a click's `variant` value is shown. Variants removed since the click
+// show up by id.
+export function variantLabel(split, id) {
+  const variants = split ? split.variants : [];
+  const index = variants.findIndex((variant) => variant.id === id);
+  if (index === -1) return `Removed variant (${id})`;
+  return variants[index].name || `Variant ${index + 1}`;
+}
@@ -0,0 +1,10 @@
+-- Schema of the first release. IF NOT EXISTS lets databases created by the
+-- old initDb() adopt the migration history without changes.
+CREATE TABLE IF NOT EXISTS links (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(16) UNIQUE NOT NULL,
+  url TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_clicked_at TIMESTAMPTZ,
+  click_count INTEGER NOT NULL DEFAULT 0
+);
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS links_archive;
+
+ALTER TABLE links
+  DROP COLUMN IF EXISTS expires_at,
+  DROP COLUMN IF EXISTS max_clicks;
@@ -0,0 +1,17 @@
+ALTER TABLE links
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS max_clicks INTEGER;
+
+-- Expired links are moved here by the reaper in src/expiry.js.
+CREATE TABLE IF NOT EXISTS links_archive (
+  id INTEGER PRIMARY KEY,
+  code VARCHAR(16) NOT NULL,
+  url TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL,
+  last_clicked_at TIMESTAMPTZ,
+  click_count INTEGER NOT NULL,
+  expires_at TIMESTAMPTZ,
+  max_clicks INTEGER,
+  archived_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS links_archive_code_idx ON links_archive (code);
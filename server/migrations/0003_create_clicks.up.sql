@@ -0,0 +1,13 @@
+CREATE TABLE IF NOT EXISTS clicks (
+  id BIGSERIAL PRIMARY KEY,
+  link_id INTEGER NOT NULL REFERENCES links (id) ON DELETE CASCADE,
+  clicked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  referrer_host TEXT,
+  browser TEXT,
+  os TEXT,
+  device TEXT,
+  country CHAR(2),
+  ip_hash CHAR(64)
+);
+CREATE INDEX IF NOT EXISTS clicks_link_id_idx ON clicks (link_id, id DESC);
+CREATE INDEX IF NOT EXISTS clicks_link_clicked_at_idx ON clicks (link_id, clicked_at);
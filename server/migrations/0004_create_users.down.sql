@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS links_owner_created_idx;
+ALTER TABLE links_archive DROP COLUMN IF EXISTS owner_id;
+ALTER TABLE links DROP COLUMN IF EXISTS owner_id;
+
+DROP TABLE IF EXISTS sessions;
+DROP TABLE IF EXISTS users;
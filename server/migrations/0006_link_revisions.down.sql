@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS link_revisions;
+
+ALTER TABLE links_archive
+  DROP COLUMN IF EXISTS title,
+  DROP COLUMN IF EXISTS tags;
+ALTER TABLE links
+  DROP COLUMN IF EXISTS title,
+  DROP COLUMN IF EXISTS tags;
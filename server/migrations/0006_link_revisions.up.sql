@@ -0,0 +1,21 @@
+ALTER TABLE links
+  ADD COLUMN IF NOT EXISTS title TEXT,
+  ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE links_archive
+  ADD COLUMN IF NOT EXISTS title TEXT,
+  ADD COLUMN IF NOT EXISTS tags TEXT[];
+
+CREATE TABLE IF NOT EXISTS link_revisions (
+  id BIGSERIAL PRIMARY KEY,
+  link_id INTEGER NOT NULL REFERENCES links (id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  action VARCHAR(16) NOT NULL,
+  changed_fields TEXT[] NOT NULL DEFAULT '{}',
+  url TEXT NOT NULL,
+  title TEXT,
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  expires_at TIMESTAMPTZ,
+  max_clicks INTEGER
+);
+CREATE INDEX IF NOT EXISTS link_revisions_link_id_idx ON link_revisions (link_id, id DESC);
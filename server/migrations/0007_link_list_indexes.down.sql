@@ -0,0 +1,9 @@
+-- pg_trgm is left installed; other database objects may rely on it.
+DROP INDEX IF EXISTS links_title_trgm_idx;
+DROP INDEX IF EXISTS links_url_trgm_idx;
+DROP INDEX IF EXISTS links_code_trgm_idx;
+
+DROP INDEX IF EXISTS links_owner_last_clicked_id_idx;
+DROP INDEX IF EXISTS links_owner_clicks_id_idx;
+DROP INDEX IF EXISTS links_owner_created_id_idx;
+CREATE INDEX IF NOT EXISTS links_owner_created_idx ON links (owner_id, created_at DESC);
@@ -0,0 +1,12 @@
+-- Keyset pagination indexes for each sort offered by GET /api/links.
+DROP INDEX IF EXISTS links_owner_created_idx;
+CREATE INDEX IF NOT EXISTS links_owner_created_id_idx ON links (owner_id, created_at, id);
+CREATE INDEX IF NOT EXISTS links_owner_clicks_id_idx ON links (owner_id, click_count, id);
+CREATE INDEX IF NOT EXISTS links_owner_last_clicked_id_idx
+  ON links (owner_id, (COALESCE(last_clicked_at, '-infinity'::timestamptz)), id);
+
+-- Trigram indexes back the ILIKE '%term%' search on code, URL and title.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS links_code_trgm_idx ON links USING GIN (code gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS links_url_trgm_idx ON links USING GIN (url gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS links_title_trgm_idx ON links USING GIN (title gin_trgm_ops);
@@ -0,0 +1,4 @@
+ALTER TABLE links
+  DROP COLUMN IF EXISTS disabled_at,
+  DROP COLUMN IF EXISTS disabled_reason;
+DROP TABLE IF EXISTS blocked_domains;
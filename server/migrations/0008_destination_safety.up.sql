@@ -0,0 +1,14 @@
+-- Hosts that links may not point to. A pattern is a host name, or
+-- "*.example.com" for the domain and every subdomain.
+CREATE TABLE IF NOT EXISTS blocked_domains (
+  id SERIAL PRIMARY KEY,
+  pattern TEXT UNIQUE NOT NULL,
+  reason TEXT,
+  created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Links an admin has taken down stop redirecting but keep their data.
+ALTER TABLE links
+  ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS disabled_reason TEXT;
@@ -0,0 +1,2 @@
+-- Optional per-link password, stored as an scrypt hash like user passwords.
+ALTER TABLE links ADD COLUMN IF NOT EXISTS password_hash TEXT;
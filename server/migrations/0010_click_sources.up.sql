@@ -0,0 +1,3 @@
+-- Where a visit came from when the short URL carried a ?src= marker, e.g.
+-- "qr" for scans of the link's QR code.
+ALTER TABLE clicks ADD COLUMN IF NOT EXISTS source TEXT;
@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS links_tags_idx;
+DROP INDEX IF EXISTS links_owner_folder_idx;
+
+ALTER TABLE links_archive DROP COLUMN IF EXISTS folder;
+ALTER TABLE link_revisions DROP COLUMN IF EXISTS folder;
+ALTER TABLE links DROP COLUMN IF EXISTS folder;
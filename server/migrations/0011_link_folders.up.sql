@@ -0,0 +1,9 @@
+-- Optional folder per link, kept in revisions and the archive like the
+-- other editable fields.
+ALTER TABLE links ADD COLUMN IF NOT EXISTS folder TEXT;
+ALTER TABLE link_revisions ADD COLUMN IF NOT EXISTS folder TEXT;
+ALTER TABLE links_archive ADD COLUMN IF NOT EXISTS folder TEXT;
+
+-- Back the ?folder= and ?tag= filters of GET /api/links.
+CREATE INDEX IF NOT EXISTS links_owner_folder_idx ON links (owner_id, folder);
+CREATE INDEX IF NOT EXISTS links_tags_idx ON links USING GIN (tags);
@@ -0,0 +1,7 @@
+-- Fails if the same code is in use on more than one domain.
+DROP INDEX IF EXISTS links_code_domain_idx;
+ALTER TABLE links ADD CONSTRAINT links_code_key UNIQUE (code);
+
+ALTER TABLE links_archive DROP COLUMN IF EXISTS domain;
+ALTER TABLE links DROP COLUMN IF EXISTS domain;
+DROP TABLE IF EXISTS domains;
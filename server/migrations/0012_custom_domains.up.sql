@@ -0,0 +1,19 @@
+-- Short domains besides BASE_URL. A domain serves links once its owner has
+-- proven control of it with a DNS TXT record holding verification_token.
+CREATE TABLE IF NOT EXISTS domains (
+  id SERIAL PRIMARY KEY,
+  hostname TEXT UNIQUE NOT NULL,
+  owner_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  verification_token TEXT NOT NULL,
+  verified_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS domains_owner_idx ON domains (owner_id);
+
+-- NULL is the default domain. Each domain is its own code namespace, so
+-- codes are only unique per domain.
+ALTER TABLE links ADD COLUMN IF NOT EXISTS domain TEXT REFERENCES domains (hostname);
+ALTER TABLE links_archive ADD COLUMN IF NOT EXISTS domain TEXT;
+
+ALTER TABLE links DROP CONSTRAINT IF EXISTS links_code_key;
+CREATE UNIQUE INDEX IF NOT EXISTS links_code_domain_idx ON links (code, (COALESCE(domain, '')));
@@ -0,0 +1,5 @@
+ALTER TABLE clicks DROP COLUMN IF EXISTS rule;
+
+ALTER TABLE links_archive DROP COLUMN IF EXISTS redirect_rules;
+ALTER TABLE link_revisions DROP COLUMN IF EXISTS redirect_rules;
+ALTER TABLE links DROP COLUMN IF EXISTS redirect_rules;
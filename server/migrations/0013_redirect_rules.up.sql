@@ -0,0 +1,10 @@
+-- Ordered redirect rules (by platform, language, country or time window);
+-- the first one a visit matches picks the destination and `url` is the
+-- fallback. Kept in revisions and the archive like the other editable
+-- fields. The rule format is described in src/redirectRules.js.
+ALTER TABLE links ADD COLUMN IF NOT EXISTS redirect_rules JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE link_revisions ADD COLUMN IF NOT EXISTS redirect_rules JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE links_archive ADD COLUMN IF NOT EXISTS redirect_rules JSONB NOT NULL DEFAULT '[]';
+
+-- Id of the rule that sent the click on; NULL when it went to `url`.
+ALTER TABLE clicks ADD COLUMN IF NOT EXISTS rule TEXT;
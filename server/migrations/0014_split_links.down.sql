@@ -0,0 +1,5 @@
+ALTER TABLE clicks DROP COLUMN IF EXISTS variant;
+
+ALTER TABLE links_archive DROP COLUMN IF EXISTS split;
+ALTER TABLE link_revisions DROP COLUMN IF EXISTS split;
+ALTER TABLE links DROP COLUMN IF EXISTS split;
@@ -0,0 +1,10 @@
+-- A/B split: weighted destinations served to visits that match no redirect
+-- rule, instead of `url`. NULL for links without one. Kept in revisions and
+-- the archive like the other editable fields. The format is described in
+-- src/variants.js.
+ALTER TABLE links ADD COLUMN IF NOT EXISTS split JSONB;
+ALTER TABLE link_revisions ADD COLUMN IF NOT EXISTS split JSONB;
+ALTER TABLE links_archive ADD COLUMN IF NOT EXISTS split JSONB;
+
+-- Id of the split variant the click was sent to; NULL when there was none.
+ALTER TABLE clicks ADD COLUMN IF NOT EXISTS variant TEXT;
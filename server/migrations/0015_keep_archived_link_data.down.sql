@@ -0,0 +1,8 @@
+-- The data of archived links has no row left to reference.
+DELETE FROM link_revisions WHERE link_id NOT IN (SELECT id FROM links);
+DELETE FROM clicks WHERE link_id NOT IN (SELECT id FROM links);
+
+ALTER TABLE link_revisions
+  ADD CONSTRAINT link_revisions_link_id_fkey FOREIGN KEY (link_id) REFERENCES links (id) ON DELETE CASCADE;
+ALTER TABLE clicks
+  ADD CONSTRAINT clicks_link_id_fkey FOREIGN KEY (link_id) REFERENCES links (id) ON DELETE CASCADE;
@@ -0,0 +1,6 @@
+-- The expiry sweep moves a link into links_archive under the same id and
+-- leaves its clicks and revisions where they are, so archived links keep
+-- their stats and history. They can no longer reference links (nor be
+-- cascaded from it); deleting a link removes them explicitly.
+ALTER TABLE clicks DROP CONSTRAINT IF EXISTS clicks_link_id_fkey;
+ALTER TABLE link_revisions DROP CONSTRAINT IF EXISTS link_revisions_link_id_fkey;
@@ -0,0 +1,8 @@
+-- Keeps one claim per hostname: the verified one, otherwise the oldest.
+DELETE FROM domains WHERE id NOT IN (
+  SELECT DISTINCT ON (hostname) id FROM domains ORDER BY hostname, verified_at IS NULL, id
+);
+DROP INDEX IF EXISTS domains_owner_hostname_idx;
+DROP INDEX IF EXISTS domains_verified_hostname_idx;
+ALTER TABLE domains ADD CONSTRAINT domains_hostname_key UNIQUE (hostname);
+ALTER TABLE links ADD CONSTRAINT links_domain_fkey FOREIGN KEY (domain) REFERENCES domains (hostname);
@@ -0,0 +1,9 @@
+-- Anyone may add a hostname, but only one claim to it can be verified, so an
+-- unverified claim no longer locks the domain's real owner out. Verifying a
+-- claim removes the other users' unverified ones. links.domain can't
+-- reference a hostname that isn't unique; links are only created on the
+-- owner's verified domains.
+ALTER TABLE links DROP CONSTRAINT IF EXISTS links_domain_fkey;
+ALTER TABLE domains DROP CONSTRAINT IF EXISTS domains_hostname_key;
+CREATE UNIQUE INDEX IF NOT EXISTS domains_verified_hostname_idx ON domains (hostname) WHERE verified_at IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS domains_owner_hostname_idx ON domains (owner_id, hostname);
@@ -0,0 +1,115 @@
+// Hammers one short code with concurrent redirects and checks that the
+// link's click count ends up exactly equal to the redirects served.
+//
+//   npm run load-test                          # boots the app in-process (STORAGE_DRIVER)
+//   npm run load-test -- --target http://localhost:4000 --requests 5000 --concurrency 100
+//
+// Against a running server it registers a throwaway user to own the link.
+// The in-process server only logs warnings unless LOG_LEVEL says otherwise,
+// so access logs don't drown the report.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+require('dotenv').config();
+
+function parseArgs(argv) {
+  const options = { target: null, requests: 2000, concurrency: 50 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+    if (!(name in options) || value === undefined) {
+      throw new Error(`Unknown or incomplete option "${argv[i]}"`);
+    }
+    options[name] = name === 'target' ? value.replace(/\/$/, '') : Number(value);
+  }
+  if (!Number.isInteger(options.requests) || options.requests <= 0
+    || !Number.isInteger(options.concurrency) || options.concurrency <= 0) {
+    throw new Error('--requests and --concurrency must be positive integers');
+  }
+  return options;
+}
+
+// Starts the app on a random port using the configured storage backend.
+async function startLocalServer() {
+  const { getRepository } = require('../src/db');
+  const { app } = require('../src/index');
+  await getRepository().init();
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    async close() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      await getRepository().close();
+    },
+  };
+}
+
+async function api(baseUrl, method, path, { token, body } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const text = await response.text();
+  const data = text ? JSON.parse(text) : null;
+  if (!response.ok) {
+    throw new Error(`${method} ${path} failed with ${response.status}: ${data && data.error}`);
+  }
+  return data;
+}
+
+async function run({ target, requests, concurrency }) {
+  const local = target ? null : await startLocalServer();
+  const baseUrl = target || local.baseUrl;
+  try {
+    const { token } = await api(baseUrl, 'POST', '/api/auth/register', {
+      body: {
+        email: `load-test-${Date.now()}@example.com`,
+        password: `load-test-${Math.random()}`,
+      },
+    });
+    const link = await api(baseUrl, 'POST', '/api/links', {
+      token,
+      body: { url: 'https://example.com/load-test', title: 'Load test' },
+    });
+    console.log(`Sending ${requests} redirects to /${link.code} with concurrency ${concurrency}`);
+
+    const statuses = new Map();
+    let sent = 0;
+    async function worker() {
+      while (sent < requests) {
+        sent += 1;
+        const response = await fetch(`${baseUrl}/${link.code}`, { redirect: 'manual' });
+        await response.arrayBuffer();
+        statuses.set(response.status, (statuses.get(response.status) || 0) + 1);
+      }
+    }
+
+    const startedAt = Date.now();
+    await Promise.all(Array.from({ length: Math.min(concurrency, requests) }, worker));
+    const seconds = (Date.now() - startedAt) / 1000;
+
+    const redirected = statuses.get(302) || 0;
+    const { clickCount } = await api(baseUrl, 'GET', `/api/links/${link.code}`, { token });
+    await api(baseUrl, 'DELETE', `/api/links/${link.code}`, { token });
+
+    console.log(`Statuses: ${[...statuses].map(([status, count]) => `${status}=${count}`).join(' ')}`);
+    console.log(`${Math.round(requests / seconds)} req/s over ${seconds.toFixed(1)}s`);
+    console.log(`Redirects served: ${redirected}, click count: ${clickCount}`);
+    if (clickCount !== redirected) {
+      throw new Error(`Lost ${redirected - clickCount} click(s)`);
+    }
+    console.log('OK: click count is exact');
+  } finally {
+    if (local) await local.close();
+  }
+}
+
+run(parseArgs(process.argv.slice(2))).catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
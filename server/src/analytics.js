@@ -0,0 +1,89 @@
+const { getRepository } = require('./db');
+
+const INTERVAL_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+const DEFAULT_RANGE_MS = 30 * INTERVAL_MS.day;
+const MAX_BUCKETS = 1000;
+const BREAKDOWN_LIMIT = 10;
+
+// Mirrors Postgres date_trunc() in UTC, including ISO weeks starting on Monday.
+function truncateDate(date, interval) {
+  const truncated = new Date(date.getTime());
+  if (interval === 'hour') {
+    truncated.setUTCMinutes(0, 0, 0);
+    return truncated;
+  }
+  truncated.setUTCHours(0, 0, 0, 0);
+  if (interval === 'week') {
+    const daysSinceMonday = (truncated.getUTCDay() + 6) % 7;
+    truncated.setUTCDate(truncated.getUTCDate() - daysSinceMonday);
+  }
+  return truncated;
+}
+
+function parseDateParam(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Validates the from/to/interval query string of the stats endpoint.
+// Returns { error } or { from, to, interval }.
+function parseStatsQuery(query) {
+  const interval = query.interval || 'day';
+  if (!INTERVAL_MS[interval]) {
+    return { error: 'interval must be one of hour, day or week' };
+  }
+
+  const to = parseDateParam(query.to, new Date());
+  if (!to) return { error: 'Invalid to date' };
+  const from = parseDateParam(query.from, new Date(to.getTime() - DEFAULT_RANGE_MS));
+  if (!from) return { error: 'Invalid from date' };
+
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+  if ((to - truncateDate(from, interval)) / INTERVAL_MS[interval] > MAX_BUCKETS) {
+    return { error: `Range too large for interval ${interval}; use a wider interval` };
+  }
+
+  return { from, to, interval };
+}
+
+function fillSeries(rows, { from, to, interval }) {
+  const counts = new Map(rows.map((row) => [new Date(row.bucket).getTime(), Number(row.clicks)]));
+  const series = [];
+  for (let t = truncateDate(from, interval).getTime(); t < to.getTime(); t += INTERVAL_MS[interval]) {
+    series.push({ bucket: new Date(t).toISOString(), clicks: counts.get(t) || 0 });
+  }
+  return series;
+}
+
+async function getLinkStats(linkId, range) {
+  const { from, to, interval } = range;
+  const { buckets, breakdowns } = await getRepository().clicks.stats(linkId, {
+    from, to, interval, breakdownLimit: BREAKDOWN_LIMIT,
+  });
+  const series = fillSeries(buckets, range);
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    interval,
+    total: series.reduce((sum, point) => sum + point.clicks, 0),
+    series,
+    ...Object.fromEntries(Object.entries(breakdowns).map(([name, rows]) => [
+      name,
+      rows.map((row) => ({ value: row.value, clicks: Number(row.clicks) })),
+    ])),
+  };
+}
+
+module.exports = {
+  truncateDate,
+  parseStatsQuery,
+  getLinkStats,
+};
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const { getRepository } = require('./db');
+
+const API_KEY_PREFIX = 'usk_';
+const API_KEY_SCOPES = ['links:read', 'links:write'];
+const MAX_NAME_LENGTH = 100;
+
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Validates the body of POST /api/keys. Returns { error } or { name, scopes }.
+function parseApiKeyInput(body) {
+  const { name, scopes } = body || {};
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName || trimmedName.length > MAX_NAME_LENGTH) {
+    return { error: `name is required (max ${MAX_NAME_LENGTH} characters)` };
+  }
+
+  if (scopes === undefined) {
+    return { name: trimmedName, scopes: API_KEY_SCOPES };
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0
+    || scopes.some((scope) => !API_KEY_SCOPES.includes(scope))) {
+    return { error: `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}` };
+  }
+  return { name: trimmedName, scopes: [...new Set(scopes)] };
+}
+
+function serializeApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: row.scopes,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+// Creates a key and returns it together with the plaintext secret, which is
+// never stored and cannot be shown again.
+async function createApiKey(userId, { name, scopes }) {
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `${API_KEY_PREFIX}${secret}`;
+  const prefix = key.slice(0, API_KEY_PREFIX.length + 6);
+  const row = await getRepository().apiKeys.create({
+    userId, name, prefix, keyHash: hashApiKey(key), scopes,
+  });
+  return { ...serializeApiKey(row), key };
+}
+
+async function listApiKeys(userId) {
+  const rows = await getRepository().apiKeys.listByUser(userId);
+  return rows.map(serializeApiKey);
+}
+
+// Returns false when the key does not exist, belongs to someone else or is
+// already revoked.
+async function revokeApiKey(userId, id) {
+  return getRepository().apiKeys.revoke(userId, id);
+}
+
+// Looks up an active key, stamping last_used_at. Returns { user, apiKey } or null.
+async function authenticateApiKey(key) {
+  return getRepository().apiKeys.authenticate(hashApiKey(key));
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  isApiKey,
+  parseApiKeyInput,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey,
+};
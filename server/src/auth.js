@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getRepository } = require('./db');
+const { isApiKey, authenticateApiKey } = require('./apiKeys');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const PASSWORD_MIN_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+function isValidEmail(email) {
+  return email.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+function isValidPassword(password) {
+  return typeof password === 'string' && password.length >= PASSWORD_MIN_LENGTH;
+}
+
+// Stored as "scrypt:<salt hex>:<derived key hex>".
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const derived = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt:${salt.toString('hex')}:${derived.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, keyHex] = (stored || '').split(':');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) {
+    return false;
+  }
+  const expected = Buffer.from(keyHex, 'hex');
+  const derived = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issues an opaque bearer token; only its hash is stored.
+async function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  await getRepository().sessions.create({ userId, tokenHash: hashToken(token), expiresAt });
+  return { token, expiresAt };
+}
+
+async function deleteSession(token) {
+  await getRepository().sessions.delete(hashToken(token));
+}
+
+function bearerToken(req) {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// Resolves the bearer token (a session token or an API key) to a user and
+// stores it on req.user; API key requests also get req.apiKey.
+// Responds 401 when the token is missing, unknown, expired or revoked.
+async function requireAuth(req, res, next) {
+  const token = bearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    if (isApiKey(token)) {
+      const match = await authenticateApiKey(token);
+      if (!match) {
+        return res.status(401).json({ error: 'Invalid or revoked API key' });
+      }
+      req.user = match.user;
+      req.apiKey = match.apiKey;
+      return next();
+    }
+
+    const user = await getRepository().sessions.findUser(hashToken(token));
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+    req.user = user;
+    req.sessionToken = token;
+    return next();
+  } catch (err) {
+    req.log.error('Error authenticating request', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// For routes that only make sense from the Dashboard, such as key management.
+function requireSession(req, res, next) {
+  if (req.apiKey) {
+    return res.status(403).json({ error: 'This endpoint requires a signed-in session' });
+  }
+  return next();
+}
+
+// Session requests have every permission; API keys only what they were granted.
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ error: `API key is missing the ${scope} scope` });
+    }
+    return next();
+  };
+}
+
+// Admins are the accounts listed in ADMIN_EMAILS (comma-separated).
+function isAdmin(user) {
+  const admins = (process.env.ADMIN_EMAILS || '').split(',').map(normalizeEmail).filter(Boolean);
+  return Boolean(user) && admins.includes(normalizeEmail(user.email));
+}
+
+// Use after requireAuth and requireSession: admin powers never come from an API key.
+function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  return next();
+}
+
+function serializeUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    isAdmin: isAdmin(row),
+  };
+}
+
+module.exports = {
+  normalizeEmail,
+  isValidEmail,
+  isValidPassword,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  deleteSession,
+  requireAuth,
+  requireSession,
+  isAdmin,
+  requireAdmin,
+  requireScope,
+  serializeUser,
+  PASSWORD_MIN_LENGTH,
+};
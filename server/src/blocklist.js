@@ -0,0 +1,162 @@
+const { getRepository } = require('./db');
+const { getRedirectCache } = require('./redirectCache');
+const { serializeLink } = require('./links');
+
+const MAX_REASON_LENGTH = 500;
+const SCAN_BATCH_SIZE = 500;
+
+// Host names are compared lowercased, without IPv6 brackets or the trailing
+// dot of a fully qualified name. Returns null for unparseable URLs.
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  } catch (err) {
+    return null;
+  }
+}
+
+// "example.com" blocks exactly that host; "*.example.com" blocks the domain
+// and every subdomain. Internationalized names are stored in punycode, as
+// that is how they appear in parsed URLs. Returns { error } or { value }.
+function parseBlockPattern(pattern) {
+  const trimmed = typeof pattern === 'string' ? pattern.trim().toLowerCase() : '';
+  const wildcard = trimmed.startsWith('*.');
+  const domain = wildcard ? trimmed.slice(2) : trimmed;
+  const host = /^[^\s/:@?#*[\]]+$/.test(domain) ? hostOf(`http://${domain}`) : null;
+  if (!host) {
+    return { error: 'pattern must be a host name such as example.com or *.example.com' };
+  }
+  return { value: wildcard ? `*.${host}` : host };
+}
+
+function hostMatchesPattern(host, pattern) {
+  if (pattern.startsWith('*.')) {
+    const domain = pattern.slice(2);
+    return host === domain || host.endsWith(`.${domain}`);
+  }
+  return host === pattern;
+}
+
+// The first blocklist entry whose pattern covers the URL's host, or null.
+function findBlockingEntry(url, entries) {
+  const host = hostOf(url);
+  return (host && entries.find((entry) => hostMatchesPattern(host, entry.pattern))) || null;
+}
+
+// Optional free-text note on a block or a disabled link; blank means none.
+function parseReason(reason) {
+  if (reason == null) return { value: null };
+  if (typeof reason !== 'string' || reason.trim().length > MAX_REASON_LENGTH) {
+    return { error: `reason must be a string of at most ${MAX_REASON_LENGTH} characters` };
+  }
+  return { value: reason.trim() || null };
+}
+
+// Validates POST /api/admin/blocklist. Returns { error } or { pattern, reason }.
+function parseBlockedDomainInput(body) {
+  const pattern = parseBlockPattern(body && body.pattern);
+  const reason = parseReason(body && body.reason);
+  if (pattern.error || reason.error) {
+    return { error: pattern.error || reason.error };
+  }
+  return { pattern: pattern.value, reason: reason.value };
+}
+
+function serializeBlockedDomain(row) {
+  return {
+    id: row.id,
+    pattern: row.pattern,
+    reason: row.reason,
+    createdAt: row.created_at,
+  };
+}
+
+async function listBlockedDomains() {
+  const rows = await getRepository().blockedDomains.list();
+  return rows.map(serializeBlockedDomain);
+}
+
+// A taken pattern surfaces as a unique violation (23505).
+async function addBlockedDomain(userId, { pattern, reason }) {
+  return getRepository().blockedDomains.create({ pattern, reason, userId });
+}
+
+async function findBlockedDomain(id) {
+  return getRepository().blockedDomains.findById(id);
+}
+
+async function removeBlockedDomain(id) {
+  return getRepository().blockedDomains.delete(id);
+}
+
+// Walks every link, whoever owns it, and collects the ones with a
+// destination the entry blocks (their url, any redirect rule's or any split
+// variant's), disabled or not.
+async function findLinksMatching(entry) {
+  const matches = [];
+  let afterId = 0;
+  for (;;) {
+    const rows = await getRepository().links.scan({ afterId, limit: SCAN_BATCH_SIZE });
+    rows.forEach((row) => {
+      const urls = [
+        row.url,
+        ...(row.redirect_rules || []).map((rule) => rule.url),
+        ...(row.split ? row.split.variants : []).map((variant) => variant.url),
+      ];
+      if (urls.some((url) => findBlockingEntry(url, [entry]))) matches.push(row);
+    });
+    if (rows.length < SCAN_BATCH_SIZE) return matches;
+    afterId = rows[rows.length - 1].id;
+  }
+}
+
+function serializeFlaggedLink(row) {
+  return { ...serializeLink(row), ownerId: row.owner_id };
+}
+
+function blockReason(entry) {
+  return entry.reason ? `Blocked domain ${entry.pattern}: ${entry.reason}` : `Blocked domain ${entry.pattern}`;
+}
+
+// Disables the given links and drops them from the redirect cache so they
+// stop redirecting right away. Returns how many were newly disabled.
+async function disableLinks(ids, reason) {
+  if (ids.length === 0) return 0;
+  const disabled = await getRepository().links.disable(ids, reason);
+  await Promise.all(disabled.map(({ code, domain }) => getRedirectCache().invalidate(code, domain)));
+  return disabled.length;
+}
+
+async function disableLinksMatching(entry) {
+  const matches = await findLinksMatching(entry);
+  return disableLinks(matches.map((row) => row.id), blockReason(entry));
+}
+
+// Returns the re-enabled link row, or null if the domain (null for the
+// default one) has no such code.
+async function enableLink(code, domain = null) {
+  const row = await getRepository().links.enable(code, domain);
+  if (row) {
+    await getRedirectCache().invalidate(code, domain);
+  }
+  return row;
+}
+
+module.exports = {
+  hostOf,
+  parseBlockPattern,
+  hostMatchesPattern,
+  findBlockingEntry,
+  parseReason,
+  parseBlockedDomainInput,
+  serializeBlockedDomain,
+  listBlockedDomains,
+  addBlockedDomain,
+  findBlockedDomain,
+  removeBlockedDomain,
+  findLinksMatching,
+  serializeFlaggedLink,
+  disableLinks,
+  disableLinksMatching,
+  enableLink,
+};
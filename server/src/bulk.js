@@ -0,0 +1,181 @@
+const { getRepository } = require('./db');
+const { parseCsvRecords } = require('./csv');
+const { getRedirectCache } = require('./redirectCache');
+const { loadDestinationCheck, checkLinkUrls } = require('./destinations');
+const { loadLinkDomainCheck } = require('./domains');
+const {
+  serializeLink, parseLinkInput, generateCode, MAX_CODE_ATTEMPTS,
+} = require('./links');
+
+const MAX_BULK_ROWS = 1000;
+
+// CSV headers are matched case-insensitively, ignoring spaces, dashes and
+// underscores, so "Expires At" and "expires_at" both work.
+const CSV_COLUMNS = {
+  url: 'url',
+  code: 'code',
+  domain: 'domain',
+  title: 'title',
+  tags: 'tags',
+  folder: 'folder',
+  expiresat: 'expiresAt',
+  validityminutes: 'validityMinutes',
+  maxclicks: 'maxClicks',
+};
+const NUMERIC_FIELDS = ['validityMinutes', 'maxClicks'];
+
+function normalizeHeader(name) {
+  return name.toLowerCase().replace(/[\s_-]/g, '');
+}
+
+// Turns one CSV record into the same shape as a JSON create-link body.
+// Empty cells are treated as absent; tags may be separated by ; or |.
+function csvRecordToBody(record) {
+  const body = {};
+  Object.entries(record).forEach(([header, rawValue]) => {
+    const field = CSV_COLUMNS[normalizeHeader(header)];
+    const value = rawValue.trim();
+    if (!field || value === '') return;
+
+    if (field === 'tags') {
+      body.tags = value.split(/[;|]/).map((tag) => tag.trim()).filter(Boolean);
+    } else if (NUMERIC_FIELDS.includes(field)) {
+      body[field] = Number(value);
+    } else {
+      body[field] = value;
+    }
+  });
+  return body;
+}
+
+// Accepts a JSON array, { links: [...] }, or a text/csv body with a header
+// row. Returns { error } or { rows } of create-link bodies.
+function parseBulkBody(req) {
+  let rows;
+  if (typeof req.body === 'string') {
+    let parsed;
+    try {
+      parsed = parseCsvRecords(req.body);
+    } catch (err) {
+      return { error: `Invalid CSV: ${err.message}` };
+    }
+    if (!parsed.columns.some((column) => normalizeHeader(column) === 'url')) {
+      return { error: 'CSV must have a header row with a url column' };
+    }
+    rows = parsed.records.map(csvRecordToBody);
+  } else if (Array.isArray(req.body)) {
+    rows = req.body;
+  } else if (req.body && Array.isArray(req.body.links)) {
+    rows = req.body.links;
+  } else {
+    return { error: 'Send a JSON array of links or a CSV file' };
+  }
+
+  if (rows.length === 0) {
+    return { error: 'No links to create' };
+  }
+  if (rows.length > MAX_BULK_ROWS) {
+    return { error: `At most ${MAX_BULK_ROWS} links can be created at once` };
+  }
+  return { rows };
+}
+
+// Inserts the pending rows, marking each created or failed. Rows without a
+// code get a random one; if it turns out to be taken the row is retried with
+// a new code (in atomic mode that means retrying the whole batch, since the
+// conflict rolled it back).
+async function insertPendingRows(ownerId, pending, { atomic }) {
+  pending.forEach((result) => {
+    result.generated = !result.input.code;
+    if (result.generated) result.input.code = generateCode();
+  });
+
+  let batch = pending;
+  for (let attempt = 1; batch.length > 0; attempt += 1) {
+    const outcome = await getRepository().links.createMany(
+      ownerId,
+      batch.map((result) => result.input),
+      { atomic },
+    );
+    const retry = [];
+    outcome.results.forEach((created, index) => {
+      const result = batch[index];
+      if (!created.conflict) {
+        if (!outcome.rolledBack) {
+          result.status = 'created';
+          result.link = serializeLink(created.row);
+        }
+      } else if (result.generated && attempt < MAX_CODE_ATTEMPTS) {
+        result.input.code = generateCode();
+        retry.push(result);
+      } else {
+        result.status = 'failed';
+        result.error = result.generated ? 'Could not generate unique code' : 'Code already exists';
+      }
+    });
+    if (atomic && outcome.rolledBack) {
+      batch = retry.length > 0 ? batch : [];
+    } else {
+      batch = retry;
+    }
+  }
+
+  // New codes may have cached misses from before they existed.
+  const created = pending.filter((result) => result.status === 'created');
+  await Promise.all(created.map(({ link }) => getRedirectCache().invalidate(link.code, link.domain)));
+}
+
+// Creates every valid row and reports the outcome of each one. In atomic
+// mode a single failure rolls back the whole batch; otherwise each row
+// succeeds or fails on its own.
+async function createLinksInBulk(ownerId, rows, { atomic }) {
+  const [checkDestination, checkDomain] = await Promise.all([
+    loadDestinationCheck(),
+    loadLinkDomainCheck(ownerId),
+  ]);
+  const seenCodes = new Set();
+  const results = rows.map((body, index) => {
+    const input = parseLinkInput(body);
+    // Hashing a password per row would make large imports crawl.
+    const error = input.error
+      || (input.password && 'Passwords cannot be set in bulk imports; add them to the link afterwards')
+      || checkDomain(input.domain)
+      || checkLinkUrls(checkDestination, input);
+    if (error) {
+      return { row: index + 1, status: 'failed', error };
+    }
+    // Codes only have to be unique per domain.
+    const codeKey = input.code && `${input.domain || ''}/${input.code}`;
+    if (codeKey && seenCodes.has(codeKey)) {
+      return { row: index + 1, status: 'failed', error: 'Duplicate code in this import' };
+    }
+    if (codeKey) seenCodes.add(codeKey);
+    return { row: index + 1, status: 'pending', input };
+  });
+
+  const pending = results.filter((result) => result.status === 'pending');
+  const hasInvalidRows = pending.length < results.length;
+  if (!(atomic && hasInvalidRows) && pending.length > 0) {
+    await insertPendingRows(ownerId, pending, { atomic });
+  }
+
+  const failed = results.filter((result) => result.status === 'failed').length;
+  const report = results.map(({ input, generated, ...result }) => {
+    if (atomic && failed > 0 && result.status !== 'failed') {
+      return { row: result.row, status: 'skipped' };
+    }
+    return result;
+  });
+
+  return {
+    atomic,
+    created: report.filter((result) => result.status === 'created').length,
+    failed,
+    results: report,
+  };
+}
+
+module.exports = {
+  parseBulkBody,
+  createLinksInBulk,
+};
@@ -0,0 +1,40 @@
+// A bounded in-process store: least recently used entries are evicted once
+// maxEntries is reached, and every entry expires after its own TTL. Map keeps
+// insertion order, so re-inserting on read moves an entry to the young end.
+function createLruStore({ maxEntries = 10000, now = Date.now } = {}) {
+  const entries = new Map();
+  let evictions = 0;
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value, ttlMs) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: now() + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      evictions += 1;
+    }
+  }
+
+  return {
+    driver: 'memory',
+    get: async (key) => get(key),
+    set: async (key, value, ttlMs) => set(key, value, ttlMs),
+    delete: async (key) => { entries.delete(key); },
+    info: () => ({ size: entries.size, maxEntries, evictions }),
+  };
+}
+
+module.exports = {
+  createLruStore,
+};
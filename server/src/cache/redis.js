@@ -0,0 +1,73 @@
+const { logger } = require('../logger');
+
+// Shares the redirect cache between instances through Redis (or anything
+// speaking the same GET / SET PX / DEL commands). Values are stored as JSON
+// under a key prefix so the cache can share a Redis with other data.
+function createRedisStore({ client, prefix = 'redirect:' }) {
+  return {
+    driver: 'redis',
+    async get(key) {
+      const value = await client.get(`${prefix}${key}`);
+      return value == null ? undefined : JSON.parse(value);
+    },
+    async set(key, value, ttlMs) {
+      await client.set(`${prefix}${key}`, JSON.stringify(value), 'PX', ttlMs);
+    },
+    async delete(key) {
+      await client.del(`${prefix}${key}`);
+    },
+    info: () => ({}),
+  };
+}
+
+// A process-local stand-in for a Redis client implementing only the commands
+// the store uses. REDIS_URL=memory:// selects it, which is handy for trying the
+// Redis code path in development and tests without running Redis.
+function createRedisStub({ now = Date.now } = {}) {
+  const values = new Map();
+  return {
+    async get(key) {
+      const entry = values.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt != null && entry.expiresAt <= now()) {
+        values.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, mode, ttlMs) {
+      values.set(key, { value: String(value), expiresAt: mode === 'PX' ? now() + ttlMs : null });
+      return 'OK';
+    },
+    async del(key) {
+      return values.delete(key) ? 1 : 0;
+    },
+    async quit() {
+      values.clear();
+      return 'OK';
+    },
+  };
+}
+
+// ioredis is an optional dependency, only loaded when a real server is used.
+// `setting` names the option that asked for Redis, for the missing URL error.
+function createRedisClient(setting, url = process.env.REDIS_URL) {
+  if (!url) {
+    throw new Error(`${setting}=redis needs REDIS_URL`);
+  }
+  if (url.startsWith('memory:')) {
+    return createRedisStub();
+  }
+  const Redis = require('ioredis');
+  const client = new Redis(url, { maxRetriesPerRequest: 1 });
+  client.on('error', (err) => {
+    logger.error('Redis error', { err });
+  });
+  return client;
+}
+
+module.exports = {
+  createRedisStore,
+  createRedisStub,
+  createRedisClient,
+};
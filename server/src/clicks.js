@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { getRepository } = require('./db');
+const { parseUserAgent } = require('./userAgent');
+const { parsePageSize } = require('./pagination');
+const { lookupCountry } = require('./geoip');
+
+const EXPORT_BATCH_SIZE = 1000;
+// Short ?src= markers such as "qr" that say where a visit came from.
+const SOURCE_PATTERN = /^[a-z0-9-]{1,32}$/i;
+
+function hashIp(ip) {
+  if (!ip) return null;
+  const salt = process.env.IP_HASH_SALT || 'url-shortener';
+  return crypto.createHmac('sha256', salt).update(ip).digest('hex');
+}
+
+function referrerHost(referrer) {
+  if (!referrer) return null;
+  try {
+    return new URL(referrer).hostname || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// The country code the CDN in front of the app puts in the header named by
+// TRUSTED_COUNTRY_HEADER (e.g. CF-IPCountry). Visitors can send any header
+// themselves, so none is read unless the deployment says its CDN sets, and
+// overwrites, that one.
+function countryFromHeader(req) {
+  const header = process.env.TRUSTED_COUNTRY_HEADER;
+  const value = header ? req.get(header) : null;
+  if (value && /^[A-Za-z]{2}$/.test(value) && value.toUpperCase() !== 'XX') {
+    return value.toUpperCase();
+  }
+  return null;
+}
+
+// The ?src= marker of a short URL, e.g. /abc123?src=qr for QR code scans.
+// Anything that doesn't look like a marker is ignored rather than stored.
+function sourceFromQuery(req) {
+  const { src } = req.query;
+  return typeof src === 'string' && SOURCE_PATTERN.test(src) ? src.toLowerCase() : null;
+}
+
+// Extracts everything we store about a single redirect from the request.
+// The country comes from the trusted CDN header when one is configured and
+// set, otherwise from the GeoIP database if one is configured.
+async function describeVisit(req) {
+  const { browser, os, device } = parseUserAgent(req.get('user-agent'));
+  return {
+    referrerHost: referrerHost(req.get('referer')),
+    browser,
+    os,
+    device,
+    country: countryFromHeader(req) || await lookupCountry(req.ip),
+    ipHash: hashIp(req.ip),
+    source: sourceFromQuery(req),
+  };
+}
+
+// `visit` is describeVisit()'s result plus the id of the redirect rule that
+// picked the destination, if any.
+async function recordClick(linkId, visit) {
+  await getRepository().clicks.insert(linkId, visit);
+}
+
+function serializeClick(row) {
+  return {
+    id: String(row.id),
+    clickedAt: row.clicked_at,
+    referrer: row.referrer_host,
+    browser: row.browser,
+    os: row.os,
+    device: row.device,
+    country: row.country,
+    source: row.source,
+    rule: row.rule,
+    variant: row.variant,
+  };
+}
+
+// Newest-first keyset pagination over a link's clicks. `cursor` is the id of
+// the last click from the previous page.
+async function listClicks(linkId, { limit, cursor } = {}) {
+  const pageSize = parsePageSize(limit);
+  const result = await getRepository().clicks.listPage(linkId, {
+    limit: pageSize + 1,
+    beforeId: cursor || null,
+  });
+
+  const rows = result.slice(0, pageSize);
+  const hasMore = result.length > pageSize;
+  return {
+    clicks: rows.map(serializeClick),
+    nextCursor: hasMore ? String(rows[rows.length - 1].id) : null,
+  };
+}
+
+// Walks all of a link's clicks newest first in fixed-size batches, for
+// exports that must not load the whole click log into memory.
+async function* iterateClicks(linkId, batchSize = EXPORT_BATCH_SIZE) {
+  let beforeId = null;
+  for (;;) {
+    const rows = await getRepository().clicks.listPage(linkId, { limit: batchSize, beforeId });
+    for (const row of rows) {
+      yield serializeClick(row);
+    }
+    if (rows.length < batchSize) return;
+    beforeId = rows[rows.length - 1].id;
+  }
+}
+
+module.exports = {
+  sourceFromQuery,
+  describeVisit,
+  recordClick,
+  listClicks,
+  iterateClicks,
+};
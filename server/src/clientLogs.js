@@ -0,0 +1,92 @@
+// Ingestion for WARN/ERROR entries shipped by the dashboard's Logger. The
+// endpoint is public (sendBeacon cannot send an Authorization header), so
+// every field is bounded and each IP gets a small budget of batches.
+const CLIENT_LOG_BODY_LIMIT = '64kb';
+const MAX_ENTRIES = 50;
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_CONTEXT_LENGTH = 4000;
+const MAX_FIELD_LENGTH = 500;
+const CLIENT_LEVELS = { ERROR: 'error', WARN: 'warn' };
+
+function truncate(value, maxLength) {
+  return value.length > maxLength ? `${value.slice(0, maxLength)}…` : value;
+}
+
+function optionalString(value, maxLength) {
+  return typeof value === 'string' && value ? truncate(value, maxLength) : undefined;
+}
+
+// Oversized or unserializable context is kept as a truncated JSON preview
+// rather than dropped, since it is usually the most useful part.
+function normalizeContext(context) {
+  if (context == null) return undefined;
+  let json;
+  try {
+    json = JSON.stringify(context);
+  } catch (err) {
+    return { unserializable: true };
+  }
+  if (json === undefined) return undefined;
+  if (json.length <= MAX_CONTEXT_LENGTH) return JSON.parse(json);
+  return { truncated: true, preview: truncate(json, MAX_CONTEXT_LENGTH) };
+}
+
+function normalizeEntry(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const level = typeof entry.level === 'string' ? CLIENT_LEVELS[entry.level.toUpperCase()] : null;
+  if (!level || typeof entry.message !== 'string' || !entry.message) return null;
+
+  const clientTime = new Date(entry.timestamp);
+  return {
+    level,
+    message: truncate(entry.message, MAX_MESSAGE_LENGTH),
+    context: normalizeContext(entry.context),
+    route: optionalString(entry.route, MAX_FIELD_LENGTH),
+    userAgent: optionalString(entry.userAgent, MAX_FIELD_LENGTH),
+    clientTime: Number.isNaN(clientTime.getTime()) ? undefined : clientTime.toISOString(),
+  };
+}
+
+// Accepts { entries: [...] } as JSON, or as text/plain JSON (what
+// sendBeacon sends to avoid a CORS preflight). Malformed entries are dropped
+// rather than failing the batch, since the browser can't do anything about
+// them. Returns { error } or { entries, dropped }.
+function parseClientLogBody(body) {
+  let parsed = body;
+  if (typeof body === 'string') {
+    try {
+      parsed = JSON.parse(body);
+    } catch (err) {
+      return { error: 'Body must be JSON' };
+    }
+  }
+  if (!parsed || !Array.isArray(parsed.entries)) {
+    return { error: 'entries must be an array' };
+  }
+  if (parsed.entries.length > MAX_ENTRIES) {
+    return { error: `At most ${MAX_ENTRIES} entries per batch` };
+  }
+
+  const entries = parsed.entries.map(normalizeEntry).filter(Boolean);
+  return { entries, dropped: parsed.entries.length - entries.length };
+}
+
+// Writes each entry through the request's logger so it carries the
+// request ID, tagged source=client to tell it apart from server logs.
+function logClientEntries(log, entries, { userAgent }) {
+  entries.forEach((entry) => {
+    log[entry.level](entry.message, {
+      source: 'client',
+      context: entry.context,
+      route: entry.route,
+      userAgent: entry.userAgent || userAgent,
+      clientTime: entry.clientTime,
+    });
+  });
+}
+
+module.exports = {
+  CLIENT_LOG_BODY_LIMIT,
+  parseClientLogBody,
+  logClientEntries,
+};
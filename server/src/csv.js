@@ -0,0 +1,80 @@
+// Minimal RFC 4180 CSV support: quoted fields, doubled quotes, CRLF or LF.
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Blank lines carry no data.
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+// Parses CSV with a header row into objects keyed by the header names.
+function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { columns: [], records: [] };
+  const columns = header.map((name) => name.trim());
+  return {
+    columns,
+    records: rows.map((cells) => Object.fromEntries(
+      columns.map((column, index) => [column, cells[index] !== undefined ? cells[index] : '']),
+    )),
+  };
+}
+
+// Quotes a value only when it contains a delimiter, quote or line break.
+// Values that a spreadsheet would treat as a formula are prefixed with a
+// quote so exported URLs/titles cannot run as code when opened.
+function escapeCsvField(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(values) {
+  return `${values.map(escapeCsvField).join(',')}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  escapeCsvField,
+  toCsvRow,
+};
@@ -1,26 +1,38 @@
-const { Pool } = require('pg');
+// Storage is chosen by STORAGE_DRIVER: "postgres" (default, needs
+// DATABASE_URL), "sqlite" (a local file at SQLITE_PATH) or "memory" (nothing
+// persisted). Each backend lives in ./storage and exposes the same
+// repository: users, sessions, apiKeys, links and clicks groups whose methods
+// return rows shaped like the Postgres tables.
+const DRIVERS = {
+  postgres: () => require('./storage/postgres').createPostgresRepository(),
+  sqlite: () => require('./storage/sqlite').createSqliteRepository(),
+  memory: () => require('./storage/memory').createMemoryRepository(),
+};
+
+let repository = null;
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.DB_SSL === 'true'
-    ? { rejectUnauthorized: false }
-    : false,
-});
+function createRepository(driver = process.env.STORAGE_DRIVER || 'postgres') {
+  if (!DRIVERS[driver]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}"; use ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return DRIVERS[driver]();
+}
+
+// The repository every module uses, created on first access.
+function getRepository() {
+  if (!repository) {
+    repository = createRepository();
+  }
+  return repository;
+}
 
-async function initDb() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS links (
-      id SERIAL PRIMARY KEY,
-      code VARCHAR(16) UNIQUE NOT NULL,
-      url TEXT NOT NULL,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      last_clicked_at TIMESTAMPTZ,
-      click_count INTEGER NOT NULL DEFAULT 0
-    )
-  `);
+// Swaps the active repository, e.g. for a fresh in-memory one per test.
+function setRepository(next) {
+  repository = next;
 }
 
 module.exports = {
-  pool,
-  initDb,
+  createRepository,
+  getRepository,
+  setRepository,
 };
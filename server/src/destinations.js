@@ -0,0 +1,96 @@
+const net = require('net');
+const { getRepository } = require('./db');
+const { hostOf, findBlockingEntry } = require('./blocklist');
+
+// Addresses a public short link has no business pointing at: loopback,
+// private and link-local ranges, carrier-grade NAT and "this network".
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges.
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16],
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10],
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv6'));
+
+// Names that only resolve inside a local network. Single-label hosts such as
+// http://intranet/ are included, since public DNS never serves them.
+const LOCAL_SUFFIXES = ['.localhost', '.local', '.internal', '.lan', '.home.arpa'];
+
+// Only literal addresses and local names are checked: resolving DNS at
+// create time would be slow, and the answer can change afterwards anyway.
+function isPrivateHost(host) {
+  const family = net.isIP(host);
+  if (family) {
+    return PRIVATE_NETWORKS.check(host, family === 4 ? 'ipv4' : 'ipv6');
+  }
+  return host === 'localhost' || !host.includes('.')
+    || LOCAL_SUFFIXES.some((suffix) => host.endsWith(suffix));
+}
+
+// Links back to the shortener itself, on BASE_URL or one of the verified
+// custom domains, would redirect to another short link, or to themselves in
+// a loop.
+function isSelfReferential(host, shortDomains = []) {
+  const baseHost = process.env.BASE_URL ? hostOf(process.env.BASE_URL) : null;
+  return (Boolean(baseHost) && host === baseHost) || shortDomains.includes(host);
+}
+
+// Builds a synchronous check for many URLs against one snapshot of the
+// blocklist and short domains, e.g. every row of a bulk import. The check
+// returns an error message for a destination links may not use, or null.
+function createDestinationCheck(blockedDomains, shortDomains = []) {
+  return (url) => {
+    const host = hostOf(url);
+    if (!host) {
+      return 'Invalid URL';
+    }
+    if (isSelfReferential(host, shortDomains)) {
+      return 'Links cannot point to this URL shortener';
+    }
+    if (isPrivateHost(host)) {
+      return 'Links cannot point to localhost or private network addresses';
+    }
+    if (findBlockingEntry(url, blockedDomains)) {
+      return 'This destination domain is blocked';
+    }
+    return null;
+  };
+}
+
+async function loadDestinationCheck() {
+  const { blockedDomains, domains } = getRepository();
+  const [blocked, shortDomains] = await Promise.all([blockedDomains.list(), domains.listVerifiedHostnames()]);
+  return createDestinationCheck(blocked, shortDomains);
+}
+
+// Applies a check from createDestinationCheck() to a link's url and the URLs
+// of its redirect rules and split variants; any may be absent in a PATCH.
+function checkLinkUrls(check, { url, rules, split }) {
+  const urlError = url && check(url);
+  if (urlError) return urlError;
+  for (const [index, rule] of (rules || []).entries()) {
+    const error = check(rule.url);
+    if (error) return `Rule ${index + 1}: ${error}`;
+  }
+  for (const [index, variant] of (split ? split.variants : []).entries()) {
+    const error = check(variant.url);
+    if (error) return `Variant ${index + 1}: ${error}`;
+  }
+  return null;
+}
+
+// Runs every destination rule for one link. Resolves to an error message or null.
+async function checkLinkDestinations(link) {
+  return checkLinkUrls(await loadDestinationCheck(), link);
+}
+
+module.exports = {
+  isPrivateHost,
+  isSelfReferential,
+  createDestinationCheck,
+  loadDestinationCheck,
+  checkLinkUrls,
+  checkLinkDestinations,
+};
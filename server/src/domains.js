@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const { getRepository } = require('./db');
+const { normalizeHostname } = require('./links');
+const { isPrivateHost, isSelfReferential } = require('./destinations');
+
+// The TXT record proving control of a domain sits under its own label, so
+// it doesn't mix with the domain's other TXT records (SPF and the like).
+const VERIFICATION_LABEL = '_url-shortener';
+const VERIFICATION_VALUE_PREFIX = 'url-shortener-verification=';
+// Answers meaning "no such record (yet)" rather than a failed lookup.
+const DNS_NOT_FOUND = ['ENOTFOUND', 'ENODATA', 'NXDOMAIN'];
+// How long an instance trusts its list of verified domains. Verifying or
+// removing a domain refreshes it at once on the instance that did it.
+const HOSTNAME_CACHE_TTL_MS = 30 * 1000;
+
+// Same contract as dns.promises.resolveTxt: resolves to a list of records,
+// each a list of string chunks, and rejects with err.code set.
+const resolveTxtWithDns = (name) => dns.promises.resolveTxt(name);
+let resolveTxt = resolveTxtWithDns;
+
+// Swaps the TXT lookup, e.g. for a local stub in tests; null restores DNS.
+function setTxtResolver(next) {
+  resolveTxt = next || resolveTxtWithDns;
+}
+
+function verificationRecord(row) {
+  return {
+    type: 'TXT',
+    name: `${VERIFICATION_LABEL}.${row.hostname}`,
+    value: `${VERIFICATION_VALUE_PREFIX}${row.verification_token}`,
+  };
+}
+
+function serializeDomain(row) {
+  return {
+    id: row.id,
+    hostname: row.hostname,
+    verified: Boolean(row.verified_at),
+    verifiedAt: row.verified_at,
+    createdAt: row.created_at,
+    ...(row.link_count != null ? { linkCount: Number(row.link_count) } : {}),
+    verification: verificationRecord(row),
+  };
+}
+
+// Validates POST /api/domains: { hostname }. Returns { error } or { hostname }.
+function parseDomainInput(body) {
+  const hostname = normalizeHostname(body && body.hostname);
+  if (!hostname) {
+    return { error: 'hostname must be a domain name such as go.example.com' };
+  }
+  if (isPrivateHost(hostname)) {
+    return { error: 'Local and private host names cannot be short domains' };
+  }
+  if (isSelfReferential(hostname)) {
+    return { error: 'That is already the default short domain' };
+  }
+  return { hostname };
+}
+
+// Registers an unverified domain for the user. Other users may claim the
+// same host name until one of them verifies it; a host name already
+// verified, or already claimed by this user, surfaces as a unique violation
+// (23505).
+async function createDomain(ownerId, { hostname }) {
+  return getRepository().domains.create({
+    hostname,
+    ownerId,
+    verificationToken: crypto.randomBytes(16).toString('hex'),
+  });
+}
+
+async function listDomains(ownerId) {
+  const rows = await getRepository().domains.listByOwner(ownerId);
+  return rows.map(serializeDomain);
+}
+
+async function findDomain(ownerId, id) {
+  return getRepository().domains.findOwned(ownerId, id);
+}
+
+let hostnameCache = null;
+
+function forgetVerifiedHostnames() {
+  hostnameCache = null;
+}
+
+// Concurrent redirects share one load; a failed load isn't kept.
+function verifiedHostnames() {
+  if (!hostnameCache || Date.now() - hostnameCache.loadedAt >= HOSTNAME_CACHE_TTL_MS) {
+    const names = getRepository().domains.listVerifiedHostnames().then((list) => new Set(list));
+    hostnameCache = { names, loadedAt: Date.now() };
+    names.catch(() => {
+      if (hostnameCache && hostnameCache.names === names) forgetVerifiedHostnames();
+    });
+  }
+  return hostnameCache.names;
+}
+
+// The code namespace a request's Host header selects: a verified custom
+// domain, or null for the default domain (BASE_URL, and any host that isn't
+// a verified custom domain).
+async function domainForHost(host) {
+  const hostname = normalizeHostname(host);
+  if (!hostname) return null;
+  return (await verifiedHostnames()).has(hostname) ? hostname : null;
+}
+
+// Looks for the domain's verification TXT record and marks the domain
+// verified once it is there, dropping other users' unverified claims to it.
+// Returns { error } or the updated { domain } row; a host name someone else
+// verified first surfaces as a unique violation (23505).
+async function verifyDomain(domain) {
+  const { name, value } = verificationRecord(domain);
+  let records;
+  try {
+    records = await resolveTxt(name);
+  } catch (err) {
+    if (!err.code) throw err;
+    if (!DNS_NOT_FOUND.includes(err.code)) {
+      return { error: `DNS lookup of ${name} failed (${err.code}); try again later` };
+    }
+    records = [];
+  }
+  if (!records.some((chunks) => chunks.join('') === value)) {
+    return { error: `No TXT record at ${name} with the value ${value} was found` };
+  }
+
+  const row = await getRepository().domains.markVerified(domain.id);
+  forgetVerifiedHostnames();
+  return { domain: row };
+}
+
+// Domains still holding links are kept, so their short URLs don't silently
+// fall back to the default domain. Returns false in that case.
+async function removeDomain(domain) {
+  const removed = await getRepository().domains.delete(domain.id);
+  if (removed) forgetVerifiedHostnames();
+  return removed;
+}
+
+// Builds a synchronous check of the domains a user may create links on
+// (their own verified ones), for one or many links. The check returns an
+// error message or null; null stands for the default domain, always allowed.
+async function loadLinkDomainCheck(ownerId) {
+  const owned = await getRepository().domains.listByOwner(ownerId);
+  return (hostname) => {
+    if (!hostname) return null;
+    const domain = owned.find((entry) => entry.hostname === hostname);
+    if (!domain) {
+      return `Unknown domain ${hostname}`;
+    }
+    if (!domain.verified_at) {
+      return `Domain ${hostname} is not verified yet`;
+    }
+    return null;
+  };
+}
+
+async function checkLinkDomain(ownerId, hostname) {
+  return hostname ? (await loadLinkDomainCheck(ownerId))(hostname) : null;
+}
+
+module.exports = {
+  setTxtResolver,
+  serializeDomain,
+  parseDomainInput,
+  createDomain,
+  listDomains,
+  findDomain,
+  forgetVerifiedHostnames,
+  domainForHost,
+  verifyDomain,
+  removeDomain,
+  loadLinkDomainCheck,
+  checkLinkDomain,
+};
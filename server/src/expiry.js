@@ -0,0 +1,84 @@
+const { getRepository } = require('./db');
+const { logger } = require('./logger');
+
+const DEFAULT_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Reads the optional expiry settings from a create-link request body.
+// Returns { error } for bad input, otherwise { expiresAt, maxClicks } where
+// either value may be null for "no limit".
+function parseExpiryOptions(body) {
+  const { expiresAt, validityMinutes, maxClicks } = body || {};
+  let expiresAtDate = null;
+
+  if (expiresAt != null && validityMinutes != null) {
+    return { error: 'Provide either expiresAt or validityMinutes, not both' };
+  }
+
+  if (expiresAt != null) {
+    expiresAtDate = new Date(expiresAt);
+    if (typeof expiresAt !== 'string' || Number.isNaN(expiresAtDate.getTime())) {
+      return { error: 'Invalid expiresAt' };
+    }
+    if (expiresAtDate.getTime() <= Date.now()) {
+      return { error: 'expiresAt must be in the future' };
+    }
+  }
+
+  if (validityMinutes != null) {
+    if (!isPositiveInteger(validityMinutes)) {
+      return { error: 'validityMinutes must be a positive integer' };
+    }
+    expiresAtDate = new Date(Date.now() + validityMinutes * 60 * 1000);
+  }
+
+  if (maxClicks != null && !isPositiveInteger(maxClicks)) {
+    return { error: 'maxClicks must be a positive integer' };
+  }
+
+  return {
+    expiresAt: expiresAtDate,
+    maxClicks: maxClicks != null ? maxClicks : null,
+  };
+}
+
+function isLinkExpired(row, now = new Date()) {
+  if (row.expires_at && new Date(row.expires_at) <= now) {
+    return true;
+  }
+  return row.max_clicks != null && row.click_count >= row.max_clicks;
+}
+
+// Moves links that have passed their expiry time or used up their click
+// budget into links_archive. Returns the number of rows archived.
+async function archiveExpiredLinks() {
+  return getRepository().links.archiveExpired();
+}
+
+function startExpiryReaper(intervalMs = DEFAULT_SWEEP_INTERVAL_MS) {
+  async function sweep() {
+    try {
+      const archived = await archiveExpiredLinks();
+      if (archived > 0) {
+        logger.info('Archived expired links', { archived });
+      }
+    } catch (err) {
+      logger.error('Error archiving expired links', { err });
+    }
+  }
+
+  const timer = setInterval(sweep, intervalMs);
+  timer.unref();
+  sweep();
+  return timer;
+}
+
+module.exports = {
+  parseExpiryOptions,
+  isLinkExpired,
+  archiveExpiredLinks,
+  startExpiryReaper,
+};
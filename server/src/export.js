@@ -0,0 +1,114 @@
+const { toCsvRow } = require('./csv');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// CSV columns for each export. Tags are joined with ";" so the file can be
+// fed straight back into POST /api/links/bulk.
+const LINK_EXPORT_COLUMNS = [
+  { header: 'code', value: (link) => link.code },
+  { header: 'domain', value: (link) => link.domain },
+  { header: 'url', value: (link) => link.url },
+  { header: 'title', value: (link) => link.title },
+  { header: 'tags', value: (link) => link.tags.join(';') },
+  { header: 'folder', value: (link) => link.folder },
+  { header: 'createdAt', value: (link) => toIso(link.createdAt) },
+  { header: 'lastClickedAt', value: (link) => toIso(link.lastClickedAt) },
+  { header: 'clickCount', value: (link) => link.clickCount },
+  { header: 'expiresAt', value: (link) => toIso(link.expiresAt) },
+  { header: 'maxClicks', value: (link) => link.maxClicks },
+  { header: 'shortUrl', value: (link) => link.shortUrl },
+];
+
+const CLICK_EXPORT_COLUMNS = [
+  { header: 'id', value: (click) => click.id },
+  { header: 'clickedAt', value: (click) => toIso(click.clickedAt) },
+  { header: 'referrer', value: (click) => click.referrer },
+  { header: 'browser', value: (click) => click.browser },
+  { header: 'os', value: (click) => click.os },
+  { header: 'device', value: (click) => click.device },
+  { header: 'country', value: (click) => click.country },
+  { header: 'source', value: (click) => click.source },
+  { header: 'rule', value: (click) => click.rule },
+  { header: 'variant', value: (click) => click.variant },
+];
+
+function parseExportFormat(value) {
+  const format = value || 'csv';
+  if (typeof format !== 'string' || !Object.hasOwn(EXPORT_FORMATS, format)) {
+    return { error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+  return { format };
+}
+
+function exportFilename(name, format) {
+  const date = new Date().toISOString().slice(0, 10);
+  return `${name}-${date}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// Resolves once the socket can take more data (or the client went away).
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+function formatItem(format, columns, item, index) {
+  if (format === 'csv') return toCsvRow(columns.map((column) => column.value(item)));
+  if (format === 'ndjson') return `${JSON.stringify(item)}\n`;
+  return `${index === 0 ? '' : ',\n'}${JSON.stringify(item)}`;
+}
+
+// Writes `items` (an async iterable) to the response as it is produced,
+// respecting backpressure. Headers are only sent once the first item has
+// been fetched, so a failing query can still become a normal 500.
+async function streamExport(res, {
+  format, name, columns, items,
+}) {
+  const iterator = items[Symbol.asyncIterator]();
+  let next = await iterator.next();
+
+  res.set({
+    'Content-Type': EXPORT_FORMATS[format].contentType,
+    'Content-Disposition': `attachment; filename="${exportFilename(name, format)}"`,
+    'Cache-Control': 'no-store',
+  });
+  if (format === 'csv') res.write(toCsvRow(columns.map((column) => column.header)));
+  if (format === 'json') res.write('[\n');
+
+  let index = 0;
+  while (!next.done) {
+    if (!res.write(formatItem(format, columns, next.value, index))) {
+      await waitForDrain(res);
+    }
+    if (res.destroyed) {
+      await iterator.return();
+      return;
+    }
+    index += 1;
+    next = await iterator.next();
+  }
+
+  if (format === 'json') res.write('\n]\n');
+  res.end();
+}
+
+module.exports = {
+  LINK_EXPORT_COLUMNS,
+  CLICK_EXPORT_COLUMNS,
+  parseExportFormat,
+  streamExport,
+};
@@ -0,0 +1,48 @@
+const net = require('net');
+const { logger } = require('./logger');
+
+// Country lookups from a local MaxMind-format database (e.g. GeoLite2-Country
+// or GeoLite2-City .mmdb) at GEOIP_DATABASE. The file is read once, on the
+// first lookup; replacing it takes a restart. maxmind is an optional
+// dependency, so it is only loaded when a database is configured.
+let readerPromise = null;
+
+function openReader(path) {
+  return Promise.resolve()
+    .then(() => require('maxmind').open(path))
+    .catch((err) => {
+      // Lookups just find nothing rather than failing every redirect.
+      logger.error('Error opening GeoIP database', { err, path });
+      return null;
+    });
+}
+
+function getReader() {
+  const path = process.env.GEOIP_DATABASE;
+  if (!path) return Promise.resolve(null);
+  if (!readerPromise) readerPromise = openReader(path);
+  return readerPromise;
+}
+
+// Drops the opened database, so the next lookup reads GEOIP_DATABASE again.
+function resetGeoIp() {
+  readerPromise = null;
+}
+
+// ISO 3166 country code of an IP address, or null when there is no database
+// or the address isn't in it (private ranges, for one).
+async function lookupCountry(ip) {
+  // Dual-stack sockets report IPv4 clients as ::ffff:a.b.c.d.
+  const address = typeof ip === 'string' ? ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '') : '';
+  if (!net.isIP(address)) return null;
+  const reader = await getReader();
+  if (!reader) return null;
+  const record = reader.get(address);
+  const code = record && record.country && record.country.iso_code;
+  return code ? code.toUpperCase() : null;
+}
+
+module.exports = {
+  resetGeoIp,
+  lookupCountry,
+};
@@ -2,150 +2,583 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { pool, initDb } = require('./db');
+const { getRepository } = require('./db');
+const { getRedirectCache } = require('./redirectCache');
+const { startExpiryReaper } = require('./expiry');
+const {
+  CLIENT_LOG_BODY_LIMIT,
+  parseClientLogBody,
+  logClientEntries,
+} = require('./clientLogs');
+const { logger } = require('./logger');
+const { rateLimit, limitFailures, clientKey } = require('./rateLimit');
+const { renderUnlockPage } = require('./unlockPage');
+const { assignRequestId, logRequests, handleErrors } = require('./requestLogging');
+const {
+  trackRequests,
+  countRedirects,
+  requireMetricsToken,
+  metricsHandler,
+} = require('./metrics');
+const {
+  normalizeEmail,
+  isValidEmail,
+  isValidPassword,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  deleteSession,
+  requireAuth,
+  requireSession,
+  requireAdmin,
+  requireScope,
+  serializeUser,
+  PASSWORD_MIN_LENGTH,
+} = require('./auth');
+const {
+  parseApiKeyInput,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+} = require('./apiKeys');
+const {
+  shortBaseUrl,
+  serializeLink,
+  parseLinkDomain,
+  parseLinkInput,
+  createLink,
+  parseLinkUpdate,
+  updateLink,
+  parseBulkTagBody,
+  applyBulkTags,
+  listTags,
+  listFolders,
+  findOwnedOrArchived,
+  listRevisions,
+  parseListQuery,
+  listLinks,
+  iterateLinks,
+} = require('./links');
+const {
+  sourceFromQuery,
+  describeVisit,
+  recordClick,
+  listClicks,
+  iterateClicks,
+} = require('./clicks');
+const { ruleContext, matchRedirectRule } = require('./redirectRules');
+const { rememberedVariantId, rememberVariant, pickVariant } = require('./variants');
+const {
+  parseQrOptions,
+  qrTargetUrl,
+  isLogoConfigured,
+  renderQrCode,
+} = require('./qr');
+const { parseStatsQuery, getLinkStats } = require('./analytics');
+const { parseBulkBody, createLinksInBulk } = require('./bulk');
+const { checkLinkDestinations } = require('./destinations');
+const {
+  serializeDomain,
+  parseDomainInput,
+  createDomain,
+  listDomains,
+  findDomain,
+  domainForHost,
+  verifyDomain,
+  removeDomain,
+  checkLinkDomain,
+} = require('./domains');
+const {
+  parseReason,
+  parseBlockedDomainInput,
+  serializeBlockedDomain,
+  listBlockedDomains,
+  addBlockedDomain,
+  findBlockedDomain,
+  removeBlockedDomain,
+  findLinksMatching,
+  serializeFlaggedLink,
+  disableLinks,
+  disableLinksMatching,
+  enableLink,
+} = require('./blocklist');
+const {
+  LINK_EXPORT_COLUMNS,
+  CLICK_EXPORT_COLUMNS,
+  parseExportFormat,
+  streamExport,
+} = require('./export');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 const VERSION = process.env.APP_VERSION || '1.0';
+const EXPIRY_SWEEP_INTERVAL_MS = Number(process.env.EXPIRY_SWEEP_INTERVAL_MS) || 5 * 60 * 1000;
+const READINESS_TIMEOUT_MS = 2000;
+
+// Needed behind Render's proxy so req.ip is the visitor, not the load balancer.
+// Accepts a hop count ("1") or anything Express understands ("loopback", IPs).
+const trustProxy = process.env.TRUST_PROXY || 'loopback';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+
+app.use(assignRequestId);
+app.use(logRequests);
+app.use(trackRequests);
 
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
+  // Lets the dashboard read the suggested filename of export downloads.
+  exposedHeaders: ['Content-Disposition'],
 }));
+// Bulk imports can be much larger than a single link and may arrive as CSV.
+app.use(
+  '/api/links/bulk',
+  express.json({ limit: '2mb' }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+);
+// Beacons from the dashboard arrive as text/plain to skip CORS preflight.
+app.use(
+  '/api/client-logs',
+  express.json({ limit: CLIENT_LOG_BODY_LIMIT }),
+  express.text({ type: 'text/plain', limit: CLIENT_LOG_BODY_LIMIT }),
+);
 app.use(express.json());
 
-function isValidUrl(value) {
+// Liveness: the process is up and serving requests. Never touches the
+// database, so a database outage doesn't get healthy instances restarted.
+function liveness(req, res) {
+  res.status(200).json({ ok: true, version: VERSION });
+}
+app.get('/healthz', liveness);
+app.get('/healthz/live', liveness);
+
+// Readiness: the instance can actually serve traffic, i.e. the database
+// answers within READINESS_TIMEOUT_MS.
+app.get('/healthz/ready', async (req, res) => {
+  let timer;
   try {
-    const url = new URL(value);
-    return url.protocol === 'http:' || url.protocol === 'https:';
+    await Promise.race([
+      getRepository().ping(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Database ping timed out')), READINESS_TIMEOUT_MS);
+      }),
+    ]);
+    return res.status(200).json({ ok: true, version: VERSION, database: 'up' });
   } catch (err) {
-    return false;
+    req.log.error('Readiness check failed', { err });
+    return res.status(503).json({ ok: false, version: VERSION, database: 'down' });
+  } finally {
+    clearTimeout(timer);
   }
-}
+});
 
-function isValidCode(code) {
-  return /^[A-Za-z0-9]{6,8}$/.test(code);
-}
+app.get('/metrics', requireMetricsToken, metricsHandler);
 
-function generateCode() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  const length = 6 + Math.floor(Math.random() * 3); // 6-8
-  let result = '';
-  for (let i = 0; i < length; i += 1) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
+// Warnings and errors batched by the dashboard's Logger. Public, because
+// sendBeacon can't authenticate, so it is limited per IP.
+app.post('/api/client-logs', rateLimit('clientLogs'), (req, res) => {
+  const parsed = parseClientLogBody(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
   }
-  return result;
-}
+  logClientEntries(req.log, parsed.entries, { userAgent: req.get('user-agent') });
+  return res.status(202).json({ accepted: parsed.entries.length, dropped: parsed.dropped });
+});
+
+app.post('/api/auth/register', async (req, res) => {
+  const email = normalizeEmail(req.body && req.body.email);
+  const { password } = req.body || {};
+
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: 'Invalid email' });
+  }
+  if (!isValidPassword(password)) {
+    return res.status(400).json({
+      error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const passwordHash = await hashPassword(password);
+    const user = await getRepository().users.create({ email, passwordHash });
+    const session = await createSession(user.id);
+    return res.status(201).json({ ...session, user: serializeUser(user) });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Email already registered' });
+    }
+    req.log.error('Error registering user', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Wrong passwords are counted per client and per client and email. Nothing
+// is shared between clients, so failed guesses from elsewhere can't lock the
+// real owner out of their account.
+const limitFailedLogins = limitFailures(
+  'login',
+  (res) => res.statusCode === 401,
+  (req) => [clientKey(req), `${clientKey(req)}:email:${normalizeEmail(req.body && req.body.email)}`],
+);
 
-async function generateUniqueCode() {
-  let attempts = 0;
-  while (attempts < 10) {
-    const code = generateCode();
-    const existing = await pool.query('SELECT 1 FROM links WHERE code = $1', [code]);
-    if (existing.rowCount === 0) {
-      return code;
+app.post('/api/auth/login', limitFailedLogins, async (req, res) => {
+  const email = normalizeEmail(req.body && req.body.email);
+  const { password } = req.body || {};
+
+  if (!email || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Email and password are required' });
+  }
+
+  try {
+    const user = await getRepository().users.findByEmail(email);
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
     }
-    attempts += 1;
+    const session = await createSession(user.id);
+    return res.json({ ...session, user: serializeUser(user) });
+  } catch (err) {
+    req.log.error('Error logging in', { err });
+    return res.status(500).json({ error: 'Internal server error' });
   }
-  throw new Error('Could not generate unique code');
-}
+});
 
-app.get('/healthz', (req, res) => {
-  res.status(200).json({ ok: true, version: VERSION });
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await deleteSession(req.sessionToken);
+    return res.status(204).send();
+  } catch (err) {
+    req.log.error('Error logging out', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-app.post('/api/links', async (req, res) => {
-  const { url, code } = req.body || {};
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({ user: serializeUser(req.user) });
+});
 
-  if (!url || !isValidUrl(url)) {
-    return res.status(400).json({ error: 'Invalid URL' });
+// Counters for this instance's redirect cache (hits, misses, invalidations).
+app.get('/api/cache/stats', requireAuth, (req, res) => {
+  res.json(getRedirectCache().stats());
+});
+
+app.use('/api/keys', requireAuth, requireSession);
+
+app.post('/api/keys', async (req, res) => {
+  const input = parseApiKeyInput(req.body);
+  if (input.error) {
+    return res.status(400).json({ error: input.error });
   }
 
-  let finalCode = code;
+  try {
+    const apiKey = await createApiKey(req.user.id, input);
+    return res.status(201).json(apiKey);
+  } catch (err) {
+    req.log.error('Error creating API key', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
+app.get('/api/keys', async (req, res) => {
   try {
-    if (finalCode) {
-      if (!isValidCode(finalCode)) {
-        return res.status(400).json({ error: 'Invalid code format' });
-      }
+    res.json(await listApiKeys(req.user.id));
+  } catch (err) {
+    req.log.error('Error listing API keys', { err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-      const existing = await pool.query('SELECT 1 FROM links WHERE code = $1', [finalCode]);
-      if (existing.rowCount > 0) {
-        return res.status(409).json({ error: 'Code already exists' });
-      }
-    } else {
-      finalCode = await generateUniqueCode();
+app.delete('/api/keys/:id', async (req, res) => {
+  const { id } = req.params;
+  if (!/^\d+$/.test(id)) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  try {
+    const revoked = await revokeApiKey(req.user.id, Number(id));
+    if (!revoked) {
+      return res.status(404).json({ error: 'Not found' });
     }
+    return res.status(204).send();
+  } catch (err) {
+    req.log.error('Error revoking API key', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const insert = await pool.query(
-      'INSERT INTO links (code, url) VALUES ($1, $2) RETURNING code, url, created_at, last_clicked_at, click_count',
-      [finalCode, url],
-    );
+// Every link management route acts on the caller's links only. API keys need
+// links:read for reads and links:write for anything that changes data.
+const requireLinksRead = requireScope('links:read');
+const requireLinksWrite = requireScope('links:write');
+app.use('/api/links', requireAuth, (req, res, next) => (
+  req.method === 'GET' || req.method === 'HEAD'
+    ? requireLinksRead(req, res, next)
+    : requireLinksWrite(req, res, next)
+));
+
+// Codes are only unique per domain, so routes naming a link by :code take
+// ?domain= for one on a custom domain; without it, the default domain.
+function readLinkDomain(req, res, next) {
+  const domain = parseLinkDomain(req.query.domain);
+  if (domain.error) {
+    return res.status(400).json({ error: domain.error });
+  }
+  req.linkDomain = domain.value;
+  return next();
+}
+app.use('/api/links/:code', readLinkDomain);
 
-    const row = insert.rows[0];
-    const baseUrl = process.env.BASE_URL || '';
-    const shortUrl = baseUrl ? `${baseUrl}/${row.code}` : null;
+// Creating and listing are limited per API key (or per IP for dashboard
+// sessions), after auth so the key is known.
+app.post('/api/links', rateLimit('create'), async (req, res) => {
+  const input = parseLinkInput(req.body || {});
+  if (input.error) {
+    return res.status(400).json({ error: input.error });
+  }
 
-    return res.status(201).json({
-      code: row.code,
-      url: row.url,
-      createdAt: row.created_at,
-      lastClickedAt: row.last_clicked_at,
-      clickCount: row.click_count,
-      shortUrl,
-    });
+  try {
+    const error = await checkLinkDomain(req.user.id, input.domain) || await checkLinkDestinations(input);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const row = await createLink(req.user.id, input);
+    return res.status(201).json(serializeLink(row));
   } catch (err) {
     if (err.code === '23505') {
       return res.status(409).json({ error: 'Code already exists' });
     }
-    console.error('Error creating link', err);
+    req.log.error('Error creating link', { err });
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/api/links', async (req, res) => {
+// Creates many links at once from a JSON array or a CSV file. By default
+// each row succeeds or fails on its own; ?atomic=true makes it all-or-nothing.
+app.post('/api/links/bulk', rateLimit('create'), async (req, res) => {
+  const parsed = parseBulkBody(req);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
   try {
-    const result = await pool.query(
-      'SELECT code, url, created_at, last_clicked_at, click_count FROM links ORDER BY created_at DESC',
-    );
-    const baseUrl = process.env.BASE_URL || '';
-    const links = result.rows.map((row) => ({
-      code: row.code,
-      url: row.url,
-      createdAt: row.created_at,
-      lastClickedAt: row.last_clicked_at,
-      clickCount: row.click_count,
-      shortUrl: baseUrl ? `${baseUrl}/${row.code}` : null,
-    }));
-    res.json(links);
+    const atomic = req.query.atomic === 'true';
+    const report = await createLinksInBulk(req.user.id, parsed.rows, { atomic });
+    let status = 201;
+    if (report.failed > 0) status = atomic ? 422 : 207;
+    return res.status(status).json(report);
   } catch (err) {
-    console.error('Error listing links', err);
-    res.status(500).json({ error: 'Internal server error' });
+    req.log.error('Error bulk creating links', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/links', rateLimit('list'), async (req, res) => {
+  const options = parseListQuery(req.query);
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+
+  try {
+    return res.json(await listLinks(req.user.id, options));
+  } catch (err) {
+    req.log.error('Error listing links', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Streams every link matching the list filters (q, tag, folder, sort, order)
+// as a downloadable file; pagination parameters are ignored.
+app.get('/api/links/export', rateLimit('list'), async (req, res) => {
+  const { format, error: formatError } = parseExportFormat(req.query.format);
+  const {
+    q, tag, folder, sort, order,
+  } = req.query;
+  const options = parseListQuery({
+    q, tag, folder, sort, order,
+  });
+  if (formatError || options.error) {
+    return res.status(400).json({ error: formatError || options.error });
+  }
+
+  try {
+    return await streamExport(res, {
+      format,
+      name: 'links',
+      columns: LINK_EXPORT_COLUMNS,
+      items: iterateLinks(req.user.id, options),
+    });
+  } catch (err) {
+    req.log.error('Error exporting links', { err });
+    if (res.headersSent) return res.destroy();
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Adds and removes tags on many links at once, e.g. a selection of rows in
+// the dashboard. Unknown codes are reported rather than failing the request.
+app.post('/api/links/tags', async (req, res) => {
+  const input = parseBulkTagBody(req.body);
+  if (input.error) {
+    return res.status(400).json({ error: input.error });
+  }
+
+  try {
+    const result = await applyBulkTags(req.user.id, input);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    return res.json(result);
+  } catch (err) {
+    req.log.error('Error tagging links', { err });
+    return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 app.get('/api/links/:code', async (req, res) => {
   const { code } = req.params;
   try {
-    const result = await pool.query(
-      'SELECT code, url, created_at, last_clicked_at, click_count FROM links WHERE code = $1',
-      [code],
-    );
-    if (result.rowCount === 0) {
+    const link = await findOwnedOrArchived(req.user.id, code, req.linkDomain);
+    if (!link) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    return res.json(serializeLink(link));
+  } catch (err) {
+    req.log.error('Error getting link', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/api/links/:code', async (req, res) => {
+  const { code } = req.params;
+  const update = parseLinkUpdate(req.body);
+  if (update.error) {
+    return res.status(400).json({ error: update.error });
+  }
+
+  try {
+    const { changes } = update;
+    const destinationError = (changes.url || changes.rules || changes.split) && await checkLinkDestinations(changes);
+    if (destinationError) {
+      return res.status(400).json({ error: destinationError });
+    }
+    const row = await updateLink(req.user.id, code, update.changes, req.user.id, req.linkDomain);
+    if (!row) {
       return res.status(404).json({ error: 'Not found' });
     }
-    const row = result.rows[0];
-    const baseUrl = process.env.BASE_URL || '';
-    const shortUrl = baseUrl ? `${baseUrl}/${row.code}` : null;
-    return res.json({
-      code: row.code,
-      url: row.url,
-      createdAt: row.created_at,
-      lastClickedAt: row.last_clicked_at,
-      clickCount: row.click_count,
-      shortUrl,
+    return res.json(serializeLink(row));
+  } catch (err) {
+    req.log.error('Error updating link', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/links/:code/history', async (req, res) => {
+  const { code } = req.params;
+  try {
+    const link = await findOwnedOrArchived(req.user.id, code, req.linkDomain);
+    if (!link) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    return res.json(await listRevisions(link.id));
+  } catch (err) {
+    req.log.error('Error listing link history', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/links/:code/clicks', async (req, res) => {
+  const { code } = req.params;
+  const { limit, cursor } = req.query;
+
+  // Repeated or bracketed parameters (?cursor=1&cursor=2, cursor[]=1) parse
+  // as arrays or objects, which a pattern test would stringify.
+  if (cursor !== undefined && (typeof cursor !== 'string' || !/^\d+$/.test(cursor))) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  try {
+    const link = await findOwnedOrArchived(req.user.id, code, req.linkDomain);
+    if (!link) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    const page = await listClicks(link.id, { limit, cursor });
+    return res.json(page);
+  } catch (err) {
+    req.log.error('Error listing clicks', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/links/:code/clicks/export', async (req, res) => {
+  const { code } = req.params;
+  const { format, error } = parseExportFormat(req.query.format);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const link = await findOwnedOrArchived(req.user.id, code, req.linkDomain);
+    if (!link) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    return await streamExport(res, {
+      format,
+      name: `clicks-${code}`,
+      columns: CLICK_EXPORT_COLUMNS,
+      items: iterateClicks(link.id),
     });
   } catch (err) {
-    console.error('Error getting link', err);
+    req.log.error('Error exporting clicks', { err });
+    if (res.headersSent) return res.destroy();
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/links/:code/stats', async (req, res) => {
+  const { code } = req.params;
+  const range = parseStatsQuery(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  try {
+    const link = await findOwnedOrArchived(req.user.id, code, req.linkDomain);
+    if (!link) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    const stats = await getLinkStats(link.id, range);
+    return res.json(stats);
+  } catch (err) {
+    req.log.error('Error getting link stats', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The link's QR code, rendered here rather than by a third-party service.
+// It encodes the short URL with ?src=qr, so scans can be told apart from
+// other visits in the link's click data.
+app.get('/api/links/:code/qr', async (req, res) => {
+  const { code } = req.params;
+  const options = parseQrOptions(req.query);
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+  if (options.logo && !isLogoConfigured()) {
+    return res.status(400).json({ error: 'No logo is configured (QR_LOGO_PATH)' });
+  }
+
+  try {
+    const link = await getRepository().links.findOwned(req.user.id, code, req.linkDomain);
+    if (!link) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    const baseUrl = shortBaseUrl(link.domain) || `${req.protocol}://${req.get('host')}`;
+    const { contentType, body } = await renderQrCode(qrTargetUrl(baseUrl, code), options);
+    res.set({ 'Content-Type': contentType, 'Cache-Control': 'private, max-age=3600' });
+    if (req.query.download === 'true' || req.query.download === '1') {
+      res.attachment(`${code}.${options.format}`);
+    }
+    return res.send(body);
+  } catch (err) {
+    req.log.error('Error rendering QR code', { err });
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -153,41 +586,359 @@ app.get('/api/links/:code', async (req, res) => {
 app.delete('/api/links/:code', async (req, res) => {
   const { code } = req.params;
   try {
-    const result = await pool.query('DELETE FROM links WHERE code = $1 RETURNING id', [code]);
-    if (result.rowCount === 0) {
+    const deleted = await getRepository().links.delete(req.user.id, code, req.linkDomain);
+    if (!deleted) {
       return res.status(404).json({ error: 'Not found' });
     }
+    await getRedirectCache().invalidate(code, req.linkDomain);
     return res.status(204).send();
   } catch (err) {
-    console.error('Error deleting link', err);
+    req.log.error('Error deleting link', { err });
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/:code([A-Za-z0-9]{6,8})', async (req, res) => {
-  const { code } = req.params;
+// Tags and folders in use across the caller's links, with link and click
+// totals for each. Readable with the same scope as the links themselves.
+app.get('/api/tags', requireAuth, requireLinksRead, async (req, res) => {
+  try {
+    res.json(await listTags(req.user.id));
+  } catch (err) {
+    req.log.error('Error listing tags', { err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/folders', requireAuth, requireLinksRead, async (req, res) => {
+  try {
+    res.json(await listFolders(req.user.id));
+  } catch (err) {
+    req.log.error('Error listing folders', { err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Custom short domains. Adding one hands out a TXT record to publish; once
+// POST /verify finds it, links can be created on the domain and requests
+// whose Host is the domain resolve codes among its links only.
+app.use('/api/domains', requireAuth, requireSession);
+
+// Resolves :id to one of the caller's domains on req.domain, or answers 404.
+async function loadDomain(req, res, next) {
+  const { id } = req.params;
   try {
-    const result = await pool.query(
-      'SELECT id, url, click_count FROM links WHERE code = $1',
-      [code],
-    );
-    if (result.rowCount === 0) {
-      return res.status(404).send('Not found');
+    const domain = /^\d+$/.test(id) ? await findDomain(req.user.id, Number(id)) : null;
+    if (!domain) {
+      return res.status(404).json({ error: 'Not found' });
     }
-    const link = result.rows[0];
+    req.domain = domain;
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
 
-    await pool.query(
-      'UPDATE links SET click_count = $1, last_clicked_at = NOW() WHERE id = $2',
-      [link.click_count + 1, link.id],
-    );
+app.get('/api/domains', async (req, res) => {
+  try {
+    res.json(await listDomains(req.user.id));
+  } catch (err) {
+    req.log.error('Error listing domains', { err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    return res.redirect(302, link.url);
+app.post('/api/domains', async (req, res) => {
+  const input = parseDomainInput(req.body);
+  if (input.error) {
+    return res.status(400).json({ error: input.error });
+  }
+
+  try {
+    const domain = await createDomain(req.user.id, input);
+    return res.status(201).json(serializeDomain(domain));
   } catch (err) {
-    console.error('Error during redirect', err);
-    return res.status(500).send('Internal server error');
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Domain is already registered' });
+    }
+    req.log.error('Error adding domain', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Looks up the verification TXT record now; 422 until it is published.
+app.post('/api/domains/:id/verify', loadDomain, async (req, res) => {
+  try {
+    const result = await verifyDomain(req.domain);
+    if (result.error) {
+      return res.status(422).json({ error: result.error });
+    }
+    return res.json(serializeDomain(result.domain));
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Domain is already verified by another account' });
+    }
+    req.log.error('Error verifying domain', { err });
+    return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+app.delete('/api/domains/:id', loadDomain, async (req, res) => {
+  try {
+    if (!(await removeDomain(req.domain))) {
+      return res.status(409).json({ error: 'Delete the links on this domain first' });
+    }
+    return res.status(204).send();
+  } catch (err) {
+    req.log.error('Error removing domain', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Blocklist and link moderation, for the accounts in ADMIN_EMAILS. New
+// entries only stop new links; matching existing links are reported so an
+// admin can disable them, or disabled at once with disableMatching: true.
+app.use('/api/admin', requireAuth, requireSession, requireAdmin);
+app.use('/api/admin/links/:code', readLinkDomain);
+
+// Resolves :id to a blocklist entry on req.blockedDomain, or answers 404.
+async function loadBlockedDomain(req, res, next) {
+  const { id } = req.params;
+  try {
+    const entry = /^\d+$/.test(id) ? await findBlockedDomain(Number(id)) : null;
+    if (!entry) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    req.blockedDomain = entry;
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+app.get('/api/admin/blocklist', async (req, res) => {
+  try {
+    res.json(await listBlockedDomains());
+  } catch (err) {
+    req.log.error('Error listing blocked domains', { err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/admin/blocklist', async (req, res) => {
+  const input = parseBlockedDomainInput(req.body);
+  if (input.error) {
+    return res.status(400).json({ error: input.error });
+  }
+
+  try {
+    const entry = await addBlockedDomain(req.user.id, input);
+    const matches = await findLinksMatching(entry);
+    const disabledLinks = req.body.disableMatching === true
+      ? await disableLinksMatching(entry)
+      : 0;
+    return res.status(201).json({
+      ...serializeBlockedDomain(entry),
+      matchingLinks: matches.length,
+      disabledLinks,
+    });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Pattern is already blocked' });
+    }
+    req.log.error('Error adding blocked domain', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Removing an entry leaves links it disabled disabled; re-enable them one by one.
+app.delete('/api/admin/blocklist/:id', loadBlockedDomain, async (req, res) => {
+  try {
+    await removeBlockedDomain(req.blockedDomain.id);
+    return res.status(204).send();
+  } catch (err) {
+    req.log.error('Error removing blocked domain', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Every link, of any owner, whose destination the entry blocks.
+app.get('/api/admin/blocklist/:id/links', loadBlockedDomain, async (req, res) => {
+  try {
+    const matches = await findLinksMatching(req.blockedDomain);
+    return res.json(matches.map(serializeFlaggedLink));
+  } catch (err) {
+    req.log.error('Error listing flagged links', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/admin/blocklist/:id/disable-links', loadBlockedDomain, async (req, res) => {
+  try {
+    return res.json({ disabledLinks: await disableLinksMatching(req.blockedDomain) });
+  } catch (err) {
+    req.log.error('Error disabling flagged links', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/admin/links/:code/disable', async (req, res) => {
+  const reason = parseReason(req.body && req.body.reason);
+  if (reason.error) {
+    return res.status(400).json({ error: reason.error });
+  }
+
+  try {
+    const link = await getRepository().links.findByCode(req.params.code, req.linkDomain);
+    if (!link) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    await disableLinks([link.id], reason.value || 'Disabled by an admin');
+    const updated = await getRepository().links.findByCode(req.params.code, req.linkDomain);
+    return res.json(serializeLink(updated));
+  } catch (err) {
+    req.log.error('Error disabling link', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/admin/links/:code/enable', async (req, res) => {
+  try {
+    const link = await enableLink(req.params.code, req.linkDomain);
+    if (!link) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    return res.json(serializeLink(link));
+  } catch (err) {
+    req.log.error('Error enabling link', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Links created before accounts existed have no owner, so no one can see or
+// manage them. This gives all of them, archived ones included, to the
+// account with the given email.
+app.post('/api/admin/unowned-links/assign', async (req, res) => {
+  const email = normalizeEmail(req.body && req.body.email);
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: 'A valid email is required' });
+  }
+
+  try {
+    const user = await getRepository().users.findByEmail(email);
+    if (!user) {
+      return res.status(404).json({ error: 'No account with that email' });
+    }
+    return res.json({ assignedLinks: await getRepository().links.assignUnowned(user.id) });
+  } catch (err) {
+    req.log.error('Error assigning unowned links', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Answers for codes that can't be followed. Returns true if it responded.
+function sendUnavailable(res, target) {
+  if (target.status === 'missing') {
+    res.status(404).send('Not found');
+  } else if (target.status === 'expired' || (target.expiresAt && target.expiresAt <= Date.now())) {
+    res.status(410).send('Link expired');
+  } else if (target.status === 'disabled') {
+    res.status(403).send('This link has been disabled');
+  } else {
+    return false;
+  }
+  return true;
+}
+
+// Counts the click and sends the visitor to the destination: that of the
+// first redirect rule the visit matches, or else a variant of the link's
+// split, or else the link's url. The click budget is enforced here rather
+// than from the (possibly cached) lookup, so it also catches links that ran
+// out since then. When the click can't be counted the link is looked up
+// again, since a cached link may also have been deleted or archived.
+async function followLink(req, res, { code, domain }, target, status) {
+  if (!(await getRepository().links.countClick(target.id))) {
+    await getRedirectCache().invalidate(code, domain);
+    const current = await getRedirectCache().resolve(code, domain);
+    // Still active means the code went to a new link; the cached one is gone.
+    if (!sendUnavailable(res, current)) res.status(404).send('Not found');
+    return res;
+  }
+  const visit = await describeVisit(req);
+  const rule = matchRedirectRule(target.rules, ruleContext(req, visit));
+  const variant = rule ? null : pickVariant(target.split, rememberedVariantId(req));
+  if (variant && target.split.sticky) {
+    rememberVariant(req, res, code, variant);
+  }
+  const served = { rule: rule ? rule.id : null, variant: variant ? variant.id : null };
+  recordClick(target.id, { ...visit, ...served }).catch((err) => {
+    req.log.error('Error recording click', { err });
+  });
+  return res.redirect(status, (rule || variant || target).url);
+}
+
+// The form posts back with the visit's ?src= marker, so an unlocked QR
+// scan still counts as one.
+function sendUnlockPage(req, res, status, error) {
+  res.set('Cache-Control', 'no-store');
+  return res.status(status).type('html').send(renderUnlockPage({
+    code: req.params.code,
+    source: sourceFromQuery(req),
+    error,
+  }));
+}
+
+// Unknown codes spend the client's redirectMiss budget, which stops code
+// enumeration without ever slowing down real links. The Host header picks
+// which domain's codes are searched.
+const limitRedirectMisses = limitFailures('redirectMiss', (res) => res.statusCode === 404);
+app.get('/:code([A-Za-z0-9]{6,8})', countRedirects, limitRedirectMisses, async (req, res) => {
+  const { code } = req.params;
+  try {
+    const domain = await domainForHost(req.hostname);
+    const target = await getRedirectCache().resolve(code, domain);
+    if (sendUnavailable(res, target)) return undefined;
+    if (target.passwordProtected) {
+      return sendUnlockPage(req, res, 200);
+    }
+    return await followLink(req, res, { code, domain }, target, 302);
+  } catch (err) {
+    req.log.error('Error during redirect', { err });
+    return res.status(500).send(`Internal server error (request ${req.id})`);
+  }
+});
+
+// The unlock form posts the password here. Wrong passwords spend the
+// client's unlock budget; the right one redirects (303, so the browser
+// follows with a GET) and counts as a click. Nothing is remembered, so
+// every visit asks again.
+const limitWrongPasswords = limitFailures('unlock', (res) => res.statusCode === 401);
+app.post(
+  '/:code([A-Za-z0-9]{6,8})',
+  express.urlencoded({ extended: false, limit: '4kb' }),
+  countRedirects,
+  limitWrongPasswords,
+  async (req, res) => {
+    const { code } = req.params;
+    try {
+      const domain = await domainForHost(req.hostname);
+      const target = await getRedirectCache().resolve(code, domain);
+      if (sendUnavailable(res, target)) return undefined;
+
+      if (target.passwordProtected) {
+        const password = req.body && typeof req.body.password === 'string' ? req.body.password : '';
+        const link = await getRepository().links.findByCode(code, domain);
+        if (!link || !(await verifyPassword(password, link.password_hash))) {
+          return sendUnlockPage(req, res, 401, 'Incorrect password, please try again.');
+        }
+      }
+      return await followLink(req, res, { code, domain }, target, 303);
+    } catch (err) {
+      req.log.error('Error unlocking link', { err });
+      return res.status(500).send(`Internal server error (request ${req.id})`);
+    }
+  },
+);
+
 const buildDir = process.env.FRONTEND_BUILD_DIR;
 if (buildDir) {
   const resolvedBuildDir = path.resolve(__dirname, '..', buildDir);
@@ -195,21 +946,36 @@ if (buildDir) {
   app.get('/code/:code', (req, res) => {
     res.sendFile(path.join(resolvedBuildDir, 'index.html'));
   });
+  app.get('/login', (req, res) => {
+    res.sendFile(path.join(resolvedBuildDir, 'index.html'));
+  });
   app.get('/', (req, res) => {
     res.sendFile(path.join(resolvedBuildDir, 'index.html'));
   });
 }
 
+app.use(handleErrors);
+
 async function start() {
   try {
-    await initDb();
+    await getRepository().init();
+    startExpiryReaper(EXPIRY_SWEEP_INTERVAL_MS);
     app.listen(PORT, () => {
-      console.log(`Server listening on port ${PORT}`);
+      logger.info('Server listening', { port: Number(PORT) });
     });
   } catch (err) {
-    console.error('Failed to start server', err);
+    logger.error('Failed to start server', { err });
     process.exit(1);
   }
 }
 
-start();
+// Only listen when run directly, so tests can require the app and bind it
+// to a throwaway port themselves.
+if (require.main === module) {
+  start();
+}
+
+module.exports = {
+  app,
+  start,
+};
@@ -0,0 +1,587 @@
+const { getRepository } = require('./db');
+const { LINK_FIELD_COLUMNS } = require('./storage/fields');
+const { parseExpiryOptions, isLinkExpired } = require('./expiry');
+const { parsePageSize, encodeCursor, decodeCursor } = require('./pagination');
+const { getRedirectCache } = require('./redirectCache');
+const { hashPassword } = require('./auth');
+const { parseRedirectRules } = require('./redirectRules');
+const { parseSplit } = require('./variants');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 32;
+const MAX_FOLDER_LENGTH = 64;
+// Links one bulk tag request may change; the dashboard sends a page at a time.
+const MAX_BULK_TAG_LINKS = 100;
+const LINK_PASSWORD_MIN_LENGTH = 4;
+const LINK_PASSWORD_MAX_LENGTH = 128;
+
+// Sort orders offered by GET /api/links; each storage backend knows how to
+// order and resume by them. Never-clicked links sort as the oldest click.
+const LIST_SORTS = ['created', 'clicks', 'lastClicked'];
+const MAX_SEARCH_LENGTH = 200;
+const EXPORT_BATCH_SIZE = 500;
+
+// Lowercase DNS names of two or more labels. The last label must start with
+// a letter, which also rules out IPv4 addresses.
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+
+// Base of a link's short URL: BASE_URL for the default domain, otherwise the
+// custom domain with BASE_URL's scheme (https when BASE_URL is unset).
+function shortBaseUrl(domain) {
+  const baseUrl = process.env.BASE_URL || '';
+  if (!domain) return baseUrl;
+  return `${baseUrl.startsWith('http://') ? 'http' : 'https'}://${domain}`;
+}
+
+function serializeLink(row) {
+  const baseUrl = shortBaseUrl(row.domain);
+  return {
+    code: row.code,
+    domain: row.domain || null,
+    url: row.url,
+    title: row.title,
+    tags: row.tags,
+    folder: row.folder || null,
+    createdAt: row.created_at,
+    lastClickedAt: row.last_clicked_at,
+    clickCount: row.click_count,
+    expiresAt: row.expires_at,
+    maxClicks: row.max_clicks,
+    remainingClicks: row.max_clicks != null
+      ? Math.max(row.max_clicks - row.click_count, 0)
+      : null,
+    expired: isLinkExpired(row),
+    disabled: Boolean(row.disabled_at),
+    disabledReason: row.disabled_reason || null,
+    passwordProtected: Boolean(row.password_hash),
+    rules: row.redirect_rules || [],
+    split: row.split || null,
+    archived: Boolean(row.archived_at),
+    archivedAt: row.archived_at || null,
+    shortUrl: baseUrl ? `${baseUrl}/${row.code}` : null,
+  };
+}
+
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (err) {
+    return false;
+  }
+}
+
+function isValidCode(code) {
+  return /^[A-Za-z0-9]{6,8}$/.test(code);
+}
+
+// Host names are case-insensitive and may be written with a trailing dot.
+// Returns the normalized name, or null if it isn't a valid one.
+function normalizeHostname(value) {
+  const hostname = typeof value === 'string' ? value.trim().toLowerCase().replace(/\.$/, '') : '';
+  return HOSTNAME_PATTERN.test(hostname) ? hostname : null;
+}
+
+// The short domain a link lives on, by host name; blank means the default
+// domain. Whether the owner may use it is checked separately.
+function parseLinkDomain(domain) {
+  if (domain == null || domain === '') return { value: null };
+  const hostname = normalizeHostname(domain);
+  return hostname ? { value: hostname } : { error: 'Invalid domain' };
+}
+
+// A link as named in bulk requests: its code, or "<domain>/<code>" for a
+// link on a custom domain, like its short URL without the scheme.
+function parseLinkRef(value) {
+  if (typeof value !== 'string') return null;
+  const slash = value.lastIndexOf('/');
+  const code = value.slice(slash + 1);
+  const domain = slash === -1 ? null : normalizeHostname(value.slice(0, slash));
+  if (!isValidCode(code) || (slash !== -1 && !domain)) return null;
+  return { code, domain };
+}
+
+// Titles are optional free text; blank strings are stored as NULL.
+function parseTitle(title) {
+  if (title == null) return { value: null };
+  if (typeof title !== 'string' || title.trim().length > MAX_TITLE_LENGTH) {
+    return { error: `title must be a string of at most ${MAX_TITLE_LENGTH} characters` };
+  }
+  return { value: title.trim() || null };
+}
+
+// A single tag, lowercased. Returns null for anything that isn't a valid tag.
+function normalizeTag(tag) {
+  const value = typeof tag === 'string' ? tag.trim().toLowerCase() : '';
+  return value && value.length <= MAX_TAG_LENGTH && !value.includes(',') ? value : null;
+}
+
+// Tags are case-insensitive labels, stored lowercased and de-duplicated.
+function parseTags(tags) {
+  if (tags == null) return { value: [] };
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS) {
+    return { error: `tags must be a list of at most ${MAX_TAGS} strings` };
+  }
+  const normalized = [];
+  for (const tag of tags) {
+    const value = normalizeTag(tag);
+    if (!value) {
+      return { error: `Each tag must be 1-${MAX_TAG_LENGTH} characters without commas` };
+    }
+    if (!normalized.includes(value)) normalized.push(value);
+  }
+  return { value: normalized };
+}
+
+// A link sits in at most one folder. Names keep their case but are trimmed;
+// blank means no folder.
+function parseFolder(folder) {
+  if (folder == null) return { value: null };
+  if (typeof folder !== 'string' || folder.trim().length > MAX_FOLDER_LENGTH
+    || /[\u0000-\u001f]/.test(folder)) {
+    return { error: `folder must be a string of at most ${MAX_FOLDER_LENGTH} characters` };
+  }
+  return { value: folder.trim() || null };
+}
+
+// Link passwords are shared with whoever should open the link, so they are
+// allowed to be shorter than account passwords. null means no password.
+function parseLinkPassword(password) {
+  if (password == null) return { value: null };
+  if (typeof password !== 'string' || password.length < LINK_PASSWORD_MIN_LENGTH
+    || password.length > LINK_PASSWORD_MAX_LENGTH) {
+    return {
+      error: `password must be ${LINK_PASSWORD_MIN_LENGTH}-${LINK_PASSWORD_MAX_LENGTH} characters`,
+    };
+  }
+  return { value: password };
+}
+
+// Redirect rules, with each rule's URL held to the same check as the link's
+// own. null or an empty list means every visitor gets the link's url.
+function parseRules(rules) {
+  const parsed = parseRedirectRules(rules);
+  if (parsed.error) return parsed;
+  const index = parsed.value.findIndex((rule) => !isValidUrl(rule.url));
+  return index === -1 ? parsed : { error: `Rule ${index + 1}: Invalid URL` };
+}
+
+// An A/B split, with each variant's URL checked the same way. null means
+// visitors get the link's url.
+function parseLinkSplit(split) {
+  const parsed = parseSplit(split);
+  if (parsed.error || !parsed.value) return parsed;
+  const index = parsed.value.variants.findIndex((variant) => !isValidUrl(variant.url));
+  return index === -1 ? parsed : { error: `Variant ${index + 1}: Invalid URL` };
+}
+
+function generateCode() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const length = 6 + Math.floor(Math.random() * 3); // 6-8
+  let result = '';
+  for (let i = 0; i < length; i += 1) {
+    result += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return result;
+}
+
+// How many random codes to try before giving up on a create.
+const MAX_CODE_ATTEMPTS = 10;
+
+// Validates a create-link body (POST /api/links or one bulk row).
+// Returns { error } or the normalized input for createLink().
+function parseLinkInput(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Link must be an object' };
+  }
+  const { url, code } = body;
+
+  if (!url || !isValidUrl(url)) {
+    return { error: 'Invalid URL' };
+  }
+  if (code && !isValidCode(code)) {
+    return { error: 'Invalid code format' };
+  }
+
+  const domain = parseLinkDomain(body.domain);
+  const title = parseTitle(body.title);
+  const tags = parseTags(body.tags);
+  const folder = parseFolder(body.folder);
+  const password = parseLinkPassword(body.password);
+  const rules = parseRules(body.rules);
+  const split = parseLinkSplit(body.split);
+  const fieldError = [domain, title, tags, folder, password, rules, split].find((field) => field.error);
+  if (fieldError) {
+    return { error: fieldError.error };
+  }
+
+  const expiry = parseExpiryOptions(body);
+  if (expiry.error) {
+    return { error: expiry.error };
+  }
+
+  return {
+    url,
+    code: code || null,
+    domain: domain.value,
+    title: title.value,
+    tags: tags.value,
+    folder: folder.value,
+    expiresAt: expiry.expiresAt,
+    maxClicks: expiry.maxClicks,
+    password: password.value,
+    rules: rules.value,
+    split: split.value,
+  };
+}
+
+// Generated codes are not checked before inserting: the unique index is the
+// only arbiter, and a collision just means trying another code. Checking
+// first would let two concurrent requests claim the same code.
+async function insertLink(ownerId, input) {
+  if (input.code) {
+    return getRepository().links.create(ownerId, input);
+  }
+  for (let attempt = 1; attempt <= MAX_CODE_ATTEMPTS; attempt += 1) {
+    try {
+      return await getRepository().links.create(ownerId, { ...input, code: generateCode() });
+    } catch (err) {
+      if (err.code !== '23505') throw err;
+    }
+  }
+  throw new Error('Could not generate unique code');
+}
+
+// Creates a link plus its "create" revision, generating a code when none was
+// given. A custom code taken on the same domain surfaces as a unique
+// violation (23505).
+async function createLink(ownerId, { password, ...input }) {
+  const passwordHash = password ? await hashPassword(password) : null;
+  const row = await insertLink(ownerId, { ...input, passwordHash });
+  await getRedirectCache().invalidate(row.code, row.domain);
+  return row;
+}
+
+function has(body, key) {
+  return Object.prototype.hasOwnProperty.call(body, key);
+}
+
+// Validates a PATCH body. Only keys present in the body are returned, and a
+// null expiresAt/validityMinutes/maxClicks clears that limit.
+// Returns { error } or { changes } keyed by camelCase field name.
+function parseLinkUpdate(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Request body must be an object' };
+  }
+  const changes = {};
+
+  if (has(body, 'url')) {
+    if (!isValidUrl(body.url)) return { error: 'Invalid URL' };
+    changes.url = body.url;
+  }
+  if (has(body, 'title')) {
+    const title = parseTitle(body.title);
+    if (title.error) return { error: title.error };
+    changes.title = title.value;
+  }
+  if (has(body, 'tags')) {
+    const tags = parseTags(body.tags);
+    if (tags.error) return { error: tags.error };
+    changes.tags = tags.value;
+  }
+  if (has(body, 'folder')) {
+    const folder = parseFolder(body.folder);
+    if (folder.error) return { error: folder.error };
+    changes.folder = folder.value;
+  }
+  if (has(body, 'expiresAt') || has(body, 'validityMinutes')) {
+    const expiry = parseExpiryOptions({
+      expiresAt: body.expiresAt,
+      validityMinutes: body.validityMinutes,
+    });
+    if (expiry.error) return { error: expiry.error };
+    changes.expiresAt = expiry.expiresAt;
+  }
+  if (has(body, 'maxClicks')) {
+    const expiry = parseExpiryOptions({ maxClicks: body.maxClicks });
+    if (expiry.error) return { error: expiry.error };
+    changes.maxClicks = expiry.maxClicks;
+  }
+  if (has(body, 'password')) {
+    const password = parseLinkPassword(body.password);
+    if (password.error) return { error: password.error };
+    changes.password = password.value;
+  }
+  if (has(body, 'rules')) {
+    const rules = parseRules(body.rules);
+    if (rules.error) return { error: rules.error };
+    changes.rules = rules.value;
+  }
+  if (has(body, 'split')) {
+    const split = parseLinkSplit(body.split);
+    if (split.error) return { error: split.error };
+    changes.split = split.value;
+  }
+
+  return { changes };
+}
+
+// JSON with object keys sorted, as Postgres' jsonb doesn't keep key order.
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Comparison-friendly form of each PATCH field, so e.g. equal timestamps in
+// different formats do not count as a change.
+const FIELD_NORMALIZERS = {
+  url: (value) => value,
+  title: (value) => value,
+  tags: (value) => JSON.stringify(value || []),
+  folder: (value) => value || null,
+  expiresAt: (value) => (value ? new Date(value).getTime() : null),
+  maxClicks: (value) => value,
+  // Hashes are salted, so setting any password counts as a change.
+  password: (value) => value,
+  rules: (value) => stableStringify(value || []),
+  split: (value) => stableStringify(value || null),
+};
+
+// Returns only the requested changes that differ from the current row.
+function diffLinkUpdate(row, changes) {
+  return Object.keys(changes).filter((field) => {
+    const normalize = FIELD_NORMALIZERS[field];
+    return normalize(row[LINK_FIELD_COLUMNS[field]]) !== normalize(changes[field]);
+  });
+}
+
+// Applies a validated PATCH for the owner's link with the code on the domain
+// (null for the default one), recording a revision of the fields that
+// actually changed. Returns the updated row or null if not found.
+async function updateLink(ownerId, code, changes, userId, domain = null) {
+  const stored = changes.password
+    ? { ...changes, password: await hashPassword(changes.password) }
+    : changes;
+  const updated = await getRepository().links.update(ownerId, code, {
+    domain,
+    changes: stored,
+    userId,
+    diff: (row) => diffLinkUpdate(row, stored),
+  });
+  if (updated) {
+    await getRedirectCache().invalidate(code, domain);
+  }
+  return updated;
+}
+
+// Validates POST /api/links/tags: { codes, add, remove }, where codes name
+// links as parseLinkRef() reads them and add and remove are tag lists.
+// Returns { error } or the normalized request.
+function parseBulkTagBody(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Request body must be an object' };
+  }
+  const { codes } = body;
+  if (!Array.isArray(codes) || codes.length === 0 || codes.length > MAX_BULK_TAG_LINKS
+    || !codes.every((code) => parseLinkRef(code))) {
+    return { error: `codes must be a list of 1-${MAX_BULK_TAG_LINKS} link codes` };
+  }
+  const add = parseTags(body.add);
+  const remove = parseTags(body.remove);
+  if (add.error || remove.error) {
+    return { error: add.error || remove.error };
+  }
+  if (add.value.length === 0 && remove.value.length === 0) {
+    return { error: 'Nothing to change: give tags to add or remove' };
+  }
+  return { codes: [...new Set(codes)], add: add.value, remove: remove.value };
+}
+
+// Adds and removes tags on several of the owner's links, recording a revision
+// for each link that changes. Every link is checked before any is updated,
+// so a link that would end up with too many tags fails the whole request.
+// The owner is recorded as the author of the revisions. Returns { error },
+// or { links } updated and the codes { missing }.
+async function applyBulkTags(ownerId, { codes, add, remove }) {
+  const rows = await Promise.all(codes.map((value) => {
+    const { code, domain } = parseLinkRef(value);
+    return getRepository().links.findOwned(ownerId, code, domain);
+  }));
+  const found = rows.filter(Boolean);
+  const changes = found.map((row) => ({
+    code: row.code,
+    domain: row.domain,
+    tags: [...new Set([...row.tags, ...add])].filter((tag) => !remove.includes(tag)),
+  }));
+  const crowded = changes.find(({ tags }) => tags.length > MAX_TAGS);
+  if (crowded) {
+    return { error: `${crowded.code} would have more than ${MAX_TAGS} tags` };
+  }
+
+  const updated = [];
+  for (const { code, domain, tags } of changes) {
+    const row = await updateLink(ownerId, code, { tags }, ownerId, domain);
+    if (row) updated.push(serializeLink(row));
+  }
+  return {
+    links: updated,
+    missing: codes.filter((code, index) => !rows[index]),
+  };
+}
+
+// Link count and total clicks for each of the owner's tags, most used first.
+async function listTags(ownerId) {
+  const rows = await getRepository().links.tagTotals(ownerId);
+  return rows.map((row) => ({ tag: row.tag, links: Number(row.links), clicks: Number(row.clicks) }));
+}
+
+// Same totals per folder, by name. Links without a folder are not counted.
+async function listFolders(ownerId) {
+  const rows = await getRepository().links.folderTotals(ownerId);
+  return rows.map((row) => ({ folder: row.folder, links: Number(row.links), clicks: Number(row.clicks) }));
+}
+
+// Validates ?q=&tag=&folder=&sort=&order=&limit=&cursor= for the link list.
+// Returns { error } or the options for listLinks().
+function parseListQuery(query) {
+  const sort = query.sort || 'created';
+  if (!LIST_SORTS.includes(sort)) {
+    return { error: `sort must be one of ${LIST_SORTS.join(', ')}` };
+  }
+  const order = query.order || 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q.length > MAX_SEARCH_LENGTH) {
+    return { error: `q must be at most ${MAX_SEARCH_LENGTH} characters` };
+  }
+  const tag = query.tag ? normalizeTag(query.tag) : null;
+  if (query.tag && !tag) {
+    return { error: 'Invalid tag' };
+  }
+  const folder = parseFolder(query.folder);
+  if (folder.error) {
+    return { error: folder.error };
+  }
+
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor);
+    // A cursor only makes sense for the sort it was issued for.
+    if (!after || after.sort !== sort || after.order !== order
+      || typeof after.value !== 'string' || !Number.isInteger(after.id)) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return {
+    q,
+    tag,
+    folder: folder.value,
+    sort,
+    order,
+    limit: parsePageSize(query.limit),
+    after,
+  };
+}
+
+// One keyset page of an owner's links, optionally filtered by a
+// case-insensitive substring match on code, URL or title, a tag and a
+// folder. Returns the raw rows and the cursor position to resume from, if
+// there is more.
+async function fetchLinkPage(ownerId, options) {
+  const { rows, next } = await getRepository().links.listPage(ownerId, options);
+  return {
+    rows,
+    next: next ? { sort: options.sort, order: options.order, ...next } : null,
+  };
+}
+
+async function listLinks(ownerId, options) {
+  const { rows, next } = await fetchLinkPage(ownerId, options);
+  return {
+    links: rows.map(serializeLink),
+    nextCursor: next ? encodeCursor(next) : null,
+  };
+}
+
+// Walks every matching link in list order, one page at a time, so exports
+// never hold more than a page in memory.
+async function* iterateLinks(ownerId, {
+  q, tag, folder, sort, order,
+}, batchSize = EXPORT_BATCH_SIZE) {
+  let after = null;
+  do {
+    const page = await fetchLinkPage(ownerId, {
+      q, tag, folder, sort, order, limit: batchSize, after,
+    });
+    for (const row of page.rows) {
+      yield serializeLink(row);
+    }
+    after = page.next;
+  } while (after);
+}
+
+// The owner's link under this code or, once the expiry sweep has archived
+// it, the archived copy, so expired links keep their stats and history.
+async function findOwnedOrArchived(ownerId, code, domain = null) {
+  const { links } = getRepository();
+  return (await links.findOwned(ownerId, code, domain)) || links.findArchived(ownerId, code, domain);
+}
+
+async function listRevisions(linkId) {
+  const rows = await getRepository().links.listRevisions(linkId);
+  return rows.map((row) => ({
+    id: String(row.id),
+    changedAt: row.changed_at,
+    changedBy: row.email,
+    action: row.action,
+    changedFields: row.changed_fields,
+    url: row.url,
+    title: row.title,
+    tags: row.tags,
+    folder: row.folder || null,
+    expiresAt: row.expires_at,
+    maxClicks: row.max_clicks,
+    rules: row.redirect_rules || [],
+    split: row.split || null,
+  }));
+}
+
+module.exports = {
+  shortBaseUrl,
+  serializeLink,
+  isValidUrl,
+  isValidCode,
+  normalizeHostname,
+  parseLinkDomain,
+  parseLinkRef,
+  parseTitle,
+  parseTags,
+  parseFolder,
+  parseLinkPassword,
+  parseRules,
+  parseLinkSplit,
+  MAX_CODE_ATTEMPTS,
+  generateCode,
+  parseLinkInput,
+  createLink,
+  parseLinkUpdate,
+  diffLinkUpdate,
+  updateLink,
+  parseBulkTagBody,
+  applyBulkTags,
+  listTags,
+  listFolders,
+  findOwnedOrArchived,
+  listRevisions,
+  parseListQuery,
+  listLinks,
+  iterateLinks,
+};
@@ -0,0 +1,67 @@
+// JSON-lines logger: one object per line with time, level, msg and any
+// bound or per-call fields, ready for a log shipper to parse. Levels follow
+// the frontend Logger (ERROR < WARN < INFO < DEBUG); LOG_LEVEL picks the most
+// verbose one written, and "silent" turns logging off (used by the tests).
+const LEVELS = {
+  silent: -1,
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3,
+};
+
+// Errors don't survive JSON.stringify, so keep the useful parts.
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.code !== undefined ? { code: err.code } : {}),
+    stack: err.stack,
+  };
+}
+
+function serializeFields(fields) {
+  return Object.fromEntries(Object.entries(fields).map(
+    ([key, value]) => [key, value instanceof Error ? serializeError(value) : value],
+  ));
+}
+
+function createLogger({
+  level = process.env.LOG_LEVEL || 'info',
+  write = (line) => process.stdout.write(`${line}\n`),
+  bindings = {},
+} = {}) {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown LOG_LEVEL "${level}"; use ${Object.keys(LEVELS).join(', ')}`);
+  }
+  const threshold = LEVELS[level];
+
+  function log(entryLevel, msg, fields = {}) {
+    if (LEVELS[entryLevel] > threshold) return;
+    write(JSON.stringify({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      ...bindings,
+      ...serializeFields(fields),
+    }));
+  }
+
+  return {
+    level,
+    error: (msg, fields) => log('error', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    debug: (msg, fields) => log('debug', msg, fields),
+    // A logger that adds `extra` to every line, e.g. { requestId }.
+    child: (extra) => createLogger({ level, write, bindings: { ...bindings, ...extra } }),
+  };
+}
+
+const logger = createLogger();
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  logger,
+};
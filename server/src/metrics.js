@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const client = require('prom-client');
+const { getRepository } = require('./db');
+
+// A dedicated registry (rather than prom-client's global one) so requiring
+// this module twice, e.g. from tests, can't register metrics twice.
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and response status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and response status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register],
+});
+
+const redirects = new client.Counter({
+  name: 'redirects_total',
+  help: 'Short link lookups by response status (302, 404, 410, ...)',
+  labelNames: ['status'],
+  registers: [register],
+});
+
+// Pool gauges are read when Prometheus scrapes; backends without a
+// connection pool (sqlite, memory) simply report nothing.
+function readPoolStats() {
+  return getRepository().poolStats();
+}
+
+new client.Gauge({
+  name: 'db_pool_connections',
+  help: 'Database pool connections by state',
+  labelNames: ['state'],
+  registers: [register],
+  collect() {
+    const stats = readPoolStats();
+    if (!stats) return;
+    this.set({ state: 'idle' }, stats.idle);
+    this.set({ state: 'active' }, stats.total - stats.idle);
+  },
+});
+
+new client.Gauge({
+  name: 'db_pool_waiting_requests',
+  help: 'Queries waiting for a free database connection',
+  registers: [register],
+  collect() {
+    const stats = readPoolStats();
+    if (stats) this.set(stats.waiting);
+  },
+});
+
+new client.Gauge({
+  name: 'db_pool_max_connections',
+  help: 'Configured size of the database pool',
+  registers: [register],
+  collect() {
+    const stats = readPoolStats();
+    if (stats) this.set(stats.max);
+  },
+});
+
+// Labels requests with the Express route pattern (e.g. /api/links/:code)
+// rather than the raw path, so codes don't explode label cardinality.
+// Anything that never reached a route (404s, static files, requests
+// rejected by middleware) shares the "unmatched" label.
+function trackRequests(req, res, next) {
+  const stopTimer = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode,
+    };
+    stopTimer(labels);
+    httpRequests.inc(labels);
+  });
+  next();
+}
+
+// Mounted on the redirect route only.
+function countRedirects(req, res, next) {
+  res.on('finish', () => {
+    redirects.inc({ status: res.statusCode });
+  });
+  next();
+}
+
+// Scrapes are open unless METRICS_TOKEN is set, in which case Prometheus
+// must send it as a bearer token.
+function requireMetricsToken(req, res, next) {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) {
+    return next();
+  }
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  // Comparing digests keeps the check constant-time whatever the lengths.
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!match || !crypto.timingSafeEqual(digest(match[1]), digest(expected))) {
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+  return next();
+}
+
+async function metricsHandler(req, res) {
+  try {
+    res.set('Content-Type', register.contentType);
+    res.send(await register.metrics());
+  } catch (err) {
+    req.log.error('Error collecting metrics', { err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+module.exports = {
+  register,
+  trackRequests,
+  countRedirects,
+  requireMetricsToken,
+  metricsHandler,
+};
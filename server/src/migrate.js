@@ -0,0 +1,187 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary constant shared by every instance; pg_advisory_lock() on it makes
+// concurrent runners (e.g. two web instances starting at once) take turns.
+const MIGRATION_LOCK_ID = 740125;
+
+// Reads migrations/NNNN_name.up.sql (+ optional .down.sql) in version order.
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  fs.readdirSync(dir).forEach((file) => {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) return;
+    const [, digits, name, direction] = match;
+    const version = Number(digits);
+    const migration = byVersion.get(version) || { version, name: `${digits}_${name}` };
+    if (migration.name !== `${digits}_${name}`) {
+      throw new Error(`Migration ${digits} has conflicting names: ${migration.name}, ${digits}_${name}`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  });
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  migrations.forEach((migration) => {
+    if (!migration.up) throw new Error(`Migration ${migration.name} has no .up.sql file`);
+  });
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function appliedMigrations(client) {
+  const result = await client.query(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version',
+  );
+  return result.rows;
+}
+
+// Runs fn(client) on a dedicated connection while holding the migration lock.
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Each migration runs in its own transaction together with its bookkeeping
+// row, so a failure leaves the database at the last good version.
+async function runMigration(client, migration, direction) {
+  await client.query('BEGIN');
+  try {
+    await client.query(migration[direction]);
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name],
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    err.message = `Migration ${migration.name} (${direction}) failed: ${err.message}`;
+    throw err;
+  }
+}
+
+// Applies every pending migration in order. Returns the names applied.
+async function migrateUp({ pool, log = console.log }) {
+  const migrations = loadMigrations();
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Set((await appliedMigrations(client)).map((row) => row.version));
+    const pending = migrations.filter((migration) => !applied.has(migration.version));
+    for (const migration of pending) {
+      await runMigration(client, migration, 'up');
+      log(`Applied migration ${migration.name}`);
+    }
+    return pending.map((migration) => migration.name);
+  });
+}
+
+// Reverts the most recent `steps` applied migrations, newest first.
+async function migrateDown({ pool, steps = 1, log = console.log }) {
+  const migrations = new Map(loadMigrations().map((migration) => [migration.version, migration]));
+  return withMigrationLock(pool, async (client) => {
+    const applied = (await appliedMigrations(client)).reverse().slice(0, steps);
+    const reverted = [];
+    for (const row of applied) {
+      const migration = migrations.get(row.version);
+      if (!migration || !migration.down) {
+        throw new Error(`Migration ${row.name} cannot be reverted: no .down.sql file`);
+      }
+      await runMigration(client, migration, 'down');
+      log(`Reverted migration ${migration.name}`);
+      reverted.push(migration.name);
+    }
+    return reverted;
+  });
+}
+
+// Every known migration with its applied time (null while pending), plus any
+// applied versions whose files are missing from this checkout.
+async function migrationStatus({ pool }) {
+  const migrations = loadMigrations();
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Map((await appliedMigrations(client)).map((row) => [row.version, row]));
+    const status = migrations.map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null,
+    }));
+    applied.forEach((row) => {
+      if (!migrations.some((migration) => migration.version === row.version)) {
+        status.push({
+          version: row.version, name: row.name, appliedAt: row.applied_at, missing: true,
+        });
+      }
+    });
+    return status.sort((a, b) => a.version - b.version);
+  });
+}
+
+// Migrations only apply to the Postgres backend; the CLI always talks to
+// DATABASE_URL regardless of STORAGE_DRIVER.
+async function main(pool, [command = 'up', arg]) {
+  if (command === 'up') {
+    const applied = await migrateUp({ pool });
+    if (applied.length === 0) console.log('Database is up to date');
+  } else if (command === 'down') {
+    const steps = arg === undefined ? 1 : Number(arg);
+    if (!Number.isInteger(steps) || steps <= 0) {
+      throw new Error('Usage: npm run migrate:down [-- <steps>]');
+    }
+    const reverted = await migrateDown({ pool, steps });
+    if (reverted.length === 0) console.log('No migrations to revert');
+  } else if (command === 'status') {
+    const status = await migrationStatus({ pool });
+    status.forEach((migration) => {
+      let state = migration.appliedAt ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+      if (migration.missing) state += ' (file missing)';
+      console.log(`${migration.name.padEnd(40)} ${state}`);
+    });
+  } else {
+    throw new Error(`Unknown command "${command}"; use up, down or status`);
+  }
+}
+
+if (require.main === module) {
+  // Required here so storage/postgres can in turn require this module.
+  const { createPool } = require('./storage/postgres');
+  const pool = createPool();
+  main(pool, process.argv.slice(2))
+    .catch((err) => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+};
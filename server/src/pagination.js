@@ -0,0 +1,28 @@
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function parsePageSize(value) {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit <= 0) return DEFAULT_PAGE_SIZE;
+  return Math.min(limit, MAX_PAGE_SIZE);
+}
+
+// Cursors are opaque to clients: base64url-encoded JSON of whatever the
+// endpoint needs to resume a keyset scan.
+function encodeCursor(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  parsePageSize,
+  encodeCursor,
+  decodeCursor,
+};
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const QRCode = require('qrcode');
+const { PNG } = require('pngjs');
+
+const QR_FORMATS = {
+  png: 'image/png',
+  svg: 'image/svg+xml; charset=utf-8',
+};
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+// A logo hides the middle of the code, so it needs one of the levels that
+// can recover from that much damage.
+const LOGO_ERROR_CORRECTION_LEVELS = ['Q', 'H'];
+const MIN_SIZE = 64;
+const MAX_SIZE = 2048;
+const MAX_MARGIN = 16;
+const MIN_CONTRAST = 3;
+// The logo's share of the code's width, and the padding around it.
+const LOGO_SCALE = 0.2;
+const LOGO_PADDING = 0.1;
+
+// Appended to every encoded URL so scans show up as their own click source.
+const QR_SOURCE = 'qr';
+
+function parseInteger(value, name, { min, max, fallback }) {
+  if (value === undefined || value === '') return { value: fallback };
+  if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+    return { error: `${name} must be an integer between ${min} and ${max}` };
+  }
+  return { value: Number(value) };
+}
+
+// Colors are six-digit hex, with or without the leading "#".
+function parseColor(value, name, fallback) {
+  if (value === undefined || value === '') return { value: fallback };
+  const match = /^#?([0-9a-f]{6})$/i.exec(value);
+  if (!match) {
+    return { error: `${name} must be a hex color such as #1f2937` };
+  }
+  return { value: `#${match[1].toLowerCase()}` };
+}
+
+// WCAG relative luminance and contrast ratio; scanners struggle with
+// low-contrast codes just like people struggle with low-contrast text.
+function luminance(color) {
+  const [r, g, b] = [1, 3, 5].map((start) => {
+    const channel = parseInt(color.slice(start, start + 2), 16) / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(a, b) {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+// Validates the query of GET /api/links/:code/qr. Returns { error } or the
+// options renderQrCode expects. The error correction level defaults to H
+// when a logo is requested and M otherwise.
+function parseQrOptions(query = {}) {
+  const format = query.format || 'png';
+  if (typeof format !== 'string' || !Object.hasOwn(QR_FORMATS, format)) {
+    return { error: `format must be one of: ${Object.keys(QR_FORMATS).join(', ')}` };
+  }
+  const logo = query.logo === 'true' || query.logo === '1';
+  const ecc = query.ecc ? String(query.ecc).toUpperCase() : (logo ? 'H' : 'M');
+  if (!ERROR_CORRECTION_LEVELS.includes(ecc)) {
+    return { error: `ecc must be one of: ${ERROR_CORRECTION_LEVELS.join(', ')}` };
+  }
+  if (logo && !LOGO_ERROR_CORRECTION_LEVELS.includes(ecc)) {
+    return { error: `ecc must be ${LOGO_ERROR_CORRECTION_LEVELS.join(' or ')} when a logo is added` };
+  }
+
+  const size = parseInteger(query.size, 'size', { min: MIN_SIZE, max: MAX_SIZE, fallback: 512 });
+  const margin = parseInteger(query.margin, 'margin', { min: 0, max: MAX_MARGIN, fallback: 4 });
+  const foreground = parseColor(query.fg, 'fg', '#000000');
+  const background = parseColor(query.bg, 'bg', '#ffffff');
+  const error = [size, margin, foreground, background].find((field) => field.error);
+  if (error) {
+    return { error: error.error };
+  }
+  if (contrastRatio(foreground.value, background.value) < MIN_CONTRAST) {
+    return { error: 'fg and bg need more contrast for the code to scan reliably' };
+  }
+
+  return {
+    format,
+    size: size.value,
+    margin: margin.value,
+    ecc,
+    foreground: foreground.value,
+    background: background.value,
+    logo,
+  };
+}
+
+// The URL a link's QR code encodes.
+function qrTargetUrl(baseUrl, code) {
+  return `${baseUrl}/${code}?src=${QR_SOURCE}`;
+}
+
+// QR_LOGO_PATH points at a PNG shown in the middle of codes rendered with
+// logo=true. It is read once per path and kept decoded in memory.
+let cachedLogo = null;
+
+function loadLogo() {
+  const logoPath = process.env.QR_LOGO_PATH;
+  if (!logoPath) return null;
+  if (!cachedLogo || cachedLogo.path !== logoPath) {
+    const buffer = fs.readFileSync(logoPath);
+    cachedLogo = { path: logoPath, buffer, image: PNG.sync.read(buffer) };
+  }
+  return cachedLogo;
+}
+
+function isLogoConfigured() {
+  return Boolean(process.env.QR_LOGO_PATH);
+}
+
+function hexToRgb(color) {
+  return [1, 3, 5].map((start) => parseInt(color.slice(start, start + 2), 16));
+}
+
+// Draws the logo, scaled nearest-neighbour to fit a square in the middle of
+// the code, over a padded square of the background color.
+function compositeLogo(qr, logo, background) {
+  const box = Math.round(qr.width * LOGO_SCALE);
+  const padding = Math.round(box * LOGO_PADDING);
+  const scale = Math.min(box / logo.width, box / logo.height);
+  const width = Math.max(1, Math.round(logo.width * scale));
+  const height = Math.max(1, Math.round(logo.height * scale));
+  const left = Math.round((qr.width - width) / 2);
+  const top = Math.round((qr.height - height) / 2);
+  const [bgR, bgG, bgB] = hexToRgb(background);
+
+  const padLeft = Math.round((qr.width - box) / 2) - padding;
+  const padTop = Math.round((qr.height - box) / 2) - padding;
+  for (let y = padTop; y < padTop + box + 2 * padding; y += 1) {
+    for (let x = padLeft; x < padLeft + box + 2 * padding; x += 1) {
+      const index = (y * qr.width + x) * 4;
+      qr.data[index] = bgR;
+      qr.data[index + 1] = bgG;
+      qr.data[index + 2] = bgB;
+      qr.data[index + 3] = 255;
+    }
+  }
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const source = (Math.floor(y / scale) * logo.width + Math.floor(x / scale)) * 4;
+      const target = ((top + y) * qr.width + left + x) * 4;
+      const alpha = logo.data[source + 3] / 255;
+      for (let channel = 0; channel < 3; channel += 1) {
+        qr.data[target + channel] = Math.round(
+          logo.data[source + channel] * alpha + qr.data[target + channel] * (1 - alpha),
+        );
+      }
+    }
+  }
+}
+
+// Same placement for SVG, in the units of the code's viewBox.
+function addSvgLogo(svg, logo, background) {
+  const viewBox = /viewBox="0 0 (\d+) (\d+)"/.exec(svg);
+  const side = Number(viewBox[1]);
+  const box = side * LOGO_SCALE;
+  const padded = box * (1 + 2 * LOGO_PADDING);
+  const round = (value) => Number(value.toFixed(3));
+  const overlay = `<rect x="${round((side - padded) / 2)}" y="${round((side - padded) / 2)}" `
+    + `width="${round(padded)}" height="${round(padded)}" fill="${background}"/>`
+    + `<image x="${round((side - box) / 2)}" y="${round((side - box) / 2)}" `
+    + `width="${round(box)}" height="${round(box)}" `
+    + `href="data:image/png;base64,${logo.buffer.toString('base64')}"/>`;
+  return svg.replace('</svg>', `${overlay}</svg>`);
+}
+
+// Renders `text` as a QR code. Resolves to { contentType, body }.
+async function renderQrCode(text, {
+  format, size, margin, ecc, foreground, background, logo,
+}) {
+  const logoImage = logo ? loadLogo() : null;
+  const options = {
+    width: size,
+    margin,
+    errorCorrectionLevel: ecc,
+    color: { dark: foreground, light: background },
+  };
+
+  if (format === 'svg') {
+    const svg = await QRCode.toString(text, { ...options, type: 'svg' });
+    return {
+      contentType: QR_FORMATS.svg,
+      body: logoImage ? addSvgLogo(svg, logoImage, background) : svg,
+    };
+  }
+
+  const png = await QRCode.toBuffer(text, { ...options, type: 'png' });
+  if (!logoImage) {
+    return { contentType: QR_FORMATS.png, body: png };
+  }
+  const image = PNG.sync.read(png);
+  compositeLogo(image, logoImage.image, background);
+  return { contentType: QR_FORMATS.png, body: PNG.sync.write(image) };
+}
+
+module.exports = {
+  parseQrOptions,
+  qrTargetUrl,
+  isLogoConfigured,
+  renderQrCode,
+};
@@ -0,0 +1,228 @@
+const { logger } = require('./logger');
+const { createRedisClient } = require('./cache/redis');
+
+// Token buckets: each client key starts with `capacity` tokens, every
+// request takes one, and tokens refill continuously at capacity/window.
+// Rules are "<capacity>/<window seconds>" and can be overridden with
+// RATE_LIMIT_<RULE> (e.g. RATE_LIMIT_CREATE=100/60).
+const DEFAULT_RULES = {
+  create: '60/60',
+  list: '300/60',
+  redirectMiss: '30/60',
+  clientLogs: '30/60',
+  unlock: '10/300',
+  login: '10/300',
+};
+
+function parseRule(spec) {
+  const match = /^(\d+)\/(\d+)$/.exec(String(spec).trim());
+  if (!match || Number(match[1]) <= 0 || Number(match[2]) <= 0) {
+    throw new Error(`Invalid rate limit "${spec}"; use <requests>/<seconds>, e.g. 60/60`);
+  }
+  const capacity = Number(match[1]);
+  const windowSeconds = Number(match[2]);
+  return { capacity, windowSeconds, refillPerMs: capacity / (windowSeconds * 1000) };
+}
+
+function envName(ruleName) {
+  return `RATE_LIMIT_${ruleName.replace(/[A-Z]/g, (char) => `_${char}`).toUpperCase()}`;
+}
+
+function loadRules(env = process.env) {
+  return Object.fromEntries(Object.entries(DEFAULT_RULES).map(
+    ([name, spec]) => [name, parseRule(env[envName(name)] || spec)],
+  ));
+}
+
+// Refills the bucket for the time elapsed, then takes `cost` tokens if at
+// least max(cost, 1) are available. A cost of 0 only checks that a request
+// would be allowed. Shared by the memory store and mirrored by the Lua script.
+function takeTokens(bucket, rule, cost, now) {
+  const elapsed = Math.max(0, now - bucket.updatedAt);
+  let tokens = Math.min(rule.capacity, bucket.tokens + elapsed * rule.refillPerMs);
+  const allowed = tokens >= Math.max(cost, 1);
+  if (allowed) tokens -= cost;
+  return { allowed, tokens, bucket: { tokens, updatedAt: now } };
+}
+
+// Buckets in process memory: exact per instance, but each instance of a
+// multi-instance deployment has its own budget.
+function createMemoryRateLimitStore({ maxKeys = 50000, now = Date.now } = {}) {
+  const buckets = new Map();
+
+  // Full buckets carry no information, so they are the first to go.
+  function prune(time) {
+    buckets.forEach((entry, key) => {
+      if (entry.fullAt <= time) buckets.delete(key);
+    });
+    while (buckets.size >= maxKeys) {
+      buckets.delete(buckets.keys().next().value);
+    }
+  }
+
+  return {
+    driver: 'memory',
+    async consume(key, rule, cost) {
+      const time = now();
+      const current = buckets.get(key) || { tokens: rule.capacity, updatedAt: time };
+      const { allowed, tokens, bucket } = takeTokens(current, rule, cost, time);
+      if (!buckets.has(key) && buckets.size >= maxKeys) prune(time);
+      buckets.set(key, { ...bucket, fullAt: time + (rule.capacity - tokens) / rule.refillPerMs });
+      return { allowed, tokens };
+    },
+  };
+}
+
+// Same algorithm as takeTokens(), run atomically inside Redis so every
+// instance draws from one bucket. Tokens come back as a string because Redis
+// truncates Lua numbers to integers.
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill_per_ms = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updated_at')
+local tokens = tonumber(state[1]) or capacity
+local updated_at = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updated_at) * refill_per_ms)
+local allowed = 0
+if tokens >= math.max(cost, 1) then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated_at', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / refill_per_ms) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+function createRedisRateLimitStore({ client, prefix = 'ratelimit:', now = Date.now }) {
+  if (typeof client.eval !== 'function') {
+    throw new Error('RATE_LIMIT_STORE=redis needs a real Redis server; REDIS_URL=memory:// cannot run scripts');
+  }
+  return {
+    driver: 'redis',
+    async consume(key, rule, cost) {
+      const [allowed, tokens] = await client.eval(
+        TOKEN_BUCKET_SCRIPT,
+        1,
+        `${prefix}${key}`,
+        rule.capacity,
+        rule.refillPerMs,
+        now(),
+        cost,
+      );
+      return { allowed: allowed === 1, tokens: Number(tokens) };
+    },
+  };
+}
+
+// RATE_LIMIT_STORE picks where buckets live: "memory" (default), "redis"
+// (shared through REDIS_URL) or "off" to disable limiting.
+function createRateLimiterFromEnv(kind = process.env.RATE_LIMIT_STORE || 'memory') {
+  const stores = {
+    off: () => null,
+    memory: () => createMemoryRateLimitStore(),
+    redis: () => createRedisRateLimitStore({ client: createRedisClient('RATE_LIMIT_STORE') }),
+  };
+  if (!stores[kind]) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${kind}"; use ${Object.keys(stores).join(', ')}`);
+  }
+  return { store: stores[kind](), rules: loadRules() };
+}
+
+let limiter = null;
+
+// The limiter every route uses, created on first access.
+function getRateLimiter() {
+  if (!limiter) {
+    limiter = createRateLimiterFromEnv();
+  }
+  return limiter;
+}
+
+// Swaps the active limiter, e.g. for tighter rules in a test.
+function setRateLimiter(next) {
+  limiter = next;
+}
+
+// API key requests are limited per key, everything else per client IP.
+function clientKey(req) {
+  return req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+}
+
+// Takes `cost` tokens from the bucket for `ruleName` and `key` (the client's
+// by default). Returns the store's { allowed, tokens }, or null when
+// limiting is off or the store failed: an outage of the limiter's Redis
+// shouldn't take the API down.
+async function consume(req, ruleName, cost, key = clientKey(req)) {
+  const { store, rules } = getRateLimiter();
+  if (!store) return null;
+  try {
+    return await store.consume(`${ruleName}:${key}`, rules[ruleName], cost);
+  } catch (err) {
+    (req.log || logger).error('Error applying rate limit', { err, rule: ruleName });
+    return null;
+  }
+}
+
+// Consumes from each of the request's buckets and sets the RateLimit-*
+// headers for the emptiest. Returns false after answering 429 when any
+// bucket is empty.
+async function applyLimit(req, res, ruleName, cost, keys = [clientKey(req)]) {
+  const outcomes = (await Promise.all(keys.map((key) => consume(req, ruleName, cost, key)))).filter(Boolean);
+  if (outcomes.length === 0) return true;
+  const { tokens } = outcomes.reduce((emptiest, next) => (next.tokens < emptiest.tokens ? next : emptiest));
+
+  const rule = getRateLimiter().rules[ruleName];
+  const resetSeconds = Math.ceil((rule.capacity - tokens) / rule.refillPerMs / 1000);
+  res.set({
+    'RateLimit-Policy': `${rule.capacity};w=${rule.windowSeconds}`,
+    'RateLimit-Limit': String(rule.capacity),
+    'RateLimit-Remaining': String(Math.max(0, Math.floor(tokens))),
+    'RateLimit-Reset': String(resetSeconds),
+  });
+  if (outcomes.every((outcome) => outcome.allowed)) return true;
+
+  const retryAfterMs = (Math.max(cost, 1) - tokens) / rule.refillPerMs;
+  res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  res.status(429).json({ error: 'Too many requests, please slow down' });
+  return false;
+}
+
+// Middleware: every request spends a token from `ruleName`.
+function rateLimit(ruleName) {
+  return async (req, res, next) => {
+    if (await applyLimit(req, res, ruleName, 1)) next();
+  };
+}
+
+// Middleware that only charges for requests isFailure(res) flags once the
+// response is sent, e.g. redirects that end in 404 or wrong link passwords.
+// Successful traffic is never throttled, but once the bucket is empty every
+// request from that client is refused until it refills. keysOf(req) lists
+// the buckets a request draws from, when the client's alone isn't enough.
+function limitFailures(ruleName, isFailure, keysOf = (req) => [clientKey(req)]) {
+  return async (req, res, next) => {
+    const keys = keysOf(req);
+    if (!(await applyLimit(req, res, ruleName, 0, keys))) return;
+    res.on('finish', () => {
+      if (isFailure(res)) keys.forEach((key) => consume(req, ruleName, 1, key));
+    });
+    next();
+  };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  clientKey,
+  parseRule,
+  loadRules,
+  takeTokens,
+  createMemoryRateLimitStore,
+  createRedisRateLimitStore,
+  createRateLimiterFromEnv,
+  getRateLimiter,
+  setRateLimiter,
+  rateLimit,
+  limitFailures,
+};
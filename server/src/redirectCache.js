@@ -0,0 +1,154 @@
+const { getRepository } = require('./db');
+const { logger } = require('./logger');
+const { isLinkExpired } = require('./expiry');
+const { createLruStore } = require('./cache/lru');
+const { createRedisStore, createRedisClient } = require('./cache/redis');
+
+const DEFAULT_TTL_MS = 60 * 1000;
+const DEFAULT_NEGATIVE_TTL_MS = 10 * 1000;
+const DEFAULT_MAX_ENTRIES = 10000;
+
+// Default-domain entries keep the bare code as their key.
+function cacheKey(code, domain) {
+  return domain ? `${domain}/${code}` : code;
+}
+
+// What a redirect needs to know about a code on a domain (null for the
+// default one), in a JSON-safe shape so it can live in Redis:
+// { status: 'active', id, url, expiresAt, passwordProtected, rules, split } for a
+// live link (expiresAt in epoch ms or null), otherwise { status: 'expired' },
+// { status: 'disabled' } or { status: 'missing' }.
+async function loadRedirectTarget(code, domain = null) {
+  const { links } = getRepository();
+  const link = await links.findByCode(code, domain);
+  if (!link) {
+    return { status: (await links.isArchived(code, domain)) ? 'expired' : 'missing' };
+  }
+  if (isLinkExpired(link)) {
+    return { status: 'expired' };
+  }
+  if (link.disabled_at) {
+    return { status: 'disabled' };
+  }
+  return {
+    status: 'active',
+    id: link.id,
+    url: link.url,
+    expiresAt: link.expires_at ? new Date(link.expires_at).getTime() : null,
+    // Only the flag is cached; the hash is read when a password is submitted.
+    passwordProtected: Boolean(link.password_hash),
+    // Matched per visit, so every rule is cached with the link.
+    rules: link.redirect_rules || [],
+    split: link.split || null,
+  };
+}
+
+// Caches loadRedirectTarget() results. Misses and dead links are cached too
+// (for negativeTtlMs) so scanners hammering random codes don't reach the
+// database. Cache failures are logged and counted but never fail a redirect.
+// With store null the cache is disabled and every lookup is a load.
+function createRedirectCache({
+  store,
+  ttlMs = DEFAULT_TTL_MS,
+  negativeTtlMs = DEFAULT_NEGATIVE_TTL_MS,
+  load = loadRedirectTarget,
+}) {
+  const counters = {
+    hits: 0, negativeHits: 0, misses: 0, invalidations: 0, errors: 0,
+  };
+
+  async function attempt(action, operation) {
+    try {
+      return await operation();
+    } catch (err) {
+      counters.errors += 1;
+      logger.error(`Error ${action} redirect cache`, { err });
+      return undefined;
+    }
+  }
+
+  async function resolve(code, domain = null) {
+    if (!store) {
+      return load(code, domain);
+    }
+
+    const key = cacheKey(code, domain);
+    const cached = await attempt('reading', () => store.get(key));
+    if (cached !== undefined) {
+      counters.hits += 1;
+      if (cached.status !== 'active') counters.negativeHits += 1;
+      return cached;
+    }
+
+    counters.misses += 1;
+    const target = await load(code, domain);
+    const targetTtlMs = target.status === 'active' ? ttlMs : negativeTtlMs;
+    await attempt('writing', () => store.set(key, target, targetTtlMs));
+    return target;
+  }
+
+  // Call after anything that changes what a code resolves to: create (which
+  // may replace a cached miss), edit, delete or running out of clicks.
+  async function invalidate(code, domain = null) {
+    if (!store) return;
+    counters.invalidations += 1;
+    await attempt('invalidating', () => store.delete(cacheKey(code, domain)));
+  }
+
+  function stats() {
+    const lookups = counters.hits + counters.misses;
+    return {
+      store: store ? store.driver : 'off',
+      ttlMs,
+      negativeTtlMs,
+      ...counters,
+      hitRate: lookups > 0 ? counters.hits / lookups : null,
+      ...(store ? store.info() : {}),
+    };
+  }
+
+  return { resolve, invalidate, stats };
+}
+
+// REDIRECT_CACHE picks the store: "memory" (default, per instance), "redis"
+// (shared between instances via REDIS_URL) or "off".
+function createRedirectCacheFromEnv(kind = process.env.REDIRECT_CACHE || 'memory') {
+  const stores = {
+    off: () => null,
+    memory: () => createLruStore({
+      maxEntries: Number(process.env.REDIRECT_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES,
+    }),
+    redis: () => createRedisStore({ client: createRedisClient('REDIRECT_CACHE') }),
+  };
+  if (!stores[kind]) {
+    throw new Error(`Unknown REDIRECT_CACHE "${kind}"; use ${Object.keys(stores).join(', ')}`);
+  }
+  return createRedirectCache({
+    store: stores[kind](),
+    ttlMs: Number(process.env.REDIRECT_CACHE_TTL_MS) || DEFAULT_TTL_MS,
+    negativeTtlMs: Number(process.env.REDIRECT_CACHE_NEGATIVE_TTL_MS) || DEFAULT_NEGATIVE_TTL_MS,
+  });
+}
+
+let redirectCache = null;
+
+// The cache every module uses, created on first access.
+function getRedirectCache() {
+  if (!redirectCache) {
+    redirectCache = createRedirectCacheFromEnv();
+  }
+  return redirectCache;
+}
+
+// Swaps the active cache, e.g. for a fresh one per test.
+function setRedirectCache(next) {
+  redirectCache = next;
+}
+
+module.exports = {
+  loadRedirectTarget,
+  createRedirectCache,
+  createRedirectCacheFromEnv,
+  getRedirectCache,
+  setRedirectCache,
+};
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+
+// A link's redirect rules are checked in order on every visit; the first one
+// whose conditions all hold picks the destination, and the link's own url
+// is the fallback when none does. A rule looks like
+//   { id, name, url, platforms: ['ios'], languages: ['de'], countries: ['AT'],
+//     schedule: { days: ['sat', 'sun'], start: '09:00', end: '17:00', timezone: 'Europe/Vienna' } }
+// with every condition optional, though a rule needs at least one.
+const MAX_RULES = 20;
+const MAX_RULE_VALUES = 50;
+const MAX_RULE_NAME_LENGTH = 64;
+const PLATFORMS = ['ios', 'android', 'desktop'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+// Ids are generated here and kept across edits, so clicks stay attributed
+// to a rule when the list is reordered.
+const RULE_ID_PATTERN = /^[0-9a-f]{8}$/;
+// BCP 47 language tags, lowercased: "de", "pt-br", "zh-hant".
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/;
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function isValidTimeZone(timeZone) {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function minutesOf(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+// A list condition: absent or empty means "any". Values are normalized
+// with `normalize`, which returns null for invalid ones.
+function parseValueList(values, field, normalize) {
+  if (values == null) return { value: null };
+  if (!Array.isArray(values) || values.length > MAX_RULE_VALUES) {
+    return { error: `${field} must be a list of at most ${MAX_RULE_VALUES} values` };
+  }
+  const normalized = [];
+  for (const value of values) {
+    const item = typeof value === 'string' ? normalize(value.trim()) : null;
+    if (!item) return { error: `Invalid ${field} value ${JSON.stringify(value)}` };
+    if (!normalized.includes(item)) normalized.push(item);
+  }
+  return { value: normalized.length > 0 ? normalized : null };
+}
+
+// { days, start, end, timezone }: local weekdays ("mon", "tue", ...) and a daily HH:MM window
+// (end exclusive; an end before start runs past midnight), in an IANA time
+// zone, UTC by default.
+function parseSchedule(schedule) {
+  if (schedule == null) return { value: null };
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return { error: 'schedule must be an object' };
+  }
+  const days = parseValueList(schedule.days, 'days', (day) => {
+    const name = day.toLowerCase();
+    return WEEKDAYS.includes(name) ? name : null;
+  });
+  if (days.error) return days;
+
+  const { start, end } = schedule;
+  if ((start == null) !== (end == null)) {
+    return { error: 'schedule needs both start and end, or neither' };
+  }
+  if (start != null && !(TIME_PATTERN.test(start) && TIME_PATTERN.test(end) && start !== end)) {
+    return { error: 'schedule start and end must be different HH:MM times' };
+  }
+  const timezone = schedule.timezone == null ? 'UTC' : schedule.timezone;
+  if (typeof timezone !== 'string' || !isValidTimeZone(timezone)) {
+    return { error: 'schedule timezone must be an IANA time zone such as Europe/Berlin' };
+  }
+  if (!days.value && start == null) {
+    return { error: 'schedule needs days or a start and end time' };
+  }
+
+  return {
+    value: {
+      ...(days.value ? { days: days.value } : {}),
+      ...(start != null ? { start, end } : {}),
+      timezone,
+    },
+  };
+}
+
+function parseRule(rule, usedIds) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return { error: 'must be an object' };
+  }
+  // The URL itself is checked like the link's own, in links.js.
+  if (!rule.url || typeof rule.url !== 'string') {
+    return { error: 'url is required' };
+  }
+  if (rule.name != null && (typeof rule.name !== 'string' || rule.name.trim().length > MAX_RULE_NAME_LENGTH)) {
+    return { error: `name must be a string of at most ${MAX_RULE_NAME_LENGTH} characters` };
+  }
+
+  const platforms = parseValueList(rule.platforms, 'platforms', (platform) => {
+    const name = platform.toLowerCase();
+    return PLATFORMS.includes(name) ? name : null;
+  });
+  const languages = parseValueList(rule.languages, 'languages', (language) => {
+    const tag = language.toLowerCase().replace(/_/g, '-');
+    return LANGUAGE_PATTERN.test(tag) ? tag : null;
+  });
+  const countries = parseValueList(rule.countries, 'countries', (country) => {
+    const code = country.toUpperCase();
+    return COUNTRY_PATTERN.test(code) ? code : null;
+  });
+  const schedule = parseSchedule(rule.schedule);
+  const conditionError = [platforms, languages, countries, schedule].find((field) => field.error);
+  if (conditionError) {
+    return { error: conditionError.error };
+  }
+  if (!platforms.value && !languages.value && !countries.value && !schedule.value) {
+    return { error: 'needs at least one condition; the link URL already covers everyone else' };
+  }
+
+  const id = RULE_ID_PATTERN.test(rule.id) && !usedIds.has(rule.id)
+    ? rule.id
+    : crypto.randomBytes(4).toString('hex');
+  usedIds.add(id);
+  return {
+    value: {
+      id,
+      name: (rule.name && rule.name.trim()) || null,
+      url: rule.url,
+      ...(platforms.value ? { platforms: platforms.value } : {}),
+      ...(languages.value ? { languages: languages.value } : {}),
+      ...(countries.value ? { countries: countries.value } : {}),
+      ...(schedule.value ? { schedule: schedule.value } : {}),
+    },
+  };
+}
+
+// Validates a link's rule list; null clears it. Rules sent back with the id
+// they were given keep it. Returns { error } or { value }.
+function parseRedirectRules(rules) {
+  if (rules == null) return { value: [] };
+  if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+    return { error: `rules must be a list of at most ${MAX_RULES} rules` };
+  }
+  const usedIds = new Set();
+  const parsed = [];
+  for (const [index, rule] of rules.entries()) {
+    const result = parseRule(rule, usedIds);
+    if (result.error) {
+      return { error: `Rule ${index + 1}: ${result.error}` };
+    }
+    parsed.push(result.value);
+  }
+  return { value: parsed };
+}
+
+// The visitor's most preferred language from Accept-Language, lowercased,
+// or null when the header names none.
+function preferredLanguage(header) {
+  if (!header) return null;
+  const ranked = header.split(',').map((entry, index) => {
+    const [tag, ...params] = entry.trim().split(';');
+    const q = params.map((param) => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+    return { tag: tag.trim().toLowerCase(), q: q ? Number(q[1]) : 1, index };
+  }).filter(({ tag, q }) => LANGUAGE_PATTERN.test(tag) && q > 0);
+  ranked.sort((a, b) => b.q - a.q || a.index - b.index);
+  return ranked.length > 0 ? ranked[0].tag : null;
+}
+
+// Broad platform buckets from the parsed User-Agent; tablets count as the
+// platform of their OS.
+function platformOf({ os, device }) {
+  if (os === 'iOS') return 'ios';
+  if (os === 'Android') return 'android';
+  return device === 'desktop' ? 'desktop' : null;
+}
+
+// What rules are matched against, from the request and the visit as
+// describeVisit() recorded it.
+function ruleContext(req, visit, now = new Date()) {
+  return {
+    platform: platformOf(visit),
+    language: preferredLanguage(req.get('accept-language')),
+    country: visit.country,
+    now,
+  };
+}
+
+// Weekday and minutes since midnight of `date` in the time zone.
+function localTime(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  }).formatToParts(date).map(({ type, value }) => [type, value]));
+  return {
+    day: parts.weekday.toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+function inSchedule(schedule, date) {
+  const { day, minutes } = localTime(date, schedule.timezone);
+  if (schedule.days && !schedule.days.includes(day)) return false;
+  if (!schedule.start) return true;
+  const start = minutesOf(schedule.start);
+  const end = minutesOf(schedule.end);
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// "pt" covers "pt-br" too; "pt-br" only covers itself.
+function matchesLanguage(languages, language) {
+  return Boolean(language) && languages.some((tag) => language === tag || language.startsWith(`${tag}-`));
+}
+
+function ruleMatches(rule, context) {
+  if (rule.platforms && !rule.platforms.includes(context.platform)) return false;
+  if (rule.languages && !matchesLanguage(rule.languages, context.language)) return false;
+  if (rule.countries && !rule.countries.includes(context.country)) return false;
+  if (rule.schedule && !inSchedule(rule.schedule, context.now)) return false;
+  return true;
+}
+
+// The first rule matching the visit, or null for the fallback URL.
+function matchRedirectRule(rules, context) {
+  return (rules || []).find((rule) => ruleMatches(rule, context)) || null;
+}
+
+module.exports = {
+  PLATFORMS,
+  WEEKDAYS,
+  parseRedirectRules,
+  preferredLanguage,
+  ruleContext,
+  matchRedirectRule,
+};
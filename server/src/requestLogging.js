@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Incoming IDs (e.g. from a load balancer) are reused when they look sane so
+// a request can be followed across services; anything else gets a fresh one.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Gives every request an ID, echoed in X-Request-Id, a req.log child logger
+// carrying it, and adds it to every JSON error body ({ error } objects) so a
+// user can quote it to support.
+function assignRequestId(req, res, next) {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const isError = body && typeof body === 'object' && !Array.isArray(body) && 'error' in body;
+    return json(isError ? { ...body, requestId: req.id } : body);
+  };
+  next();
+}
+
+// One access log line per request once the response is sent (or the client
+// goes away), with its latency.
+function logRequests(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+  let logged = false;
+  function logRequest() {
+    if (logged) return;
+    logged = true;
+    req.log.info('request', {
+      method: req.method,
+      url: req.originalUrl,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : undefined,
+      status: res.statusCode,
+      aborted: !res.writableFinished || undefined,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e3) / 1e3,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      userId: req.user ? req.user.id : undefined,
+    });
+  }
+  res.on('finish', logRequest);
+  res.on('close', logRequest);
+  next();
+}
+
+// Last-resort handler for errors passed to next(), such as malformed JSON
+// bodies rejected by express.json(). Express spots error handlers by their
+// four parameters, so `next` stays even though it is unused.
+function handleErrors(err, req, res, next) {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body too large' });
+  }
+  req.log.error('Unhandled error', { err });
+  if (res.headersSent) {
+    return res.destroy();
+  }
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+module.exports = {
+  assignRequestId,
+  logRequests,
+  handleErrors,
+};
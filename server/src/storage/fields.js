@@ -0,0 +1,41 @@
+// Column names and conventions shared by every storage backend.
+
+// camelCase link fields accepted by PATCH and the column each one lives in.
+// PATCH takes a plaintext password, which is hashed before it gets here.
+const LINK_FIELD_COLUMNS = {
+  url: 'url',
+  title: 'title',
+  tags: 'tags',
+  folder: 'folder',
+  expiresAt: 'expires_at',
+  maxClicks: 'max_clicks',
+  password: 'password_hash',
+  rules: 'redirect_rules',
+  split: 'split',
+};
+
+// Click breakdowns returned by the stats endpoint; NULLs are reported under
+// a readable label.
+const CLICK_BREAKDOWNS = {
+  referrers: { column: 'referrer_host', fallback: 'Direct' },
+  browsers: { column: 'browser', fallback: 'Unknown' },
+  devices: { column: 'device', fallback: 'unknown' },
+  countries: { column: 'country', fallback: 'Unknown' },
+  sources: { column: 'source', fallback: 'direct' },
+  rules: { column: 'rule', fallback: 'fallback' },
+  variants: { column: 'variant', fallback: 'none' },
+};
+
+// Callers check err.code === '23505' (Postgres unique_violation) for taken
+// codes and emails, so the other backends raise the same code.
+function uniqueViolation(message) {
+  const err = new Error(message);
+  err.code = '23505';
+  return err;
+}
+
+module.exports = {
+  LINK_FIELD_COLUMNS,
+  CLICK_BREAKDOWNS,
+  uniqueViolation,
+};
@@ -0,0 +1,571 @@
+const { LINK_FIELD_COLUMNS, CLICK_BREAKDOWNS, uniqueViolation } = require('./fields');
+const { truncateDate } = require('../analytics');
+
+// Sort keys matching the Postgres listing; never-clicked links sort as the
+// oldest possible click. Cursor values are the key as a string.
+const LIST_SORTS = {
+  created: (link) => link.created_at.getTime(),
+  clicks: (link) => link.click_count,
+  lastClicked: (link) => (link.last_clicked_at ? link.last_clicked_at.getTime() : -Infinity),
+};
+
+function compareKeys(a, b) {
+  if (a.value !== b.value) return a.value < b.value ? -1 : 1;
+  return a.id - b.id;
+}
+
+function pick(row, columns) {
+  return Object.fromEntries(columns.map((column) => [column, row[column]]));
+}
+
+// Rows are copied on the way in and out so callers can never mutate stored state.
+const copy = (value) => structuredClone(value);
+
+const LINK_COLUMNS = ['id', 'code', 'domain', 'url', 'title', 'tags', 'folder', 'created_at', 'last_clicked_at',
+  'click_count', 'expires_at', 'max_clicks', 'disabled_at', 'disabled_reason', 'password_hash', 'redirect_rules',
+  'split'];
+const ARCHIVED_LINK_COLUMNS = ['id', 'code', 'domain', 'url', 'title', 'tags', 'folder', 'created_at',
+  'last_clicked_at', 'click_count', 'expires_at', 'max_clicks', 'redirect_rules', 'split', 'archived_at'];
+const API_KEY_COLUMNS = ['id', 'name', 'prefix', 'scopes', 'created_at', 'last_used_at', 'revoked_at'];
+const CLICK_COLUMNS = ['id', 'clicked_at', 'referrer_host', 'browser', 'os', 'device', 'country', 'source', 'rule',
+  'variant'];
+const BLOCKED_DOMAIN_COLUMNS = ['id', 'pattern', 'reason', 'created_at'];
+const DOMAIN_COLUMNS = ['id', 'hostname', 'owner_id', 'verification_token', 'verified_at', 'created_at'];
+
+// Whether a link row has the code in the given domain's namespace (null is
+// the default domain).
+function inNamespace(link, code, domain) {
+  return link.code === code && (link.domain || null) === (domain || null);
+}
+
+// Keeps everything in process memory. Nothing survives a restart, which is
+// exactly what the integration tests want.
+function createMemoryRepository() {
+  const ids = {
+    users: 0, sessions: 0, apiKeys: 0, links: 0, revisions: 0, clicks: 0, blockedDomains: 0, domains: 0,
+  };
+  const tables = {
+    users: [],
+    sessions: [],
+    apiKeys: [],
+    links: [],
+    archive: [],
+    revisions: [],
+    clicks: [],
+    blockedDomains: [],
+    domains: [],
+  };
+
+  function nextId(table) {
+    ids[table] += 1;
+    return ids[table];
+  }
+
+  function recordRevision(row, { action, userId, changedFields }) {
+    tables.revisions.push({
+      id: nextId('revisions'),
+      link_id: row.id,
+      user_id: userId,
+      changed_at: new Date(),
+      action,
+      changed_fields: [...changedFields],
+      url: row.url,
+      title: row.title,
+      tags: [...row.tags],
+      folder: row.folder,
+      expires_at: row.expires_at,
+      max_clicks: row.max_clicks,
+      redirect_rules: copy(row.redirect_rules),
+      split: copy(row.split),
+    });
+  }
+
+  function insertLink(ownerId, input) {
+    if (tables.links.some((link) => inNamespace(link, input.code, input.domain))) {
+      throw uniqueViolation('Code already exists');
+    }
+    const row = {
+      id: nextId('links'),
+      code: input.code,
+      domain: input.domain || null,
+      url: input.url,
+      title: input.title,
+      tags: [...input.tags],
+      folder: input.folder || null,
+      created_at: new Date(),
+      last_clicked_at: null,
+      click_count: 0,
+      expires_at: input.expiresAt,
+      max_clicks: input.maxClicks,
+      disabled_at: null,
+      disabled_reason: null,
+      password_hash: input.passwordHash || null,
+      owner_id: ownerId,
+      redirect_rules: copy(input.rules || []),
+      split: copy(input.split || null),
+    };
+    tables.links.push(row);
+    recordRevision(row, { action: 'create', userId: ownerId, changedFields: [] });
+    return copy(pick(row, LINK_COLUMNS));
+  }
+
+  function removeLinks(predicate) {
+    const removed = tables.links.filter(predicate);
+    const removedIds = new Set(removed.map((link) => link.id));
+    tables.links = tables.links.filter((link) => !removedIds.has(link.id));
+    return removed;
+  }
+
+  // Archived links keep their clicks and revisions; deleted ones don't.
+  function removeLinkData(links) {
+    const removedIds = new Set(links.map((link) => link.id));
+    tables.clicks = tables.clicks.filter((click) => !removedIds.has(click.link_id));
+    tables.revisions = tables.revisions.filter((revision) => !removedIds.has(revision.link_id));
+  }
+
+  const users = {
+    async create({ email, passwordHash }) {
+      if (tables.users.some((user) => user.email === email)) {
+        throw uniqueViolation('Email already registered');
+      }
+      const user = {
+        id: nextId('users'), email, password_hash: passwordHash, created_at: new Date(),
+      };
+      tables.users.push(user);
+      return { id: user.id, email: user.email };
+    },
+
+    async findByEmail(email) {
+      const user = tables.users.find((candidate) => candidate.email === email);
+      return user ? pick(user, ['id', 'email', 'password_hash']) : null;
+    },
+  };
+
+  const sessions = {
+    async create({ userId, tokenHash, expiresAt }) {
+      tables.sessions.push({
+        id: nextId('sessions'), user_id: userId, token_hash: tokenHash, expires_at: expiresAt,
+      });
+    },
+
+    async delete(tokenHash) {
+      tables.sessions = tables.sessions.filter((session) => session.token_hash !== tokenHash);
+    },
+
+    async findUser(tokenHash) {
+      const now = new Date();
+      const session = tables.sessions.find(
+        (candidate) => candidate.token_hash === tokenHash && candidate.expires_at > now,
+      );
+      const user = session && tables.users.find((candidate) => candidate.id === session.user_id);
+      return user ? pick(user, ['id', 'email']) : null;
+    },
+  };
+
+  const apiKeys = {
+    async create({
+      userId, name, prefix, keyHash, scopes,
+    }) {
+      const apiKey = {
+        id: nextId('apiKeys'),
+        user_id: userId,
+        name,
+        prefix,
+        key_hash: keyHash,
+        scopes: [...scopes],
+        created_at: new Date(),
+        last_used_at: null,
+        revoked_at: null,
+      };
+      tables.apiKeys.push(apiKey);
+      return copy(pick(apiKey, API_KEY_COLUMNS));
+    },
+
+    async listByUser(userId) {
+      return tables.apiKeys
+        .filter((apiKey) => apiKey.user_id === userId)
+        .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+        .map((apiKey) => copy(pick(apiKey, API_KEY_COLUMNS)));
+    },
+
+    async revoke(userId, id) {
+      const apiKey = tables.apiKeys.find(
+        (candidate) => candidate.id === id && candidate.user_id === userId && !candidate.revoked_at,
+      );
+      if (!apiKey) return false;
+      apiKey.revoked_at = new Date();
+      return true;
+    },
+
+    async authenticate(keyHash) {
+      const apiKey = tables.apiKeys.find(
+        (candidate) => candidate.key_hash === keyHash && !candidate.revoked_at,
+      );
+      const user = apiKey && tables.users.find((candidate) => candidate.id === apiKey.user_id);
+      if (!user) {
+        return null;
+      }
+      apiKey.last_used_at = new Date();
+      return {
+        user: { id: user.id, email: user.email },
+        apiKey: { id: apiKey.id, scopes: [...apiKey.scopes] },
+      };
+    },
+  };
+
+  const links = {
+    async create(ownerId, input) {
+      return insertLink(ownerId, input);
+    },
+
+    async createMany(ownerId, inputs, { atomic }) {
+      const snapshot = { links: [...tables.links], revisions: [...tables.revisions], ids: { ...ids } };
+      const results = [];
+      for (const input of inputs) {
+        try {
+          results.push({ row: insertLink(ownerId, input) });
+        } catch (err) {
+          if (err.code !== '23505') throw err;
+          results.push({ conflict: true });
+          if (atomic) {
+            tables.links = snapshot.links;
+            tables.revisions = snapshot.revisions;
+            Object.assign(ids, snapshot.ids);
+            return { results, rolledBack: true };
+          }
+        }
+      }
+      return { results, rolledBack: false };
+    },
+
+    async findByCode(code, domain = null) {
+      const link = tables.links.find((candidate) => inNamespace(candidate, code, domain));
+      return link ? copy(pick(link, LINK_COLUMNS)) : null;
+    },
+
+    async findOwned(ownerId, code, domain = null) {
+      const link = tables.links.find(
+        (candidate) => inNamespace(candidate, code, domain) && candidate.owner_id === ownerId,
+      );
+      return link ? copy(pick(link, LINK_COLUMNS)) : null;
+    },
+
+    async update(ownerId, code, {
+      domain = null, changes, diff, userId,
+    }) {
+      const link = tables.links.find(
+        (candidate) => inNamespace(candidate, code, domain) && candidate.owner_id === ownerId,
+      );
+      if (!link) {
+        return null;
+      }
+
+      const changedFields = diff(copy(pick(link, LINK_COLUMNS)));
+      changedFields.forEach((field) => {
+        link[LINK_FIELD_COLUMNS[field]] = copy(changes[field]);
+      });
+      if (changedFields.length > 0) {
+        recordRevision(link, { action: 'update', userId, changedFields });
+      }
+      return copy(pick(link, LINK_COLUMNS));
+    },
+
+    async delete(ownerId, code, domain = null) {
+      const removed = removeLinks((link) => inNamespace(link, code, domain) && link.owner_id === ownerId);
+      removeLinkData(removed);
+      return removed.length > 0;
+    },
+
+    async listPage(ownerId, {
+      q, tag, folder, sort, order, limit, after,
+    }) {
+      const keyOf = LIST_SORTS[sort];
+      const needle = q ? q.toLowerCase() : '';
+      const direction = order === 'asc' ? 1 : -1;
+      const afterKey = after ? { value: Number(after.value), id: after.id } : null;
+
+      const matches = tables.links
+        .filter((link) => link.owner_id === ownerId)
+        .filter((link) => !needle || [link.code, link.url, link.title]
+          .some((value) => value && value.toLowerCase().includes(needle)))
+        .filter((link) => !tag || link.tags.includes(tag))
+        .filter((link) => !folder || link.folder === folder)
+        .map((link) => ({ link, key: { value: keyOf(link), id: link.id } }))
+        .filter(({ key }) => !afterKey || compareKeys(key, afterKey) * direction > 0)
+        .sort((a, b) => compareKeys(a.key, b.key) * direction);
+
+      const page = matches.slice(0, limit);
+      const last = page[page.length - 1];
+      return {
+        rows: page.map(({ link }) => copy(pick(link, LINK_COLUMNS))),
+        next: matches.length > limit ? { value: String(last.key.value), id: last.key.id } : null,
+      };
+    },
+
+    async countClick(id) {
+      const link = tables.links.find((candidate) => candidate.id === id);
+      if (!link || (link.max_clicks != null && link.click_count >= link.max_clicks)) {
+        return false;
+      }
+      link.click_count += 1;
+      link.last_clicked_at = new Date();
+      return true;
+    },
+
+    async tagTotals(ownerId) {
+      const totals = new Map();
+      tables.links.filter((link) => link.owner_id === ownerId).forEach((link) => {
+        link.tags.forEach((tag) => {
+          const entry = totals.get(tag) || { tag, links: 0, clicks: 0 };
+          entry.links += 1;
+          entry.clicks += link.click_count;
+          totals.set(tag, entry);
+        });
+      });
+      return [...totals.values()].sort((a, b) => b.links - a.links || (a.tag < b.tag ? -1 : 1));
+    },
+
+    async folderTotals(ownerId) {
+      const totals = new Map();
+      tables.links.filter((link) => link.owner_id === ownerId && link.folder).forEach((link) => {
+        const entry = totals.get(link.folder) || { folder: link.folder, links: 0, clicks: 0 };
+        entry.links += 1;
+        entry.clicks += link.click_count;
+        totals.set(link.folder, entry);
+      });
+      return [...totals.values()].sort((a, b) => (a.folder < b.folder ? -1 : 1));
+    },
+
+    async scan({ afterId, limit }) {
+      return tables.links
+        .filter((link) => link.id > afterId)
+        .sort((a, b) => a.id - b.id)
+        .slice(0, limit)
+        .map((link) => copy(pick(link, [...LINK_COLUMNS, 'owner_id'])));
+    },
+
+    async disable(ids, reason) {
+      const disabled = tables.links.filter((link) => ids.includes(link.id) && !link.disabled_at);
+      disabled.forEach((link) => {
+        link.disabled_at = new Date();
+        link.disabled_reason = reason;
+      });
+      return disabled.map((link) => ({ code: link.code, domain: link.domain }));
+    },
+
+    async enable(code, domain = null) {
+      const link = tables.links.find((candidate) => inNamespace(candidate, code, domain));
+      if (!link) return null;
+      link.disabled_at = null;
+      link.disabled_reason = null;
+      return copy(pick(link, LINK_COLUMNS));
+    },
+
+    async isArchived(code, domain = null) {
+      return tables.archive.some((link) => inNamespace(link, code, domain));
+    },
+
+    // Gives the links created before accounts existed, archived ones
+    // included, to ownerId. Returns how many there were.
+    async assignUnowned(ownerId) {
+      const unowned = [...tables.links, ...tables.archive].filter((link) => link.owner_id == null);
+      unowned.forEach((link) => { link.owner_id = ownerId; });
+      return unowned.length;
+    },
+
+    // The owner's most recently archived link under this code, if any.
+    async findArchived(ownerId, code, domain = null) {
+      const link = [...tables.archive].reverse().find(
+        (candidate) => inNamespace(candidate, code, domain) && candidate.owner_id === ownerId,
+      );
+      return link ? copy(pick(link, ARCHIVED_LINK_COLUMNS)) : null;
+    },
+
+    async archiveExpired() {
+      const now = new Date();
+      const expired = removeLinks((link) => (link.expires_at && link.expires_at <= now)
+        || (link.max_clicks != null && link.click_count >= link.max_clicks));
+      expired.forEach((link) => tables.archive.push({ ...link, archived_at: now }));
+      return expired.length;
+    },
+
+    async listRevisions(linkId) {
+      return tables.revisions
+        .filter((revision) => revision.link_id === linkId)
+        .sort((a, b) => b.id - a.id)
+        .map((revision) => {
+          const user = tables.users.find((candidate) => candidate.id === revision.user_id);
+          return copy({ ...revision, email: user ? user.email : null });
+        });
+    },
+  };
+
+  const blockedDomains = {
+    async list() {
+      return tables.blockedDomains
+        .slice()
+        .sort((a, b) => (a.pattern < b.pattern ? -1 : 1))
+        .map((entry) => copy(pick(entry, BLOCKED_DOMAIN_COLUMNS)));
+    },
+
+    async findById(id) {
+      const entry = tables.blockedDomains.find((candidate) => candidate.id === id);
+      return entry ? copy(pick(entry, BLOCKED_DOMAIN_COLUMNS)) : null;
+    },
+
+    async create({ pattern, reason, userId }) {
+      if (tables.blockedDomains.some((entry) => entry.pattern === pattern)) {
+        throw uniqueViolation('Pattern already blocked');
+      }
+      const entry = {
+        id: nextId('blockedDomains'), pattern, reason, created_by: userId, created_at: new Date(),
+      };
+      tables.blockedDomains.push(entry);
+      return copy(pick(entry, BLOCKED_DOMAIN_COLUMNS));
+    },
+
+    async delete(id) {
+      const before = tables.blockedDomains.length;
+      tables.blockedDomains = tables.blockedDomains.filter((entry) => entry.id !== id);
+      return tables.blockedDomains.length < before;
+    },
+  };
+
+  // Links on the domain that belong to its owner; other users' links on the
+  // hostname sit under their own verified claim.
+  function linkCount(domain) {
+    return tables.links.filter((link) => link.domain === domain.hostname && link.owner_id === domain.owner_id).length;
+  }
+
+  const domains = {
+    // Several users may claim a hostname until one of them verifies it; a
+    // verified hostname, or one the user already claimed, is a unique
+    // violation.
+    async create({ hostname, ownerId, verificationToken }) {
+      if (tables.domains.some((entry) => entry.hostname === hostname
+        && (entry.verified_at || entry.owner_id === ownerId))) {
+        throw uniqueViolation('Domain already registered');
+      }
+      const entry = {
+        id: nextId('domains'),
+        hostname,
+        owner_id: ownerId,
+        verification_token: verificationToken,
+        verified_at: null,
+        created_at: new Date(),
+      };
+      tables.domains.push(entry);
+      return copy(pick(entry, DOMAIN_COLUMNS));
+    },
+
+    async listByOwner(ownerId) {
+      return tables.domains
+        .filter((entry) => entry.owner_id === ownerId)
+        .sort((a, b) => (a.hostname < b.hostname ? -1 : 1))
+        .map((entry) => ({ ...copy(pick(entry, DOMAIN_COLUMNS)), link_count: linkCount(entry) }));
+    },
+
+    async findOwned(ownerId, id) {
+      const entry = tables.domains.find((candidate) => candidate.id === id && candidate.owner_id === ownerId);
+      return entry ? copy(pick(entry, DOMAIN_COLUMNS)) : null;
+    },
+
+    async listVerifiedHostnames() {
+      return tables.domains.filter((entry) => entry.verified_at).map((entry) => entry.hostname);
+    },
+
+    // Drops the other users' unverified claims to the hostname. Another
+    // verified claim is a unique violation.
+    async markVerified(id) {
+      const entry = tables.domains.find((candidate) => candidate.id === id);
+      if (!entry) return null;
+      const others = tables.domains.filter((candidate) => candidate.hostname === entry.hostname && candidate !== entry);
+      if (others.some((candidate) => candidate.verified_at)) {
+        throw uniqueViolation('Domain already verified');
+      }
+      entry.verified_at = entry.verified_at || new Date();
+      tables.domains = tables.domains.filter((candidate) => !others.includes(candidate));
+      return copy(pick(entry, DOMAIN_COLUMNS));
+    },
+
+    async delete(id) {
+      const entry = tables.domains.find((candidate) => candidate.id === id);
+      if (!entry || linkCount(entry) > 0) return false;
+      tables.domains = tables.domains.filter((candidate) => candidate !== entry);
+      return true;
+    },
+  };
+
+  function clicksInRange(linkId, from, to) {
+    return tables.clicks.filter((click) => click.link_id === linkId
+      && click.clicked_at >= from && click.clicked_at < to);
+  }
+
+  const clicks = {
+    async insert(linkId, visit) {
+      if (!tables.links.some((link) => link.id === linkId)) return;
+      tables.clicks.push({
+        id: nextId('clicks'),
+        link_id: linkId,
+        clicked_at: new Date(),
+        referrer_host: visit.referrerHost,
+        browser: visit.browser,
+        os: visit.os,
+        device: visit.device,
+        country: visit.country,
+        ip_hash: visit.ipHash,
+        source: visit.source || null,
+        rule: visit.rule || null,
+        variant: visit.variant || null,
+      });
+    },
+
+    async listPage(linkId, { limit, beforeId }) {
+      return tables.clicks
+        .filter((click) => click.link_id === linkId && (!beforeId || click.id < Number(beforeId)))
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map((click) => copy(pick(click, CLICK_COLUMNS)));
+    },
+
+    async stats(linkId, {
+      from, to, interval, breakdownLimit,
+    }) {
+      const inRange = clicksInRange(linkId, from, to);
+      const countBy = (keyOf) => inRange.reduce((counts, click) => {
+        const key = keyOf(click);
+        counts.set(key, (counts.get(key) || 0) + 1);
+        return counts;
+      }, new Map());
+
+      const buckets = [...countBy((click) => truncateDate(click.clicked_at, interval).getTime())]
+        .map(([bucket, count]) => ({ bucket: new Date(bucket), clicks: count }));
+      const breakdowns = Object.fromEntries(Object.entries(CLICK_BREAKDOWNS).map(
+        ([name, { column, fallback }]) => [name, [...countBy((click) => click[column] || fallback)]
+          .map(([value, count]) => ({ value, clicks: count }))
+          .sort((a, b) => b.clicks - a.clicks || (a.value < b.value ? -1 : 1))
+          .slice(0, breakdownLimit)],
+      ));
+      return { buckets, breakdowns };
+    },
+  };
+
+  return {
+    driver: 'memory',
+    init: async () => {},
+    close: async () => {},
+    ping: async () => {},
+    poolStats: () => null,
+    users,
+    sessions,
+    apiKeys,
+    links,
+    blockedDomains,
+    domains,
+    clicks,
+  };
+}
+
+module.exports = {
+  createMemoryRepository,
+};
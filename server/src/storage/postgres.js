@@ -0,0 +1,659 @@
+const { Pool } = require('pg');
+const { migrateUp } = require('../migrate');
+const { logger } = require('../logger');
+const { LINK_FIELD_COLUMNS, CLICK_BREAKDOWNS, uniqueViolation } = require('./fields');
+
+const LINK_COLUMNS = `id, code, domain, url, title, tags, folder, created_at, last_clicked_at, click_count, expires_at,
+  max_clicks, disabled_at, disabled_reason, password_hash, redirect_rules, split`;
+const ARCHIVED_LINK_COLUMNS = `id, code, domain, url, title, tags, folder, created_at, last_clicked_at, click_count,
+  expires_at, max_clicks, redirect_rules, split, archived_at`;
+const API_KEY_COLUMNS = 'id, name, prefix, scopes, created_at, last_used_at, revoked_at';
+const CLICK_COLUMNS = 'id, clicked_at, referrer_host, browser, os, device, country, source, rule, variant';
+const BLOCKED_DOMAIN_COLUMNS = 'id, pattern, reason, created_at';
+const DOMAIN_COLUMNS = 'id, hostname, owner_id, verification_token, verified_at, created_at';
+
+// PATCH fields stored as jsonb.
+const JSON_FIELDS = ['rules', 'split'];
+
+// node-postgres would send a JS array as a Postgres array, not JSON; null
+// stays SQL NULL rather than becoming a JSON null.
+function toJson(value) {
+  return value == null ? null : JSON.stringify(value);
+}
+
+// Matches a code in one domain's namespace (NULL domain is the default one)
+// the way links_code_domain_idx indexes it.
+function inNamespace(codeParam, domainParam) {
+  return `code = ${codeParam} AND COALESCE(domain, '') = COALESCE(${domainParam}::text, '')`;
+}
+
+// Sort expressions for link listings. Each has a matching (owner_id, expr, id)
+// index; `type` is used to cast the text cursor value back for comparison.
+// Never-clicked links sort as the oldest possible click.
+const LIST_SORTS = {
+  created: { expr: 'created_at', type: 'timestamptz' },
+  clicks: { expr: 'click_count', type: 'integer' },
+  lastClicked: { expr: "COALESCE(last_clicked_at, '-infinity'::timestamptz)", type: 'timestamptz' },
+};
+
+// Column expressions for each breakdown with NULLs folded into their label.
+const BREAKDOWNS = Object.fromEntries(Object.entries(CLICK_BREAKDOWNS).map(
+  ([name, { column, fallback }]) => [name, `COALESCE(${column}, '${fallback}')`],
+));
+
+function createPool(connectionString = process.env.DATABASE_URL) {
+  return new Pool({
+    connectionString,
+    ssl: process.env.DB_SSL === 'true'
+      ? { rejectUnauthorized: false }
+      : false,
+  });
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+function createPostgresRepository({ pool = createPool() } = {}) {
+  // Runs fn(client) inside BEGIN/COMMIT on a dedicated connection, rolling
+  // back if it throws.
+  async function withTransaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Snapshots a link's editable fields after a create or update, on the same
+  // client so the revision commits with the change.
+  async function recordRevision(db, row, { action, userId, changedFields }) {
+    await db.query(
+      `INSERT INTO link_revisions
+         (link_id, user_id, action, changed_fields, url, title, tags, folder, expires_at, max_clicks, redirect_rules,
+          split)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [row.id, userId, action, changedFields, row.url, row.title, row.tags, row.folder, row.expires_at,
+        row.max_clicks, toJson(row.redirect_rules), toJson(row.split)],
+    );
+  }
+
+  async function insertLink(db, ownerId, input) {
+    const insert = await db.query(
+      `INSERT INTO links
+         (code, domain, url, title, tags, folder, expires_at, max_clicks, password_hash, owner_id, redirect_rules,
+          split)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING ${LINK_COLUMNS}`,
+      [input.code, input.domain || null, input.url, input.title, input.tags, input.folder || null,
+        input.expiresAt, input.maxClicks, input.passwordHash || null, ownerId, toJson(input.rules || []),
+        toJson(input.split)],
+    );
+    await recordRevision(db, insert.rows[0], { action: 'create', userId: ownerId, changedFields: [] });
+    return insert.rows[0];
+  }
+
+  const users = {
+    async create({ email, passwordHash }) {
+      const insert = await pool.query(
+        'INSERT INTO users (email, password_hash) VALUES ($1, $2) RETURNING id, email',
+        [email, passwordHash],
+      );
+      return insert.rows[0];
+    },
+
+    async findByEmail(email) {
+      const result = await pool.query(
+        'SELECT id, email, password_hash FROM users WHERE email = $1',
+        [email],
+      );
+      return result.rows[0] || null;
+    },
+  };
+
+  const sessions = {
+    async create({ userId, tokenHash, expiresAt }) {
+      await pool.query(
+        'INSERT INTO sessions (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+        [userId, tokenHash, expiresAt],
+      );
+    },
+
+    async delete(tokenHash) {
+      await pool.query('DELETE FROM sessions WHERE token_hash = $1', [tokenHash]);
+    },
+
+    async findUser(tokenHash) {
+      const result = await pool.query(
+        `SELECT users.id, users.email
+         FROM sessions
+         JOIN users ON users.id = sessions.user_id
+         WHERE sessions.token_hash = $1 AND sessions.expires_at > NOW()`,
+        [tokenHash],
+      );
+      return result.rows[0] || null;
+    },
+  };
+
+  const apiKeys = {
+    async create({
+      userId, name, prefix, keyHash, scopes,
+    }) {
+      const result = await pool.query(
+        `INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING ${API_KEY_COLUMNS}`,
+        [userId, name, prefix, keyHash, scopes],
+      );
+      return result.rows[0];
+    },
+
+    async listByUser(userId) {
+      const result = await pool.query(
+        `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC`,
+        [userId],
+      );
+      return result.rows;
+    },
+
+    async revoke(userId, id) {
+      const result = await pool.query(
+        'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+        [id, userId],
+      );
+      return result.rowCount > 0;
+    },
+
+    async authenticate(keyHash) {
+      const result = await pool.query(
+        `UPDATE api_keys SET last_used_at = NOW()
+         FROM users
+         WHERE api_keys.key_hash = $1
+           AND api_keys.revoked_at IS NULL
+           AND users.id = api_keys.user_id
+         RETURNING users.id AS user_id, users.email, api_keys.id, api_keys.scopes`,
+        [keyHash],
+      );
+      if (result.rowCount === 0) {
+        return null;
+      }
+      const row = result.rows[0];
+      return {
+        user: { id: row.user_id, email: row.email },
+        apiKey: { id: row.id, scopes: row.scopes },
+      };
+    },
+  };
+
+  const links = {
+    async create(ownerId, input) {
+      return withTransaction((client) => insertLink(client, ownerId, input));
+    },
+
+    // Partial mode isolates each row with a savepoint so a taken code only
+    // fails that row; atomic mode stops at the first conflict and rolls back.
+    async createMany(ownerId, inputs, { atomic }) {
+      const results = [];
+      try {
+        await withTransaction(async (client) => {
+          for (const input of inputs) {
+            await client.query('SAVEPOINT bulk_row');
+            try {
+              results.push({ row: await insertLink(client, ownerId, input) });
+              await client.query('RELEASE SAVEPOINT bulk_row');
+            } catch (err) {
+              if (err.code !== '23505') throw err;
+              await client.query('ROLLBACK TO SAVEPOINT bulk_row');
+              results.push({ conflict: true });
+              if (atomic) throw err;
+            }
+          }
+        });
+      } catch (err) {
+        if (!(atomic && err.code === '23505')) throw err;
+        return { results, rolledBack: true };
+      }
+      return { results, rolledBack: false };
+    },
+
+    async findByCode(code, domain = null) {
+      const result = await pool.query(
+        `SELECT ${LINK_COLUMNS} FROM links WHERE ${inNamespace('$1', '$2')}`,
+        [code, domain],
+      );
+      return result.rows[0] || null;
+    },
+
+    async findOwned(ownerId, code, domain = null) {
+      const result = await pool.query(
+        `SELECT ${LINK_COLUMNS} FROM links WHERE ${inNamespace('$1', '$2')} AND owner_id = $3`,
+        [code, domain, ownerId],
+      );
+      return result.rows[0] || null;
+    },
+
+    // Locks the row, asks diff(current) which fields really change and
+    // records a revision for them in the same transaction.
+    async update(ownerId, code, {
+      domain = null, changes, diff, userId,
+    }) {
+      return withTransaction(async (client) => {
+        const current = await client.query(
+          `SELECT ${LINK_COLUMNS} FROM links WHERE ${inNamespace('$1', '$2')} AND owner_id = $3 FOR UPDATE`,
+          [code, domain, ownerId],
+        );
+        if (current.rowCount === 0) {
+          return null;
+        }
+
+        const changedFields = diff(current.rows[0]);
+        if (changedFields.length === 0) {
+          return current.rows[0];
+        }
+
+        const assignments = changedFields.map((field, index) => `${LINK_FIELD_COLUMNS[field]} = $${index + 2}`);
+        const updated = await client.query(
+          `UPDATE links SET ${assignments.join(', ')} WHERE id = $1 RETURNING ${LINK_COLUMNS}`,
+          [current.rows[0].id, ...changedFields.map((field) => (
+            JSON_FIELDS.includes(field) ? toJson(changes[field]) : changes[field]
+          ))],
+        );
+        await recordRevision(client, updated.rows[0], { action: 'update', userId, changedFields });
+        return updated.rows[0];
+      });
+    },
+
+    // Clicks and revisions don't cascade (archived links keep theirs), so
+    // they go in the same transaction.
+    async delete(ownerId, code, domain = null) {
+      return withTransaction(async (client) => {
+        const result = await client.query(
+          `DELETE FROM links WHERE ${inNamespace('$1', '$2')} AND owner_id = $3 RETURNING id`,
+          [code, domain, ownerId],
+        );
+        if (result.rowCount === 0) return false;
+        const [{ id }] = result.rows;
+        await client.query('DELETE FROM clicks WHERE link_id = $1', [id]);
+        await client.query('DELETE FROM link_revisions WHERE link_id = $1', [id]);
+        return true;
+      });
+    },
+
+    // One keyset page of an owner's links, optionally filtered by a
+    // case-insensitive substring match on code, URL or title (trigram-indexed),
+    // a tag and a folder.
+    async listPage(ownerId, {
+      q, tag, folder, sort, order, limit, after,
+    }) {
+      const { expr, type } = LIST_SORTS[sort];
+      const direction = order === 'asc' ? 'ASC' : 'DESC';
+      const params = [ownerId];
+      const conditions = ['owner_id = $1'];
+
+      if (q) {
+        params.push(`%${escapeLike(q)}%`);
+        const placeholder = `$${params.length}`;
+        conditions.push(`(code ILIKE ${placeholder} OR url ILIKE ${placeholder} OR title ILIKE ${placeholder})`);
+      }
+      if (tag) {
+        params.push([tag]);
+        conditions.push(`tags @> $${params.length}::text[]`);
+      }
+      if (folder) {
+        params.push(folder);
+        conditions.push(`folder = $${params.length}`);
+      }
+      if (after) {
+        params.push(after.value, after.id);
+        const comparison = order === 'asc' ? '>' : '<';
+        conditions.push(`(${expr}, id) ${comparison} ($${params.length - 1}::${type}, $${params.length})`);
+      }
+      params.push(limit + 1);
+
+      const result = await pool.query(
+        `SELECT ${LINK_COLUMNS}, ${expr}::text AS sort_value
+         FROM links
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY ${expr} ${direction}, id ${direction}
+         LIMIT $${params.length}`,
+        params,
+      );
+
+      const rows = result.rows.slice(0, limit);
+      const last = rows[rows.length - 1];
+      return {
+        rows,
+        next: result.rows.length > limit ? { value: last.sort_value, id: last.id } : null,
+      };
+    },
+
+    // A single UPDATE so concurrent clicks never lose increments, and the
+    // click budget check happens under the same row lock.
+    async countClick(id) {
+      const result = await pool.query(
+        `UPDATE links SET click_count = click_count + 1, last_clicked_at = NOW()
+         WHERE id = $1 AND (max_clicks IS NULL OR click_count < max_clicks)`,
+        [id],
+      );
+      return result.rowCount > 0;
+    },
+
+    // Link count and total clicks per tag across the owner's links.
+    async tagTotals(ownerId) {
+      const result = await pool.query(
+        `SELECT tag, COUNT(*)::int AS links, COALESCE(SUM(click_count), 0)::int AS clicks
+         FROM links, unnest(tags) AS tag
+         WHERE owner_id = $1
+         GROUP BY tag
+         ORDER BY links DESC, tag ASC`,
+        [ownerId],
+      );
+      return result.rows;
+    },
+
+    async folderTotals(ownerId) {
+      const result = await pool.query(
+        `SELECT folder, COUNT(*)::int AS links, COALESCE(SUM(click_count), 0)::int AS clicks
+         FROM links
+         WHERE owner_id = $1 AND folder IS NOT NULL
+         GROUP BY folder
+         ORDER BY folder ASC`,
+        [ownerId],
+      );
+      return result.rows;
+    },
+
+    // Every link regardless of owner, in id order, for admin sweeps.
+    async scan({ afterId, limit }) {
+      const result = await pool.query(
+        `SELECT ${LINK_COLUMNS}, owner_id FROM links WHERE id > $1 ORDER BY id LIMIT $2`,
+        [afterId, limit],
+      );
+      return result.rows;
+    },
+
+    // Disables the links that are still active; returns their { code, domain }.
+    async disable(ids, reason) {
+      const result = await pool.query(
+        `UPDATE links SET disabled_at = NOW(), disabled_reason = $2
+         WHERE id = ANY($1::int[]) AND disabled_at IS NULL
+         RETURNING code, domain`,
+        [ids, reason],
+      );
+      return result.rows;
+    },
+
+    async enable(code, domain = null) {
+      const result = await pool.query(
+        `UPDATE links SET disabled_at = NULL, disabled_reason = NULL
+         WHERE ${inNamespace('$1', '$2')}
+         RETURNING ${LINK_COLUMNS}`,
+        [code, domain],
+      );
+      return result.rows[0] || null;
+    },
+
+    async isArchived(code, domain = null) {
+      const archived = await pool.query(
+        `SELECT 1 FROM links_archive WHERE ${inNamespace('$1', '$2')} LIMIT 1`,
+        [code, domain],
+      );
+      return archived.rowCount > 0;
+    },
+
+    // Gives the links created before accounts existed, archived ones
+    // included, to ownerId. Returns how many there were.
+    async assignUnowned(ownerId) {
+      return withTransaction(async (client) => {
+        const live = await client.query('UPDATE links SET owner_id = $1 WHERE owner_id IS NULL', [ownerId]);
+        const archived = await client.query('UPDATE links_archive SET owner_id = $1 WHERE owner_id IS NULL', [ownerId]);
+        return live.rowCount + archived.rowCount;
+      });
+    },
+
+    // The owner's most recently archived link under this code, if any.
+    async findArchived(ownerId, code, domain = null) {
+      const result = await pool.query(
+        `SELECT ${ARCHIVED_LINK_COLUMNS} FROM links_archive
+         WHERE ${inNamespace('$1', '$2')} AND owner_id = $3
+         ORDER BY archived_at DESC, id DESC
+         LIMIT 1`,
+        [code, domain, ownerId],
+      );
+      return result.rows[0] || null;
+    },
+
+    // Moves links that have passed their expiry time or used up their click
+    // budget into links_archive. Returns the number of rows archived.
+    async archiveExpired() {
+      const result = await pool.query(`
+        WITH expired AS (
+          DELETE FROM links
+          WHERE (expires_at IS NOT NULL AND expires_at <= NOW())
+             OR (max_clicks IS NOT NULL AND click_count >= max_clicks)
+          RETURNING id, code, domain, url, title, tags, folder, created_at, last_clicked_at, click_count,
+            expires_at, max_clicks, owner_id, redirect_rules, split
+        )
+        INSERT INTO links_archive
+          (id, code, domain, url, title, tags, folder, created_at, last_clicked_at, click_count, expires_at,
+           max_clicks, owner_id, redirect_rules, split)
+        SELECT id, code, domain, url, title, tags, folder, created_at, last_clicked_at, click_count, expires_at,
+               max_clicks, owner_id, redirect_rules, split
+        FROM expired
+      `);
+      return result.rowCount;
+    },
+
+    async listRevisions(linkId) {
+      const result = await pool.query(
+        `SELECT link_revisions.id, link_revisions.changed_at, link_revisions.action,
+                link_revisions.changed_fields, link_revisions.url, link_revisions.title,
+                link_revisions.tags, link_revisions.folder, link_revisions.expires_at,
+                link_revisions.max_clicks, link_revisions.redirect_rules, link_revisions.split,
+                users.email
+         FROM link_revisions
+         LEFT JOIN users ON users.id = link_revisions.user_id
+         WHERE link_revisions.link_id = $1
+         ORDER BY link_revisions.id DESC`,
+        [linkId],
+      );
+      return result.rows;
+    },
+  };
+
+  const blockedDomains = {
+    async list() {
+      const result = await pool.query(`SELECT ${BLOCKED_DOMAIN_COLUMNS} FROM blocked_domains ORDER BY pattern`);
+      return result.rows;
+    },
+
+    async findById(id) {
+      const result = await pool.query(
+        `SELECT ${BLOCKED_DOMAIN_COLUMNS} FROM blocked_domains WHERE id = $1`,
+        [id],
+      );
+      return result.rows[0] || null;
+    },
+
+    async create({ pattern, reason, userId }) {
+      const result = await pool.query(
+        `INSERT INTO blocked_domains (pattern, reason, created_by)
+         VALUES ($1, $2, $3)
+         RETURNING ${BLOCKED_DOMAIN_COLUMNS}`,
+        [pattern, reason, userId],
+      );
+      return result.rows[0];
+    },
+
+    async delete(id) {
+      const result = await pool.query('DELETE FROM blocked_domains WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    },
+  };
+
+  const domains = {
+    // Several users may claim a hostname until one of them verifies it; a
+    // verified hostname, or one the user already claimed, is a unique
+    // violation.
+    async create({ hostname, ownerId, verificationToken }) {
+      const result = await pool.query(
+        `INSERT INTO domains (hostname, owner_id, verification_token)
+         SELECT $1, $2, $3
+         WHERE NOT EXISTS (SELECT 1 FROM domains WHERE hostname = $1 AND verified_at IS NOT NULL)
+         RETURNING ${DOMAIN_COLUMNS}`,
+        [hostname, ownerId, verificationToken],
+      );
+      if (result.rowCount === 0) throw uniqueViolation('Domain already verified');
+      return result.rows[0];
+    },
+
+    // The owner's domains with the number of their links on each.
+    async listByOwner(ownerId) {
+      const result = await pool.query(
+        `SELECT ${DOMAIN_COLUMNS},
+                (SELECT COUNT(*)::int FROM links
+                 WHERE links.domain = domains.hostname AND links.owner_id = domains.owner_id) AS link_count
+         FROM domains
+         WHERE owner_id = $1
+         ORDER BY hostname`,
+        [ownerId],
+      );
+      return result.rows;
+    },
+
+    async findOwned(ownerId, id) {
+      const result = await pool.query(
+        `SELECT ${DOMAIN_COLUMNS} FROM domains WHERE id = $1 AND owner_id = $2`,
+        [id, ownerId],
+      );
+      return result.rows[0] || null;
+    },
+
+    async listVerifiedHostnames() {
+      const result = await pool.query('SELECT hostname FROM domains WHERE verified_at IS NOT NULL');
+      return result.rows.map((row) => row.hostname);
+    },
+
+    // Drops the other users' unverified claims to the hostname. Another
+    // verified claim is a unique violation.
+    async markVerified(id) {
+      return withTransaction(async (client) => {
+        const result = await client.query(
+          `UPDATE domains SET verified_at = COALESCE(verified_at, NOW())
+           WHERE id = $1
+           RETURNING ${DOMAIN_COLUMNS}`,
+          [id],
+        );
+        const row = result.rows[0];
+        if (!row) return null;
+        await client.query(
+          'DELETE FROM domains WHERE hostname = $1 AND id <> $2 AND verified_at IS NULL',
+          [row.hostname, id],
+        );
+        return row;
+      });
+    },
+
+    // Only domains without the owner's links can go; returns false otherwise.
+    async delete(id) {
+      const result = await pool.query(
+        `DELETE FROM domains
+         WHERE id = $1 AND NOT EXISTS (
+           SELECT 1 FROM links WHERE links.domain = domains.hostname AND links.owner_id = domains.owner_id
+         )`,
+        [id],
+      );
+      return result.rowCount > 0;
+    },
+  };
+
+  const clicks = {
+    async insert(linkId, visit) {
+      await pool.query(
+        `INSERT INTO clicks (link_id, referrer_host, browser, os, device, country, ip_hash, source, rule, variant)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [linkId, visit.referrerHost, visit.browser, visit.os, visit.device, visit.country, visit.ipHash,
+          visit.source || null, visit.rule || null, visit.variant || null],
+      );
+    },
+
+    // Newest first; `beforeId` is the id of the last click already seen.
+    async listPage(linkId, { limit, beforeId }) {
+      const result = await pool.query(
+        `SELECT ${CLICK_COLUMNS}
+         FROM clicks
+         WHERE link_id = $1 AND ($2::bigint IS NULL OR id < $2)
+         ORDER BY id DESC
+         LIMIT $3`,
+        [linkId, beforeId || null, limit],
+      );
+      return result.rows;
+    },
+
+    // Click counts per UTC bucket plus the top values of each breakdown.
+    async stats(linkId, {
+      from, to, interval, breakdownLimit,
+    }) {
+      const params = [linkId, from, to];
+      const where = 'link_id = $1 AND clicked_at >= $2 AND clicked_at < $3';
+
+      const seriesQuery = pool.query(
+        `SELECT date_trunc('${interval}', clicked_at AT TIME ZONE 'UTC') AT TIME ZONE 'UTC' AS bucket,
+                COUNT(*) AS clicks
+         FROM clicks
+         WHERE ${where}
+         GROUP BY 1`,
+        params,
+      );
+      const breakdownQueries = Object.entries(BREAKDOWNS).map(([name, column]) => pool.query(
+        `SELECT ${column} AS value, COUNT(*) AS clicks
+         FROM clicks
+         WHERE ${where}
+         GROUP BY 1
+         ORDER BY clicks DESC, value ASC
+         LIMIT ${breakdownLimit}`,
+        params,
+      ).then((result) => [name, result.rows]));
+
+      const [seriesResult, ...breakdowns] = await Promise.all([seriesQuery, ...breakdownQueries]);
+      return { buckets: seriesResult.rows, breakdowns: Object.fromEntries(breakdowns) };
+    },
+  };
+
+  return {
+    driver: 'postgres',
+    pool,
+    // Safe with several instances: runners queue on an advisory lock.
+    init: () => migrateUp({ pool, log: (msg) => logger.info(msg) }),
+    close: () => pool.end(),
+    ping: async () => {
+      await pool.query('SELECT 1');
+    },
+    // Connection usage for /metrics; backends without a pool return null.
+    poolStats: () => ({
+      total: pool.totalCount,
+      idle: pool.idleCount,
+      waiting: pool.waitingCount,
+      max: pool.options.max,
+    }),
+    users,
+    sessions,
+    apiKeys,
+    links,
+    blockedDomains,
+    domains,
+    clicks,
+  };
+}
+
+module.exports = {
+  createPool,
+  createPostgresRepository,
+};
@@ -0,0 +1,820 @@
+const fs = require('fs');
+const path = require('path');
+const { LINK_FIELD_COLUMNS, CLICK_BREAKDOWNS, uniqueViolation } = require('./fields');
+
+// Codes are unique per domain (NULL being the default domain), enforced by
+// links_code_domain_idx. This and the other table functions are kept apart
+// from SCHEMA so old files can be rebuilt with them (see LEGACY_TABLES).
+function linksTable(name) {
+  return `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT NOT NULL,
+    url TEXT NOT NULL,
+    title TEXT,
+    tags TEXT NOT NULL DEFAULT '[]',
+    created_at INTEGER NOT NULL,
+    last_clicked_at INTEGER,
+    click_count INTEGER NOT NULL DEFAULT 0,
+    expires_at INTEGER,
+    max_clicks INTEGER,
+    owner_id INTEGER REFERENCES users (id) ON DELETE CASCADE,
+    disabled_at INTEGER,
+    disabled_reason TEXT,
+    password_hash TEXT,
+    folder TEXT,
+    domain TEXT,
+    redirect_rules TEXT NOT NULL DEFAULT '[]',
+    split TEXT
+  );`;
+}
+
+// Several users may claim a hostname, but only one claim can be verified
+// (domains_verified_hostname_idx), so links.domain can't reference it.
+function domainsTable(name) {
+  return `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    id INTEGER PRIMARY KEY,
+    hostname TEXT NOT NULL,
+    owner_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    verification_token TEXT NOT NULL,
+    verified_at INTEGER,
+    created_at INTEGER NOT NULL
+  );`;
+}
+
+// A link's clicks and revisions stay behind when the expiry sweep moves it
+// into links_archive (under the same id), so they don't reference links;
+// deleting a link removes them explicitly.
+function clicksTable(name) {
+  return `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    link_id INTEGER NOT NULL,
+    clicked_at INTEGER NOT NULL,
+    referrer_host TEXT,
+    browser TEXT,
+    os TEXT,
+    device TEXT,
+    country TEXT,
+    ip_hash TEXT,
+    source TEXT,
+    rule TEXT,
+    variant TEXT
+  );`;
+}
+
+function linkRevisionsTable(name) {
+  return `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    id INTEGER PRIMARY KEY,
+    link_id INTEGER NOT NULL,
+    user_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    changed_at INTEGER NOT NULL,
+    action TEXT NOT NULL,
+    changed_fields TEXT NOT NULL,
+    url TEXT NOT NULL,
+    title TEXT,
+    tags TEXT NOT NULL,
+    expires_at INTEGER,
+    max_clicks INTEGER,
+    folder TEXT,
+    redirect_rules TEXT NOT NULL DEFAULT '[]',
+    split TEXT
+  );`;
+}
+
+// SQLite has no timestamp or array types: times are stored as epoch
+// milliseconds and lists as JSON text, then converted back so rows look the
+// same as the ones the Postgres backend returns. AUTOINCREMENT keeps link
+// and click ids from being reused, as archive rows and cursors rely on them.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY,
+    email TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    prefix TEXT NOT NULL,
+    key_hash TEXT UNIQUE NOT NULL,
+    scopes TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    last_used_at INTEGER,
+    revoked_at INTEGER
+  );
+  ${domainsTable('domains')}
+  CREATE UNIQUE INDEX IF NOT EXISTS domains_verified_hostname_idx ON domains (hostname) WHERE verified_at IS NOT NULL;
+  CREATE UNIQUE INDEX IF NOT EXISTS domains_owner_hostname_idx ON domains (owner_id, hostname);
+  ${linksTable('links')}
+  CREATE INDEX IF NOT EXISTS links_owner_created_id_idx ON links (owner_id, created_at, id);
+  CREATE TABLE IF NOT EXISTS links_archive (
+    id INTEGER PRIMARY KEY,
+    code TEXT NOT NULL,
+    url TEXT NOT NULL,
+    title TEXT,
+    tags TEXT,
+    created_at INTEGER NOT NULL,
+    last_clicked_at INTEGER,
+    click_count INTEGER NOT NULL,
+    expires_at INTEGER,
+    max_clicks INTEGER,
+    owner_id INTEGER,
+    archived_at INTEGER NOT NULL,
+    folder TEXT,
+    domain TEXT,
+    redirect_rules TEXT NOT NULL DEFAULT '[]',
+    split TEXT
+  );
+  CREATE INDEX IF NOT EXISTS links_archive_code_idx ON links_archive (code);
+  ${clicksTable('clicks')}
+  CREATE INDEX IF NOT EXISTS clicks_link_id_idx ON clicks (link_id, id);
+  ${linkRevisionsTable('link_revisions')}
+  CREATE INDEX IF NOT EXISTS link_revisions_link_id_idx ON link_revisions (link_id, id);
+  CREATE TABLE IF NOT EXISTS blocked_domains (
+    id INTEGER PRIMARY KEY,
+    pattern TEXT UNIQUE NOT NULL,
+    reason TEXT,
+    created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    created_at INTEGER NOT NULL
+  );
+`;
+
+// Columns added after a table was first created. CREATE TABLE IF NOT EXISTS
+// leaves existing files alone, so init() adds whichever are missing.
+const ADDED_COLUMNS = {
+  links: {
+    disabled_at: 'INTEGER',
+    disabled_reason: 'TEXT',
+    password_hash: 'TEXT',
+    folder: 'TEXT',
+    domain: 'TEXT',
+    redirect_rules: "TEXT NOT NULL DEFAULT '[]'",
+    split: 'TEXT',
+  },
+  links_archive: { folder: 'TEXT', domain: 'TEXT', redirect_rules: "TEXT NOT NULL DEFAULT '[]'", split: 'TEXT' },
+  link_revisions: { folder: 'TEXT', redirect_rules: "TEXT NOT NULL DEFAULT '[]'", split: 'TEXT' },
+  clicks: { source: 'TEXT', rule: 'TEXT', variant: 'TEXT' },
+};
+
+// Tables whose old definitions ALTER TABLE can't fix, and how to tell an old
+// one from its stored SQL: links whose code column was UNIQUE on its own
+// (before custom domains) or whose domain referenced a unique hostname,
+// domains whose hostname was unique even unverified, and clicks and
+// revisions that cascaded from links (before archived links kept them).
+const LEGACY_TABLES = [
+  { name: 'domains', create: domainsTable, legacy: /hostname TEXT UNIQUE/i },
+  { name: 'links', create: linksTable, legacy: /code TEXT UNIQUE|REFERENCES domains/i },
+  { name: 'clicks', create: clicksTable, legacy: /REFERENCES links/i },
+  { name: 'link_revisions', create: linkRevisionsTable, legacy: /REFERENCES links/i },
+];
+
+// Indexes on added columns, created once init() has added them.
+const UPGRADE_INDEXES = `
+  CREATE UNIQUE INDEX IF NOT EXISTS links_code_domain_idx ON links (code, COALESCE(domain, ''));
+`;
+
+const LINK_COLUMNS = `id, code, domain, url, title, tags, folder, created_at, last_clicked_at, click_count, expires_at,
+  max_clicks, disabled_at, disabled_reason, password_hash, redirect_rules, split`;
+const ARCHIVED_LINK_COLUMNS = `id, code, domain, url, title, tags, folder, created_at, last_clicked_at, click_count,
+  expires_at, max_clicks, redirect_rules, split, archived_at`;
+const API_KEY_COLUMNS = 'id, name, prefix, scopes, created_at, last_used_at, revoked_at';
+const CLICK_COLUMNS = 'id, clicked_at, referrer_host, browser, os, device, country, source, rule, variant';
+const BLOCKED_DOMAIN_COLUMNS = 'id, pattern, reason, created_at';
+const DOMAIN_COLUMNS = 'id, hostname, owner_id, verification_token, verified_at, created_at';
+
+// Matches a code in one domain's namespace; takes the code and domain (or
+// null for the default domain) as parameters.
+const IN_NAMESPACE = "code = ? AND COALESCE(domain, '') = COALESCE(?, '')";
+
+const TIME_COLUMNS = ['created_at', 'last_clicked_at', 'expires_at', 'last_used_at', 'revoked_at',
+  'clicked_at', 'changed_at', 'disabled_at', 'verified_at', 'archived_at'];
+const JSON_COLUMNS = ['tags', 'scopes', 'changed_fields', 'redirect_rules', 'split'];
+
+// Never-clicked links sort before every real click (-1 < any epoch ms).
+const LIST_SORTS = {
+  created: 'created_at',
+  clicks: 'click_count',
+  lastClicked: 'COALESCE(last_clicked_at, -1)',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Bucket start for each stats interval. 1970-01-05 was a Monday, so weeks
+// are counted from there to match Postgres' ISO weeks.
+const BUCKET_EXPRESSIONS = {
+  hour: 'clicked_at - clicked_at % 3600000',
+  day: `clicked_at - clicked_at % ${DAY_MS}`,
+  week: `clicked_at - (clicked_at - ${4 * DAY_MS}) % ${7 * DAY_MS}`,
+};
+
+function toMillis(value) {
+  return value == null ? null : new Date(value).getTime();
+}
+
+function toJson(value) {
+  return value == null ? null : JSON.stringify(value);
+}
+
+function fromRow(row) {
+  if (!row) return null;
+  const converted = { ...row };
+  TIME_COLUMNS.forEach((column) => {
+    if (column in converted && converted[column] != null) {
+      converted[column] = new Date(converted[column]);
+    }
+  });
+  JSON_COLUMNS.forEach((column) => {
+    if (column in converted && converted[column] != null) {
+      converted[column] = JSON.parse(converted[column]);
+    }
+  });
+  return converted;
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+function isUniqueError(err) {
+  return err.code === 'SQLITE_CONSTRAINT_UNIQUE' || err.code === 'SQLITE_CONSTRAINT_PRIMARYKEY';
+}
+
+// A single-file database for local development. better-sqlite3 is an
+// optional dependency, so it is only loaded when this backend is chosen.
+function createSqliteRepository({ filename = process.env.SQLITE_PATH || 'data/url-shortener.sqlite' } = {}) {
+  const Database = require('better-sqlite3');
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  function run(sql, params = []) {
+    try {
+      return db.prepare(sql).run(params);
+    } catch (err) {
+      if (isUniqueError(err)) throw uniqueViolation(err.message);
+      throw err;
+    }
+  }
+
+  const get = (sql, params = []) => fromRow(db.prepare(sql).get(params));
+  const all = (sql, params = []) => db.prepare(sql).all(params).map(fromRow);
+
+  function recordRevision(row, { action, userId, changedFields }) {
+    run(
+      `INSERT INTO link_revisions
+         (link_id, user_id, changed_at, action, changed_fields, url, title, tags, folder, expires_at, max_clicks,
+          redirect_rules, split)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [row.id, userId, Date.now(), action, JSON.stringify(changedFields), row.url, row.title,
+        JSON.stringify(row.tags), row.folder, toMillis(row.expires_at), row.max_clicks,
+        JSON.stringify(row.redirect_rules), toJson(row.split)],
+    );
+  }
+
+  function insertLink(ownerId, input) {
+    const { lastInsertRowid } = run(
+      `INSERT INTO links
+         (code, domain, url, title, tags, folder, created_at, expires_at, max_clicks, password_hash, owner_id,
+          redirect_rules, split)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [input.code, input.domain || null, input.url, input.title, JSON.stringify(input.tags), input.folder || null,
+        Date.now(), toMillis(input.expiresAt), input.maxClicks, input.passwordHash || null, ownerId,
+        JSON.stringify(input.rules || []), toJson(input.split)],
+    );
+    const row = get(`SELECT ${LINK_COLUMNS} FROM links WHERE id = ?`, [lastInsertRowid]);
+    recordRevision(row, { action: 'create', userId: ownerId, changedFields: [] });
+    return row;
+  }
+
+  const users = {
+    async create({ email, passwordHash }) {
+      const { lastInsertRowid } = run(
+        'INSERT INTO users (email, password_hash, created_at) VALUES (?, ?, ?)',
+        [email, passwordHash, Date.now()],
+      );
+      return { id: Number(lastInsertRowid), email };
+    },
+
+    async findByEmail(email) {
+      return get('SELECT id, email, password_hash FROM users WHERE email = ?', [email]);
+    },
+  };
+
+  const sessions = {
+    async create({ userId, tokenHash, expiresAt }) {
+      run(
+        'INSERT INTO sessions (user_id, token_hash, created_at, expires_at) VALUES (?, ?, ?, ?)',
+        [userId, tokenHash, Date.now(), toMillis(expiresAt)],
+      );
+    },
+
+    async delete(tokenHash) {
+      run('DELETE FROM sessions WHERE token_hash = ?', [tokenHash]);
+    },
+
+    async findUser(tokenHash) {
+      return get(
+        `SELECT users.id, users.email
+         FROM sessions
+         JOIN users ON users.id = sessions.user_id
+         WHERE sessions.token_hash = ? AND sessions.expires_at > ?`,
+        [tokenHash, Date.now()],
+      );
+    },
+  };
+
+  const apiKeys = {
+    async create({
+      userId, name, prefix, keyHash, scopes,
+    }) {
+      const { lastInsertRowid } = run(
+        `INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [userId, name, prefix, keyHash, JSON.stringify(scopes), Date.now()],
+      );
+      return get(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = ?`, [lastInsertRowid]);
+    },
+
+    async listByUser(userId) {
+      return all(
+        `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE user_id = ? ORDER BY created_at DESC, id DESC`,
+        [userId],
+      );
+    },
+
+    async revoke(userId, id) {
+      const { changes } = run(
+        'UPDATE api_keys SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+        [Date.now(), id, userId],
+      );
+      return changes > 0;
+    },
+
+    async authenticate(keyHash) {
+      const row = get(
+        `SELECT users.id AS user_id, users.email, api_keys.id, api_keys.scopes
+         FROM api_keys
+         JOIN users ON users.id = api_keys.user_id
+         WHERE api_keys.key_hash = ? AND api_keys.revoked_at IS NULL`,
+        [keyHash],
+      );
+      if (!row) {
+        return null;
+      }
+      run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [Date.now(), row.id]);
+      return {
+        user: { id: row.user_id, email: row.email },
+        apiKey: { id: row.id, scopes: row.scopes },
+      };
+    },
+  };
+
+  // better-sqlite3 is synchronous, so a transaction cannot interleave with
+  // other requests; db.transaction() still gives rollback on error.
+  const updateLink = db.transaction((ownerId, code, {
+    domain = null, changes, diff, userId,
+  }) => {
+    const current = get(
+      `SELECT ${LINK_COLUMNS} FROM links WHERE ${IN_NAMESPACE} AND owner_id = ?`,
+      [code, domain, ownerId],
+    );
+    if (!current) {
+      return null;
+    }
+
+    const changedFields = diff(current);
+    if (changedFields.length === 0) {
+      return current;
+    }
+
+    const toColumnValue = (field) => {
+      if (field === 'tags' || field === 'rules' || field === 'split') return toJson(changes[field]);
+      if (field === 'expiresAt') return toMillis(changes.expiresAt);
+      return changes[field];
+    };
+    const assignments = changedFields.map((field) => `${LINK_FIELD_COLUMNS[field]} = ?`);
+    run(
+      `UPDATE links SET ${assignments.join(', ')} WHERE id = ?`,
+      [...changedFields.map(toColumnValue), current.id],
+    );
+    const updated = get(`SELECT ${LINK_COLUMNS} FROM links WHERE id = ?`, [current.id]);
+    recordRevision(updated, { action: 'update', userId, changedFields });
+    return updated;
+  });
+
+  class AtomicConflict extends Error {}
+
+  const createLinks = db.transaction((ownerId, inputs, atomic, results) => {
+    inputs.forEach((input) => {
+      // Nested transactions become savepoints, isolating each row.
+      const insertRow = db.transaction(() => insertLink(ownerId, input));
+      try {
+        results.push({ row: insertRow() });
+      } catch (err) {
+        if (err.code !== '23505') throw err;
+        results.push({ conflict: true });
+        if (atomic) throw new AtomicConflict();
+      }
+    });
+  });
+
+  const links = {
+    async create(ownerId, input) {
+      return db.transaction(() => insertLink(ownerId, input))();
+    },
+
+    async createMany(ownerId, inputs, { atomic }) {
+      const results = [];
+      try {
+        createLinks(ownerId, inputs, atomic, results);
+      } catch (err) {
+        if (!(err instanceof AtomicConflict)) throw err;
+        return { results, rolledBack: true };
+      }
+      return { results, rolledBack: false };
+    },
+
+    async findByCode(code, domain = null) {
+      return get(`SELECT ${LINK_COLUMNS} FROM links WHERE ${IN_NAMESPACE}`, [code, domain]);
+    },
+
+    async findOwned(ownerId, code, domain = null) {
+      return get(`SELECT ${LINK_COLUMNS} FROM links WHERE ${IN_NAMESPACE} AND owner_id = ?`, [code, domain, ownerId]);
+    },
+
+    async update(ownerId, code, options) {
+      return updateLink(ownerId, code, options);
+    },
+
+    // Clicks and revisions don't cascade (archived links keep theirs).
+    async delete(ownerId, code, domain = null) {
+      return db.transaction(() => {
+        const link = get(`SELECT id FROM links WHERE ${IN_NAMESPACE} AND owner_id = ?`, [code, domain, ownerId]);
+        if (!link) return false;
+        run('DELETE FROM clicks WHERE link_id = ?', [link.id]);
+        run('DELETE FROM link_revisions WHERE link_id = ?', [link.id]);
+        run('DELETE FROM links WHERE id = ?', [link.id]);
+        return true;
+      })();
+    },
+
+    async listPage(ownerId, {
+      q, tag, folder, sort, order, limit, after,
+    }) {
+      const expr = LIST_SORTS[sort];
+      const direction = order === 'asc' ? 'ASC' : 'DESC';
+      const params = [ownerId];
+      const conditions = ['owner_id = ?'];
+
+      if (q) {
+        // LIKE is case-insensitive for ASCII in SQLite.
+        const pattern = `%${escapeLike(q)}%`;
+        params.push(pattern, pattern, pattern);
+        conditions.push("(code LIKE ? ESCAPE '\\' OR url LIKE ? ESCAPE '\\' OR title LIKE ? ESCAPE '\\')");
+      }
+      if (tag) {
+        params.push(tag);
+        conditions.push('EXISTS (SELECT 1 FROM json_each(links.tags) WHERE json_each.value = ?)');
+      }
+      if (folder) {
+        params.push(folder);
+        conditions.push('folder = ?');
+      }
+      if (after) {
+        params.push(Number(after.value), after.id);
+        conditions.push(`(${expr}, id) ${order === 'asc' ? '>' : '<'} (?, ?)`);
+      }
+      params.push(limit + 1);
+
+      const rows = all(
+        `SELECT ${LINK_COLUMNS}, CAST(${expr} AS TEXT) AS sort_value
+         FROM links
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY ${expr} ${direction}, id ${direction}
+         LIMIT ?`,
+        params,
+      );
+
+      const page = rows.slice(0, limit);
+      const last = page[page.length - 1];
+      return {
+        rows: page,
+        next: rows.length > limit ? { value: last.sort_value, id: last.id } : null,
+      };
+    },
+
+    async countClick(id) {
+      const result = run(
+        `UPDATE links SET click_count = click_count + 1, last_clicked_at = ?
+         WHERE id = ? AND (max_clicks IS NULL OR click_count < max_clicks)`,
+        [Date.now(), id],
+      );
+      return result.changes > 0;
+    },
+
+    async tagTotals(ownerId) {
+      return all(
+        `SELECT json_each.value AS tag, COUNT(*) AS links, COALESCE(SUM(click_count), 0) AS clicks
+         FROM links, json_each(links.tags)
+         WHERE owner_id = ?
+         GROUP BY json_each.value
+         ORDER BY links DESC, tag ASC`,
+        [ownerId],
+      );
+    },
+
+    async folderTotals(ownerId) {
+      return all(
+        `SELECT folder, COUNT(*) AS links, COALESCE(SUM(click_count), 0) AS clicks
+         FROM links
+         WHERE owner_id = ? AND folder IS NOT NULL
+         GROUP BY folder
+         ORDER BY folder ASC`,
+        [ownerId],
+      );
+    },
+
+    async scan({ afterId, limit }) {
+      return all(`SELECT ${LINK_COLUMNS}, owner_id FROM links WHERE id > ? ORDER BY id LIMIT ?`, [afterId, limit]);
+    },
+
+    async disable(ids, reason) {
+      return db.transaction(() => {
+        const placeholders = ids.map(() => '?').join(', ');
+        const where = `id IN (${placeholders}) AND disabled_at IS NULL`;
+        const disabled = db.prepare(`SELECT code, domain FROM links WHERE ${where}`).all(ids);
+        run(`UPDATE links SET disabled_at = ?, disabled_reason = ? WHERE ${where}`, [Date.now(), reason, ...ids]);
+        return disabled;
+      })();
+    },
+
+    async enable(code, domain = null) {
+      run(`UPDATE links SET disabled_at = NULL, disabled_reason = NULL WHERE ${IN_NAMESPACE}`, [code, domain]);
+      return get(`SELECT ${LINK_COLUMNS} FROM links WHERE ${IN_NAMESPACE}`, [code, domain]);
+    },
+
+    async isArchived(code, domain = null) {
+      return Boolean(get(`SELECT 1 AS found FROM links_archive WHERE ${IN_NAMESPACE} LIMIT 1`, [code, domain]));
+    },
+
+    // Gives the links created before accounts existed, archived ones
+    // included, to ownerId. Returns how many there were.
+    async assignUnowned(ownerId) {
+      return db.transaction(() => {
+        const live = run('UPDATE links SET owner_id = ? WHERE owner_id IS NULL', [ownerId]);
+        const archived = run('UPDATE links_archive SET owner_id = ? WHERE owner_id IS NULL', [ownerId]);
+        return live.changes + archived.changes;
+      })();
+    },
+
+    // The owner's most recently archived link under this code, if any.
+    async findArchived(ownerId, code, domain = null) {
+      return get(
+        `SELECT ${ARCHIVED_LINK_COLUMNS} FROM links_archive
+         WHERE ${IN_NAMESPACE} AND owner_id = ?
+         ORDER BY archived_at DESC, id DESC
+         LIMIT 1`,
+        [code, domain, ownerId],
+      );
+    },
+
+    async archiveExpired() {
+      return db.transaction(() => {
+        const now = Date.now();
+        const expired = `(expires_at IS NOT NULL AND expires_at <= ${now})
+          OR (max_clicks IS NOT NULL AND click_count >= max_clicks)`;
+        const { changes } = run(
+          `INSERT INTO links_archive
+             (id, code, domain, url, title, tags, folder, created_at, last_clicked_at, click_count, expires_at,
+              max_clicks, owner_id, redirect_rules, split, archived_at)
+           SELECT id, code, domain, url, title, tags, folder, created_at, last_clicked_at, click_count, expires_at,
+                  max_clicks, owner_id, redirect_rules, split, ?
+           FROM links WHERE ${expired}`,
+          [now],
+        );
+        run(`DELETE FROM links WHERE ${expired}`);
+        return changes;
+      })();
+    },
+
+    async listRevisions(linkId) {
+      return all(
+        `SELECT link_revisions.id, link_revisions.changed_at, link_revisions.action,
+                link_revisions.changed_fields, link_revisions.url, link_revisions.title,
+                link_revisions.tags, link_revisions.folder, link_revisions.expires_at,
+                link_revisions.max_clicks, link_revisions.redirect_rules, link_revisions.split,
+                users.email
+         FROM link_revisions
+         LEFT JOIN users ON users.id = link_revisions.user_id
+         WHERE link_revisions.link_id = ?
+         ORDER BY link_revisions.id DESC`,
+        [linkId],
+      );
+    },
+  };
+
+  const blockedDomains = {
+    async list() {
+      return all(`SELECT ${BLOCKED_DOMAIN_COLUMNS} FROM blocked_domains ORDER BY pattern`);
+    },
+
+    async findById(id) {
+      return get(`SELECT ${BLOCKED_DOMAIN_COLUMNS} FROM blocked_domains WHERE id = ?`, [id]);
+    },
+
+    async create({ pattern, reason, userId }) {
+      const { lastInsertRowid } = run(
+        'INSERT INTO blocked_domains (pattern, reason, created_by, created_at) VALUES (?, ?, ?, ?)',
+        [pattern, reason, userId, Date.now()],
+      );
+      return get(`SELECT ${BLOCKED_DOMAIN_COLUMNS} FROM blocked_domains WHERE id = ?`, [lastInsertRowid]);
+    },
+
+    async delete(id) {
+      return run('DELETE FROM blocked_domains WHERE id = ?', [id]).changes > 0;
+    },
+  };
+
+  const domains = {
+    // Several users may claim a hostname until one of them verifies it; a
+    // verified hostname, or one the user already claimed, is a unique
+    // violation.
+    async create({ hostname, ownerId, verificationToken }) {
+      const { changes, lastInsertRowid } = run(
+        `INSERT INTO domains (hostname, owner_id, verification_token, created_at)
+         SELECT ?, ?, ?, ?
+         WHERE NOT EXISTS (SELECT 1 FROM domains WHERE hostname = ? AND verified_at IS NOT NULL)`,
+        [hostname, ownerId, verificationToken, Date.now(), hostname],
+      );
+      if (changes === 0) throw uniqueViolation('Domain already verified');
+      return get(`SELECT ${DOMAIN_COLUMNS} FROM domains WHERE id = ?`, [lastInsertRowid]);
+    },
+
+    async listByOwner(ownerId) {
+      return all(
+        `SELECT ${DOMAIN_COLUMNS},
+                (SELECT COUNT(*) FROM links
+                 WHERE links.domain = domains.hostname AND links.owner_id = domains.owner_id) AS link_count
+         FROM domains
+         WHERE owner_id = ?
+         ORDER BY hostname`,
+        [ownerId],
+      );
+    },
+
+    async findOwned(ownerId, id) {
+      return get(`SELECT ${DOMAIN_COLUMNS} FROM domains WHERE id = ? AND owner_id = ?`, [id, ownerId]);
+    },
+
+    async listVerifiedHostnames() {
+      return db.prepare('SELECT hostname FROM domains WHERE verified_at IS NOT NULL').all()
+        .map((row) => row.hostname);
+    },
+
+    // Drops the other users' unverified claims to the hostname. Another
+    // verified claim is a unique violation.
+    async markVerified(id) {
+      return db.transaction(() => {
+        run('UPDATE domains SET verified_at = COALESCE(verified_at, ?) WHERE id = ?', [Date.now(), id]);
+        const row = get(`SELECT ${DOMAIN_COLUMNS} FROM domains WHERE id = ?`, [id]);
+        if (!row) return null;
+        run('DELETE FROM domains WHERE hostname = ? AND id <> ? AND verified_at IS NULL', [row.hostname, id]);
+        return row;
+      })();
+    },
+
+    async delete(id) {
+      return run(
+        `DELETE FROM domains
+         WHERE id = ? AND NOT EXISTS (
+           SELECT 1 FROM links WHERE links.domain = domains.hostname AND links.owner_id = domains.owner_id
+         )`,
+        [id],
+      ).changes > 0;
+    },
+  };
+
+  const clicks = {
+    async insert(linkId, visit) {
+      run(
+        `INSERT INTO clicks
+           (link_id, clicked_at, referrer_host, browser, os, device, country, ip_hash, source, rule, variant)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [linkId, Date.now(), visit.referrerHost, visit.browser, visit.os, visit.device, visit.country,
+          visit.ipHash, visit.source || null, visit.rule || null, visit.variant || null],
+      );
+    },
+
+    async listPage(linkId, { limit, beforeId }) {
+      return all(
+        `SELECT ${CLICK_COLUMNS}
+         FROM clicks
+         WHERE link_id = ? AND (? IS NULL OR id < ?)
+         ORDER BY id DESC
+         LIMIT ?`,
+        [linkId, beforeId || null, beforeId || null, limit],
+      );
+    },
+
+    async stats(linkId, {
+      from, to, interval, breakdownLimit,
+    }) {
+      const params = [linkId, from.getTime(), to.getTime()];
+      const where = 'link_id = ? AND clicked_at >= ? AND clicked_at < ?';
+      const buckets = db.prepare(
+        `SELECT ${BUCKET_EXPRESSIONS[interval]} AS bucket, COUNT(*) AS clicks
+         FROM clicks
+         WHERE ${where}
+         GROUP BY 1`,
+      ).all(params).map((row) => ({ bucket: new Date(row.bucket), clicks: row.clicks }));
+
+      const breakdowns = Object.fromEntries(Object.entries(CLICK_BREAKDOWNS).map(
+        ([name, { column, fallback }]) => [name, db.prepare(
+          `SELECT COALESCE(${column}, '${fallback}') AS value, COUNT(*) AS clicks
+           FROM clicks
+           WHERE ${where}
+           GROUP BY 1
+           ORDER BY clicks DESC, value ASC
+           LIMIT ${breakdownLimit}`,
+        ).all(params)],
+      ));
+      return { buckets, breakdowns };
+    },
+  };
+
+  // SQLite cannot drop a constraint in place, so each legacy table is copied
+  // into one created from its current definition. Foreign keys are off
+  // meanwhile so dropping an old table doesn't cascade to the others.
+  function rebuildLegacyTables() {
+    const legacy = LEGACY_TABLES.filter(({ name, legacy: pattern }) => {
+      const { sql } = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+      return pattern.test(sql);
+    });
+    if (legacy.length === 0) return;
+
+    db.pragma('foreign_keys = OFF');
+    try {
+      db.transaction(() => {
+        legacy.forEach(({ name, create }) => {
+          db.exec(create(`${name}_rebuilt`));
+          const columns = db.prepare(`PRAGMA table_info(${name}_rebuilt)`).all()
+            .map((column) => column.name)
+            .join(', ');
+          db.exec(`INSERT INTO ${name}_rebuilt (${columns}) SELECT ${columns} FROM ${name}`);
+          db.exec(`DROP TABLE ${name}`);
+          db.exec(`ALTER TABLE ${name}_rebuilt RENAME TO ${name}`);
+        });
+      })();
+    } finally {
+      db.pragma('foreign_keys = ON');
+    }
+    // Recreates the indexes dropped with the old tables.
+    db.exec(SCHEMA);
+  }
+
+  return {
+    driver: 'sqlite',
+    init: async () => {
+      db.exec(SCHEMA);
+      Object.entries(ADDED_COLUMNS).forEach(([table, columns]) => {
+        const existing = db.prepare(`PRAGMA table_info(${table})`).all().map((column) => column.name);
+        Object.entries(columns)
+          .filter(([name]) => !existing.includes(name))
+          .forEach(([name, type]) => db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`));
+      });
+      rebuildLegacyTables();
+      db.exec(UPGRADE_INDEXES);
+    },
+    close: async () => {
+      db.close();
+    },
+    ping: async () => {
+      db.prepare('SELECT 1').get();
+    },
+    poolStats: () => null,
+    users,
+    sessions,
+    apiKeys,
+    links,
+    blockedDomains,
+    domains,
+    clicks,
+  };
+}
+
+module.exports = {
+  createSqliteRepository,
+};
@@ -0,0 +1,51 @@
+// The page /:code serves instead of redirecting when a link has a password.
+// It is plain server-rendered HTML so it works without the React build, and
+// posts back to the same URL.
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function renderUnlockPage({ code, source = null, error = null }) {
+  const action = source ? `/${code}?src=${encodeURIComponent(source)}` : `/${code}`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Password required</title>
+  <style>
+    body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+      font-family: system-ui, -apple-system, "Segoe UI", sans-serif; background: #f3f4f6; color: #111827; }
+    main { width: 100%; max-width: 360px; margin: 16px; padding: 24px; background: #fff;
+      border-radius: 12px; box-shadow: 0 10px 25px rgba(15, 23, 42, 0.08); }
+    h1 { margin: 0 0 8px; font-size: 20px; }
+    p { margin: 0 0 16px; color: #4b5563; font-size: 14px; }
+    label { display: block; margin-bottom: 6px; font-size: 14px; font-weight: 600; }
+    input { box-sizing: border-box; width: 100%; padding: 10px 12px; border: 1px solid #d1d5db;
+      border-radius: 8px; font-size: 14px; }
+    button { width: 100%; margin-top: 12px; padding: 10px 12px; border: 0; border-radius: 8px;
+      background: #2563eb; color: #fff; font-size: 14px; font-weight: 600; cursor: pointer; }
+    .error { margin: 0 0 12px; color: #b91c1c; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>This link is password protected</h1>
+    <p>Enter the password you were given to continue to the destination of <strong>/${escapeHtml(code)}</strong>.</p>
+    ${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+    <form method="post" action="${escapeHtml(action)}">
+      <label for="password">Password</label>
+      <input id="password" name="password" type="password" autocomplete="current-password" required autofocus>
+      <button type="submit">Unlock</button>
+    </form>
+  </main>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderUnlockPage,
+};
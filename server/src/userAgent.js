@@ -0,0 +1,52 @@
+// Small User-Agent classifier for click analytics. It only needs to sort
+// visitors into broad buckets, so a handful of ordered regexes is enough.
+
+const BOT_PATTERN = /bot|crawler|spider|slurp|facebookexternalhit|preview|curl|wget|python-requests|headless/i;
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['ChromeOS', /CrOS/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+function firstMatch(list, userAgent) {
+  const match = list.find(([, pattern]) => pattern.test(userAgent));
+  return match ? match[0] : 'Other';
+}
+
+function parseUserAgent(userAgent) {
+  if (!userAgent) {
+    return { browser: 'Unknown', os: 'Unknown', device: 'unknown' };
+  }
+
+  let device = 'desktop';
+  if (BOT_PATTERN.test(userAgent)) {
+    device = 'bot';
+  } else if (/iPad|Tablet/.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    device = 'tablet';
+  } else if (/Mobi|iPhone|iPod|Android/.test(userAgent)) {
+    device = 'mobile';
+  }
+
+  return {
+    browser: device === 'bot' ? 'Bot' : firstMatch(BROWSERS, userAgent),
+    os: firstMatch(OPERATING_SYSTEMS, userAgent),
+    device,
+  };
+}
+
+module.exports = {
+  parseUserAgent,
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+
+// A split link sends visitors who match none of its redirect rules to one of
+// several destinations, picked at random by weight:
+//   { sticky: true, variants: [{ id, name, url, weight: 70 }, { id, name, url, weight: 30 }] }
+// Weights are relative; a variant with weight 0 is paused. With `sticky`, a
+// cookie keeps returning visitors on the variant they were first sent to.
+const MIN_VARIANTS = 2;
+// Few enough that the stats breakdowns, which keep the top 10 values, always
+// list every variant.
+const MAX_VARIANTS = 5;
+const MAX_VARIANT_WEIGHT = 100;
+const MAX_VARIANT_NAME_LENGTH = 64;
+// Ids are generated here and kept across edits, so clicks and sticky
+// visitors stay with a variant when weights change.
+const VARIANT_ID_PATTERN = /^[0-9a-f]{8}$/;
+const VARIANT_COOKIE = 'variant';
+const VARIANT_COOKIE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+function parseVariant(variant, usedIds) {
+  if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+    return { error: 'must be an object' };
+  }
+  // The URL itself is checked like the link's own, in links.js.
+  if (!variant.url || typeof variant.url !== 'string') {
+    return { error: 'url is required' };
+  }
+  if (variant.name != null
+    && (typeof variant.name !== 'string' || variant.name.trim().length > MAX_VARIANT_NAME_LENGTH)) {
+    return { error: `name must be a string of at most ${MAX_VARIANT_NAME_LENGTH} characters` };
+  }
+  const { weight } = variant;
+  if (!Number.isInteger(weight) || weight < 0 || weight > MAX_VARIANT_WEIGHT) {
+    return { error: `weight must be a whole number from 0 to ${MAX_VARIANT_WEIGHT}` };
+  }
+
+  const id = VARIANT_ID_PATTERN.test(variant.id) && !usedIds.has(variant.id)
+    ? variant.id
+    : crypto.randomBytes(4).toString('hex');
+  usedIds.add(id);
+  return {
+    value: {
+      id,
+      name: (variant.name && variant.name.trim()) || null,
+      url: variant.url,
+      weight,
+    },
+  };
+}
+
+// Validates a link's split; null removes it. Variants sent back with the id
+// they were given keep it. Returns { error } or { value }.
+function parseSplit(split) {
+  if (split == null) return { value: null };
+  if (typeof split !== 'object' || Array.isArray(split)) {
+    return { error: 'split must be an object' };
+  }
+  if (split.sticky != null && typeof split.sticky !== 'boolean') {
+    return { error: 'split.sticky must be true or false' };
+  }
+  const { variants } = split;
+  if (!Array.isArray(variants) || variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+    return { error: `split.variants must be a list of ${MIN_VARIANTS} to ${MAX_VARIANTS} variants` };
+  }
+  const usedIds = new Set();
+  const parsed = [];
+  for (const [index, variant] of variants.entries()) {
+    const result = parseVariant(variant, usedIds);
+    if (result.error) {
+      return { error: `Variant ${index + 1}: ${result.error}` };
+    }
+    parsed.push(result.value);
+  }
+  if (!parsed.some((variant) => variant.weight > 0)) {
+    return { error: 'split needs at least one variant with a weight above 0' };
+  }
+  return { value: { sticky: Boolean(split.sticky), variants: parsed } };
+}
+
+// The variant id a sticky split remembered for this visitor, if any. The
+// cookie is scoped to the link's path, so each link has its own.
+function rememberedVariantId(req) {
+  const header = req.get('cookie') || '';
+  for (const pair of header.split(';')) {
+    const [name, value] = pair.trim().split('=');
+    if (name === VARIANT_COOKIE && VARIANT_ID_PATTERN.test(value)) return value;
+  }
+  return null;
+}
+
+function rememberVariant(req, res, code, variant) {
+  res.cookie(VARIANT_COOKIE, variant.id, {
+    path: `/${code}`,
+    maxAge: VARIANT_COOKIE_MAX_AGE_MS,
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+  });
+}
+
+// The variant to serve, or null for a link without a split. A sticky
+// visitor keeps their variant for as long as it exists and isn't paused.
+function pickVariant(split, rememberedId = null, random = Math.random) {
+  if (!split) return null;
+  const active = split.variants.filter((variant) => variant.weight > 0);
+  if (split.sticky && rememberedId) {
+    const remembered = active.find((variant) => variant.id === rememberedId);
+    if (remembered) return remembered;
+  }
+  const total = active.reduce((sum, variant) => sum + variant.weight, 0);
+  let point = random() * total;
+  for (const variant of active) {
+    point -= variant.weight;
+    if (point < 0) return variant;
+  }
+  return active[active.length - 1];
+}
+
+module.exports = {
+  parseSplit,
+  rememberedVariantId,
+  rememberVariant,
+  pickVariant,
+};
@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+describe('API keys', () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startTestServer();
+    token = await server.register();
+    await server.request('POST', '/api/links', {
+      token, body: { url: 'https://example.com/keys', code: 'keys01' },
+    });
+  });
+  after(() => server.close());
+
+  async function createKey(body) {
+    const res = await server.request('POST', '/api/keys', { token, body });
+    assert.equal(res.status, 201);
+    return res.body;
+  }
+
+  it('creates a key whose secret is shown only once', async () => {
+    const created = await createKey({ name: ' CI ' });
+    assert.match(created.key, /^usk_/);
+    assert.equal(created.name, 'CI');
+    assert.deepEqual(created.scopes, ['links:read', 'links:write']);
+
+    const list = await server.request('GET', '/api/keys', { token });
+    const listed = list.body.find((key) => key.id === created.id);
+    assert.equal(listed.prefix, created.prefix);
+    assert.equal(listed.key, undefined);
+
+    const invalid = await server.request('POST', '/api/keys', {
+      token, body: { name: 'bad', scopes: ['links:admin'] },
+    });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('limits a read-only key to reading links', async () => {
+    const { key } = await createKey({ name: 'reporting', scopes: ['links:read'] });
+
+    assert.equal((await server.request('GET', '/api/links', { token: key })).status, 200);
+    assert.equal((await server.request('GET', '/api/links/keys01', { token: key })).status, 200);
+    const writes = [
+      ['POST', '/api/links', { url: 'https://example.com/new' }],
+      ['PATCH', '/api/links/keys01', { title: 'Renamed' }],
+      ['DELETE', '/api/links/keys01', undefined],
+    ];
+    for (const [method, path, body] of writes) {
+      const res = await server.request(method, path, { token: key, body });
+      assert.equal(res.status, 403, `${method} ${path}`);
+      assert.equal(res.body.error, 'API key is missing the links:write scope');
+    }
+    assert.equal((await server.request('GET', '/api/links/keys01', { token })).body.title, null);
+  });
+
+  it('keeps key management to signed-in sessions', async () => {
+    const { key, id } = await createKey({ name: 'automation' });
+    const routes = [
+      ['GET', '/api/keys', undefined],
+      ['POST', '/api/keys', { name: 'escalated' }],
+      ['DELETE', `/api/keys/${id}`, undefined],
+    ];
+    for (const [method, path, body] of routes) {
+      const res = await server.request(method, path, { token: key, body });
+      assert.equal(res.status, 403, `${method} ${path}`);
+    }
+  });
+
+  it('stops accepting a key once it is revoked', async () => {
+    const { key, id } = await createKey({ name: 'temporary' });
+    assert.equal((await server.request('GET', '/api/links', { token: key })).status, 200);
+
+    const other = await server.register();
+    assert.equal((await server.request('DELETE', `/api/keys/${id}`, { token: other })).status, 404);
+    assert.equal((await server.request('DELETE', `/api/keys/${id}`, { token })).status, 204);
+    assert.equal((await server.request('DELETE', `/api/keys/${id}`, { token })).status, 404);
+
+    const revoked = await server.request('GET', '/api/links', { token: key });
+    assert.equal(revoked.status, 401);
+    assert.equal(revoked.body.error, 'Invalid or revoked API key');
+    const listed = (await server.request('GET', '/api/keys', { token })).body.find((apiKey) => apiKey.id === id);
+    assert.ok(listed.revokedAt);
+  });
+});
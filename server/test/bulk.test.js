@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+describe('POST /api/links/bulk', () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startTestServer();
+    token = await server.register();
+    await server.request('POST', '/api/links', {
+      token, body: { url: 'https://example.com/existing', code: 'taken1' },
+    });
+  });
+  after(() => server.close());
+
+  function importCsv(csv, query = '') {
+    return server.request('POST', `/api/links/bulk${query}`, {
+      token, body: csv, headers: { 'Content-Type': 'text/csv' },
+    });
+  }
+
+  it('creates the valid CSV rows and reports the rest by row number', async () => {
+    const csv = [
+      '\uFEFFURL,Code,Title,Tags,Max Clicks',
+      'https://example.com/a,csv001,"Sale, part 1",promo; spring|q2,',
+      'not a url,csv002,,,',
+      'https://example.com/b,csv001,,,',
+      '',
+      'https://example.com/c,taken1,,,',
+      'https://example.com/d,,"Quoted ""title""",,5',
+    ].join('\r\n');
+    const res = await importCsv(csv);
+    assert.equal(res.status, 207);
+    assert.equal(res.body.atomic, false);
+    assert.equal(res.body.created, 2);
+    assert.equal(res.body.failed, 3);
+    assert.deepEqual(
+      res.body.results.map(({ row, status, error }) => [row, status, error]),
+      [
+        [1, 'created', undefined],
+        [2, 'failed', 'Invalid URL'],
+        [3, 'failed', 'Duplicate code in this import'],
+        [4, 'failed', 'Code already exists'],
+        [5, 'created', undefined],
+      ],
+    );
+
+    const [first, , , , last] = res.body.results;
+    assert.equal(first.link.title, 'Sale, part 1');
+    assert.deepEqual(first.link.tags, ['promo', 'spring', 'q2']);
+    assert.equal(first.link.maxClicks, null);
+    assert.equal(last.link.title, 'Quoted "title"');
+    assert.equal(last.link.maxClicks, 5);
+    assert.match(last.link.code, /^[A-Za-z0-9]{6,8}$/);
+    assert.equal((await server.request('GET', `/${last.link.code}`)).status, 302);
+  });
+
+  it('creates nothing in atomic mode when any row is invalid', async () => {
+    const csv = 'url,code\nhttps://example.com/e,atom01\nftp://example.com/f,atom02\n';
+    const res = await importCsv(csv, '?atomic=true');
+    assert.equal(res.status, 422);
+    assert.deepEqual(res.body.results.map((result) => result.status), ['skipped', 'failed']);
+    assert.equal((await server.request('GET', '/api/links/atom01', { token })).status, 404);
+
+    const fixed = await importCsv('url,code\nhttps://example.com/e,atom01\n', '?atomic=true');
+    assert.equal(fixed.status, 201);
+    assert.equal(fixed.body.created, 1);
+  });
+
+  it('rejects CSV it cannot read', async () => {
+    const cases = [
+      ['code,title\nabc123,Missing URL\n', 'CSV must have a header row with a url column'],
+      ['url\n"https://example.com/unterminated\n', 'Invalid CSV: Unterminated quoted field'],
+      ['url\n\n', 'No links to create'],
+    ];
+    for (const [csv, error] of cases) {
+      const res = await importCsv(csv);
+      assert.equal(res.status, 400, csv);
+      assert.equal(res.body.error, error);
+    }
+  });
+});
@@ -0,0 +1,109 @@
+const {
+  describe, it, before, after, mock,
+} = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { createLogger, logger } = require('../src/logger');
+const { parseClientLogBody } = require('../src/clientLogs');
+
+describe('parseClientLogBody', () => {
+  it('accepts JSON sent as text/plain', () => {
+    const parsed = parseClientLogBody(JSON.stringify({
+      entries: [{ level: 'ERROR', message: 'boom', timestamp: '2026-01-02T03:04:05.000Z' }],
+    }));
+    assert.equal(parsed.entries.length, 1);
+    assert.equal(parsed.entries[0].level, 'error');
+    assert.equal(parsed.entries[0].clientTime, '2026-01-02T03:04:05.000Z');
+  });
+
+  it('drops malformed entries and levels other than WARN/ERROR', () => {
+    const parsed = parseClientLogBody({
+      entries: [
+        { level: 'WARN', message: 'slow' },
+        { level: 'INFO', message: 'chatty' },
+        { level: 'ERROR' },
+        'nonsense',
+      ],
+    });
+    assert.deepEqual(parsed.entries.map((entry) => entry.message), ['slow']);
+    assert.equal(parsed.dropped, 3);
+  });
+
+  it('truncates long messages and context', () => {
+    const parsed = parseClientLogBody({
+      entries: [{ level: 'ERROR', message: 'x'.repeat(5000), context: { blob: 'y'.repeat(10000) } }],
+    });
+    const [entry] = parsed.entries;
+    assert.ok(entry.message.length <= 2001);
+    assert.equal(entry.context.truncated, true);
+    assert.ok(entry.context.preview.length <= 4001);
+  });
+
+  it('rejects bodies without entries or with too many', () => {
+    assert.ok(parseClientLogBody('not json').error);
+    assert.ok(parseClientLogBody({}).error);
+    const entries = Array.from({ length: 51 }, () => ({ level: 'WARN', message: 'm' }));
+    assert.match(parseClientLogBody({ entries }).error, /At most 50/);
+  });
+});
+
+describe('POST /api/client-logs', () => {
+  let server;
+  before(async () => { server = await startTestServer(); });
+  after(() => server.close());
+
+  it('logs accepted entries with the request ID', async (t) => {
+    const lines = [];
+    const write = (line) => lines.push(JSON.parse(line));
+    mock.method(logger, 'child', (bindings) => createLogger({ level: 'debug', write, bindings }));
+    t.after(() => mock.restoreAll());
+
+    const res = await server.request('POST', '/api/client-logs', {
+      body: {
+        entries: [{
+          level: 'ERROR',
+          message: 'Failed to load links',
+          context: { status: 500 },
+          route: '/dashboard',
+          userAgent: 'TestBrowser/1.0',
+        }],
+      },
+    });
+    assert.equal(res.status, 202);
+    assert.deepEqual(res.body, { accepted: 1, dropped: 0 });
+
+    const entry = lines.find((line) => line.source === 'client');
+    assert.equal(entry.level, 'error');
+    assert.equal(entry.msg, 'Failed to load links');
+    assert.deepEqual(entry.context, { status: 500 });
+    assert.equal(entry.route, '/dashboard');
+    assert.equal(entry.userAgent, 'TestBrowser/1.0');
+    assert.equal(entry.requestId, res.headers.get('x-request-id'));
+  });
+
+  it('accepts beacons sent as text/plain', async () => {
+    const res = await server.request('POST', '/api/client-logs', {
+      headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+      body: JSON.stringify({ entries: [{ level: 'WARN', message: 'page hidden' }] }),
+    });
+    assert.equal(res.status, 202);
+    assert.equal(res.body.accepted, 1);
+  });
+
+  it('rejects bodies over the size limit', async () => {
+    const res = await server.request('POST', '/api/client-logs', {
+      body: { entries: [{ level: 'ERROR', message: 'x'.repeat(70 * 1024) }] },
+    });
+    assert.equal(res.status, 413);
+  });
+
+  it('rate limits each client', async () => {
+    let res;
+    for (let i = 0; i < 40; i += 1) {
+      res = await server.request('POST', '/api/client-logs', { body: { entries: [] } });
+      if (res.status === 429) break;
+    }
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { isPrivateHost, createDestinationCheck } = require('../src/destinations');
+const { parseBlockPattern } = require('../src/blocklist');
+
+describe('destination checks', () => {
+  const check = createDestinationCheck([{ pattern: '*.evil.test' }, { pattern: 'phish.example' }]);
+
+  it('allows ordinary public destinations', () => {
+    assert.equal(check('https://example.com/page'), null);
+    assert.equal(check('https://notevil.test/'), null);
+  });
+
+  it('rejects links back to the shortener', () => {
+    assert.match(check('http://short.test/abc123'), /this URL shortener/);
+    assert.match(check('https://SHORT.test./other'), /this URL shortener/);
+  });
+
+  it('rejects localhost and private network addresses', () => {
+    [
+      'http://localhost:3000/', 'http://printer.local/', 'http://intranet/',
+      'http://127.0.0.1/', 'http://2130706433/', 'http://10.1.2.3/', 'http://172.20.0.1/',
+      'http://192.168.1.1/', 'http://169.254.169.254/latest', 'http://[::1]/',
+      'http://[fd00::1]/', 'http://[::ffff:127.0.0.1]/',
+    ].forEach((url) => assert.match(check(url), /private network/, url));
+    assert.equal(isPrivateHost('8.8.8.8'), false);
+  });
+
+  it('rejects blocked hosts, with wildcards covering the domain and its subdomains', () => {
+    assert.match(check('https://evil.test/'), /blocked/);
+    assert.match(check('https://login.accounts.evil.test/'), /blocked/);
+    assert.match(check('https://phish.example/'), /blocked/);
+    assert.equal(check('https://www.phish.example/'), null);
+  });
+
+  it('normalizes blocklist patterns', () => {
+    assert.deepEqual(parseBlockPattern(' *.Evil.TEST. '), { value: '*.evil.test' });
+    assert.deepEqual(parseBlockPattern('bücher.example'), { value: 'xn--bcher-kva.example' });
+    ['', 'http://evil.test', 'evil.test/path', 'a.*.evil.test', 'evil.test:8080'].forEach((pattern) => {
+      assert.ok(parseBlockPattern(pattern).error, pattern);
+    });
+  });
+});
+
+describe('destination safety API', () => {
+  let server;
+  let adminToken;
+  let userToken;
+  before(async () => {
+    process.env.ADMIN_EMAILS = 'admin@example.com';
+    server = await startTestServer();
+    adminToken = await server.register('admin@example.com');
+    userToken = await server.register();
+  });
+  after(() => {
+    delete process.env.ADMIN_EMAILS;
+    return server.close();
+  });
+
+  it('rejects unsafe destinations on create, edit and bulk import', async () => {
+    const created = await server.request('POST', '/api/links', {
+      token: userToken, body: { url: 'http://192.168.0.1/admin' },
+    });
+    assert.equal(created.status, 400);
+    assert.match(created.body.error, /private network/);
+
+    const link = await server.request('POST', '/api/links', {
+      token: userToken, body: { url: 'https://example.com/safe' },
+    });
+    const edited = await server.request('PATCH', `/api/links/${link.body.code}`, {
+      token: userToken, body: { url: `http://short.test/${link.body.code}` },
+    });
+    assert.equal(edited.status, 400);
+    assert.match(edited.body.error, /this URL shortener/);
+
+    const bulk = await server.request('POST', '/api/links/bulk', {
+      token: userToken, body: [{ url: 'https://example.com/ok' }, { url: 'http://localhost/' }],
+    });
+    assert.equal(bulk.status, 207);
+    assert.equal(bulk.body.results[1].status, 'failed');
+  });
+
+  it('limits the blocklist to admins with a session', async () => {
+    const res = await server.request('GET', '/api/admin/blocklist', { token: userToken });
+    assert.equal(res.status, 403);
+    assert.equal(
+      (await server.request('GET', '/api/auth/me', { token: adminToken })).body.user.isAdmin,
+      true,
+    );
+  });
+
+  it('flags, disables and re-enables links to a newly blocked domain', async () => {
+    const codes = [];
+    for (const url of ['https://cdn.scam.test/a', 'https://scam.test/b', 'https://fine.test/c']) {
+      const res = await server.request('POST', '/api/links', { token: userToken, body: { url } });
+      codes.push(res.body.code);
+    }
+    await server.request('GET', `/${codes[0]}`);
+
+    const entry = await server.request('POST', '/api/admin/blocklist', {
+      token: adminToken, body: { pattern: '*.scam.test', reason: 'Phishing' },
+    });
+    assert.equal(entry.status, 201);
+    assert.equal(entry.body.pattern, '*.scam.test');
+    assert.equal(entry.body.matchingLinks, 2);
+    assert.equal(entry.body.disabledLinks, 0);
+
+    const duplicate = await server.request('POST', '/api/admin/blocklist', {
+      token: adminToken, body: { pattern: '*.SCAM.test' },
+    });
+    assert.equal(duplicate.status, 409);
+
+    const blocked = await server.request('POST', '/api/links', {
+      token: userToken, body: { url: 'https://www.scam.test/' },
+    });
+    assert.match(blocked.body.error, /blocked/);
+
+    const flagged = await server.request('GET', `/api/admin/blocklist/${entry.body.id}/links`, {
+      token: adminToken,
+    });
+    assert.deepEqual(flagged.body.map((link) => link.code).sort(), codes.slice(0, 2).sort());
+    assert.equal(flagged.body[0].disabled, false);
+
+    const disabled = await server.request('POST', `/api/admin/blocklist/${entry.body.id}/disable-links`, {
+      token: adminToken,
+    });
+    assert.deepEqual(disabled.body, { disabledLinks: 2 });
+    // The first link's destination was cached by the redirect above.
+    assert.equal((await server.request('GET', `/${codes[0]}`)).status, 403);
+    assert.equal((await server.request('GET', `/${codes[2]}`)).status, 302);
+
+    const stats = await server.request('GET', `/api/links/${codes[1]}`, { token: userToken });
+    assert.equal(stats.body.disabled, true);
+    assert.equal(stats.body.disabledReason, 'Blocked domain *.scam.test: Phishing');
+
+    const enabled = await server.request('POST', `/api/admin/links/${codes[0]}/enable`, {
+      token: adminToken,
+    });
+    assert.equal(enabled.body.disabled, false);
+    assert.equal((await server.request('GET', `/${codes[0]}`)).status, 302);
+
+    const removed = await server.request('DELETE', `/api/admin/blocklist/${entry.body.id}`, {
+      token: adminToken,
+    });
+    assert.equal(removed.status, 204);
+    const list = await server.request('GET', '/api/admin/blocklist', { token: adminToken });
+    assert.deepEqual(list.body, []);
+  });
+
+  it('lets admins disable a single link', async () => {
+    const link = await server.request('POST', '/api/links', {
+      token: userToken, body: { url: 'https://example.com/reported' },
+    });
+    const res = await server.request('POST', `/api/admin/links/${link.body.code}/disable`, {
+      token: adminToken, body: { reason: 'Reported as malware' },
+    });
+    assert.equal(res.body.disabledReason, 'Reported as malware');
+    assert.equal((await server.request('GET', `/${link.body.code}`)).status, 403);
+  });
+});
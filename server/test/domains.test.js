@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { setTxtResolver } = require('../src/domains');
+
+describe('custom domains', () => {
+  let server;
+  let token;
+  // Stands in for DNS: record name -> TXT values.
+  const txtRecords = new Map();
+
+  before(async () => {
+    server = await startTestServer();
+    token = await server.register();
+    setTxtResolver(async (name) => {
+      if (!txtRecords.has(name)) {
+        throw Object.assign(new Error(`queryTxt ENOTFOUND ${name}`), { code: 'ENOTFOUND' });
+      }
+      return txtRecords.get(name).map((value) => [value]);
+    });
+  });
+  after(() => {
+    setTxtResolver(null);
+    return server.close();
+  });
+
+  // Registers a domain for the user and publishes its TXT record.
+  async function addVerifiedDomain(hostname, user = token) {
+    const added = await server.request('POST', '/api/domains', { token: user, body: { hostname } });
+    assert.equal(added.status, 201);
+    const { name, value } = added.body.verification;
+    txtRecords.set(name, [value]);
+    const verified = await server.request('POST', `/api/domains/${added.body.id}/verify`, { token: user });
+    assert.equal(verified.status, 200);
+    return verified.body;
+  }
+
+  function visit(path, host) {
+    return server.request('GET', path, { headers: { 'X-Forwarded-Host': host } });
+  }
+
+  it('verifies a domain through its DNS TXT record', async () => {
+    const added = await server.request('POST', '/api/domains', { token, body: { hostname: ' Go.Brand.test. ' } });
+    assert.equal(added.status, 201);
+    assert.equal(added.body.hostname, 'go.brand.test');
+    assert.equal(added.body.verified, false);
+    assert.equal(added.body.verification.name, '_url-shortener.go.brand.test');
+
+    const unverified = await server.request('POST', '/api/links', {
+      token, body: { url: 'https://example.com', domain: 'go.brand.test' },
+    });
+    assert.equal(unverified.status, 400);
+
+    const early = await server.request('POST', `/api/domains/${added.body.id}/verify`, { token });
+    assert.equal(early.status, 422);
+
+    txtRecords.set(added.body.verification.name, ['v=spf1 -all', added.body.verification.value]);
+    const verified = await server.request('POST', `/api/domains/${added.body.id}/verify`, { token });
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.verified, true);
+
+    const list = await server.request('GET', '/api/domains', { token });
+    assert.deepEqual(list.body.map((domain) => [domain.hostname, domain.linkCount]), [['go.brand.test', 0]]);
+  });
+
+  it('rejects invalid, taken and foreign domains', async () => {
+    for (const hostname of ['not a host', 'localhost', '10.0.0.1', 'short.test']) {
+      const res = await server.request('POST', '/api/domains', { token, body: { hostname } });
+      assert.equal(res.status, 400, hostname);
+    }
+
+    const other = await server.register();
+    const taken = await server.request('POST', '/api/domains', { token: other, body: { hostname: 'go.brand.test' } });
+    assert.equal(taken.status, 409);
+
+    const [mine] = (await server.request('GET', '/api/domains', { token })).body;
+    const foreign = await server.request('POST', `/api/domains/${mine.id}/verify`, { token: other });
+    assert.equal(foreign.status, 404);
+    const borrowed = await server.request('POST', '/api/links', {
+      token: other, body: { url: 'https://example.com', domain: 'go.brand.test' },
+    });
+    assert.equal(borrowed.status, 400);
+  });
+
+  it('lets the owner verify a domain someone else claimed first', async () => {
+    const squatter = await server.register();
+    const claim = () => server.request('POST', '/api/domains', { token: squatter, body: { hostname: 'go.real.test' } });
+    assert.equal((await claim()).status, 201);
+    assert.equal((await claim()).status, 409);
+
+    const domain = await addVerifiedDomain('go.real.test');
+    assert.equal(domain.verified, true);
+    assert.deepEqual((await server.request('GET', '/api/domains', { token: squatter })).body, []);
+    assert.equal((await claim()).status, 409);
+  });
+
+  it('keeps a separate code namespace per domain, chosen by the Host header', async () => {
+    await addVerifiedDomain('links.shop.test');
+    const onDefault = await server.request('POST', '/api/links', {
+      token, body: { url: 'https://example.com/default', code: 'promo1' },
+    });
+    const onShop = await server.request('POST', '/api/links', {
+      token, body: { url: 'https://example.com/shop', code: 'promo1', domain: 'links.shop.test' },
+    });
+    assert.equal(onDefault.status, 201);
+    assert.equal(onShop.status, 201);
+    assert.equal(onShop.body.domain, 'links.shop.test');
+    assert.equal(onShop.body.shortUrl, 'http://links.shop.test/promo1');
+    const again = await server.request('POST', '/api/links', {
+      token, body: { url: 'https://example.com/again', code: 'promo1', domain: 'links.shop.test' },
+    });
+    assert.equal(again.status, 409);
+
+    assert.equal((await visit('/promo1', 'links.shop.test')).headers.get('location'), 'https://example.com/shop');
+    assert.equal((await visit('/promo1', 'short.test')).headers.get('location'), 'https://example.com/default');
+    const onlyShop = await server.request('POST', '/api/links', {
+      token, body: { url: 'https://example.com/only', domain: 'links.shop.test' },
+    });
+    assert.equal((await visit(`/${onlyShop.body.code}`, 'short.test')).status, 404);
+
+    const fetched = await server.request('GET', '/api/links/promo1?domain=links.shop.test', { token });
+    assert.equal(fetched.body.url, 'https://example.com/shop');
+    assert.equal(fetched.body.clickCount, 1);
+    const patched = await server.request('PATCH', '/api/links/promo1?domain=LINKS.shop.test', {
+      token, body: { url: 'https://example.com/shop-v2' },
+    });
+    assert.equal(patched.body.url, 'https://example.com/shop-v2');
+    assert.equal((await visit('/promo1', 'links.shop.test')).headers.get('location'), 'https://example.com/shop-v2');
+    assert.equal((await server.request('GET', '/api/links/promo1', { token })).body.url, 'https://example.com/default');
+
+    const tagged = await server.request('POST', '/api/links/tags', {
+      token, body: { codes: ['links.shop.test/promo1'], add: ['shop'] },
+    });
+    assert.deepEqual(tagged.body.links.map((link) => [link.domain, link.tags]), [['links.shop.test', ['shop']]]);
+  });
+
+  it('keeps domains with links and blocks links back to them', async () => {
+    const domain = await addVerifiedDomain('to.loop.test');
+    const looping = await server.request('POST', '/api/links', {
+      token, body: { url: 'https://to.loop.test/promo1' },
+    });
+    assert.equal(looping.status, 400);
+
+    await server.request('POST', '/api/links', {
+      token, body: { url: 'https://example.com', code: 'keep01', domain: 'to.loop.test' },
+    });
+    const kept = await server.request('DELETE', `/api/domains/${domain.id}`, { token });
+    assert.equal(kept.status, 409);
+
+    await server.request('DELETE', '/api/links/keep01?domain=to.loop.test', { token });
+    const removed = await server.request('DELETE', `/api/domains/${domain.id}`, { token });
+    assert.equal(removed.status, 204);
+    assert.equal((await visit('/keep01', 'to.loop.test')).status, 404);
+  });
+});
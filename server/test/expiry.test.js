@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { archiveExpiredLinks } = require('../src/expiry');
+
+describe('expired links', () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startTestServer();
+    token = await server.register();
+  });
+  after(() => server.close());
+
+  async function createLink(body) {
+    const res = await server.request('POST', '/api/links', { token, body });
+    assert.equal(res.status, 201);
+    return server.repository.links.findByCode(body.code);
+  }
+
+  it('keeps the clicks and revisions of links the reaper archives', async () => {
+    const link = await createLink({ url: 'https://example.com/once', code: 'reap01', maxClicks: 1 });
+    await server.request('GET', '/reap01', { headers: { Referer: 'https://news.example.org/' } });
+
+    assert.equal(await archiveExpiredLinks(), 1);
+    assert.equal(await server.repository.links.findByCode('reap01'), null);
+    const clicks = await server.repository.clicks.listPage(link.id, { limit: 10 });
+    assert.deepEqual(clicks.map((click) => click.referrer_host), ['news.example.org']);
+    const revisions = await server.repository.links.listRevisions(link.id);
+    assert.deepEqual(revisions.map((revision) => revision.action), ['create']);
+  });
+
+  it('serves the link, stats, clicks and history of archived links read-only', async () => {
+    await createLink({ url: 'https://example.com/sale', code: 'reap03', maxClicks: 2 });
+    await server.request('PATCH', '/api/links/reap03', { token, body: { title: 'Sale' } });
+    await server.request('GET', '/reap03');
+    await server.request('GET', '/reap03');
+    await archiveExpiredLinks();
+
+    const link = await server.request('GET', '/api/links/reap03', { token });
+    assert.equal(link.status, 200);
+    assert.equal(link.body.archived, true);
+    assert.equal(link.body.title, 'Sale');
+    assert.equal(link.body.clickCount, 2);
+    assert.equal(link.body.expired, true);
+
+    const stats = await server.request('GET', '/api/links/reap03/stats', { token });
+    assert.equal(stats.status, 200);
+    assert.equal(stats.body.total, 2);
+    const clicks = await server.request('GET', '/api/links/reap03/clicks', { token });
+    assert.equal(clicks.body.clicks.length, 2);
+    const exported = await server.request('GET', '/api/links/reap03/clicks/export?format=csv', { token });
+    assert.equal(exported.body.trim().split('\n').length, 3);
+    const history = await server.request('GET', '/api/links/reap03/history', { token });
+    assert.deepEqual(history.body.map((revision) => revision.changedFields), [['title'], []]);
+
+    const edit = await server.request('PATCH', '/api/links/reap03', { token, body: { title: 'Over' } });
+    assert.equal(edit.status, 404);
+    const other = await server.request('GET', '/api/links/reap03/stats', { token: await server.register() });
+    assert.equal(other.status, 404);
+  });
+
+  it('still drops the clicks and revisions of deleted links', async () => {
+    const link = await createLink({ url: 'https://example.com/gone', code: 'reap02' });
+    await server.request('GET', '/reap02');
+
+    const res = await server.request('DELETE', '/api/links/reap02', { token });
+    assert.equal(res.status, 204);
+    assert.deepEqual(await server.repository.clicks.listPage(link.id, { limit: 10 }), []);
+    assert.deepEqual(await server.repository.links.listRevisions(link.id), []);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { parseCsvRecords } = require('../src/csv');
+
+describe('exports', () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startTestServer();
+    token = await server.register();
+    const links = [
+      { url: 'https://example.com/one', code: 'exp001', title: 'One, "quoted"', tags: ['a', 'b'] },
+      { url: 'https://example.com/two', code: 'exp002', title: '=HYPERLINK("x")', maxClicks: 5 },
+      { url: 'https://example.com/three', code: 'exp003', tags: ['a'] },
+    ];
+    for (const body of links) {
+      await server.request('POST', '/api/links', { token, body });
+    }
+    await server.request('GET', '/exp001', { headers: { Referer: 'https://news.example.org/post' } });
+    await server.request('GET', '/exp001');
+  });
+  after(() => server.close());
+
+  it('exports links as CSV that reads back into the same values', async () => {
+    const res = await server.request('GET', '/api/links/export?sort=created&order=asc', { token });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'text/csv; charset=utf-8');
+    assert.match(res.headers.get('content-disposition'), /^attachment; filename="links-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+    const { columns, records } = parseCsvRecords(res.body);
+    assert.deepEqual(columns.slice(0, 5), ['code', 'domain', 'url', 'title', 'tags']);
+    assert.deepEqual(records.map((record) => record.code), ['exp001', 'exp002', 'exp003']);
+    assert.equal(records[0].title, 'One, "quoted"');
+    assert.equal(records[0].tags, 'a;b');
+    assert.equal(records[0].clickCount, '2');
+    assert.equal(records[0].shortUrl, 'http://short.test/exp001');
+    assert.equal(records[1].title, '\'=HYPERLINK("x")');
+    assert.equal(records[1].maxClicks, '5');
+  });
+
+  it('exports links as JSON and NDJSON, honouring the list filters', async () => {
+    const json = await server.request('GET', '/api/links/export?format=json&tag=a&sort=created&order=asc', { token });
+    assert.equal(json.headers.get('content-type'), 'application/json; charset=utf-8');
+    assert.match(json.headers.get('content-disposition'), /links-\d{4}-\d{2}-\d{2}\.json"$/);
+    assert.deepEqual(json.body.map((link) => [link.code, link.tags]), [['exp001', ['a', 'b']], ['exp003', ['a']]]);
+    assert.equal(json.body[0].clickCount, 2);
+
+    const ndjson = await server.request('GET', '/api/links/export?format=ndjson&q=two', { token });
+    assert.equal(ndjson.headers.get('content-type'), 'application/x-ndjson; charset=utf-8');
+    const lines = ndjson.body.trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(lines.map((link) => link.code), ['exp002']);
+
+    const empty = await server.request('GET', '/api/links/export?format=json&tag=none', { token });
+    assert.deepEqual(empty.body, []);
+  });
+
+  it('exports the clicks of a link in each format', async () => {
+    const csv = await server.request('GET', '/api/links/exp001/clicks/export', { token });
+    assert.match(csv.headers.get('content-disposition'), /clicks-exp001-\d{4}-\d{2}-\d{2}\.csv"$/);
+    const { columns, records } = parseCsvRecords(csv.body);
+    assert.deepEqual(columns, [
+      'id', 'clickedAt', 'referrer', 'browser', 'os', 'device', 'country', 'source', 'rule', 'variant',
+    ]);
+    assert.deepEqual(records.map((record) => record.referrer).sort(), ['', 'news.example.org']);
+
+    const json = await server.request('GET', '/api/links/exp001/clicks/export?format=json', { token });
+    assert.equal(json.body.length, 2);
+    const ndjson = await server.request('GET', '/api/links/exp001/clicks/export?format=ndjson', { token });
+    assert.deepEqual(
+      ndjson.body.trim().split('\n').map((line) => JSON.parse(line).id).sort(),
+      json.body.map((click) => click.id).sort(),
+    );
+
+    const other = await server.register();
+    assert.equal((await server.request('GET', '/api/links/exp001/clicks/export', { token: other })).status, 404);
+  });
+
+  it('rejects unknown formats', async () => {
+    for (const query of ['format=xml', 'format=toString', 'format=csv&format=json']) {
+      const res = await server.request('GET', `/api/links/export?${query}`, { token });
+      assert.equal(res.status, 400, query);
+      assert.equal(res.body.error, 'format must be one of csv, json, ndjson');
+    }
+  });
+});
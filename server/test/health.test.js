@@ -0,0 +1,16 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+describe('GET /healthz', () => {
+  let server;
+  before(async () => { server = await startTestServer(); });
+  after(() => server.close());
+
+  it('reports ok with the app version', async () => {
+    const res = await server.request('GET', '/healthz');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.ok, true);
+    assert.equal(typeof res.body.version, 'string');
+  });
+});
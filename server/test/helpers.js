@@ -0,0 +1,79 @@
+// Set before anything creates the shared logger; LOG_LEVEL=debug npm test
+// shows the server's logs.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { createRepository, setRepository } = require('../src/db');
+const { createRedirectCacheFromEnv, setRedirectCache } = require('../src/redirectCache');
+const { createRateLimiterFromEnv, setRateLimiter } = require('../src/rateLimit');
+const { forgetVerifiedHostnames } = require('../src/domains');
+
+// Tests never touch a real database: every suite gets its own in-memory
+// repository, and nothing in src/index.js listens until we ask it to.
+process.env.STORAGE_DRIVER = 'memory';
+process.env.BASE_URL = 'http://short.test';
+const { app } = require('../src/index');
+
+// Boots the app on a random local port against an empty repository,
+// redirect cache, set of rate limit buckets and list of verified domains.
+// Call close() when the suite is done.
+async function startTestServer({ cache = 'memory' } = {}) {
+  const repository = createRepository('memory');
+  await repository.init();
+  setRepository(repository);
+  setRedirectCache(createRedirectCacheFromEnv(cache));
+  setRateLimiter(createRateLimiterFromEnv('memory'));
+  forgetVerifiedHostnames();
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Resolves to { status, headers, body }; JSON bodies are parsed. Request
+  // bodies are sent as JSON unless already a string. Redirects are never
+  // followed so tests can inspect them.
+  async function request(method, path, { body, token, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson && text ? JSON.parse(text) : text,
+    };
+  }
+
+  // Registers a fresh user and returns their session token.
+  async function register(email = `user${Math.random().toString(36).slice(2)}@example.com`) {
+    const res = await request('POST', '/api/auth/register', {
+      body: { email, password: 'correct horse battery' },
+    });
+    if (res.status !== 201) {
+      throw new Error(`Registration failed with ${res.status}: ${JSON.stringify(res.body)}`);
+    }
+    return res.body.token;
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await repository.close();
+  }
+
+  return {
+    baseUrl, repository, request, register, close,
+  };
+}
+
+module.exports = {
+  startTestServer,
+};
@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const {
+  parseRule, loadRules, createMemoryRateLimitStore, createRateLimiterFromEnv, setRateLimiter,
+} = require('../src/rateLimit');
+
+function form(password) {
+  return {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ password }).toString(),
+  };
+}
+
+describe('password-protected links', () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startTestServer();
+    token = await server.register();
+  });
+  after(() => server.close());
+
+  async function createProtected(body = {}) {
+    const res = await server.request('POST', '/api/links', {
+      token, body: { url: 'https://example.com/internal-docs', password: 'open sesame', ...body },
+    });
+    assert.equal(res.status, 201);
+    return res.body;
+  }
+
+  it('stores only whether a link is protected', async () => {
+    const link = await createProtected();
+    assert.equal(link.passwordProtected, true);
+    assert.equal(JSON.stringify(link).includes('open sesame'), false);
+
+    const stored = await server.repository.links.findByCode(link.code);
+    assert.match(stored.password_hash, /^scrypt:/);
+  });
+
+  it('rejects passwords that are too short', async () => {
+    const res = await server.request('POST', '/api/links', {
+      token, body: { url: 'https://example.com', password: 'abc' },
+    });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /password must be/);
+  });
+
+  it('shows an unlock page instead of redirecting', async () => {
+    const link = await createProtected();
+    const res = await server.request('GET', `/${link.code}`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/html/);
+    assert.equal(res.headers.get('cache-control'), 'no-store');
+    assert.match(res.body, new RegExp(`action="/${link.code}"`));
+    assert.equal(res.headers.get('location'), null);
+
+    const stats = await server.request('GET', `/api/links/${link.code}`, { token });
+    assert.equal(stats.body.clickCount, 0);
+  });
+
+  it('redirects only after the right password', async () => {
+    const link = await createProtected();
+
+    const wrong = await server.request('POST', `/${link.code}`, form('guess'));
+    assert.equal(wrong.status, 401);
+    assert.match(wrong.body, /Incorrect password/);
+
+    const right = await server.request('POST', `/${link.code}`, form('open sesame'));
+    assert.equal(right.status, 303);
+    assert.equal(right.headers.get('location'), 'https://example.com/internal-docs');
+
+    const stats = await server.request('GET', `/api/links/${link.code}`, { token });
+    assert.equal(stats.body.clickCount, 1);
+  });
+
+  it('throttles wrong passwords per client', async (t) => {
+    setRateLimiter({
+      store: createMemoryRateLimitStore(),
+      rules: { ...loadRules(), unlock: parseRule('2/300') },
+    });
+    t.after(() => setRateLimiter(createRateLimiterFromEnv('memory')));
+    const link = await createProtected();
+
+    assert.equal((await server.request('POST', `/${link.code}`, form('nope1'))).status, 401);
+    assert.equal((await server.request('POST', `/${link.code}`, form('nope2'))).status, 401);
+    const limited = await server.request('POST', `/${link.code}`, form('open sesame'));
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  });
+
+  it('adds, changes and removes a password with PATCH', async () => {
+    const res = await server.request('POST', '/api/links', {
+      token, body: { url: 'https://example.com/later' },
+    });
+    const { code } = res.body;
+    assert.equal(res.body.passwordProtected, false);
+    // Warm the redirect cache so the change must invalidate it.
+    assert.equal((await server.request('GET', `/${code}`)).status, 302);
+
+    const locked = await server.request('PATCH', `/api/links/${code}`, {
+      token, body: { password: 'first secret' },
+    });
+    assert.equal(locked.body.passwordProtected, true);
+    assert.equal((await server.request('GET', `/${code}`)).status, 200);
+
+    await server.request('PATCH', `/api/links/${code}`, { token, body: { password: 'second secret' } });
+    assert.equal((await server.request('POST', `/${code}`, form('first secret'))).status, 401);
+    assert.equal((await server.request('POST', `/${code}`, form('second secret'))).status, 303);
+
+    const history = await server.request('GET', `/api/links/${code}/history`, { token });
+    assert.deepEqual(history.body[0].changedFields, ['password']);
+
+    const unlocked = await server.request('PATCH', `/api/links/${code}`, {
+      token, body: { password: null },
+    });
+    assert.equal(unlocked.body.passwordProtected, false);
+    assert.equal((await server.request('GET', `/${code}`)).status, 302);
+  });
+
+  it('refuses passwords in bulk imports', async () => {
+    const res = await server.request('POST', '/api/links/bulk', {
+      token, body: [{ url: 'https://example.com/bulk', password: 'secret!' }],
+    });
+    assert.equal(res.body.results[0].status, 'failed');
+    assert.match(res.body.results[0].error, /bulk imports/);
+  });
+});
@@ -0,0 +1,242 @@
+const {
+  describe, it, before, after, mock,
+} = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+describe('/api/links', () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startTestServer();
+    token = await server.register();
+  });
+  after(() => server.close());
+
+  describe('POST /api/links', () => {
+    it('creates a link with a custom code', async () => {
+      const res = await server.request('POST', '/api/links', {
+        token,
+        body: { url: 'https://example.com/docs', code: 'docs01', title: 'Docs' },
+      });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.code, 'docs01');
+      assert.equal(res.body.url, 'https://example.com/docs');
+      assert.equal(res.body.title, 'Docs');
+      assert.equal(res.body.clickCount, 0);
+      assert.equal(res.body.shortUrl, 'http://short.test/docs01');
+    });
+
+    it('generates a code when none is given', async () => {
+      const res = await server.request('POST', '/api/links', {
+        token,
+        body: { url: 'https://example.com/generated' },
+      });
+      assert.equal(res.status, 201);
+      assert.match(res.body.code, /^[A-Za-z0-9]{6,8}$/);
+    });
+
+    it('retries with a new code when a generated one is taken', async () => {
+      // Math.random() === 0 makes generateCode() return "AAAAAA".
+      const random = Math.random;
+      const taken = mock.method(Math, 'random', () => 0);
+      const first = await server.request('POST', '/api/links', {
+        token,
+        body: { url: 'https://example.com/first' },
+      });
+      assert.equal(first.body.code, 'AAAAAA');
+
+      // The next code collides once (7 calls: length + 6 characters), then
+      // falls back to real randomness.
+      taken.mock.mockImplementation(() => (taken.mock.callCount() < 14 ? 0 : random()));
+      const second = await server.request('POST', '/api/links', {
+        token,
+        body: { url: 'https://example.com/second' },
+      });
+      taken.mock.restore();
+      assert.equal(second.status, 201);
+      assert.notEqual(second.body.code, 'AAAAAA');
+    });
+
+    it('rejects an invalid URL with 400', async () => {
+      const res = await server.request('POST', '/api/links', {
+        token,
+        body: { url: 'not a url' },
+      });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'Invalid URL');
+    });
+
+    it('rejects a malformed code with 400', async () => {
+      const res = await server.request('POST', '/api/links', {
+        token,
+        body: { url: 'https://example.com', code: 'ab!' },
+      });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'Invalid code format');
+    });
+
+    it('rejects invalid expiry options with 400', async () => {
+      const res = await server.request('POST', '/api/links', {
+        token,
+        body: { url: 'https://example.com', maxClicks: 0 },
+      });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'maxClicks must be a positive integer');
+    });
+
+    it('returns 409 when the code is taken', async () => {
+      const body = { url: 'https://example.com/a', code: 'taken01' };
+      assert.equal((await server.request('POST', '/api/links', { token, body })).status, 201);
+
+      const otherUser = await server.register();
+      const res = await server.request('POST', '/api/links', { token: otherUser, body });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error, 'Code already exists');
+    });
+
+    it('requires authentication', async () => {
+      const res = await server.request('POST', '/api/links', {
+        body: { url: 'https://example.com' },
+      });
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('GET /api/links/:code', () => {
+    it('returns the caller\'s link', async () => {
+      await server.request('POST', '/api/links', {
+        token,
+        body: { url: 'https://example.com/get', code: 'get001' },
+      });
+      const res = await server.request('GET', '/api/links/get001', { token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.url, 'https://example.com/get');
+    });
+
+    it('returns 404 for an unknown code', async () => {
+      const res = await server.request('GET', '/api/links/nope404', { token });
+      assert.equal(res.status, 404);
+      assert.equal(res.body.error, 'Not found');
+    });
+
+    it('returns 404 for another user\'s link', async () => {
+      const otherUser = await server.register();
+      await server.request('POST', '/api/links', {
+        token: otherUser,
+        body: { url: 'https://example.com/private', code: 'priv01' },
+      });
+      const res = await server.request('GET', '/api/links/priv01', { token });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('GET /api/links/:code/clicks', () => {
+    it('pages through clicks with a numeric cursor', async () => {
+      await server.request('POST', '/api/links', {
+        token,
+        body: { url: 'https://example.com/paged', code: 'page01' },
+      });
+      await server.request('GET', '/page01');
+      await server.request('GET', '/page01');
+      const first = await server.request('GET', '/api/links/page01/clicks?limit=1', { token });
+      assert.equal(first.body.clicks.length, 1);
+      const rest = await server.request('GET', `/api/links/page01/clicks?cursor=${first.body.nextCursor}`, { token });
+      assert.equal(rest.status, 200);
+      assert.equal(rest.body.clicks.length, 1);
+    });
+
+    it('rejects cursors that are not a single number', async () => {
+      for (const query of ['cursor=abc', 'cursor=1&cursor=2', 'cursor[]=1', 'cursor[a]=1']) {
+        const res = await server.request('GET', `/api/links/page01/clicks?${query}`, { token });
+        assert.equal(res.status, 400, query);
+        assert.equal(res.body.error, 'Invalid cursor');
+      }
+    });
+  });
+
+  describe('GET /api/links', () => {
+    it('lists only the caller\'s links, newest first', async () => {
+      const owner = await server.register();
+      for (const code of ['list001', 'list002', 'list003']) {
+        await server.request('POST', '/api/links', {
+          token: owner,
+          body: { url: `https://example.com/${code}`, code },
+        });
+      }
+      const res = await server.request('GET', '/api/links', { token: owner });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.links.map((link) => link.code), ['list003', 'list002', 'list001']);
+    });
+
+    it('rejects an unknown sort with 400', async () => {
+      const res = await server.request('GET', '/api/links?sort=bogus', { token });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('DELETE /api/links/:code', () => {
+    it('deletes the link so it no longer resolves', async () => {
+      await server.request('POST', '/api/links', {
+        token,
+        body: { url: 'https://example.com/gone', code: 'gone01' },
+      });
+      const res = await server.request('DELETE', '/api/links/gone01', { token });
+      assert.equal(res.status, 204);
+
+      assert.equal((await server.request('GET', '/api/links/gone01', { token })).status, 404);
+      assert.equal((await server.request('GET', '/gone01')).status, 404);
+    });
+
+    it('returns 404 for an unknown code', async () => {
+      const res = await server.request('DELETE', '/api/links/nope404', { token });
+      assert.equal(res.status, 404);
+    });
+  });
+});
+
+describe('links without an owner', () => {
+  let server;
+  let adminToken;
+  before(async () => {
+    process.env.ADMIN_EMAILS = 'admin@example.com';
+    server = await startTestServer();
+    adminToken = await server.register('admin@example.com');
+  });
+  after(() => {
+    delete process.env.ADMIN_EMAILS;
+    return server.close();
+  });
+
+  it('can be assigned to an account by an admin', async () => {
+    const legacy = { title: null, tags: [], maxClicks: null };
+    await server.repository.links.create(null, {
+      ...legacy, url: 'https://example.com/old', code: 'old001', expiresAt: null,
+    });
+    await server.repository.links.create(null, {
+      ...legacy, url: 'https://example.com/older', code: 'old002', expiresAt: new Date(Date.now() - 1000),
+    });
+    await server.repository.links.archiveExpired();
+    const owner = await server.register('owner@example.com');
+    assert.equal((await server.request('GET', '/api/links/old001', { token: owner })).status, 404);
+
+    const forbidden = await server.request('POST', '/api/admin/unowned-links/assign', {
+      token: owner, body: { email: 'owner@example.com' },
+    });
+    assert.equal(forbidden.status, 403);
+    const unknown = await server.request('POST', '/api/admin/unowned-links/assign', {
+      token: adminToken, body: { email: 'nobody@example.com' },
+    });
+    assert.equal(unknown.status, 404);
+
+    const assigned = await server.request('POST', '/api/admin/unowned-links/assign', {
+      token: adminToken, body: { email: ' Owner@Example.com ' },
+    });
+    assert.equal(assigned.status, 200);
+    assert.equal(assigned.body.assignedLinks, 2);
+    const list = await server.request('GET', '/api/links', { token: owner });
+    assert.deepEqual(list.body.links.map((link) => link.code), ['old001']);
+    const archived = await server.request('GET', '/api/links/old002', { token: owner });
+    assert.equal(archived.body.archived, true);
+  });
+});
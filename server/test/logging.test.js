@@ -0,0 +1,130 @@
+const {
+  describe, it, before, after, mock,
+} = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { createLogger, logger } = require('../src/logger');
+
+describe('createLogger', () => {
+  function capture(options) {
+    const lines = [];
+    const log = createLogger({ ...options, write: (line) => lines.push(JSON.parse(line)) });
+    return { log, lines };
+  }
+
+  it('writes one JSON object per line with bound fields', () => {
+    const { log, lines } = capture({ level: 'info' });
+    log.child({ requestId: 'abc' }).info('hello', { answer: 42 });
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, 'info');
+    assert.equal(lines[0].msg, 'hello');
+    assert.equal(lines[0].requestId, 'abc');
+    assert.equal(lines[0].answer, 42);
+    assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+  });
+
+  it('drops lines more verbose than the configured level', () => {
+    const { log, lines } = capture({ level: 'warn' });
+    log.debug('noise');
+    log.info('noise');
+    log.warn('careful');
+    log.error('broken');
+    assert.deepEqual(lines.map((line) => line.level), ['warn', 'error']);
+  });
+
+  it('serializes errors', () => {
+    const { log, lines } = capture({ level: 'error' });
+    const err = new Error('boom');
+    err.code = 'E42';
+    log.error('failed', { err });
+    assert.equal(lines[0].err.message, 'boom');
+    assert.equal(lines[0].err.code, 'E42');
+    assert.match(lines[0].err.stack, /boom/);
+  });
+
+  it('rejects unknown levels', () => {
+    assert.throws(() => createLogger({ level: 'loud' }), /Unknown LOG_LEVEL/);
+  });
+});
+
+describe('request logging', () => {
+  let server;
+  let token;
+  let lines;
+  before(async () => {
+    server = await startTestServer();
+    token = await server.register();
+  });
+  after(() => server.close());
+
+  // Routes request loggers into `lines` for one test.
+  function captureRequestLogs() {
+    lines = [];
+    const write = (line) => lines.push(JSON.parse(line));
+    mock.method(logger, 'child', (bindings) => createLogger({ level: 'debug', write, bindings }));
+  }
+
+  it('returns a generated X-Request-Id', async () => {
+    const res = await server.request('GET', '/healthz');
+    assert.match(res.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('reuses a well-formed incoming X-Request-Id', async () => {
+    const withId = (id) => server.request('GET', '/healthz', { headers: { 'X-Request-Id': id } });
+    const res = await withId('lb-1234.abc');
+    assert.equal(res.headers.get('x-request-id'), 'lb-1234.abc');
+
+    const bogus = await withId('no spaces <allowed>');
+    assert.notEqual(bogus.headers.get('x-request-id'), 'no spaces <allowed>');
+  });
+
+  it('includes the request ID in error responses', async () => {
+    const res = await server.request('GET', '/api/links/missing1', { token });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error, 'Not found');
+    assert.equal(res.body.requestId, res.headers.get('x-request-id'));
+  });
+
+  it('answers malformed JSON with a 400 JSON error', async () => {
+    const raw = await fetch(`${server.baseUrl}/api/links`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: '{"url":',
+    });
+    const body = await raw.json();
+    assert.equal(raw.status, 400);
+    assert.equal(body.error, 'Invalid JSON body');
+    assert.equal(body.requestId, raw.headers.get('x-request-id'));
+  });
+
+  it('writes an access log line for every request, including redirects', async (t) => {
+    await server.request('POST', '/api/links', {
+      token, body: { url: 'https://example.com', code: 'logged01' },
+    });
+    captureRequestLogs();
+    t.after(() => mock.restoreAll());
+
+    const res = await server.request('GET', '/logged01');
+    const access = lines.find((line) => line.msg === 'request');
+    assert.equal(access.requestId, res.headers.get('x-request-id'));
+    assert.equal(access.method, 'GET');
+    assert.equal(access.url, '/logged01');
+    assert.equal(access.route, '/:code([A-Za-z0-9]{6,8})');
+    assert.equal(access.status, 302);
+    assert.equal(typeof access.durationMs, 'number');
+  });
+
+  it('logs handler errors with the request ID', async (t) => {
+    captureRequestLogs();
+    t.after(() => mock.restoreAll());
+    mock.method(server.repository.links, 'findOwned', async () => { throw new Error('db down'); });
+
+    const res = await server.request('GET', '/api/links/logged01', { token });
+    assert.equal(res.status, 500);
+    const failure = lines.find((line) => line.level === 'error');
+    assert.equal(failure.msg, 'Error getting link');
+    assert.equal(failure.err.message, 'db down');
+    assert.equal(failure.requestId, res.body.requestId);
+  });
+});
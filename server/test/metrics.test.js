@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+// Reads one sample from Prometheus text output, e.g.
+// sample(text, 'redirects_total{status="302"}').
+function sample(text, series) {
+  const line = text.split('\n').find((candidate) => candidate.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : undefined;
+}
+
+describe('GET /metrics', () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startTestServer();
+    token = await server.register();
+  });
+  after(() => server.close());
+
+  it('serves Prometheus text with process metrics', async () => {
+    const res = await server.request('GET', '/metrics');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain/);
+    assert.match(res.body, /^process_cpu_user_seconds_total \d/m);
+    assert.match(res.body, /^nodejs_heap_size_used_bytes \d/m);
+  });
+
+  it('counts requests per route pattern with latency histograms', async () => {
+    await server.request('POST', '/api/links', {
+      token, body: { url: 'https://example.com', code: 'metric01' },
+    });
+    await server.request('GET', '/api/links/metric01', { token });
+    await server.request('GET', '/api/links/metric01', { token });
+
+    const { body } = await server.request('GET', '/metrics');
+    const series = 'http_requests_total{method="GET",route="/api/links/:code",status="200"}';
+    assert.equal(sample(body, series), 2);
+    assert.equal(
+      sample(body, 'http_request_duration_seconds_count{method="GET",route="/api/links/:code",status="200"}'),
+      2,
+    );
+    assert.doesNotMatch(body, /route="\/api\/links\/metric01"/);
+  });
+
+  it('counts redirects by status', async () => {
+    await server.request('POST', '/api/links', {
+      token, body: { url: 'https://example.com', code: 'metric02', maxClicks: 1 },
+    });
+    await server.request('GET', '/metric02');
+    await server.request('GET', '/metric02');
+    await server.request('GET', '/nothere1');
+
+    const { body } = await server.request('GET', '/metrics');
+    assert.equal(sample(body, 'redirects_total{status="302"}'), 1);
+    assert.equal(sample(body, 'redirects_total{status="410"}'), 1);
+    assert.equal(sample(body, 'redirects_total{status="404"}'), 1);
+  });
+
+  it('requires METRICS_TOKEN when one is configured', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+    try {
+      assert.equal((await server.request('GET', '/metrics')).status, 401);
+      const res = await server.request('GET', '/metrics', { token: 'scrape-secret' });
+      assert.equal(res.status, 200);
+    } finally {
+      delete process.env.METRICS_TOKEN;
+    }
+  });
+});
+
+describe('health checks', () => {
+  let server;
+  before(async () => { server = await startTestServer(); });
+  after(() => server.close());
+
+  it('answers liveness without the database', async () => {
+    server.repository.ping = async () => { throw new Error('down'); };
+    const res = await server.request('GET', '/healthz/live');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.ok, true);
+  });
+
+  it('reports ready when the database answers', async () => {
+    server.repository.ping = async () => {};
+    const res = await server.request('GET', '/healthz/ready');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { ok: true, version: res.body.version, database: 'up' });
+  });
+
+  it('reports not ready when the database is down', async () => {
+    server.repository.ping = async () => { throw new Error('connection refused'); };
+    const res = await server.request('GET', '/healthz/ready');
+    assert.equal(res.status, 503);
+    assert.equal(res.body.database, 'down');
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { startTestServer } = require('./helpers');
+const { parseQrOptions } = require('../src/qr');
+
+// A solid red square to use as the QR_LOGO_PATH logo.
+function writeLogo(file) {
+  const logo = new PNG({ width: 8, height: 8 });
+  for (let index = 0; index < logo.data.length; index += 4) {
+    logo.data.set([255, 0, 0, 255], index);
+  }
+  fs.writeFileSync(file, PNG.sync.write(logo));
+}
+
+describe('QR code options', () => {
+  it('fills in defaults', () => {
+    assert.deepEqual(parseQrOptions({}), {
+      format: 'png', size: 512, margin: 4, ecc: 'M', foreground: '#000000', background: '#ffffff', logo: false,
+    });
+    assert.equal(parseQrOptions({ logo: 'true' }).ecc, 'H');
+    assert.equal(parseQrOptions({ fg: '1F2937' }).foreground, '#1f2937');
+  });
+
+  it('rejects invalid or unscannable options', () => {
+    [
+      { format: 'gif' }, { format: 'toString' }, { format: ['svg', 'svg'] },
+      { size: '32' }, { size: '12px' }, { margin: '17' }, { ecc: 'X' },
+      { fg: 'red' }, { fg: '#777777', bg: '#888888' }, { logo: 'true', ecc: 'L' },
+    ].forEach((query) => assert.ok(parseQrOptions(query).error, JSON.stringify(query)));
+  });
+});
+
+describe('GET /api/links/:code/qr', () => {
+  let server;
+  let token;
+  let code;
+  const logoPath = path.join(os.tmpdir(), `qr-logo-${process.pid}.png`);
+  before(async () => {
+    server = await startTestServer();
+    token = await server.register();
+    code = (await server.request('POST', '/api/links', {
+      token, body: { url: 'https://example.com/poster' },
+    })).body.code;
+  });
+  after(() => {
+    delete process.env.QR_LOGO_PATH;
+    fs.rmSync(logoPath, { force: true });
+    return server.close();
+  });
+
+  async function fetchQr(query = '') {
+    const res = await fetch(`${server.baseUrl}/api/links/${code}/qr${query}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return { res, body: Buffer.from(await res.arrayBuffer()) };
+  }
+
+  it('renders a PNG of the requested size', async () => {
+    const { res, body } = await fetchQr('?size=200&margin=2');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'image/png');
+    const image = PNG.sync.read(body);
+    assert.equal(image.width, 200);
+    assert.equal(image.height, 200);
+  });
+
+  it('renders colored SVG, optionally as a download', async () => {
+    const { res, body } = await fetchQr('?format=svg&fg=%231d4ed8&bg=fefce8&download=true');
+    assert.match(res.headers.get('content-type'), /^image\/svg\+xml/);
+    assert.match(res.headers.get('content-disposition'), new RegExp(`attachment; filename="${code}.svg"`));
+    const svg = body.toString();
+    assert.match(svg, /stroke="#1d4ed8"/);
+    assert.match(svg, /fill="#fefce8"/);
+  });
+
+  it('adds the configured logo to the middle of the code', async () => {
+    assert.equal((await fetchQr('?logo=true')).res.status, 400);
+
+    writeLogo(logoPath);
+    process.env.QR_LOGO_PATH = logoPath;
+    const { body } = await fetchQr('?logo=true&size=300');
+    const image = PNG.sync.read(body);
+    const center = (150 * image.width + 150) * 4;
+    assert.deepEqual([...image.data.subarray(center, center + 3)], [255, 0, 0]);
+
+    const svg = (await fetchQr('?logo=true&format=svg')).body.toString();
+    assert.match(svg, /<image [^>]*href="data:image\/png;base64,/);
+  });
+
+  it('only serves QR codes for the caller\'s own links', async () => {
+    const other = await server.register();
+    const res = await server.request('GET', `/api/links/${code}/qr`, { token: other });
+    assert.equal(res.status, 404);
+    assert.equal((await server.request('GET', `/api/links/${code}/qr?size=1`, { token })).status, 400);
+  });
+
+  it('records scans of the encoded URL as the qr source', async () => {
+    assert.equal((await server.request('GET', `/${code}?src=qr`)).status, 302);
+    assert.equal((await server.request('GET', `/${code}`)).status, 302);
+    assert.equal((await server.request('GET', `/${code}?src=${'x'.repeat(40)}`)).status, 302);
+
+    const clicks = await server.request('GET', `/api/links/${code}/clicks`, { token });
+    assert.deepEqual(clicks.body.clicks.map((click) => click.source), [null, null, 'qr']);
+
+    const stats = await server.request('GET', `/api/links/${code}/stats`, { token });
+    assert.deepEqual(stats.body.sources, [{ value: 'direct', clicks: 2 }, { value: 'qr', clicks: 1 }]);
+  });
+
+  it('keeps the source through the unlock page of protected links', async () => {
+    const link = await server.request('POST', '/api/links', {
+      token, body: { url: 'https://example.com/locked', password: 'open sesame' },
+    });
+    const page = await server.request('GET', `/${link.body.code}?src=qr`);
+    assert.match(page.body, new RegExp(`action="/${link.body.code}\\?src=qr"`));
+  });
+});
@@ -0,0 +1,176 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { createRedisStub } = require('../src/cache/redis');
+const {
+  parseRule,
+  createMemoryRateLimitStore,
+  createRedisRateLimitStore,
+  createRateLimiterFromEnv,
+  setRateLimiter,
+} = require('../src/rateLimit');
+
+describe('parseRule', () => {
+  it('reads <requests>/<seconds>', () => {
+    assert.deepEqual(parseRule('60/30'), { capacity: 60, windowSeconds: 30, refillPerMs: 0.002 });
+  });
+
+  it('rejects anything else', () => {
+    assert.throws(() => parseRule('60'), /Invalid rate limit/);
+    assert.throws(() => parseRule('0/60'), /Invalid rate limit/);
+  });
+});
+
+describe('memory rate limit store', () => {
+  it('empties the bucket and refills it over time', async () => {
+    let now = 0;
+    const store = createMemoryRateLimitStore({ now: () => now });
+    const rule = parseRule('2/10');
+
+    assert.equal((await store.consume('a', rule, 1)).allowed, true);
+    assert.equal((await store.consume('a', rule, 1)).allowed, true);
+    assert.deepEqual(await store.consume('a', rule, 1), { allowed: false, tokens: 0 });
+    assert.equal((await store.consume('b', rule, 1)).allowed, true);
+
+    now = 5000;
+    assert.deepEqual(await store.consume('a', rule, 1), { allowed: true, tokens: 0 });
+  });
+
+  it('peeks without spending when the cost is 0', async () => {
+    const store = createMemoryRateLimitStore({ now: () => 0 });
+    const rule = parseRule('1/10');
+    assert.equal((await store.consume('a', rule, 0)).allowed, true);
+    assert.equal((await store.consume('a', rule, 1)).allowed, true);
+    assert.equal((await store.consume('a', rule, 0)).allowed, false);
+  });
+
+  it('forgets the oldest keys once full', async () => {
+    const store = createMemoryRateLimitStore({ maxKeys: 2, now: () => 0 });
+    const rule = parseRule('1/10');
+    await store.consume('a', rule, 1);
+    await store.consume('b', rule, 1);
+    await store.consume('c', rule, 1);
+    assert.equal((await store.consume('a', rule, 1)).allowed, true);
+  });
+});
+
+describe('redis rate limit store', () => {
+  it('needs a client that can run scripts', () => {
+    assert.throws(
+      () => createRedisRateLimitStore({ client: createRedisStub() }),
+      /real Redis server/,
+    );
+  });
+
+  it('names its own setting when REDIS_URL is missing', (t) => {
+    const { REDIS_URL } = process.env;
+    delete process.env.REDIS_URL;
+    t.after(() => {
+      if (REDIS_URL !== undefined) process.env.REDIS_URL = REDIS_URL;
+    });
+    assert.throws(() => createRateLimiterFromEnv('redis'), /^Error: RATE_LIMIT_STORE=redis needs REDIS_URL$/);
+  });
+});
+
+describe('rate limited routes', () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startTestServer();
+    token = await server.register();
+  });
+  after(() => server.close());
+
+  function limitTo(rules) {
+    setRateLimiter({
+      store: createMemoryRateLimitStore(),
+      rules: {
+        create: parseRule('100/60'),
+        list: parseRule('100/60'),
+        redirectMiss: parseRule('100/60'),
+        clientLogs: parseRule('100/60'),
+        login: parseRule('100/60'),
+        ...rules,
+      },
+    });
+  }
+
+  it('answers 429 with Retry-After once creation is used up', async () => {
+    limitTo({ create: parseRule('2/60') });
+    const body = { url: 'https://example.com' };
+
+    const first = await server.request('POST', '/api/links', { token, body });
+    assert.equal(first.status, 201);
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+    assert.equal(first.headers.get('ratelimit-policy'), '2;w=60');
+
+    await server.request('POST', '/api/links', { token, body });
+    const limited = await server.request('POST', '/api/links/bulk', { token, body: [body] });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+    assert.equal(limited.headers.get('retry-after'), '30');
+    assert.ok(Number(limited.headers.get('ratelimit-reset')) > 0);
+    assert.match(limited.body.error, /Too many requests/);
+  });
+
+  it('gives each API key its own bucket', async () => {
+    limitTo({ list: parseRule('1/60') });
+    const created = await server.request('POST', '/api/keys', {
+      token, body: { name: 'reporting', scopes: ['links:read'] },
+    });
+
+    assert.equal((await server.request('GET', '/api/links', { token })).status, 200);
+    assert.equal((await server.request('GET', '/api/links', { token })).status, 429);
+    assert.equal(
+      (await server.request('GET', '/api/links', { token: created.body.key })).status,
+      200,
+    );
+  });
+
+  it('only counts redirects that miss', async () => {
+    limitTo({ redirectMiss: parseRule('2/60') });
+    const link = await server.request('POST', '/api/links', {
+      token, body: { url: 'https://example.com/real' },
+    });
+
+    assert.equal((await server.request('GET', '/nosuch1')).status, 404);
+    for (let i = 0; i < 3; i += 1) {
+      assert.equal((await server.request('GET', `/${link.body.code}`)).status, 302);
+    }
+    assert.equal((await server.request('GET', '/nosuch2')).status, 404);
+
+    const limited = await server.request('GET', `/${link.body.code}`);
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  });
+
+  it('throttles failed logins per client without locking out the owner', async () => {
+    limitTo({ login: parseRule('2/60') });
+    const email = 'guarded@example.com';
+    await server.register(email);
+    const login = (password, { account = email, from = '203.0.113.1' } = {}) => server.request(
+      'POST', '/api/auth/login',
+      { body: { email: account, password }, headers: { 'X-Forwarded-For': from } },
+    );
+
+    assert.equal((await login('correct horse battery')).status, 200);
+    assert.equal((await login('wrong', { from: '203.0.113.2' })).status, 401);
+    assert.equal((await login('wrong', { from: '203.0.113.2' })).status, 401);
+    const limited = await login('correct horse battery', { from: '203.0.113.2' });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal((await login('wrong', { account: 'other@example.com', from: '203.0.113.2' })).status, 429);
+
+    assert.equal((await login('correct horse battery', { from: '203.0.113.3' })).status, 200);
+  });
+
+  it('lets requests through when the store fails', async () => {
+    setRateLimiter({
+      store: { consume: async () => { throw new Error('store down'); } },
+      rules: { list: parseRule('1/60') },
+    });
+    assert.equal((await server.request('GET', '/api/links', { token })).status, 200);
+    assert.equal((await server.request('GET', '/api/links', { token })).status, 200);
+  });
+});
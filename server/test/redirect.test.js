@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+describe('GET /:code', () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startTestServer();
+    token = await server.register();
+  });
+  after(() => server.close());
+
+  async function createLink(body) {
+    const res = await server.request('POST', '/api/links', { token, body });
+    assert.equal(res.status, 201);
+    return res.body;
+  }
+
+  it('redirects to the destination and counts each click', async () => {
+    await createLink({ url: 'https://example.com/landing', code: 'hop001' });
+
+    for (let i = 0; i < 3; i += 1) {
+      const res = await server.request('GET', '/hop001');
+      assert.equal(res.status, 302);
+      assert.equal(res.headers.get('location'), 'https://example.com/landing');
+    }
+
+    const link = await server.request('GET', '/api/links/hop001', { token });
+    assert.equal(link.body.clickCount, 3);
+    assert.notEqual(link.body.lastClickedAt, null);
+  });
+
+  it('counts concurrent clicks exactly', async () => {
+    await createLink({ url: 'https://example.com/busy', code: 'busy01' });
+
+    const responses = await Promise.all(
+      Array.from({ length: 50 }, () => server.request('GET', '/busy01')),
+    );
+    assert.ok(responses.every((res) => res.status === 302));
+
+    const link = await server.request('GET', '/api/links/busy01', { token });
+    assert.equal(link.body.clickCount, 50);
+  });
+
+  it('never lets concurrent clicks overspend the click budget', async () => {
+    await createLink({ url: 'https://example.com/limited', code: 'limit01', maxClicks: 5 });
+
+    const responses = await Promise.all(
+      Array.from({ length: 20 }, () => server.request('GET', '/limit01')),
+    );
+    assert.equal(responses.filter((res) => res.status === 302).length, 5);
+    assert.equal(responses.filter((res) => res.status === 410).length, 15);
+
+    const link = await server.request('GET', '/api/links/limit01', { token });
+    assert.equal(link.body.clickCount, 5);
+  });
+
+  it('returns 404 for an unknown code', async () => {
+    const res = await server.request('GET', '/zzzz99');
+    assert.equal(res.status, 404);
+  });
+
+  it('returns 410 once the click budget is used up', async () => {
+    await createLink({ url: 'https://example.com/once', code: 'once01', maxClicks: 1 });
+
+    assert.equal((await server.request('GET', '/once01')).status, 302);
+    assert.equal((await server.request('GET', '/once01')).status, 410);
+
+    const link = await server.request('GET', '/api/links/once01', { token });
+    assert.equal(link.body.clickCount, 1);
+    assert.equal(link.body.expired, true);
+  });
+});
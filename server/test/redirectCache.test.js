@@ -0,0 +1,186 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { createLruStore } = require('../src/cache/lru');
+const { createRedisStore, createRedisStub } = require('../src/cache/redis');
+const { createRedirectCache } = require('../src/redirectCache');
+
+describe('LRU store', () => {
+  it('evicts the least recently used entry', async () => {
+    const store = createLruStore({ maxEntries: 2 });
+    await store.set('a', 1, 1000);
+    await store.set('b', 2, 1000);
+    await store.get('a');
+    await store.set('c', 3, 1000);
+
+    assert.equal(await store.get('a'), 1);
+    assert.equal(await store.get('b'), undefined);
+    assert.equal(await store.get('c'), 3);
+    assert.equal(store.info().evictions, 1);
+  });
+
+  it('expires entries after their TTL', async () => {
+    let now = 0;
+    const store = createLruStore({ now: () => now });
+    await store.set('a', 1, 100);
+    now = 99;
+    assert.equal(await store.get('a'), 1);
+    now = 100;
+    assert.equal(await store.get('a'), undefined);
+  });
+});
+
+describe('redirect cache', () => {
+  it('caches hits and misses with their own TTLs', async () => {
+    let now = 0;
+    let loads = 0;
+    const cache = createRedirectCache({
+      store: createLruStore({ now: () => now }),
+      ttlMs: 1000,
+      negativeTtlMs: 10,
+      load: async (code) => {
+        loads += 1;
+        if (code !== 'live01') return { status: 'missing' };
+        return {
+          status: 'active', id: 1, url: 'https://example.com', expiresAt: null,
+        };
+      },
+    });
+
+    await cache.resolve('live01');
+    await cache.resolve('live01');
+    await cache.resolve('gone01');
+    await cache.resolve('gone01');
+    assert.equal(loads, 2);
+
+    now = 10;
+    await cache.resolve('live01');
+    await cache.resolve('gone01');
+    assert.equal(loads, 3);
+
+    const stats = cache.stats();
+    assert.equal(stats.hits, 3);
+    assert.equal(stats.negativeHits, 1);
+    assert.equal(stats.misses, 3);
+  });
+
+  it('works through a Redis-compatible client', async () => {
+    const client = createRedisStub();
+    const target = {
+      status: 'active', id: 7, url: 'https://example.com', expiresAt: 123,
+    };
+    const cache = createRedirectCache({
+      store: createRedisStore({ client }),
+      load: async () => target,
+    });
+
+    await cache.resolve('abc123');
+    assert.equal(await client.get('redirect:abc123'), JSON.stringify(target));
+    assert.deepEqual(await cache.resolve('abc123'), target);
+    assert.equal(cache.stats().hits, 1);
+
+    await cache.invalidate('abc123');
+    assert.equal(await client.get('redirect:abc123'), null);
+  });
+
+  it('falls back to the database when the store fails', async () => {
+    const cache = createRedirectCache({
+      store: {
+        driver: 'broken',
+        get: async () => { throw new Error('down'); },
+        set: async () => { throw new Error('down'); },
+        delete: async () => { throw new Error('down'); },
+        info: () => ({}),
+      },
+      load: async () => ({ status: 'missing' }),
+    });
+    assert.deepEqual(await cache.resolve('abc123'), { status: 'missing' });
+    assert.equal(cache.stats().errors, 2);
+  });
+});
+
+for (const store of ['memory', 'redis']) {
+  describe(`GET /:code with the ${store} cache`, () => {
+    let server;
+    let token;
+    before(async () => {
+      process.env.REDIS_URL = 'memory://';
+      server = await startTestServer({ cache: store });
+      token = await server.register();
+    });
+    after(() => server.close());
+
+    const stats = async () => (await server.request('GET', '/api/cache/stats', { token })).body;
+
+    it('serves repeat redirects from the cache', async () => {
+      await server.request('POST', '/api/links', {
+        token, body: { url: 'https://example.com/a', code: 'cache01' },
+      });
+      const before = await stats();
+      await server.request('GET', '/cache01');
+      await server.request('GET', '/cache01');
+      const afterwards = await stats();
+
+      assert.equal(afterwards.store, store);
+      assert.equal(afterwards.misses - before.misses, 1);
+      assert.equal(afterwards.hits - before.hits, 1);
+      const link = await server.request('GET', '/api/links/cache01', { token });
+      assert.equal(link.body.clickCount, 2);
+    });
+
+    it('follows edits and deletes immediately', async () => {
+      await server.request('POST', '/api/links', {
+        token, body: { url: 'https://example.com/old', code: 'cache02' },
+      });
+      await server.request('GET', '/cache02');
+
+      await server.request('PATCH', '/api/links/cache02', {
+        token, body: { url: 'https://example.com/new' },
+      });
+      const edited = await server.request('GET', '/cache02');
+      assert.equal(edited.headers.get('location'), 'https://example.com/new');
+
+      await server.request('DELETE', '/api/links/cache02', { token });
+      assert.equal((await server.request('GET', '/cache02')).status, 404);
+    });
+
+    it('forgets a cached miss once the code is created', async () => {
+      assert.equal((await server.request('GET', '/cache03')).status, 404);
+      assert.equal((await server.request('GET', '/cache03')).status, 404);
+      assert.ok((await stats()).negativeHits >= 1);
+
+      await server.request('POST', '/api/links', {
+        token, body: { url: 'https://example.com/late', code: 'cache03' },
+      });
+      assert.equal((await server.request('GET', '/cache03')).status, 302);
+    });
+
+    it('stops redirecting once the click budget is used up', async () => {
+      await server.request('POST', '/api/links', {
+        token, body: { url: 'https://example.com/twice', code: 'cache04', maxClicks: 2 },
+      });
+      assert.equal((await server.request('GET', '/cache04')).status, 302);
+      assert.equal((await server.request('GET', '/cache04')).status, 302);
+      assert.equal((await server.request('GET', '/cache04')).status, 410);
+      assert.equal((await server.request('GET', '/cache04')).status, 410);
+    });
+
+    it('answers 404 for a link deleted since it was cached', async () => {
+      await server.request('POST', '/api/links', {
+        token, body: { url: 'https://example.com/vanished', code: 'cache05' },
+      });
+      assert.equal((await server.request('GET', '/cache05')).status, 302);
+      const { user } = (await server.request('GET', '/api/auth/me', { token })).body;
+      await server.repository.links.delete(user.id, 'cache05');
+
+      const before = await stats();
+      assert.equal((await server.request('GET', '/cache05')).status, 404);
+      assert.equal((await stats()).hits - before.hits, 1);
+      assert.equal((await server.request('GET', '/cache05')).status, 404);
+    });
+
+    it('requires authentication for stats', async () => {
+      assert.equal((await server.request('GET', '/api/cache/stats')).status, 401);
+    });
+  });
+}
@@ -0,0 +1,170 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { parseRedirectRules, preferredLanguage, matchRedirectRule } = require('../src/redirectRules');
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148 Safari/604.1';
+const ANDROID = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 Chrome/120.0 Mobile Safari/537.36';
+const DESKTOP = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36';
+
+describe('redirect rule parsing and matching', () => {
+  it('normalizes rules and keeps the ids they were given', () => {
+    const { value } = parseRedirectRules([
+      { id: 'a1b2c3d4', url: 'https://example.com/de', languages: ['DE_at', 'de'], countries: ['at'] },
+      { url: 'https://example.com/night', schedule: { start: '22:00', end: '06:00' } },
+    ]);
+    assert.deepEqual(value[0], {
+      id: 'a1b2c3d4', name: null, url: 'https://example.com/de', languages: ['de-at', 'de'], countries: ['AT'],
+    });
+    assert.match(value[1].id, /^[0-9a-f]{8}$/);
+    assert.deepEqual(value[1].schedule, { start: '22:00', end: '06:00', timezone: 'UTC' });
+    assert.deepEqual(parseRedirectRules(null), { value: [] });
+  });
+
+  it('rejects rules without a destination or a valid condition', () => {
+    [
+      [{ url: 'https://example.com' }],
+      [{ platforms: ['ios'] }],
+      [{ url: 'https://example.com', platforms: ['windows-phone'] }],
+      [{ url: 'https://example.com', countries: ['USA'] }],
+      [{ url: 'https://example.com', schedule: { start: '09:00' } }],
+      [{ url: 'https://example.com', schedule: { days: ['someday'] } }],
+      [{ url: 'https://example.com', schedule: { days: ['mon'], timezone: 'Mars/Olympus' } }],
+      Array.from({ length: 21 }, () => ({ url: 'https://example.com', platforms: ['ios'] })),
+    ].forEach((rules) => assert.ok(parseRedirectRules(rules).error, JSON.stringify(rules)));
+  });
+
+  it('reads the most preferred language', () => {
+    assert.equal(preferredLanguage('en-US,en;q=0.9,de;q=0.8'), 'en-us');
+    assert.equal(preferredLanguage('fr;q=0.5, pt-BR'), 'pt-br');
+    assert.equal(preferredLanguage('*'), null);
+    assert.equal(preferredLanguage(undefined), null);
+  });
+
+  it('picks the first matching rule in the rule time zone', () => {
+    const { value: rules } = parseRedirectRules([
+      { url: 'https://example.com/weekend', schedule: { days: ['sat', 'sun'], timezone: 'Asia/Tokyo' } },
+      { url: 'https://example.com/late', schedule: { start: '22:00', end: '02:00', timezone: 'America/New_York' } },
+      { url: 'https://example.com/pt', languages: ['pt'] },
+    ]);
+    const at = (iso, language = null) => {
+      const rule = matchRedirectRule(rules, { now: new Date(iso), language });
+      return rule && rule.url;
+    };
+    // Friday 16:00 UTC is already Saturday 01:00 in Tokyo.
+    assert.equal(at('2024-06-07T16:00:00Z'), 'https://example.com/weekend');
+    // Tuesday 03:30 UTC is Monday 23:30 in New York.
+    assert.equal(at('2024-06-04T03:30:00Z'), 'https://example.com/late');
+    assert.equal(at('2024-06-04T12:00:00Z', 'pt-br'), 'https://example.com/pt');
+    assert.equal(at('2024-06-04T12:00:00Z', 'en'), null);
+  });
+});
+
+describe('links with redirect rules', () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startTestServer();
+    token = await server.register();
+  });
+  after(() => server.close());
+
+  function visit(code, headers) {
+    return server.request('GET', `/${code}`, { headers });
+  }
+
+  it('sends each visitor to the first matching rule and records it', async (t) => {
+    process.env.TRUSTED_COUNTRY_HEADER = 'CF-IPCountry';
+    t.after(() => { delete process.env.TRUSTED_COUNTRY_HEADER; });
+    const created = await server.request('POST', '/api/links', {
+      token,
+      body: {
+        url: 'https://example.com/fallback',
+        code: 'rules01',
+        rules: [
+          { name: 'App Store', url: 'https://apps.example.com/ios', platforms: ['ios'] },
+          { url: 'https://example.com/de', languages: ['de'] },
+          { url: 'https://example.com/ca', countries: ['CA'], platforms: ['android', 'desktop'] },
+        ],
+      },
+    });
+    assert.equal(created.status, 201);
+    const [ios, german] = created.body.rules;
+    assert.equal(ios.name, 'App Store');
+
+    const location = async (headers) => (await visit('rules01', headers)).headers.get('location');
+    assert.equal(await location({ 'User-Agent': IPHONE, 'Accept-Language': 'de' }), 'https://apps.example.com/ios');
+    assert.equal(
+      await location({ 'User-Agent': ANDROID, 'Accept-Language': 'de-CH,en;q=0.5' }),
+      'https://example.com/de',
+    );
+    assert.equal(await location({ 'User-Agent': DESKTOP, 'CF-IPCountry': 'CA' }), 'https://example.com/ca');
+    assert.equal(await location({ 'User-Agent': DESKTOP, 'CF-IPCountry': 'US' }), 'https://example.com/fallback');
+
+    const clicks = await server.request('GET', '/api/links/rules01/clicks', { token });
+    assert.deepEqual(
+      clicks.body.clicks.map((click) => click.rule),
+      [null, created.body.rules[2].id, german.id, ios.id],
+    );
+    const stats = await server.request('GET', '/api/links/rules01/stats', { token });
+    assert.equal(stats.body.rules.length, 4);
+    assert.deepEqual(stats.body.rules.find((row) => row.value === 'fallback'), { value: 'fallback', clicks: 1 });
+  });
+
+  it('ignores country headers unless TRUSTED_COUNTRY_HEADER names one', async () => {
+    await server.request('POST', '/api/links', {
+      token,
+      body: {
+        url: 'https://example.com/', code: 'rules03', rules: [{ url: 'https://example.com/ca', countries: ['CA'] }],
+      },
+    });
+    const spoofed = await visit('rules03', { 'CF-IPCountry': 'CA', 'X-Country-Code': 'CA' });
+    assert.equal(spoofed.headers.get('location'), 'https://example.com/');
+
+    const clicks = await server.request('GET', '/api/links/rules03/clicks', { token });
+    assert.deepEqual(clicks.body.clicks.map((click) => click.country), [null]);
+  });
+
+  it('replaces rules on PATCH, keeping ids and history', async () => {
+    const created = await server.request('POST', '/api/links', {
+      token,
+      body: {
+        url: 'https://example.com/', code: 'rules02', rules: [{ url: 'https://example.com/a', platforms: ['ios'] }],
+      },
+    });
+    const [rule] = created.body.rules;
+
+    const moved = await server.request('PATCH', '/api/links/rules02', {
+      token,
+      body: { rules: [{ url: 'https://example.com/android', platforms: ['android'] }, rule] },
+    });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.rules[1].id, rule.id);
+    const android = await visit('rules02', { 'User-Agent': ANDROID });
+    assert.equal(android.headers.get('location'), 'https://example.com/android');
+
+    const unchanged = await server.request('PATCH', '/api/links/rules02', { token, body: { rules: moved.body.rules } });
+    assert.equal(unchanged.status, 200);
+    const cleared = await server.request('PATCH', '/api/links/rules02', { token, body: { rules: null } });
+    assert.deepEqual(cleared.body.rules, []);
+    assert.equal((await visit('rules02', { 'User-Agent': ANDROID })).headers.get('location'), 'https://example.com/');
+
+    const history = await server.request('GET', '/api/links/rules02/history', { token });
+    assert.deepEqual(history.body.map((revision) => revision.changedFields), [['rules'], ['rules'], []]);
+    assert.equal(history.body[1].rules.length, 2);
+  });
+
+  it('holds rule destinations to the same checks as the link URL', async () => {
+    for (const url of ['javascript:alert(1)', 'http://localhost/admin', 'http://10.0.0.1/']) {
+      const res = await server.request('POST', '/api/links', {
+        token, body: { url: 'https://example.com/', rules: [{ url, platforms: ['ios'] }] },
+      });
+      assert.equal(res.status, 400, url);
+      assert.match(res.body.error, /^Rule 1: /);
+    }
+    const patched = await server.request('PATCH', '/api/links/rules02', {
+      token, body: { rules: [{ url: 'http://127.0.0.1/', countries: ['US'] }] },
+    });
+    assert.equal(patched.status, 400);
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+describe('tags and folders', () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startTestServer();
+    token = await server.register();
+  });
+  after(() => server.close());
+
+  async function create(body) {
+    const res = await server.request('POST', '/api/links', { token, body });
+    assert.equal(res.status, 201);
+    return res.body;
+  }
+
+  async function listCodes(query) {
+    const res = await server.request('GET', `/api/links?${query}`, { token });
+    assert.equal(res.status, 200);
+    return res.body.links.map((link) => link.code).sort();
+  }
+
+  it('stores a folder alongside the tags', async () => {
+    const link = await create({ url: 'https://example.com/a', tags: ['Launch'], folder: '  Spring 2026 ' });
+    assert.deepEqual(link.tags, ['launch']);
+    assert.equal(link.folder, 'Spring 2026');
+
+    const moved = await server.request('PATCH', `/api/links/${link.code}`, {
+      token, body: { folder: 'Archive' },
+    });
+    assert.equal(moved.body.folder, 'Archive');
+    const history = await server.request('GET', `/api/links/${link.code}/history`, { token });
+    assert.deepEqual(history.body[0].changedFields, ['folder']);
+    assert.equal(history.body[0].folder, 'Archive');
+
+    const cleared = await server.request('PATCH', `/api/links/${link.code}`, { token, body: { folder: '' } });
+    assert.equal(cleared.body.folder, null);
+
+    const invalid = await server.request('POST', '/api/links', {
+      token, body: { url: 'https://example.com', folder: 'x'.repeat(65) },
+    });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('filters the list by tag and folder', async () => {
+    const [red, blue, both] = await Promise.all([
+      create({ url: 'https://example.com/red', tags: ['red'], folder: 'Paint' }),
+      create({ url: 'https://example.com/blue', tags: ['blue'], folder: 'Paint' }),
+      create({ url: 'https://example.com/both', tags: ['red', 'blue'] }),
+    ]);
+
+    assert.deepEqual(await listCodes('tag=RED'), [red.code, both.code].sort());
+    assert.deepEqual(await listCodes('folder=Paint'), [red.code, blue.code].sort());
+    assert.deepEqual(await listCodes('folder=Paint&tag=blue'), [blue.code]);
+    assert.deepEqual(await listCodes('tag=blue&q=both'), [both.code]);
+    assert.equal((await server.request('GET', '/api/links?tag=a,b', { token })).status, 400);
+  });
+
+  it('totals links and clicks per tag and folder', async () => {
+    const user = await server.register();
+    const first = await server.request('POST', '/api/links', {
+      token: user, body: { url: 'https://example.com/1', tags: ['promo', 'email'], folder: 'Q3' },
+    });
+    await server.request('POST', '/api/links', {
+      token: user, body: { url: 'https://example.com/2', tags: ['promo'] },
+    });
+    await server.request('GET', `/${first.body.code}`);
+    await server.request('GET', `/${first.body.code}`);
+
+    const tags = await server.request('GET', '/api/tags', { token: user });
+    assert.deepEqual(tags.body, [
+      { tag: 'promo', links: 2, clicks: 2 },
+      { tag: 'email', links: 1, clicks: 2 },
+    ]);
+    const folders = await server.request('GET', '/api/folders', { token: user });
+    assert.deepEqual(folders.body, [{ folder: 'Q3', links: 1, clicks: 2 }]);
+    assert.equal((await server.request('GET', '/api/tags')).status, 401);
+  });
+
+  it('adds and removes tags on many links at once', async () => {
+    const a = await create({ url: 'https://example.com/bulk-a', tags: ['old'] });
+    const b = await create({ url: 'https://example.com/bulk-b' });
+
+    const res = await server.request('POST', '/api/links/tags', {
+      token, body: { codes: [a.code, b.code, 'zzzzzz'], add: ['New'], remove: ['old'] },
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.links.map((link) => link.tags), [['new'], ['new']]);
+    assert.deepEqual(res.body.missing, ['zzzzzz']);
+
+    const history = await server.request('GET', `/api/links/${a.code}/history`, { token });
+    assert.deepEqual(history.body[0].changedFields, ['tags']);
+
+    const crowded = await create({
+      url: 'https://example.com/full', tags: Array.from({ length: 20 }, (_, i) => `t${i}`),
+    });
+    const rejected = await server.request('POST', '/api/links/tags', {
+      token, body: { codes: [a.code, crowded.code], add: ['extra'] },
+    });
+    assert.equal(rejected.status, 400);
+    const untouched = await server.request('GET', `/api/links/${a.code}`, { token });
+    assert.deepEqual(untouched.body.tags, ['new']);
+
+    const empty = await server.request('POST', '/api/links/tags', { token, body: { codes: [a.code] } });
+    assert.equal(empty.status, 400);
+  });
+});
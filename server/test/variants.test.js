@@ -0,0 +1,167 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { parseSplit, pickVariant } = require('../src/variants');
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148 Safari/604.1';
+
+describe('split parsing and picking', () => {
+  it('normalizes a split and keeps the variant ids it was given', () => {
+    const { value } = parseSplit({
+      variants: [
+        { id: 'a1b2c3d4', name: ' Control ', url: 'https://example.com/a', weight: 70 },
+        { url: 'https://example.com/b', weight: 30 },
+      ],
+    });
+    assert.equal(value.sticky, false);
+    assert.deepEqual(value.variants[0], { id: 'a1b2c3d4', name: 'Control', url: 'https://example.com/a', weight: 70 });
+    assert.match(value.variants[1].id, /^[0-9a-f]{8}$/);
+    assert.deepEqual(parseSplit(null), { value: null });
+  });
+
+  it('rejects splits that cannot be served', () => {
+    const variant = (weight) => ({ url: 'https://example.com', weight });
+    [
+      [],
+      { variants: [variant(1)] },
+      { variants: Array.from({ length: 6 }, () => variant(1)) },
+      { variants: [variant(1), variant(1.5)] },
+      { variants: [variant(1), variant(-1)] },
+      { variants: [variant(0), variant(0)] },
+      { variants: [variant(1), { weight: 1 }] },
+      { sticky: 'yes', variants: [variant(1), variant(1)] },
+    ].forEach((split) => assert.ok(parseSplit(split).error, JSON.stringify(split)));
+  });
+
+  it('picks by weight and keeps sticky visitors on an active variant', () => {
+    const { value: split } = parseSplit({
+      sticky: true,
+      variants: [
+        { id: 'aaaaaaaa', url: 'https://example.com/a', weight: 1 },
+        { id: 'bbbbbbbb', url: 'https://example.com/b', weight: 0 },
+        { id: 'cccccccc', url: 'https://example.com/c', weight: 3 },
+      ],
+    });
+    assert.equal(pickVariant(split, null, () => 0.2).id, 'aaaaaaaa');
+    assert.equal(pickVariant(split, null, () => 0.3).id, 'cccccccc');
+    assert.equal(pickVariant(split, 'aaaaaaaa', () => 0.9).id, 'aaaaaaaa');
+    // Paused variants are never served, even to visitors who had them.
+    assert.equal(pickVariant(split, 'bbbbbbbb', () => 0).id, 'aaaaaaaa');
+    assert.equal(pickVariant({ ...split, sticky: false }, 'aaaaaaaa', () => 0.9).id, 'cccccccc');
+    assert.equal(pickVariant(null), null);
+  });
+});
+
+describe('links with a split', () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startTestServer();
+    token = await server.register();
+  });
+  after(() => server.close());
+
+  function visit(code, headers) {
+    return server.request('GET', `/${code}`, { headers });
+  }
+
+  it('serves variants, remembers them per visitor and records them', async () => {
+    const created = await server.request('POST', '/api/links', {
+      token,
+      body: {
+        url: 'https://example.com/',
+        code: 'split01',
+        split: {
+          sticky: true,
+          variants: [
+            { name: 'A', url: 'https://example.com/a', weight: 100 },
+            { name: 'B', url: 'https://example.com/b', weight: 0 },
+          ],
+        },
+      },
+    });
+    assert.equal(created.status, 201);
+    const [a, b] = created.body.split.variants;
+
+    const first = await visit('split01');
+    assert.equal(first.headers.get('location'), 'https://example.com/a');
+    assert.match(first.headers.get('set-cookie'), new RegExp(`^variant=${a.id}; .*Path=/split01`));
+
+    // Moving all the weight to B keeps both ids, but a remembered A is still
+    // served A only while it is active.
+    const reweighted = await server.request('PATCH', '/api/links/split01', {
+      token,
+      body: { split: { sticky: true, variants: [{ ...a, weight: 0 }, { ...b, weight: 100 }] } },
+    });
+    assert.equal(reweighted.status, 200);
+    assert.deepEqual(reweighted.body.split.variants.map((variant) => variant.id), [a.id, b.id]);
+    const returning = await visit('split01', { Cookie: `variant=${a.id}` });
+    assert.equal(returning.headers.get('location'), 'https://example.com/b');
+
+    await server.request('PATCH', '/api/links/split01', {
+      token,
+      body: { split: { sticky: true, variants: [{ ...a, weight: 50 }, { ...b, weight: 50 }] } },
+    });
+    for (let i = 0; i < 3; i += 1) {
+      const sticky = await visit('split01', { Cookie: `variant=${a.id}` });
+      assert.equal(sticky.headers.get('location'), 'https://example.com/a');
+    }
+
+    const clicks = await server.request('GET', '/api/links/split01/clicks', { token });
+    assert.deepEqual(clicks.body.clicks.map((click) => click.variant), [a.id, a.id, a.id, b.id, a.id]);
+    const stats = await server.request('GET', '/api/links/split01/stats', { token });
+    assert.deepEqual(stats.body.variants, [{ value: a.id, clicks: 4 }, { value: b.id, clicks: 1 }]);
+
+    const history = await server.request('GET', '/api/links/split01/history', { token });
+    assert.deepEqual(history.body.map((revision) => revision.changedFields), [['split'], ['split'], []]);
+    assert.equal(history.body[1].split.variants[1].weight, 100);
+  });
+
+  it('lets redirect rules take precedence and can be removed', async () => {
+    await server.request('POST', '/api/links', {
+      token,
+      body: {
+        url: 'https://example.com/',
+        code: 'split02',
+        rules: [{ url: 'https://apps.example.com/ios', platforms: ['ios'] }],
+        split: {
+          variants: [
+            { url: 'https://example.com/a', weight: 1 },
+            { url: 'https://example.com/b', weight: 1 },
+          ],
+        },
+      },
+    });
+    const ios = await visit('split02', { 'User-Agent': IPHONE });
+    assert.equal(ios.headers.get('location'), 'https://apps.example.com/ios');
+    const other = await visit('split02');
+    assert.match(other.headers.get('location'), /^https:\/\/example\.com\/[ab]$/);
+    // Not sticky, so nothing is remembered.
+    assert.equal(other.headers.get('set-cookie'), null);
+
+    const clicks = await server.request('GET', '/api/links/split02/clicks', { token });
+    assert.equal(clicks.body.clicks[1].variant, null);
+    assert.match(clicks.body.clicks[0].variant, /^[0-9a-f]{8}$/);
+
+    const removed = await server.request('PATCH', '/api/links/split02', { token, body: { split: null } });
+    assert.equal(removed.body.split, null);
+    assert.equal((await visit('split02')).headers.get('location'), 'https://example.com/');
+  });
+
+  it('holds variant destinations to the same checks as the link URL', async () => {
+    const res = await server.request('POST', '/api/links', {
+      token,
+      body: {
+        url: 'https://example.com/',
+        split: {
+          variants: [
+            { url: 'https://example.com/a', weight: 1 },
+            { url: 'http://localhost/admin', weight: 1 },
+          ],
+        },
+      },
+    });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /^Variant 2: /);
+  });
+});